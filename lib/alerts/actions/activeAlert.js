@@ -2,7 +2,11 @@
 
 import {createAction, type ActionType} from 'redux-actions'
 
-import type {AlertEntity} from '../../types'
+import {fetchGraphQL} from '../../common/actions'
+import {patternsForRoute, timetables} from '../../gtfs/util/graphql'
+import {getRoutePatternsKey} from '../util'
+
+import type {AlertEntity, AlertRoutePattern, AlertTrip, Feed} from '../../types'
 import type {dispatchFn, getStateFn} from '../../types/reducers'
 
 export const deleteActiveEntity = createAction(
@@ -18,6 +22,13 @@ const newEntity = createAction(
     [string]: any
   }) => payload
 )
+const receivedRoutePatterns = createAction(
+  'RECEIVED_ALERT_ROUTE_PATTERNS',
+  (payload: {
+    key: string,
+    patterns: Array<AlertRoutePattern>
+  }) => payload
+)
 export const setActiveProperty = createAction(
   'SET_ACTIVE_ALERT_PROPERTY',
   (payload: { [string]: any }) => payload
@@ -28,11 +39,13 @@ export const setActivePublished = createAction(
 )
 export const updateActiveEntity = createAction(
   'UPDATE_ACTIVE_ALERT_ENTITY',
-  (payload: AlertEntity) => payload
+  (entity: AlertEntity, field: string, value: any, agency?: any) =>
+    ({agency, entity, field, value})
 )
 
 export type ActiveAlertActions = ActionType<typeof deleteActiveEntity> |
   ActionType<typeof newEntity> |
+  ActionType<typeof receivedRoutePatterns> |
   ActionType<typeof setActiveProperty> |
   ActionType<typeof setActivePublished> |
   ActionType<typeof updateActiveEntity>
@@ -52,7 +65,84 @@ export function addActiveEntity (
       id: newEntityId || nextEntityId,
       type: field,
       agency,
-      [field.toLowerCase()]: value
+      // Trip entities hold a list of trips (for a single route).
+      [field === 'TRIP' ? 'trips' : field.toLowerCase()]: value
     }))
   }
 }
+
+/**
+ * Fetch the patterns (with shapes) for a route in the feed's published
+ * version, which are used to select trips and to highlight affected routes and
+ * trips on the map. Patterns are only fetched once per feed and route.
+ */
+export function fetchRoutePatterns (feed: Feed, routeId: string) {
+  return function (dispatch: dispatchFn, getState: getStateFn): Promise<?Array<AlertRoutePattern>> {
+    const key = getRoutePatternsKey(feed, routeId)
+    const existingPatterns = getState().alerts.routePatterns[key]
+    if (existingPatterns) return Promise.resolve(existingPatterns)
+    const namespace = feed.publishedVersionId
+    if (!namespace) {
+      console.warn(`Cannot fetch patterns for unpublished feed ${feed.name}.`)
+      return Promise.resolve(null)
+    }
+    return dispatch(fetchGraphQL({
+      query: patternsForRoute,
+      variables: {namespace, routeId: [routeId]},
+      errorMessage: 'Could not fetch patterns for route'
+    }))
+      .then(data => {
+        if (!data || !data.feed.routes.length) return null
+        const patterns = data.feed.routes[0].patterns.map(p => ({
+          direction_id: p.direction_id,
+          name: p.name,
+          pattern_id: p.pattern_id,
+          shape: p.shape ? p.shape.map(s => [s.lat, s.lon]) : []
+        }))
+        dispatch(receivedRoutePatterns({key, patterns}))
+        return patterns
+      })
+  }
+}
+
+/**
+ * Fetch the trips (sorted by departure time) operating on the date (YYYYMMDD)
+ * for a route in the feed's published version.
+ */
+export function fetchRouteTrips (feed: Feed, routeId: string, date: string) {
+  return function (dispatch: dispatchFn, getState: getStateFn): Promise<Array<AlertTrip>> {
+    return dispatch(fetchRoutePatterns(feed, routeId))
+      .then(patterns => {
+        if (!patterns || !patterns.length) return null
+        return dispatch(fetchGraphQL({
+          query: timetables,
+          variables: {
+            date,
+            // Include trips that begin after midnight on the following day.
+            from: 0,
+            namespace: feed.publishedVersionId,
+            patternId: patterns.map(p => p.pattern_id),
+            to: 60 * 60 * 48
+          },
+          errorMessage: 'Could not fetch trips for route'
+        }))
+      })
+      .then(data => {
+        if (!data) return []
+        const trips = []
+        data.feed.patterns.forEach(pattern => {
+          pattern.trips.forEach(trip => {
+            const firstStopTime = trip.stop_times[0]
+            trips.push({
+              departure_time: firstStopTime ? firstStopTime.departure_time : null,
+              direction_id: trip.direction_id,
+              pattern_id: trip.pattern_id,
+              trip_headsign: trip.trip_headsign,
+              trip_id: trip.trip_id
+            })
+          })
+        })
+        return trips.sort((a, b) => (a.departure_time || 0) - (b.departure_time || 0))
+      })
+  }
+}
@@ -6,12 +6,14 @@ import {createAction, type ActionType} from 'redux-actions'
 import {updatePermissionFilter} from '../../gtfs/actions/filter'
 import {fetchStopsAndRoutes} from '../../gtfs/actions/general'
 import {createVoidPayloadAction, secureFetch} from '../../common/actions'
-import {getAlertsUrl, getFeedId} from '../../common/util/modules'
-import {fetchProjects} from '../../manager/actions/projects'
+import {getAlertsUrl, getFeedId, isAlertsAdapterLocal} from '../../common/util/modules'
+import {fetchProjects, updateProject} from '../../manager/actions/projects'
 import {setErrorMessage} from '../../manager/actions/status'
 import {getActiveProject} from '../../manager/selectors'
+import {deleteLocalAlert, getLocalAlerts, saveLocalAlert} from '../util/local'
+import {applyAlertTemplate} from '../util/templates'
 
-import type {Alert, GtfsRoute, GtfsStop, Project, RtdAlert} from '../../types'
+import type {Alert, AlertTemplate, GtfsRoute, GtfsStop, Project, RtdAlert} from '../../types'
 import type {
   dispatchFn,
   getStateFn,
@@ -36,6 +38,29 @@ export type AlertsActions = ActionType<typeof receivedRtdAlerts> |
   ActionType<typeof requestRtdAlerts> |
   ActionType<typeof updateActiveAlert>
 
+/**
+ * Make a request to the alerts back end (or to the local adapter if enabled)
+ * for all alerts or a single alert (if the ID is provided), resolving with the
+ * response JSON.
+ */
+function requestAlerts (method: string, id: ?number, json?: Object) {
+  return function (dispatch: dispatchFn, getState: getStateFn): Promise<any> {
+    if (isAlertsAdapterLocal()) {
+      if (method === 'get') return Promise.resolve(getLocalAlerts())
+      if (method === 'delete' && typeof id === 'number') {
+        deleteLocalAlert(id)
+        return Promise.resolve({})
+      }
+      return json
+        ? Promise.resolve(saveLocalAlert(json))
+        : Promise.reject(new Error(`Invalid local alerts request: ${method}`))
+    }
+    const url = getAlertsUrl() + (typeof id === 'number' ? `/${id}` : '')
+    return dispatch(secureFetch(url, method, json))
+      .then(res => res.json())
+  }
+}
+
 let nextAlertId = 0
 let nextStopEntityId = 100
 
@@ -60,6 +85,8 @@ export function createAlert (entity?: GtfsStop | GtfsRoute, agency?: any) {
     dispatch(updateActiveAlert({
       id: nextAlertId,
       title: '',
+      activePeriods: [{id: 1, start: null, end: null, recurrence: null}],
+      translations: [],
       affectedEntities: entities,
       published: false
     }))
@@ -69,10 +96,32 @@ export function createAlert (entity?: GtfsStop | GtfsRoute, agency?: any) {
   }
 }
 
+/**
+ * Create a new alert with its text, cause and effect set from the template.
+ */
+export function createAlertFromTemplate (template: AlertTemplate) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    dispatch(createAlert())
+    const {active} = getState().alerts
+    if (active) {
+      dispatch(updateActiveAlert({...active, ...applyAlertTemplate(template, active)}))
+    }
+  }
+}
+
+/**
+ * Save the project's alert templates (replacing any existing templates). The
+ * templates are stored in the project's alertTemplates field.
+ */
+export function saveAlertTemplates (project: Project, alertTemplates: Array<AlertTemplate>) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    return dispatch(updateProject(project.id, {alertTemplates}))
+  }
+}
+
 export function deleteAlert (alert: Alert) {
   return function (dispatch: dispatchFn, getState: getStateFn) {
-    return dispatch(secureFetch(`${getAlertsUrl()}/${alert.id}`, 'delete'))
-      .then((res) => res.json())
+    return dispatch(requestAlerts('delete', alert.id))
       .then(json => {
         browserHistory.push('/alerts')
         dispatch(fetchRtdAlerts())
@@ -101,8 +150,7 @@ export function fetchRtdAlerts () {
         message: "Can't request alerts without knowing project"
       }))
     }
-    return dispatch(secureFetch(getAlertsUrl()))
-      .then(res => res.json())
+    return dispatch(requestAlerts('get'))
       .then(rtdAlerts => dispatch(receivedRtdAlerts({rtdAlerts, project})))
       .then(() => dispatch(fetchStopsAndRoutes(getState().alerts.entities, 'ALERTS')))
   }
@@ -121,12 +169,29 @@ export function saveAlert (alert: Alert) {
       Id: alert.id < 0 ? null : alert.id,
       HeaderText: alert.title || 'New Alert',
       DescriptionText: alert.description || '',
+      Translations: alert.translations.map(t => ({
+        DescriptionText: t.description,
+        HeaderText: t.title,
+        Language: t.language
+      })),
       Url: alert.url || '',
       Cause: alert.cause || 'UNKNOWN_CAUSE',
       Effect: alert.effect || 'UNKNOWN_EFFECT',
       Published: alert.published ? 'Yes' : 'No',
       StartDateTime: alert.start / 1000 || 0,
       EndDateTime: alert.end / 1000 || 0,
+      ActivePeriods: alert.activePeriods.map(period => ({
+        StartDateTime: period.start ? period.start / 1000 : 0,
+        EndDateTime: period.end ? period.end / 1000 : 0,
+        Recurrence: period.recurrence
+          ? {
+            Days: period.recurrence.days,
+            EndTime: period.recurrence.endTime,
+            StartTime: period.recurrence.startTime,
+            Type: period.recurrence.type
+          }
+          : null
+      })),
       ServiceAlertEntities: alert.affectedEntities.map((entity) => {
         return {
           Id: entity.id,
@@ -137,15 +202,20 @@ export function saveAlert (alert: Alert) {
           RouteType: entity.mode ? entity.mode.gtfsType : null,
           StopId: entity.stop ? entity.stop.stop_id : null,
           StopCode: entity.stop ? entity.stop.stop_code : null,
+          DirectionId: typeof entity.direction_id === 'number' ? entity.direction_id : null,
           TripId: null,
-          ServiceAlertTrips: []
+          ServiceAlertTrips: (entity.trips || []).map(trip => ({
+            DepartureTime: trip.departure_time,
+            DirectionId: trip.direction_id,
+            PatternId: trip.pattern_id,
+            TripHeadsign: trip.trip_headsign,
+            TripId: trip.trip_id
+          }))
         }
       })
     }
-    const url = getAlertsUrl() + (alert.id < 0 ? '' : '/' + alert.id)
-    const method = alert.id < 0 ? 'post' : 'put'
-    return dispatch(secureFetch(url, method, json))
-      .then((res) => res.json())
+    const isNew = alert.id < 0
+    return dispatch(requestAlerts(isNew ? 'post' : 'put', isNew ? null : alert.id, json))
       .then(json => {
         // On successful save, re-route back to main alerts viewer
         browserHistory.push('/alerts')
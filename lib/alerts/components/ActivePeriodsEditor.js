@@ -0,0 +1,237 @@
+// @flow
+
+import Icon from '@conveyal/woonerf/components/icon'
+import moment from 'moment'
+import React, {Component} from 'react'
+import {Button, Checkbox, Col, ControlLabel, FormControl, FormGroup, Row} from 'react-bootstrap'
+import DateTimeField from 'react-bootstrap-datetimepicker'
+
+import toSentenceCase from '../../common/util/to-sentence-case'
+import {
+  DAYS_OF_WEEK,
+  DEFAULT_RECURRENCE,
+  RECURRENCE_TYPES,
+  expandActivePeriods
+} from '../util/activePeriods'
+
+import type {AlertActivePeriod} from '../../types'
+
+type Props = {
+  activePeriods: Array<AlertActivePeriod>,
+  onChange: (Array<AlertActivePeriod>) => void
+}
+
+// Number of expanded periods to list in the summary
+const MAX_PERIODS_TO_LIST = 5
+const DATE_FORMAT = 'MMM Do YYYY, h:mma'
+
+/**
+ * Editor for an alert's active periods. Each period is either a single date
+ * range or a date range with a daily/weekly recurring time window (e.g.,
+ * weeknights 22:00–05:00 for three weeks).
+ */
+export default class ActivePeriodsEditor extends Component<Props> {
+  _onAddPeriod = () => {
+    const {activePeriods, onChange} = this.props
+    const id = activePeriods.reduce((max, p) => Math.max(max, p.id), 0) + 1
+    onChange([...activePeriods, {end: null, id, recurrence: null, start: null}])
+  }
+
+  _onRemovePeriod = (id: number) => {
+    const {activePeriods, onChange} = this.props
+    onChange(activePeriods.filter(p => p.id !== id))
+  }
+
+  _onUpdatePeriod = (id: number, props: {[string]: any}) => {
+    const {activePeriods, onChange} = this.props
+    onChange(activePeriods.map(p => p.id === id ? {...p, ...props} : p))
+  }
+
+  render () {
+    const {activePeriods} = this.props
+    const expandedPeriods = expandActivePeriods(activePeriods)
+      .filter(p => p.start && p.end)
+    const hasRecurrence = activePeriods.some(p => p.recurrence)
+    return (
+      <div>
+        {activePeriods.map((period, index) => (
+          <ActivePeriodRow
+            canRemove={activePeriods.length > 1}
+            index={index}
+            key={period.id}
+            onRemove={this._onRemovePeriod}
+            onUpdate={this._onUpdatePeriod}
+            period={period} />
+        ))}
+        <Button bsSize='small' onClick={this._onAddPeriod}>
+          <Icon type='plus' /> Add active period
+        </Button>
+        {hasRecurrence && expandedPeriods.length > 0 &&
+          <div className='text-muted' style={{marginTop: '5px'}}>
+            <small>
+              Publishes as {expandedPeriods.length} active period(s):
+              <ul style={{marginBottom: '0px'}}>
+                {expandedPeriods.slice(0, MAX_PERIODS_TO_LIST).map(p => (
+                  <li key={p.start}>
+                    {moment(p.start).format(DATE_FORMAT)} to {moment(p.end).format(DATE_FORMAT)}
+                  </li>
+                ))}
+                {expandedPeriods.length > MAX_PERIODS_TO_LIST &&
+                  <li>and {expandedPeriods.length - MAX_PERIODS_TO_LIST} more</li>
+                }
+              </ul>
+            </small>
+          </div>
+        }
+      </div>
+    )
+  }
+}
+
+type RowProps = {
+  canRemove: boolean,
+  index: number,
+  onRemove: (number) => void,
+  onUpdate: (number, {[string]: any}) => void,
+  period: AlertActivePeriod
+}
+
+class ActivePeriodRow extends Component<RowProps> {
+  _updateRecurrence (props: {[string]: any}) {
+    const {onUpdate, period} = this.props
+    onUpdate(period.id, {recurrence: {...period.recurrence, ...props}})
+  }
+
+  _onChangeEnd = (time: string) =>
+    this.props.onUpdate(this.props.period.id, {end: +time})
+
+  _onChangeEndTime = (evt: SyntheticInputEvent<HTMLInputElement>) =>
+    this._updateRecurrence({endTime: evt.target.value})
+
+  _onChangeRecurrenceType = (evt: SyntheticInputEvent<HTMLSelectElement>) => {
+    const {onUpdate, period} = this.props
+    const type = evt.target.value
+    onUpdate(period.id, {
+      recurrence: type
+        ? {...DEFAULT_RECURRENCE, ...period.recurrence, type}
+        : null
+    })
+  }
+
+  _onChangeStart = (time: string) =>
+    this.props.onUpdate(this.props.period.id, {start: +time})
+
+  _onChangeStartTime = (evt: SyntheticInputEvent<HTMLInputElement>) =>
+    this._updateRecurrence({startTime: evt.target.value})
+
+  _onRemove = () => this.props.onRemove(this.props.period.id)
+
+  _onToggleDay = (evt: SyntheticInputEvent<HTMLInputElement>) => {
+    const {recurrence} = this.props.period
+    if (!recurrence) return
+    const day = +evt.target.value
+    const days = evt.target.checked
+      ? [...recurrence.days, day].sort((a, b) => a - b)
+      : recurrence.days.filter(d => d !== day)
+    this._updateRecurrence({days})
+  }
+
+  render () {
+    const {canRemove, index, period} = this.props
+    const {end, recurrence, start} = period
+    return (
+      <div style={{marginBottom: '10px'}}>
+        <div style={{marginBottom: '5px'}}>
+          <strong>Active period {index + 1}</strong>
+          {canRemove &&
+            <Button
+              bsSize='xsmall'
+              bsStyle='link'
+              className='pull-right'
+              onClick={this._onRemove}
+              title='Remove active period'>
+              <Icon type='trash' />
+            </Button>
+          }
+        </div>
+        <Row>
+          <Col xs={6}>
+            <div style={{marginBottom: '5px'}}>Start</div>
+            {start
+              ? <DateTimeField
+                dateTime={start}
+                onChange={this._onChangeStart} />
+              : <DateTimeField
+                defaultText='Please select a date'
+                onChange={this._onChangeStart} />
+            }
+          </Col>
+          <Col xs={6}>
+            <div style={{marginBottom: '5px'}}>End</div>
+            {end
+              ? <DateTimeField
+                dateTime={end}
+                onChange={this._onChangeEnd} />
+              : <DateTimeField
+                defaultText='Please select a date'
+                onChange={this._onChangeEnd} />
+            }
+          </Col>
+        </Row>
+        <Row style={{marginTop: '5px'}}>
+          <Col xs={4}>
+            <FormGroup bsSize='small'>
+              <ControlLabel>Repeat</ControlLabel>
+              <FormControl
+                componentClass='select'
+                onChange={this._onChangeRecurrenceType}
+                value={recurrence ? recurrence.type : ''}>
+                <option value=''>Does not repeat</option>
+                {RECURRENCE_TYPES.map(type => (
+                  <option key={type} value={type}>{toSentenceCase(type)}</option>
+                ))}
+              </FormControl>
+            </FormGroup>
+          </Col>
+          {recurrence &&
+            <Col xs={4}>
+              <FormGroup bsSize='small'>
+                <ControlLabel>From</ControlLabel>
+                <FormControl
+                  onChange={this._onChangeStartTime}
+                  type='time'
+                  value={recurrence.startTime} />
+              </FormGroup>
+            </Col>
+          }
+          {recurrence &&
+            <Col xs={4}>
+              <FormGroup bsSize='small'>
+                <ControlLabel>To</ControlLabel>
+                <FormControl
+                  onChange={this._onChangeEndTime}
+                  title='Times before the start time end on the following day'
+                  type='time'
+                  value={recurrence.endTime} />
+              </FormGroup>
+            </Col>
+          }
+        </Row>
+        {recurrence && recurrence.type === 'WEEKLY' &&
+          <div>
+            {DAYS_OF_WEEK.map((label, day) => (
+              <Checkbox
+                checked={recurrence.days.indexOf(day) !== -1}
+                inline
+                key={day}
+                onChange={this._onToggleDay}
+                value={day}>
+                {label}
+              </Checkbox>
+            ))}
+          </div>
+        }
+      </div>
+    )
+  }
+}
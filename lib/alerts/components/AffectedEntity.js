@@ -7,21 +7,30 @@ import { ListGroupItem, Row, Col, Button, Collapse, Glyphicon, Label } from 'rea
 import * as activeAlertActions from '../actions/activeAlert'
 import { getFeed } from '../../common/util/modules'
 import { getRouteNameAlerts } from '../../editor/util/gtfs'
+import {getRoutePatternsKey} from '../util'
 import AgencySelector from './AgencySelector'
+import DirectionSelector from './DirectionSelector'
 import ModeSelector from './ModeSelector'
 import StopSelector from './StopSelector'
 import RouteSelector from './RouteSelector'
+import TripSelector from './TripSelector'
 
-import type {AlertEntity, Feed} from '../../types'
+import type {AlertEntity, AlertRoutePattern, AlertTrip, Feed} from '../../types'
 
 type Props = {
   activeFeeds: Array<Feed>,
   deleteActiveEntity: typeof activeAlertActions.deleteActiveEntity,
   entity: AlertEntity,
   feeds: Array<Feed>,
+  fetchRoutePatterns: typeof activeAlertActions.fetchRoutePatterns,
+  fetchRouteTrips: (feed: Feed, routeId: string, date: string) => Promise<Array<AlertTrip>>,
+  routePatterns: {[string]: Array<AlertRoutePattern>},
   updateActiveEntity: typeof activeAlertActions.updateActiveEntity
 }
 
+const getEntityRouteId = (entity: AlertEntity) =>
+  entity.route ? entity.route.route_id : entity.route_id
+
 type State = {
   active: boolean
 }
@@ -31,6 +40,36 @@ export default class AffectedEntity extends Component<Props, State> {
     active: false
   }
 
+  componentWillMount () {
+    this._fetchRoutePatterns(this.props.entity)
+  }
+
+  componentWillReceiveProps (nextProps: Props) {
+    const {entity} = nextProps
+    if (
+      getEntityRouteId(entity) !== getEntityRouteId(this.props.entity) ||
+      entity.agency !== this.props.entity.agency ||
+      entity.type !== this.props.entity.type
+    ) {
+      this._fetchRoutePatterns(entity)
+    }
+  }
+
+  /**
+   * Fetch the route's patterns (used to highlight the affected route or trips
+   * on the map and to filter trips).
+   */
+  _fetchRoutePatterns (entity: AlertEntity) {
+    const routeId = getEntityRouteId(entity)
+    if (
+      (entity.type === 'ROUTE' || entity.type === 'TRIP') &&
+      entity.agency &&
+      routeId
+    ) {
+      this.props.fetchRoutePatterns(entity.agency, routeId)
+    }
+  }
+
   _onRowClick = () => this.setState({active: !this.state.active})
 
   _onClickDeleteEntity = () => this.props.deleteActiveEntity(this.props.entity)
@@ -55,6 +94,9 @@ export default class AffectedEntity extends Component<Props, State> {
     const stopName = entity.stop
       ? `${entity.stop.stop_name} (${entity.stop.stop_id}) ${agencyName}`
       : entity.stop_id
+    const directionName = typeof entity.direction_id === 'number'
+      ? ` (direction ${entity.direction_id})`
+      : ''
     let summary = ''
     switch (type) {
       case 'AGENCY' :
@@ -75,11 +117,15 @@ export default class AffectedEntity extends Component<Props, State> {
         }
         return <span><Icon type='map-marker' /> {summary}</span>
       case 'ROUTE' :
-        summary = routeName || '[no route id]'
+        summary = `${routeName || '[no route id]'}${directionName}`
         if (stopName) {
           summary += ` at ${stopName}`
         }
         return <span><Glyphicon glyph='option-horizontal' /> {summary}</span>
+      case 'TRIP' :
+        const tripCount = entity.trips ? entity.trips.length : 0
+        summary = `${tripCount} trip${tripCount === 1 ? '' : 's'} on ${routeName || '[no route id]'}${directionName}`
+        return <span><Icon type='bus' /> {summary}</span>
       case 'MODE' :
         summary = val.name
         if (stopName) {
@@ -123,7 +169,7 @@ export default class AffectedEntity extends Component<Props, State> {
   }
 
   renderEntity (entity: AlertEntity) {
-    const {activeFeeds, feeds, updateActiveEntity} = this.props
+    const {activeFeeds, feeds, fetchRouteTrips, routePatterns, updateActiveEntity} = this.props
     const indent = {
       paddingLeft: '30px'
     }
@@ -205,6 +251,34 @@ export default class AffectedEntity extends Component<Props, State> {
                 stop={entity.stop}
                 updateActiveEntity={updateActiveEntity}
                 entity={entity} />
+              <span><i>Refine by Direction:</i></span>
+              <DirectionSelector
+                updateActiveEntity={updateActiveEntity}
+                entity={entity} />
+            </div>
+          </div>
+        )
+      case 'TRIP':
+        return (
+          <div className='list-group-item-text'>
+            <span><b>Route:</b></span>
+            <RouteSelector
+              feeds={activeFeeds}
+              route={entity.route}
+              clearable={false}
+              updateActiveEntity={updateActiveEntity}
+              entity={entity} />
+            <div style={indent}>
+              <span><i>Refine by Direction:</i></span>
+              <DirectionSelector
+                updateActiveEntity={updateActiveEntity}
+                entity={entity} />
+              <span><i>Trips:</i></span>
+              <TripSelector
+                entity={entity}
+                fetchRouteTrips={fetchRouteTrips}
+                patterns={routePatterns[getRoutePatternsKey(entity.agency, getEntityRouteId(entity))]}
+                updateActiveEntity={updateActiveEntity} />
             </div>
           </div>
         )
@@ -16,14 +16,17 @@ import AffectedEntity from './AffectedEntity'
 import { isExtensionEnabled } from '../../common/util/config'
 import GtfsSearch from '../../gtfs/components/gtfs-search'
 
-import type {Alert, AlertEntity, Feed} from '../../types'
+import type {Alert, AlertEntity, AlertRoutePattern, AlertTrip, Feed} from '../../types'
 
 type Props = {
   activeFeeds: Array<Feed>,
   addActiveEntity: typeof activeAlertActions.addActiveEntity,
   alert: Alert,
   deleteActiveEntity: typeof activeAlertActions.deleteActiveEntity,
+  fetchRoutePatterns: typeof activeAlertActions.fetchRoutePatterns,
+  fetchRouteTrips: (feed: Feed, routeId: string, date: string) => Promise<Array<AlertTrip>>,
   newEntityId: number,
+  routePatterns: {[string]: Array<AlertRoutePattern>},
   sortedFeeds: Array<Feed>,
   updateActiveEntity: typeof activeAlertActions.updateActiveEntity
 }
@@ -46,6 +49,12 @@ export default class AffectedServices extends Component<Props> {
     addActiveEntity('AGENCY', sortedFeeds[0], null, newEntityId)
   }
 
+  _onAddTrips = () => {
+    const {newEntityId, addActiveEntity} = this.props
+    // Route (and agency) are selected afterwards from the trip entity.
+    addActiveEntity('TRIP', [], null, newEntityId)
+  }
+
   _onSelectEntity = (value: any) => {
     const {addActiveEntity, newEntityId} = this.props
     if (typeof value !== 'undefined' && value !== null) {
@@ -62,6 +71,9 @@ export default class AffectedServices extends Component<Props> {
       activeFeeds,
       alert,
       deleteActiveEntity,
+      fetchRoutePatterns,
+      fetchRouteTrips,
+      routePatterns,
       sortedFeeds,
       updateActiveEntity
     } = this.props
@@ -79,10 +91,15 @@ export default class AffectedServices extends Component<Props> {
                 </Button>
                 {!isExtensionEnabled('mtc') &&
                   <Button
+                    style={{marginRight: '5px'}}
                     onClick={this._onAddMode}>
                     Add Mode
                   </Button>
                 }
+                <Button
+                  onClick={this._onAddTrips}>
+                  Add Trips
+                </Button>
               </Col>
               <Col xs={7}>
                 <GtfsSearch
@@ -103,7 +120,10 @@ export default class AffectedServices extends Component<Props> {
                 deleteActiveEntity={deleteActiveEntity}
                 entity={entity}
                 feeds={sortedFeeds}
+                fetchRoutePatterns={fetchRoutePatterns}
+                fetchRouteTrips={fetchRouteTrips}
                 key={entity.id}
+                routePatterns={routePatterns}
                 updateActiveEntity={updateActiveEntity}
               />
             ))}
@@ -129,6 +149,10 @@ const entityTypes = [
   {
     singular: 'mode',
     plural: 'modes'
+  },
+  {
+    singular: 'trip',
+    plural: 'trips'
   }
 ]
 
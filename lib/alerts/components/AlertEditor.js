@@ -1,14 +1,16 @@
 // @flow
 
 import Icon from '@conveyal/woonerf/components/icon'
+import ISO6391 from 'iso-639-1'
 import moment from 'moment'
 import React, {Component} from 'react'
-import {Grid, Row, Col, ButtonToolbar, Button, FormControl, ControlLabel, FormGroup} from 'react-bootstrap'
-import DateTimeField from 'react-bootstrap-datetimepicker'
+import {Grid, Row, Col, ButtonToolbar, Button, FormControl, ControlLabel, FormGroup, Tab, Tabs} from 'react-bootstrap'
 import {browserHistory} from 'react-router'
 import Toggle from 'react-toggle'
 
+import ActivePeriodsEditor from './ActivePeriodsEditor'
 import AffectedServices from './AffectedServices'
+import AlertTextFields from './AlertTextFields'
 import * as alertActions from '../actions/alerts'
 import * as activeAlertActions from '../actions/activeAlert'
 import ManagerPage from '../../common/components/ManagerPage'
@@ -17,10 +19,28 @@ import {checkEntitiesForFeeds} from '../../common/util/permissions'
 import toSentenceCase from '../../common/util/to-sentence-case'
 import GtfsMapSearch from '../../gtfs/components/gtfsmapsearch'
 import GlobalGtfsFilter from '../../gtfs/containers/GlobalGtfsFilter'
-import {CAUSES, EFFECTS} from '../util'
+import {
+  ALERT_DESCRIPTION_CHAR_LIMIT,
+  ALERT_TITLE_CHAR_LIMIT,
+  CAUSES,
+  EFFECTS,
+  getAffectedShapes,
+  getAlertLanguages
+} from '../util'
+import {getActivePeriodBounds, getActivePeriods, validateActivePeriods} from '../util/activePeriods'
+import {fillTemplateText, getTemplateValues, hasTemplatePlaceholders} from '../util/templates'
 
 import type {Props as ContainerProps} from '../containers/ActiveAlertEditor'
-import type {Alert, Feed, GtfsRoute, GtfsStop, Project} from '../../types'
+import type {
+  Alert,
+  AlertActivePeriod,
+  AlertRoutePattern,
+  AlertTrip,
+  Feed,
+  GtfsRoute,
+  GtfsStop,
+  Project
+} from '../../types'
 import type {ManagerUserState} from '../../types/reducers'
 
 type Props = ContainerProps & {
@@ -31,10 +51,13 @@ type Props = ContainerProps & {
   deleteActiveEntity: typeof activeAlertActions.deleteActiveEntity,
   deleteAlert: typeof alertActions.deleteAlert,
   editableFeeds: Array<Feed>,
+  fetchRoutePatterns: typeof activeAlertActions.fetchRoutePatterns,
+  fetchRouteTrips: (feed: Feed, routeId: string, date: string) => Promise<Array<AlertTrip>>,
   onAlertEditorMount: typeof alertActions.onAlertEditorMount,
   permissionFilter: string,
   project: Project,
   publishableFeeds: Array<Feed>,
+  routePatterns: {[string]: Array<AlertRoutePattern>},
   saveAlert: typeof alertActions.saveAlert,
   setActiveAlert: typeof alertActions.setActiveAlert,
   setActiveProperty: typeof activeAlertActions.setActiveProperty,
@@ -43,9 +66,6 @@ type Props = ContainerProps & {
   user: ManagerUserState
 }
 
-const ALERT_TITLE_CHAR_LIMIT = 100
-const ALERT_DESCRIPTION_CHAR_LIMIT = 1200
-const CHAR_WARNING_LIMIT = 10
 const _stringToOption = str => (
   <option key={str} value={str}>
     {toSentenceCase(str.replace('_', ' '))}
@@ -69,28 +89,34 @@ export default class AlertEditor extends Component<Props> {
 
   validateAndSave = () => {
     const {alert, saveAlert} = this.props
-    const {affectedEntities, description, end, start, title} = alert
-    const momentEnd = moment(end)
-    const momentStart = moment(start)
+    const {affectedEntities, description, end, title, translations} = alert
 
     // alert title must not be blank nor just whitespace
     if (!title.trim()) {
       return window.alert('You must specify an alert title')
     }
     // alert title/description must meet character limits (for display purposes)
-    if (title.length > ALERT_TITLE_CHAR_LIMIT) {
-      return window.alert(`Alert title must be ${ALERT_TITLE_CHAR_LIMIT} characters or less`)
+    // in every language
+    const texts = [{description, language: null, title}, ...translations]
+    for (let i = 0; i < texts.length; i++) {
+      const text = texts[i]
+      const languageLabel = text.language ? ` (${ISO6391.getName(text.language)})` : ''
+      if (text.title.length > ALERT_TITLE_CHAR_LIMIT) {
+        return window.alert(`Alert title${languageLabel} must be ${ALERT_TITLE_CHAR_LIMIT} characters or less`)
+      }
+      if (text.description && text.description.length > ALERT_DESCRIPTION_CHAR_LIMIT) {
+        return window.alert(`Alert description${languageLabel} must be ${ALERT_DESCRIPTION_CHAR_LIMIT} characters or less`)
+      }
     }
-    if (description && description.length > ALERT_DESCRIPTION_CHAR_LIMIT) {
-      return window.alert(`Alert description must be ${ALERT_DESCRIPTION_CHAR_LIMIT} characters or less`)
+    // placeholders from alert templates must be filled in before saving
+    if (hasTemplatePlaceholders(title) || hasTemplatePlaceholders(description)) {
+      return window.alert('Alert title and description must not contain unfilled template placeholders (e.g., {route})')
     }
-    if (!momentEnd.isValid() || !momentStart.isValid()) {
-      return window.alert('Alert must have a valid start and end date')
+    const activePeriodError = validateActivePeriods(getActivePeriods(alert))
+    if (activePeriodError) {
+      return window.alert(activePeriodError)
     }
-    if (end < start) {
-      return window.alert(`Alert end date ${momentEnd.format()} cannot be before start date (${momentStart.format()})`)
-    }
-    if (momentEnd.isBefore(moment())) {
+    if (moment(end).isBefore(moment())) {
       return window.alert('Alert end date cannot be before the current date (alerts must not be in the past)')
     }
     if (affectedEntities.length === 0) {
@@ -104,9 +130,49 @@ export default class AlertEditor extends Component<Props> {
   _onChange = (evt: SyntheticInputEvent<HTMLInputElement>) =>
     this.props.setActiveProperty({[evt.target.name]: evt.target.value})
 
-  _onChangeEnd = (time: string) => this.props.setActiveProperty({end: +time})
+  _onChangeText = (language: ?string, field: 'description' | 'title', value: string) => {
+    const {alert, setActiveProperty} = this.props
+    if (!language) {
+      setActiveProperty({[field]: value})
+      return
+    }
+    const {translations} = alert
+    const index = translations.findIndex(t => t.language === language)
+    const translation = index === -1
+      ? {description: '', language, title: '', [field]: value}
+      : {...translations[index], [field]: value}
+    setActiveProperty({
+      translations: index === -1
+        ? [...translations, translation]
+        : [
+          ...translations.slice(0, index),
+          translation,
+          ...translations.slice(index + 1)
+        ]
+    })
+  }
+
+  /**
+   * Fill any template placeholders in the alert title and description from the
+   * alert's current affected entities and active periods.
+   */
+  _onClickFillPlaceholders = () => {
+    const {alert, setActiveProperty} = this.props
+    const values = getTemplateValues(alert)
+    setActiveProperty({
+      description: fillTemplateText(alert.description || '', values),
+      title: fillTemplateText(alert.title || '', values)
+    })
+  }
 
-  _onChangeStart = (time: string) => this.props.setActiveProperty({start: +time})
+  _onChangeActivePeriods = (activePeriods: Array<AlertActivePeriod>) => {
+    this.props.setActiveProperty({
+      activePeriods,
+      // Keep the alert's start and end in sync with the overall range of its
+      // active periods.
+      ...getActivePeriodBounds(activePeriods)
+    })
+  }
 
   _onClickBack = () => browserHistory.push('/alerts')
 
@@ -129,21 +195,52 @@ export default class AlertEditor extends Component<Props> {
     this.props.addActiveEntity('STOP', stop, agency, newEntityId)
   }
 
+  /**
+   * Render the alert title and description fields, with a tab for each of the
+   * project's alert languages (if more than one language is configured).
+   */
+  _renderAlertText () {
+    const {alert, project} = this.props
+    const [primaryLanguage, ...otherLanguages] = getAlertLanguages(project)
+    const primaryFields = (
+      <AlertTextFields
+        description={alert.description || ''}
+        language={null}
+        onChange={this._onChangeText}
+        title={alert.title || ''} />
+    )
+    if (otherLanguages.length === 0) return primaryFields
+    return (
+      <Tabs id='alert-text-languages' defaultActiveKey={primaryLanguage}>
+        <Tab eventKey={primaryLanguage} title={ISO6391.getName(primaryLanguage)}>
+          {primaryFields}
+        </Tab>
+        {otherLanguages.map(language => {
+          const translation = alert.translations.find(t => t.language === language)
+          return (
+            <Tab eventKey={language} key={language} title={ISO6391.getName(language)}>
+              <AlertTextFields
+                description={translation ? translation.description : ''}
+                language={language}
+                onChange={this._onChangeText}
+                title={translation ? translation.title : ''} />
+            </Tab>
+          )
+        })}
+      </Tabs>
+    )
+  }
+
   /* eslint-disable complexity */
   render () {
     const {
       activeFeeds,
       alert,
       editableFeeds,
-      publishableFeeds
+      publishableFeeds,
+      routePatterns
     } = this.props
     if (!alert) return <ManagerPage><Loading /></ManagerPage>
-    const titleCharactersRemaining = alert.title
-      ? ALERT_TITLE_CHAR_LIMIT - alert.title.length
-      : ALERT_TITLE_CHAR_LIMIT
-    const descriptionCharactersRemaining = alert.description
-      ? ALERT_DESCRIPTION_CHAR_LIMIT - alert.description.length
-      : ALERT_DESCRIPTION_CHAR_LIMIT
     const canPublish = alert.affectedEntities.length &&
       checkEntitiesForFeeds(alert.affectedEntities, publishableFeeds)
     const canEdit = checkEntitiesForFeeds(alert.affectedEntities, editableFeeds)
@@ -213,57 +310,26 @@ export default class AlertEditor extends Component<Props> {
             <Col xs={12} sm={6}>
               <Row>
                 <Col xs={12} style={{marginTop: '10px'}}>
-                  <FormGroup controlId='formControlsTitle'>
-                    <ControlLabel>
-                      Alert Title
+                  {(hasTemplatePlaceholders(alert.title) || hasTemplatePlaceholders(alert.description)) &&
+                    <p>
+                      <Button
+                        bsSize='small'
+                        bsStyle='warning'
+                        onClick={this._onClickFillPlaceholders}>
+                        <Icon type='magic' /> Fill template placeholders
+                      </Button>
                       {' '}
-                      <span
-                        className={
-                          titleCharactersRemaining > CHAR_WARNING_LIMIT
-                            ? 'text-muted'
-                            : 'text-danger'
-                        }
-                        style={{fontWeight: 400}}>
-                        {titleCharactersRemaining}
-                      </span>
-                      <h5 style={{margin: '0px'}}>
-                        <small>
-                          Note: alert title serves as text for eTID alerts. Use
-                          descriptive language so it can serve as a standalone
-                          alert.
-                        </small>
-                      </h5>
-                    </ControlLabel>
-                    <FormControl
-                      bsSize='large'
-                      placeholder='E.g., Sig. Delays due to Golden Gate Bridge Closure'
-                      defaultValue={alert.title || ''}
-                      name='title'
-                      onChange={this._onChange} />
-                  </FormGroup>
-                </Col>
-                <Col xs={6}>
-                  <div style={{marginBottom: '5px'}}><strong>Start</strong></div>
-                  {alert.start
-                    ? <DateTimeField
-                      disabled
-                      dateTime={alert.start}
-                      onChange={this._onChangeStart} />
-                    : <DateTimeField
-                      defaultText='Please select a date'
-                      onChange={this._onChangeStart} />
+                      <small className='text-muted'>
+                        from affected services and active periods
+                      </small>
+                    </p>
                   }
+                  {this._renderAlertText()}
                 </Col>
-                <Col xs={6}>
-                  <div style={{marginBottom: '5px'}}><strong>End</strong></div>
-                  {alert.end
-                    ? <DateTimeField
-                      dateTime={alert.end}
-                      onChange={this._onChangeEnd} />
-                    : <DateTimeField
-                      defaultText='Please select a date'
-                      onChange={this._onChangeEnd} />
-                  }
+                <Col xs={12}>
+                  <ActivePeriodsEditor
+                    activePeriods={getActivePeriods(alert)}
+                    onChange={this._onChangeActivePeriods} />
                 </Col>
               </Row>
               <Row>
@@ -293,30 +359,7 @@ export default class AlertEditor extends Component<Props> {
                 </Col>
               </Row>
               <Row>
-                <Col xs={12} sm={6}>
-                  <FormGroup controlId='formControlsDescription'>
-                    <ControlLabel>
-                      Description
-                      {' '}
-                      <span
-                        className={
-                          descriptionCharactersRemaining > CHAR_WARNING_LIMIT
-                            ? 'text-muted'
-                            : 'text-danger'
-                        }
-                        style={{fontWeight: 400}}>
-                        {descriptionCharactersRemaining}
-                      </span>
-                    </ControlLabel>
-                    <FormControl
-                      componentClass='textarea'
-                      placeholder='Detailed description of alert...'
-                      defaultValue={alert.description}
-                      name='description'
-                      onChange={this._onChange} />
-                  </FormGroup>
-                </Col>
-                <Col xs={12} sm={6}>
+                <Col xs={12}>
                   <FormGroup controlId='formControlsURL'>
                     <ControlLabel>URL</ControlLabel>
                     <FormControl
@@ -345,6 +388,7 @@ export default class AlertEditor extends Component<Props> {
               </Row>
               <GtfsMapSearch
                 feeds={activeFeeds}
+                highlightedShapes={getAffectedShapes(alert.affectedEntities, routePatterns)}
                 onRouteClick={this._onRouteClick}
                 onStopClick={this._onStopClick}
                 popupAction='Add'
@@ -1,15 +1,19 @@
 // @flow
 
 import Icon from '@conveyal/woonerf/components/icon'
+import ISO6391 from 'iso-639-1'
 import moment from 'moment'
 import React, {Component} from 'react'
 import { Panel, Row, Col, ButtonGroup, Button, Label } from 'react-bootstrap'
 
 import * as alertActions from '../actions/alerts'
 import { checkEntitiesForFeeds } from '../../common/util/permissions'
+import {describeRecurrence, getActivePeriods} from '../util/activePeriods'
 
 import type {Alert, Feed} from '../../types'
 
+const DATE_FORMAT = 'MMM Do YYYY, h:mm:ssa'
+
 type Props = {
   alert: Alert,
   deleteAlert: typeof alertActions.deleteAlert,
@@ -34,6 +38,7 @@ export default class AlertPreview extends Component<Props> {
       publishableFeeds,
       editableFeeds
     } = this.props
+    const activePeriods = getActivePeriods(alert)
     const canPublish = checkEntitiesForFeeds(alert.affectedEntities, publishableFeeds)
     const canEdit = checkEntitiesForFeeds(alert.affectedEntities, editableFeeds)
     // Only approved publishers can edit published alerts.
@@ -87,18 +92,40 @@ export default class AlertPreview extends Component<Props> {
       <Panel collapsible header={header}>
         <p>
           <i>
-            {moment(alert.start).format('MMM Do YYYY, h:mm:ssa')}
+            {moment(alert.start).format(DATE_FORMAT)}
             {' '}
             to
             {' '}
-            {moment(alert.end).format('MMM Do YYYY, h:mm:ssa')}
+            {moment(alert.end).format(DATE_FORMAT)}
           </i>
           {' '}
           <span className='pull-right'>
             {publishedLabel} {alert.published ? 'Published' : 'Draft'}
           </span>
         </p>
+        {/* List the individual active periods if there is more than the alert's start/end */}
+        {activePeriods.length > 1 || activePeriods.some(p => p.recurrence)
+          ? <ul>
+            {activePeriods.map(p => (
+              <li key={p.id}>
+                {moment(p.start).format(DATE_FORMAT)} to {moment(p.end).format(DATE_FORMAT)}
+                {p.recurrence && ` (${describeRecurrence(p.recurrence)})`}
+              </li>
+            ))}
+          </ul>
+          : null
+        }
         <p style={{whiteSpace: 'pre-wrap'}}>{alert.description}</p>
+        {alert.translations.map(t => (
+          <div key={t.language}>
+            <p>
+              <Label>{ISO6391.getName(t.language) || t.language}</Label>
+              {' '}
+              <strong>{t.title}</strong>
+            </p>
+            <p style={{whiteSpace: 'pre-wrap'}}>{t.description}</p>
+          </div>
+        ))}
         <p>URL: <a href={alert.url} target='_blank'>{alert.url}</a></p>
         <p>
           <span className='pull-right'>{entitiesLabel} affected service(s)</span>
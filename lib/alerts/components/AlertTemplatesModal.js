@@ -0,0 +1,251 @@
+// @flow
+
+import Icon from '@conveyal/woonerf/components/icon'
+import React, {Component} from 'react'
+import {
+  Button,
+  ButtonToolbar,
+  Col,
+  ControlLabel,
+  FormControl,
+  FormGroup,
+  ListGroup,
+  ListGroupItem,
+  Modal,
+  Row
+} from 'react-bootstrap'
+
+import * as alertActions from '../actions/alerts'
+import {generateUID} from '../../common/util/util'
+import toSentenceCase from '../../common/util/to-sentence-case'
+import {CAUSES, EFFECTS} from '../util'
+import {TEMPLATE_PLACEHOLDERS} from '../util/templates'
+
+import type {AlertTemplate, Project} from '../../types'
+
+type Props = {
+  onClose: () => void,
+  project: Project,
+  saveAlertTemplates: typeof alertActions.saveAlertTemplates,
+  show: boolean
+}
+
+type State = {
+  // Template being created or edited
+  template: ?AlertTemplate
+}
+
+const _stringToOption = str => (
+  <option key={str} value={str}>
+    {toSentenceCase(str.replace('_', ' '))}
+  </option>
+)
+
+/**
+ * Modal for managing the project's library of alert templates (reusable alert
+ * text with placeholders filled from an alert's affected entities).
+ */
+export default class AlertTemplatesModal extends Component<Props, State> {
+  state = {
+    template: null
+  }
+
+  _getTemplates (): Array<AlertTemplate> {
+    return this.props.project.alertTemplates || []
+  }
+
+  _onChange = (evt: SyntheticInputEvent<HTMLInputElement>) => {
+    const {template} = this.state
+    if (!template) return
+    this.setState({template: {...template, [evt.target.name]: evt.target.value}})
+  }
+
+  _onCancelEdit = () => this.setState({template: null})
+
+  _onClickNew = () => this.setState({
+    template: {
+      cause: 'UNKNOWN_CAUSE',
+      description: '',
+      effect: 'UNKNOWN_EFFECT',
+      id: generateUID(),
+      name: '',
+      title: ''
+    }
+  })
+
+  _onDelete = (template: AlertTemplate) => {
+    if (!window.confirm(`Are you sure you want to delete the template "${template.name}"?`)) {
+      return
+    }
+    const {project, saveAlertTemplates} = this.props
+    saveAlertTemplates(project, this._getTemplates().filter(t => t.id !== template.id))
+  }
+
+  _onEdit = (template: AlertTemplate) => this.setState({template: {...template}})
+
+  _onSave = () => {
+    const {project, saveAlertTemplates} = this.props
+    const {template} = this.state
+    if (!template) return
+    if (!template.name.trim()) {
+      return window.alert('You must specify a template name')
+    }
+    if (!template.title.trim()) {
+      return window.alert('You must specify a template title')
+    }
+    const templates = this._getTemplates()
+    const index = templates.findIndex(t => t.id === template.id)
+    saveAlertTemplates(
+      project,
+      index === -1
+        ? [...templates, template]
+        : [...templates.slice(0, index), template, ...templates.slice(index + 1)]
+    )
+    this.setState({template: null})
+  }
+
+  _renderTemplateForm (template: AlertTemplate) {
+    return (
+      <div>
+        <FormGroup controlId='alertTemplateName'>
+          <ControlLabel>Template name</ControlLabel>
+          <FormControl
+            name='name'
+            onChange={this._onChange}
+            placeholder='E.g., Detour due to construction'
+            value={template.name} />
+        </FormGroup>
+        <FormGroup controlId='alertTemplateTitle'>
+          <ControlLabel>Alert title</ControlLabel>
+          <FormControl
+            name='title'
+            onChange={this._onChange}
+            placeholder='E.g., {route} detoured due to construction'
+            value={template.title} />
+        </FormGroup>
+        <FormGroup controlId='alertTemplateDescription'>
+          <ControlLabel>Description</ControlLabel>
+          <FormControl
+            componentClass='textarea'
+            name='description'
+            onChange={this._onChange}
+            placeholder='E.g., From {start_date} to {end_date}, {stop} will not be served.'
+            value={template.description} />
+        </FormGroup>
+        <Row>
+          <Col xs={6}>
+            <FormGroup controlId='alertTemplateCause'>
+              <ControlLabel>Cause</ControlLabel>
+              <FormControl
+                componentClass='select'
+                name='cause'
+                onChange={this._onChange}
+                value={template.cause}>
+                {CAUSES.map(_stringToOption)}
+              </FormControl>
+            </FormGroup>
+          </Col>
+          <Col xs={6}>
+            <FormGroup controlId='alertTemplateEffect'>
+              <ControlLabel>Effect</ControlLabel>
+              <FormControl
+                componentClass='select'
+                name='effect'
+                onChange={this._onChange}
+                value={template.effect}>
+                {EFFECTS.map(_stringToOption)}
+              </FormControl>
+            </FormGroup>
+          </Col>
+        </Row>
+        <p className='text-muted'>
+          <small>
+            Placeholders in the title and description are filled in from the
+            alert when the template is used:{' '}
+            {TEMPLATE_PLACEHOLDERS.map((p, i) => (
+              <span key={p.token} title={p.description}>
+                {i > 0 && ', '}<code>{`{${p.token}}`}</code>
+              </span>
+            ))}
+          </small>
+        </p>
+        <ButtonToolbar>
+          <Button bsStyle='primary' onClick={this._onSave}>
+            Save template
+          </Button>
+          <Button onClick={this._onCancelEdit}>Cancel</Button>
+        </ButtonToolbar>
+      </div>
+    )
+  }
+
+  render () {
+    const {onClose, show} = this.props
+    const {template} = this.state
+    const templates = this._getTemplates()
+    return (
+      <Modal show={show} onHide={onClose}>
+        <Modal.Header closeButton>
+          <Modal.Title>Alert templates</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {template
+            ? this._renderTemplateForm(template)
+            : templates.length === 0
+              ? <p>No alert templates have been created for this project.</p>
+              : (
+                <ListGroup>
+                  {templates.map(t => (
+                    <TemplateItem
+                      key={t.id}
+                      onDelete={this._onDelete}
+                      onEdit={this._onEdit}
+                      template={t} />
+                  ))}
+                </ListGroup>
+              )
+          }
+        </Modal.Body>
+        <Modal.Footer>
+          {!template &&
+            <Button bsStyle='success' className='pull-left' onClick={this._onClickNew}>
+              <Icon type='plus' /> New template
+            </Button>
+          }
+          <Button onClick={onClose}>Close</Button>
+        </Modal.Footer>
+      </Modal>
+    )
+  }
+}
+
+type TemplateItemProps = {
+  onDelete: AlertTemplate => void,
+  onEdit: AlertTemplate => void,
+  template: AlertTemplate
+}
+
+class TemplateItem extends Component<TemplateItemProps> {
+  _onDelete = () => this.props.onDelete(this.props.template)
+
+  _onEdit = () => this.props.onEdit(this.props.template)
+
+  render () {
+    const {template} = this.props
+    return (
+      <ListGroupItem>
+        <ButtonToolbar className='pull-right'>
+          <Button bsSize='xsmall' onClick={this._onEdit} title='Edit template'>
+            <Icon type='pencil' />
+          </Button>
+          <Button bsSize='xsmall' bsStyle='danger' onClick={this._onDelete} title='Delete template'>
+            <Icon type='trash' />
+          </Button>
+        </ButtonToolbar>
+        <strong>{template.name}</strong>
+        <br />
+        <small className='text-muted'>{template.title}</small>
+      </ListGroupItem>
+    )
+  }
+}
@@ -0,0 +1,85 @@
+// @flow
+
+import React, {Component} from 'react'
+import {ControlLabel, FormControl, FormGroup} from 'react-bootstrap'
+
+import {ALERT_DESCRIPTION_CHAR_LIMIT, ALERT_TITLE_CHAR_LIMIT} from '../util'
+
+type Props = {
+  description: string,
+  // ISO 639-1 code for translations (null for the primary language)
+  language: ?string,
+  onChange: (language: ?string, field: 'description' | 'title', value: string) => void,
+  title: string
+}
+
+const CHAR_WARNING_LIMIT = 10
+
+const CharactersRemaining = ({remaining}: {remaining: number}) => (
+  <span
+    className={remaining > CHAR_WARNING_LIMIT ? 'text-muted' : 'text-danger'}
+    style={{fontWeight: 400}}>
+    {remaining}
+  </span>
+)
+
+/**
+ * Title and description fields for an alert in a single language.
+ */
+export default class AlertTextFields extends Component<Props> {
+  _onChange = (evt: SyntheticInputEvent<HTMLInputElement>) => {
+    const {language, onChange} = this.props
+    const field = evt.target.name === 'title' ? 'title' : 'description'
+    onChange(language, field, evt.target.value)
+  }
+
+  render () {
+    const {description, language, title} = this.props
+    const idSuffix = language ? `-${language}` : ''
+    return (
+      <div>
+        <FormGroup controlId={`formControlsTitle${idSuffix}`}>
+          <ControlLabel>
+            Alert Title
+            {' '}
+            <CharactersRemaining remaining={ALERT_TITLE_CHAR_LIMIT - title.length} />
+            {!language &&
+              <h5 style={{margin: '0px'}}>
+                <small>
+                  Note: alert title serves as text for eTID alerts. Use
+                  descriptive language so it can serve as a standalone
+                  alert.
+                </small>
+              </h5>
+            }
+          </ControlLabel>
+          <FormControl
+            bsSize='large'
+            placeholder={language
+              ? 'Translated alert title'
+              : 'E.g., Sig. Delays due to Golden Gate Bridge Closure'
+            }
+            value={title}
+            name='title'
+            onChange={this._onChange} />
+        </FormGroup>
+        <FormGroup controlId={`formControlsDescription${idSuffix}`}>
+          <ControlLabel>
+            Description
+            {' '}
+            <CharactersRemaining remaining={ALERT_DESCRIPTION_CHAR_LIMIT - description.length} />
+          </ControlLabel>
+          <FormControl
+            componentClass='textarea'
+            placeholder={language
+              ? 'Translated description of alert...'
+              : 'Detailed description of alert...'
+            }
+            value={description}
+            name='description'
+            onChange={this._onChange} />
+        </FormGroup>
+      </div>
+    )
+  }
+}
@@ -6,7 +6,9 @@ import { Button, Grid, Row, Col } from 'react-bootstrap'
 
 import * as alertActions from '../actions/alerts'
 import ManagerPage from '../../common/components/ManagerPage'
+import AlertTemplatesModal from '../components/AlertTemplatesModal'
 import CreateAlert from '../components/CreateAlert'
+import GtfsRealtimeFeedModal from '../components/GtfsRealtimeFeedModal'
 import VisibleAlertsList from '../containers/VisibleAlertsList'
 import GlobalGtfsFilter from '../../gtfs/containers/GlobalGtfsFilter'
 import GtfsMapSearch from '../../gtfs/components/gtfsmapsearch'
@@ -19,16 +21,28 @@ type Props = ContainerProps & {
   activeFeeds: Array<Feed>,
   alerts: Array<Alert>,
   createAlert: typeof alertActions.createAlert,
+  createAlertFromTemplate: typeof alertActions.createAlertFromTemplate,
   fetchRtdAlerts: typeof alertActions.fetchRtdAlerts,
   fetched: boolean,
   isFetching: boolean,
   onAlertsViewerMount: typeof alertActions.onAlertsViewerMount,
   permissionFilter: string,
   project: Project,
+  saveAlertTemplates: typeof alertActions.saveAlertTemplates,
   user: ManagerUserState
 }
 
-export default class AlertsViewer extends Component<Props> {
+type State = {
+  showGtfsRealtimeFeed: boolean,
+  showTemplates: boolean
+}
+
+export default class AlertsViewer extends Component<Props, State> {
+  state = {
+    showGtfsRealtimeFeed: false,
+    showTemplates: false
+  }
+
   componentWillMount () {
     const {alerts, onAlertsViewerMount, permissionFilter, project} = this.props
     onAlertsViewerMount(alerts, permissionFilter, project)
@@ -36,13 +50,24 @@ export default class AlertsViewer extends Component<Props> {
 
   _onClickRefresh = () => this.props.fetchRtdAlerts()
 
+  _onClickGtfsRealtimeFeed = () => this.setState({showGtfsRealtimeFeed: true})
+
+  _onCloseGtfsRealtimeFeed = () => this.setState({showGtfsRealtimeFeed: false})
+
+  _onClickTemplates = () => this.setState({showTemplates: true})
+
+  _onCloseTemplates = () => this.setState({showTemplates: false})
+
   render () {
     const {
       activeFeeds,
+      alerts,
       createAlert,
+      createAlertFromTemplate,
       fetched,
       isFetching,
       project,
+      saveAlertTemplates,
       user
     } = this.props
 
@@ -55,6 +80,15 @@ export default class AlertsViewer extends Component<Props> {
         'edit-alert'
       )
       : true
+    // Only users that can approve alerts can manage the template library.
+    const canManageTemplates = project && user.permissions
+      ? user.permissions.hasProjectPermission(
+        project.organizationId,
+        project.id,
+        'approve-alert'
+      )
+      : false
+    const templates = (project && project.alertTemplates) || []
     return (
       <ManagerPage
         ref='page'
@@ -70,6 +104,23 @@ export default class AlertsViewer extends Component<Props> {
                   onClick={this._onClickRefresh}>
                   <Icon type='refresh' className={isFetching ? 'fa-spin' : ''} />
                 </Button>
+                <Button
+                  className='pull-right'
+                  disabled={isFetching}
+                  onClick={this._onClickGtfsRealtimeFeed}
+                  style={{marginRight: '5px'}}
+                  title='Preview and download GTFS-realtime feed'>
+                  <Icon type='rss' />
+                </Button>
+                {canManageTemplates &&
+                  <Button
+                    className='pull-right'
+                    onClick={this._onClickTemplates}
+                    style={{marginRight: '5px'}}
+                    title='Manage alert templates'>
+                    <Icon type='file-text-o' />
+                  </Button>
+                }
                 <Icon type='exclamation-circle' /> Service Alerts
               </h2>
             </Col>
@@ -78,7 +129,9 @@ export default class AlertsViewer extends Component<Props> {
                 <CreateAlert
                   disabled={createDisabled}
                   fetched={fetched}
-                  createAlert={createAlert} />
+                  createAlert={createAlert}
+                  createAlertFromTemplate={createAlertFromTemplate}
+                  templates={templates} />
               </h2>
             </Col>
           </Row>
@@ -99,6 +152,19 @@ export default class AlertsViewer extends Component<Props> {
                 popupAction='Create Alert for' />
             </Col>
           </Row>
+          {this.state.showGtfsRealtimeFeed &&
+            <GtfsRealtimeFeedModal
+              alerts={alerts}
+              onClose={this._onCloseGtfsRealtimeFeed}
+              show />
+          }
+          {this.state.showTemplates &&
+            <AlertTemplatesModal
+              onClose={this._onCloseTemplates}
+              project={project}
+              saveAlertTemplates={saveAlertTemplates}
+              show />
+          }
         </Grid>
       </ManagerPage>
     )
@@ -2,39 +2,73 @@
 
 import Icon from '@conveyal/woonerf/components/icon'
 import React, {Component} from 'react'
-import { Button } from 'react-bootstrap'
+import { Button, MenuItem, SplitButton } from 'react-bootstrap'
 
 import * as alertActions from '../actions/alerts'
 
+import type {AlertTemplate} from '../../types'
+
 type Props = {
   createAlert: typeof alertActions.createAlert,
+  createAlertFromTemplate: typeof alertActions.createAlertFromTemplate,
   disabled: boolean,
-  fetched: boolean
+  fetched: boolean,
+  templates: Array<AlertTemplate>
 }
 
 export default class CreateAlert extends Component<Props> {
+  _onClickCreate = () => this.props.createAlert()
+
+  _onSelectTemplate = (templateId: string) => {
+    const {createAlertFromTemplate, templates} = this.props
+    const template = templates.find(t => t.id === templateId)
+    if (template) createAlertFromTemplate(template)
+  }
+
   render () {
     const {
-      createAlert,
       disabled,
-      fetched
+      fetched,
+      templates
     } = this.props
     const createDisabled = disabled != null
       ? disabled || !fetched
       : false
+    const label = fetched
+      ? 'New Alert'
+      : <span>Fetching alerts <Icon className='fa-spin' type='refresh' /></span>
+    if (templates.length === 0) {
+      return (
+        <Button
+          bsStyle='primary'
+          bsSize='large'
+          style={{marginTop: '-8px'}}
+          disabled={createDisabled}
+          onClick={this._onClickCreate}
+          className='pull-right'>
+          {label}
+        </Button>
+      )
+    }
     return (
-      <Button
-        bsStyle='primary'
-        bsSize='large'
-        style={{marginTop: '-8px'}}
-        disabled={createDisabled}
-        onClick={createAlert}
-        className='pull-right'>
-        {fetched
-          ? 'New Alert'
-          : <span>Fetching alerts <Icon className='fa-spin' type='refresh' /></span>
-        }
-      </Button>
+      <div className='pull-right' style={{marginTop: '-8px'}}>
+        <SplitButton
+          bsStyle='primary'
+          bsSize='large'
+          disabled={createDisabled}
+          id='create-alert'
+          onClick={this._onClickCreate}
+          onSelect={this._onSelectTemplate}
+          pullRight
+          title={label}>
+          <MenuItem header>New alert from template</MenuItem>
+          {templates.map(template => (
+            <MenuItem key={template.id} eventKey={template.id}>
+              {template.name}
+            </MenuItem>
+          ))}
+        </SplitButton>
+      </div>
     )
   }
 }
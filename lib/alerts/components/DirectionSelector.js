@@ -0,0 +1,43 @@
+// @flow
+
+import React, {Component} from 'react'
+import { FormControl } from 'react-bootstrap'
+
+import * as activeAlertActions from '../actions/activeAlert'
+
+import type {AlertEntity} from '../../types'
+
+type Props = {
+  entity: AlertEntity,
+  updateActiveEntity: typeof activeAlertActions.updateActiveEntity
+}
+
+/**
+ * Scope a route or trip entity to a single direction (direction_id).
+ */
+export default class DirectionSelector extends Component<Props> {
+  _onChange = (evt: SyntheticInputEvent<HTMLInputElement>) => {
+    const {value} = evt.target
+    this.props.updateActiveEntity(
+      this.props.entity,
+      'DIRECTION',
+      value === '' ? null : +value
+    )
+  }
+
+  render () {
+    const {direction_id: directionId} = this.props.entity
+    return (
+      <div>
+        <FormControl
+          componentClass='select'
+          value={typeof directionId === 'number' ? directionId : ''}
+          onChange={this._onChange}>
+          <option value=''>All directions</option>
+          <option value={0}>Direction 0</option>
+          <option value={1}>Direction 1</option>
+        </FormControl>
+      </div>
+    )
+  }
+}
@@ -0,0 +1,73 @@
+// @flow
+
+import Icon from '@conveyal/woonerf/components/icon'
+import React, {Component} from 'react'
+import {Button, Modal} from 'react-bootstrap'
+
+import fileDownload from '../../common/util/file-download'
+import {alertsToFeedMessage, encodeFeedMessage, isAlertInFeed} from '../util/gtfsRealtime'
+
+import type {Alert} from '../../types'
+
+type Props = {
+  alerts: Array<Alert>,
+  onClose: () => void,
+  show: boolean
+}
+
+/**
+ * Modal previewing the GTFS-realtime Service Alerts feed (containing the
+ * published alerts that have not ended) with options to download the feed as
+ * JSON or protocol buffer.
+ */
+export default class GtfsRealtimeFeedModal extends Component<Props> {
+  _getFeedMessage () {
+    const now = Date.now()
+    const alerts = this.props.alerts.filter(alert => isAlertInFeed(alert, now))
+    return alertsToFeedMessage(alerts, now)
+  }
+
+  _onDownloadJson = () =>
+    fileDownload(
+      JSON.stringify(this._getFeedMessage(), null, 2),
+      'service-alerts.json',
+      'application/json'
+    )
+
+  _onDownloadProtobuf = () =>
+    fileDownload(
+      encodeFeedMessage(this._getFeedMessage()),
+      'service-alerts.pb',
+      'application/x-protobuf'
+    )
+
+  render () {
+    const {alerts, onClose, show} = this.props
+    const feedMessage = this._getFeedMessage()
+    return (
+      <Modal bsSize='large' show={show} onHide={onClose}>
+        <Modal.Header closeButton>
+          <Modal.Title>GTFS-realtime Service Alerts feed</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p>
+            The feed contains {feedMessage.entity.length} of {alerts.length} alerts
+            (only published alerts that have not ended are included).
+          </p>
+          <pre style={{maxHeight: '400px', overflow: 'auto'}}>
+            {JSON.stringify(feedMessage, null, 2)}
+          </pre>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button onClick={this._onDownloadJson}>
+            <Icon type='download' /> JSON
+          </Button>
+          <Button bsStyle='primary' onClick={this._onDownloadProtobuf}>
+            <Icon type='download' /> Protocol buffer
+          </Button>
+          <Button onClick={onClose}>Close</Button>
+        </Modal.Footer>
+      </Modal>
+    )
+  }
+}
@@ -0,0 +1,172 @@
+// @flow
+
+import moment from 'moment'
+import React, {Component} from 'react'
+import {Button, Col, FormControl, Row} from 'react-bootstrap'
+import DateTimeField from 'react-bootstrap-datetimepicker'
+import Select from 'react-select'
+
+import * as activeAlertActions from '../actions/activeAlert'
+import {secondsAfterMidnightToHHMM} from '../../common/util/gtfs'
+
+import type {AlertEntity, AlertRoutePattern, AlertTrip, Feed} from '../../types'
+
+type Props = {
+  entity: AlertEntity,
+  fetchRouteTrips: (feed: Feed, routeId: string, date: string) => Promise<Array<AlertTrip>>,
+  patterns: ?Array<AlertRoutePattern>,
+  updateActiveEntity: typeof activeAlertActions.updateActiveEntity
+}
+
+type State = {
+  date: string,
+  fetching: boolean,
+  patternId: string,
+  trips: Array<AlertTrip>
+}
+
+type TripOption = {label: string, trip: AlertTrip, value: string}
+
+const DATE_FORMAT = 'YYYYMMDD'
+
+const tripToOption = (trip: AlertTrip): TripOption => {
+  const departure = typeof trip.departure_time === 'number'
+    ? `${secondsAfterMidnightToHHMM(trip.departure_time)} `
+    : ''
+  const headsign = trip.trip_headsign ? `${trip.trip_headsign} ` : ''
+  return {
+    label: `${departure}${headsign}(${trip.trip_id})`,
+    trip,
+    value: trip.trip_id
+  }
+}
+
+/**
+ * Select the trips for a trip entity from the trips operating on its route on
+ * a particular date (optionally filtered by pattern and the entity's
+ * direction).
+ */
+export default class TripSelector extends Component<Props, State> {
+  state = {
+    date: moment().format(DATE_FORMAT),
+    fetching: false,
+    patternId: '',
+    trips: []
+  }
+
+  componentWillMount () {
+    this._fetchTrips(this.props.entity, this.state.date)
+  }
+
+  componentWillReceiveProps (nextProps: Props) {
+    const {route} = nextProps.entity
+    const {route: previousRoute} = this.props.entity
+    if ((route && route.route_id) !== (previousRoute && previousRoute.route_id)) {
+      this.setState({patternId: ''})
+      this._fetchTrips(nextProps.entity, this.state.date)
+    }
+  }
+
+  _fetchTrips (entity: AlertEntity, date: string) {
+    const {agency, route} = entity
+    if (!agency || !route) return this.setState({trips: []})
+    this.setState({fetching: true})
+    this.props.fetchRouteTrips(agency, route.route_id, date)
+      .then(trips => this.setState({fetching: false, trips}))
+      .catch(err => {
+        console.warn(err)
+        this.setState({fetching: false, trips: []})
+      })
+  }
+
+  _getFilteredTrips (): Array<AlertTrip> {
+    const {direction_id: directionId} = this.props.entity
+    const {patternId, trips} = this.state
+    return trips.filter(t =>
+      (!patternId || t.pattern_id === patternId) &&
+      (typeof directionId !== 'number' || t.direction_id === directionId)
+    )
+  }
+
+  _onChangeDate = (millis: string) => {
+    const date = moment(+millis).format(DATE_FORMAT)
+    this.setState({date})
+    this._fetchTrips(this.props.entity, date)
+  }
+
+  _onChangePattern = (evt: SyntheticInputEvent<HTMLSelectElement>) =>
+    this.setState({patternId: evt.target.value})
+
+  _onChangeTrips = (options: ?Array<TripOption>) => {
+    const {entity, updateActiveEntity} = this.props
+    updateActiveEntity(entity, 'TRIPS', options ? options.map(o => o.trip) : [])
+  }
+
+  _onSelectAll = () => {
+    const {entity, updateActiveEntity} = this.props
+    const selectedTrips = entity.trips || []
+    const selectedIds = selectedTrips.map(t => t.trip_id)
+    const newTrips = this._getFilteredTrips()
+      .filter(t => selectedIds.indexOf(t.trip_id) === -1)
+    updateActiveEntity(entity, 'TRIPS', [...selectedTrips, ...newTrips])
+  }
+
+  render () {
+    const {entity, patterns} = this.props
+    const {date, fetching, patternId} = this.state
+    const {direction_id: directionId} = entity
+    if (!entity.route) {
+      return <p><small>Select a route to choose trips.</small></p>
+    }
+    const selectedTrips = entity.trips || []
+    const filteredTrips = this._getFilteredTrips()
+    const fetchedIds = filteredTrips.map(t => t.trip_id)
+    // Include selected trips that do not operate on the date so that they
+    // continue to appear as selected.
+    const options = [
+      ...selectedTrips.filter(t => fetchedIds.indexOf(t.trip_id) === -1),
+      ...filteredTrips
+    ].map(tripToOption)
+    const patternOptions = (patterns || []).filter(p =>
+      typeof directionId !== 'number' || p.direction_id === directionId
+    )
+    return (
+      <div>
+        <Row style={{marginBottom: '5px'}}>
+          <Col xs={6}>
+            <DateTimeField
+              dateTime={+moment(date, DATE_FORMAT)}
+              mode='date'
+              onChange={this._onChangeDate} />
+          </Col>
+          <Col xs={6}>
+            <FormControl
+              componentClass='select'
+              onChange={this._onChangePattern}
+              value={patternId}>
+              <option value=''>All patterns</option>
+              {patternOptions.map(p => (
+                <option key={p.pattern_id} value={p.pattern_id}>{p.name}</option>
+              ))}
+            </FormControl>
+          </Col>
+        </Row>
+        <Select
+          isLoading={fetching}
+          multi
+          noResultsText='No trips found for route on date'
+          onChange={this._onChangeTrips}
+          options={options}
+          placeholder='Select trips...'
+          value={selectedTrips.map(tripToOption)} />
+        <Button
+          bsSize='xsmall'
+          disabled={filteredTrips.length === 0}
+          onClick={this._onSelectAll}
+          style={{marginTop: '5px'}}>
+          Select all {filteredTrips.length} trips shown
+        </Button>
+      </div>
+    )
+  }
+}
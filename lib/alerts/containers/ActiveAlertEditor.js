@@ -14,6 +14,8 @@ import {
   setActivePublished,
   addActiveEntity,
   deleteActiveEntity,
+  fetchRoutePatterns,
+  fetchRouteTrips,
   updateActiveEntity
 } from '../actions/activeAlert'
 import AlertEditor from '../components/AlertEditor'
@@ -33,6 +35,7 @@ const mapStateToProps = (state: AppState, ownProps: Props) => {
     permissionFilter: state.gtfs.filter.permissionFilter,
     project: getActiveProject(state),
     publishableFeeds: getFeedsForPermission(getActiveProject(state), state.user, 'approve-alert'),
+    routePatterns: state.alerts.routePatterns,
     user: state.user
   }
 }
@@ -42,6 +45,8 @@ const mapDispatchToProps = {
   createAlert,
   deleteActiveEntity,
   deleteAlert,
+  fetchRoutePatterns,
+  fetchRouteTrips,
   onAlertEditorMount,
   saveAlert,
   setActiveAlert,
@@ -2,7 +2,13 @@
 
 import { connect } from 'react-redux'
 
-import {createAlert, fetchRtdAlerts, onAlertsViewerMount} from '../actions/alerts'
+import {
+  createAlert,
+  createAlertFromTemplate,
+  fetchRtdAlerts,
+  onAlertsViewerMount,
+  saveAlertTemplates
+} from '../actions/alerts'
 import AlertsViewer from '../components/AlertsViewer'
 import {getActiveAndLoadedFeeds} from '../../gtfs/selectors'
 import {getActiveProject} from '../../manager/selectors'
@@ -25,8 +31,10 @@ const mapStateToProps = (state: AppState, ownProps: Props) => {
 
 const mapDispatchToProps = {
   createAlert,
+  createAlertFromTemplate,
   fetchRtdAlerts,
-  onAlertsViewerMount
+  onAlertsViewerMount,
+  saveAlertTemplates
 }
 
 const MainAlertsViewer = connect(
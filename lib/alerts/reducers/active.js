@@ -36,7 +36,9 @@ const active = (state: ActiveState = defaultState, action: Action): ActiveState
               stop: {$set: null},
               route: {$set: null},
               stop_id: {$set: null},
-              route_id: {$set: null}
+              route_id: {$set: null},
+              direction_id: {$set: null},
+              trips: {$set: null}
             })
             entities = [
               ...state.active.affectedEntities.slice(0, foundIndex),
@@ -98,6 +100,16 @@ const active = (state: ActiveState = defaultState, action: Action): ActiveState
                 stop_id: {$set: null}
                 // TODO: update agency id from feed id?
               })
+            } else if (action.payload.entity.type === 'TRIP') {
+              // Trips are selected for a specific route, so clear the trips
+              // (and direction) if the route changes.
+              updatedEntity = update(action.payload.entity, {
+                route: {$set: action.payload.value},
+                route_id: {$set: routeId},
+                agency: {$set: action.payload.agency},
+                direction_id: {$set: null},
+                trips: {$set: []}
+              })
             } else {
               updatedEntity = update(action.payload.entity, {
                 route: {$set: action.payload.value},
@@ -112,6 +124,31 @@ const active = (state: ActiveState = defaultState, action: Action): ActiveState
               ...state.active.affectedEntities.slice(foundIndex + 1)
             ]
             return update(state, {active: {affectedEntities: {$set: entities}}})
+          case 'DIRECTION':
+            const directionId = action.payload.value
+            const {trips} = action.payload.entity
+            updatedEntity = update(action.payload.entity, {
+              direction_id: {$set: directionId},
+              // Remove any selected trips that are not in the direction.
+              trips: {$set: trips && typeof directionId === 'number'
+                ? trips.filter(t => t.direction_id === directionId)
+                : trips
+              }
+            })
+            entities = [
+              ...state.active.affectedEntities.slice(0, foundIndex),
+              updatedEntity,
+              ...state.active.affectedEntities.slice(foundIndex + 1)
+            ]
+            return update(state, {active: {affectedEntities: {$set: entities}}})
+          case 'TRIPS':
+            updatedEntity = update(action.payload.entity, {trips: {$set: action.payload.value}})
+            entities = [
+              ...state.active.affectedEntities.slice(0, foundIndex),
+              updatedEntity,
+              ...state.active.affectedEntities.slice(foundIndex + 1)
+            ]
+            return update(state, {active: {affectedEntities: {$set: entities}}})
         }
       }
       return state
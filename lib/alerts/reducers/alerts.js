@@ -21,7 +21,8 @@ export const defaultState = {
     sort: null,
     feedId: null
   },
-  counts: {}
+  counts: {},
+  routePatterns: {}
 }
 
 /* eslint-disable complexity */
@@ -45,6 +46,10 @@ const alerts = (
         fetched: {$set: false},
         all: {$set: []}
       })
+    case 'RECEIVED_ALERT_ROUTE_PATTERNS':
+      return update(state, {
+        routePatterns: {[action.payload.key]: {$set: action.payload.patterns}}
+      })
     case 'RECEIVED_GTFS_STOPS_AND_ROUTES': {
       if (action.payload.moduleType !== 'ALERTS') {
         // Do not process entities fetched for a different module.
@@ -0,0 +1,113 @@
+// @flow
+
+import moment from 'moment'
+
+import {filterAlertsByCategory} from '../index'
+import {
+  expandActivePeriod,
+  expandActivePeriods,
+  getActivePeriodBounds,
+  validateActivePeriods
+} from '../activePeriods'
+
+// Times are built in local time since recurrences are expanded in local time.
+const time = (s: string) => moment(s, 'YYYY-MM-DD HH:mm').valueOf()
+
+const weeknights = {
+  end: time('2024-01-13 00:00'),
+  id: 1,
+  recurrence: {
+    days: [1, 2, 3, 4, 5],
+    endTime: '05:00',
+    startTime: '22:00',
+    type: 'WEEKLY'
+  },
+  // Monday
+  start: time('2024-01-08 00:00')
+}
+
+describe('alerts > util > activePeriods >', () => {
+  it('expandActivePeriod should return a non-recurring period as is', () => {
+    const period = {end: 2000, id: 1, recurrence: null, start: 1000}
+    expect(expandActivePeriod(period)).toEqual([{end: 2000, start: 1000}])
+  })
+
+  it('expandActivePeriod should expand weekly windows that span midnight', () => {
+    const periods = expandActivePeriod(weeknights)
+    expect(periods.length).toEqual(5)
+    expect(periods[0]).toEqual({
+      end: time('2024-01-09 05:00'),
+      start: time('2024-01-08 22:00')
+    })
+    // Friday night's window is clipped to the end of the period.
+    expect(periods[4]).toEqual({
+      end: time('2024-01-13 00:00'),
+      start: time('2024-01-12 22:00')
+    })
+  })
+
+  it('expandActivePeriods should sort daily and non-recurring periods', () => {
+    const daily = {
+      end: time('2024-01-03 00:00'),
+      id: 1,
+      recurrence: {days: [], endTime: '12:00', startTime: '09:00', type: 'DAILY'},
+      start: time('2024-01-01 10:00')
+    }
+    const single = {
+      end: time('2024-01-01 09:00'),
+      id: 2,
+      recurrence: null,
+      start: time('2024-01-01 08:00')
+    }
+    expect(expandActivePeriods([daily, single])).toEqual([
+      {end: time('2024-01-01 09:00'), start: time('2024-01-01 08:00')},
+      {end: time('2024-01-01 12:00'), start: time('2024-01-01 10:00')},
+      {end: time('2024-01-02 12:00'), start: time('2024-01-02 09:00')}
+    ])
+    expect(getActivePeriodBounds([daily, single])).toEqual({
+      end: time('2024-01-03 00:00'),
+      start: time('2024-01-01 08:00')
+    })
+  })
+
+  it('validateActivePeriods should catch invalid periods', () => {
+    expect(validateActivePeriods([weeknights])).toBeNull()
+    expect(validateActivePeriods([])).toBeTruthy()
+    expect(validateActivePeriods([{...weeknights, start: null}])).toBeTruthy()
+    expect(validateActivePeriods([
+      {...weeknights, recurrence: {...weeknights.recurrence, days: []}}
+    ])).toBeTruthy()
+    expect(validateActivePeriods([
+      {...weeknights, recurrence: {...weeknights.recurrence, endTime: '25:00'}}
+    ])).toBeTruthy()
+  })
+
+  it('filterAlertsByCategory should respect recurring periods', () => {
+    const now = Date.now()
+    const hour = 60 * 60 * 1000
+    const makeAlert = (id, activePeriods): any => ({
+      activePeriods,
+      affectedEntities: [],
+      id,
+      published: true,
+      ...getActivePeriodBounds(activePeriods)
+    })
+    const active = makeAlert(1, [
+      {end: now - 2 * hour, id: 1, recurrence: null, start: now - 3 * hour},
+      {end: now + hour, id: 2, recurrence: null, start: now - hour}
+    ])
+    // Alert within its overall range, but between periods
+    const between = makeAlert(2, [
+      {end: now - hour, id: 1, recurrence: null, start: now - 2 * hour},
+      {end: now + 2 * hour, id: 2, recurrence: null, start: now + hour}
+    ])
+    const archived = makeAlert(3, [
+      {end: now - hour, id: 1, recurrence: null, start: now - 2 * hour}
+    ])
+    const alerts = [active, between, archived]
+    const ids = filter => filterAlertsByCategory(alerts, filter).map(a => a.id)
+    expect(ids('ACTIVE')).toEqual([1])
+    expect(ids('FUTURE')).toEqual([2])
+    expect(ids('ARCHIVED')).toEqual([3])
+  })
+})
@@ -0,0 +1,104 @@
+// @flow
+
+import {
+  alertsToFeedMessage,
+  alertToGtfsRealtime,
+  encodeFeedMessage,
+  isAlertInFeed
+} from '../gtfsRealtime'
+
+const makeAlert = (props: Object = {}): any => ({
+  affectedEntities: [],
+  cause: 'WEATHER',
+  description: 'Snow',
+  effect: 'DETOUR',
+  end: 1700003600000,
+  id: 1,
+  published: true,
+  start: 1700000000000,
+  title: 'Détour',
+  url: '',
+  ...props
+})
+
+describe('alerts > util > gtfsRealtime >', () => {
+  it('isAlertInFeed should only include published alerts that have not ended', () => {
+    expect(isAlertInFeed(makeAlert(), 1700000001000)).toBe(true)
+    expect(isAlertInFeed(makeAlert(), 1800000000000)).toBe(false)
+    expect(isAlertInFeed(makeAlert({published: false}), 1700000001000)).toBe(false)
+  })
+
+  it('alertToGtfsRealtime should convert fields and informed entities', () => {
+    const alert = makeAlert({
+      affectedEntities: [
+        {direction_id: 0, id: 1, route: {route_id: 'r1'}, type: 'ROUTE'},
+        {id: 2, mode: {gtfsType: 3, name: 'Bus'}, type: 'MODE'},
+        {id: 3, stop_id: 's1', type: 'STOP'},
+        {
+          id: 4,
+          route: {route_id: 'r1'},
+          trips: [{direction_id: 1, trip_id: 't1'}, {trip_id: 't2'}],
+          type: 'TRIP'
+        }
+      ],
+      cause: 'NOT_A_CAUSE'
+    })
+    expect(alertToGtfsRealtime(alert)).toEqual({
+      active_period: [{end: 1700003600, start: 1700000000}],
+      cause: 'UNKNOWN_CAUSE',
+      description_text: {translation: [{text: 'Snow'}]},
+      effect: 'DETOUR',
+      header_text: {translation: [{text: 'Détour'}]},
+      informed_entity: [
+        {direction_id: 0, route_id: 'r1'},
+        {route_type: 3},
+        {stop_id: 's1'},
+        {trip: {direction_id: 1, route_id: 'r1', trip_id: 't1'}},
+        {trip: {route_id: 'r1', trip_id: 't2'}}
+      ]
+    })
+    expect(alertToGtfsRealtime(makeAlert({end: 0, start: 0})).active_period).toEqual([])
+  })
+
+  it('alertToGtfsRealtime should include non-empty translations', () => {
+    const alert = makeAlert({
+      translations: [
+        {description: 'Nieve', language: 'es', title: 'Desvío'},
+        {description: '', language: 'fr', title: 'Déviation'}
+      ]
+    })
+    const gtfsRealtimeAlert = alertToGtfsRealtime(alert)
+    expect(gtfsRealtimeAlert.header_text).toEqual({translation: [
+      {text: 'Détour'},
+      {language: 'es', text: 'Desvío'},
+      {language: 'fr', text: 'Déviation'}
+    ]})
+    expect(gtfsRealtimeAlert.description_text).toEqual({translation: [
+      {text: 'Snow'},
+      {language: 'es', text: 'Nieve'}
+    ]})
+  })
+
+  it('encodeFeedMessage should encode the protocol buffer wire format', () => {
+    const header = Array.from(encodeFeedMessage(alertsToFeedMessage([], 1700000000000)))
+    expect(header).toEqual([
+      // FeedMessage.header (field 1, length 13)
+      0x0A, 13,
+      // gtfs_realtime_version = '2.0'
+      0x0A, 3, 0x32, 0x2E, 0x30,
+      // incrementality = FULL_DATASET
+      0x10, 0,
+      // timestamp = 1700000000
+      0x18, 0x80, 0xE2, 0xCF, 0xAA, 0x06
+    ])
+    const alert = makeAlert({affectedEntities: [{id: 1, stop_id: 's', type: 'STOP'}], description: ''})
+    const bytes = Array.from(encodeFeedMessage(alertsToFeedMessage([alert], 1700000000000)))
+    const entity = bytes.slice(header.length)
+    // FeedMessage.entity (field 2) containing id = '1' and the alert (field 5)
+    expect(entity.slice(0, 5)).toEqual([0x12, entity[1], 0x0A, 1, 0x31])
+    expect(entity[5]).toEqual(0x2A)
+    expect(entity[1]).toEqual(entity.length - 2)
+    // The UTF-8 encoded header text is at the end of the alert.
+    expect(entity.slice(-7)).toEqual([0x44, 0xC3, 0xA9, 0x74, 0x6F, 0x75, 0x72])
+  })
+})
@@ -0,0 +1,43 @@
+// @flow
+
+import {getAffectedShapes, getRoutePatternsKey} from '../index'
+
+const feed: any = {id: 'feed1', name: 'Feed 1'}
+const route: any = {route_id: 'r1'}
+const outbound = [[1, 1], [1, 2]]
+const inbound = [[2, 1], [2, 2]]
+const routePatterns = {
+  [getRoutePatternsKey(feed, 'r1')]: [
+    {direction_id: 0, name: 'Outbound', pattern_id: 'p0', shape: outbound},
+    {direction_id: 1, name: 'Inbound', pattern_id: 'p1', shape: inbound}
+  ]
+}
+
+const makeEntity = (props): any => ({
+  agency: feed,
+  id: 1,
+  route,
+  route_id: 'r1',
+  type: 'ROUTE',
+  ...props
+})
+
+describe('alerts > util > index >', () => {
+  it('getAffectedShapes should highlight route patterns in direction', () => {
+    expect(getAffectedShapes([makeEntity()], routePatterns))
+      .toEqual([outbound, inbound])
+    expect(getAffectedShapes([makeEntity({direction_id: 1})], routePatterns))
+      .toEqual([inbound])
+    // Patterns not yet fetched for route
+    expect(getAffectedShapes([makeEntity({route_id: 'r2', route: null})], routePatterns))
+      .toEqual([])
+  })
+
+  it('getAffectedShapes should highlight the patterns of selected trips', () => {
+    const entity = makeEntity({
+      trips: [{direction_id: 1, pattern_id: 'p1', trip_id: 't1'}],
+      type: 'TRIP'
+    })
+    expect(getAffectedShapes([entity], routePatterns)).toEqual([inbound])
+  })
+})
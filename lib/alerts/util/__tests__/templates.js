@@ -0,0 +1,65 @@
+// @flow
+
+import moment from 'moment'
+
+import {
+  applyAlertTemplate,
+  fillTemplateText,
+  getTemplateValues,
+  hasTemplatePlaceholders
+} from '../templates'
+
+const feed: any = {id: 'feed1', name: 'Metro'}
+const template = {
+  cause: 'CONSTRUCTION',
+  description: '{stop} closed from {start_date} to {end_date}.',
+  effect: 'DETOUR',
+  id: 'template1',
+  name: 'Stop closure',
+  title: '{route} detour'
+}
+
+describe('alerts > util > templates >', () => {
+  it('fillTemplateText should leave placeholders without values', () => {
+    expect(fillTemplateText('{route} at {stop} ({unknown})', {route: '1 - Main', stop: null}))
+      .toEqual('1 - Main at {stop} ({unknown})')
+    expect(hasTemplatePlaceholders('1 - Main at {stop}')).toBe(true)
+    expect(hasTemplatePlaceholders('1 - Main at {unknown}')).toBe(false)
+    expect(hasTemplatePlaceholders(null)).toBe(false)
+  })
+
+  it('getTemplateValues should combine names of affected entities', () => {
+    const alert: any = {
+      activePeriods: [],
+      affectedEntities: [
+        {agency: feed, id: 1, route: {route_id: 'r1', route_long_name: 'Main', route_short_name: '1'}, type: 'ROUTE'},
+        {agency: feed, id: 2, route_id: 'r2', type: 'ROUTE'},
+        {agency: feed, id: 3, stop: {stop_id: 's1', stop_name: 'Central'}, type: 'STOP'}
+      ],
+      end: 0,
+      start: 0
+    }
+    expect(getTemplateValues(alert)).toEqual({
+      agency: 'Metro',
+      end_date: null,
+      route: '1 - Main, r2',
+      start_date: null,
+      stop: 'Central (s1)'
+    })
+  })
+
+  it('applyAlertTemplate should fill text from the alert', () => {
+    const start = moment('2024-03-01 08:00', 'YYYY-MM-DD HH:mm').valueOf()
+    const end = moment('2024-03-05 20:00', 'YYYY-MM-DD HH:mm').valueOf()
+    const alert: any = {
+      activePeriods: [{end, id: 1, recurrence: null, start}],
+      affectedEntities: [{agency: feed, id: 1, stop_id: 's1', type: 'STOP'}]
+    }
+    expect(applyAlertTemplate(template, alert)).toEqual({
+      cause: 'CONSTRUCTION',
+      description: 's1 closed from Mar 1, 2024 to Mar 5, 2024.',
+      effect: 'DETOUR',
+      title: '{route} detour'
+    })
+  })
+})
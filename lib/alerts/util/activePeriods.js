@@ -0,0 +1,152 @@
+// @flow
+
+import moment from 'moment'
+
+import type {Alert, AlertActivePeriod, AlertRecurrence} from '../../types'
+
+// A concrete time range (in milliseconds) during which an alert is active.
+export type ConcretePeriod = {end: number, start: number}
+
+export const RECURRENCE_TYPES = ['DAILY', 'WEEKLY']
+
+// Day of week labels indexed by moment's day() (Sunday = 0)
+export const DAYS_OF_WEEK = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+export const DEFAULT_RECURRENCE: AlertRecurrence = {
+  days: [1, 2, 3, 4, 5],
+  endTime: '18:00',
+  startTime: '08:00',
+  type: 'WEEKLY'
+}
+
+const TIME_REGEX = /^([01]?\d|2[0-3]):([0-5]\d)$/
+
+export function isValidTime (time: ?string): boolean {
+  return typeof time === 'string' && TIME_REGEX.test(time)
+}
+
+function setTime (day: moment, time: string): moment {
+  const [hours, minutes] = time.split(':').map(Number)
+  return day.clone().hours(hours).minutes(minutes).seconds(0).milliseconds(0)
+}
+
+/**
+ * Get the active periods for an alert. Alerts without any active periods
+ * (e.g., those created before active periods were supported) fall back to a
+ * single period from the alert's start and end.
+ */
+export function getActivePeriods (alert: Alert): Array<AlertActivePeriod> {
+  return alert.activePeriods && alert.activePeriods.length
+    ? alert.activePeriods
+    : [{end: alert.end, id: 1, recurrence: null, start: alert.start}]
+}
+
+/**
+ * Expand an active period into the concrete periods it represents. A period
+ * without a recurrence is returned as is (with a missing start or end treated
+ * as zero). A recurring period results in one time window per matching day
+ * (beginning on the period's start date), clipped to the period's range.
+ */
+export function expandActivePeriod (period: AlertActivePeriod): Array<ConcretePeriod> {
+  const {recurrence} = period
+  const start = period.start || 0
+  const end = period.end || 0
+  if (!recurrence) return [{end, start}]
+  if (
+    !start ||
+    !end ||
+    !isValidTime(recurrence.startTime) ||
+    !isValidTime(recurrence.endTime)
+  ) {
+    return []
+  }
+  const periods = []
+  const day = moment(start).startOf('day')
+  while (day.valueOf() < end) {
+    if (recurrence.type === 'DAILY' || recurrence.days.indexOf(day.day()) !== -1) {
+      const windowStart = setTime(day, recurrence.startTime)
+      const windowEnd = setTime(day, recurrence.endTime)
+      if (!windowEnd.isAfter(windowStart)) windowEnd.add(1, 'day')
+      const clippedStart = Math.max(windowStart.valueOf(), start)
+      const clippedEnd = Math.min(windowEnd.valueOf(), end)
+      if (clippedStart < clippedEnd) {
+        periods.push({end: clippedEnd, start: clippedStart})
+      }
+    }
+    day.add(1, 'day')
+  }
+  return periods
+}
+
+/**
+ * Expand the active periods into concrete periods sorted by start time.
+ */
+export function expandActivePeriods (
+  activePeriods: Array<AlertActivePeriod>
+): Array<ConcretePeriod> {
+  return activePeriods
+    .reduce((periods, period) => periods.concat(expandActivePeriod(period)), [])
+    .sort((a, b) => a.start - b.start)
+}
+
+/**
+ * Get the overall start and end of the active periods (used to populate the
+ * alert's start and end).
+ */
+export function getActivePeriodBounds (
+  activePeriods: Array<AlertActivePeriod>
+): {end: number, start: number} {
+  const starts = activePeriods.map(p => p.start).filter(Boolean)
+  const ends = activePeriods.map(p => p.end).filter(Boolean)
+  return {
+    end: ends.length ? Math.max(...ends) : 0,
+    start: starts.length ? Math.min(...starts) : 0
+  }
+}
+
+export function isActiveAt (periods: Array<ConcretePeriod>, time: number): boolean {
+  return periods.some(p => p.start < time && time < p.end)
+}
+
+/**
+ * Describe the recurrence, e.g., "Weekly on Mon, Tue 22:00–05:00".
+ */
+export function describeRecurrence (recurrence: AlertRecurrence): string {
+  const window = `${recurrence.startTime}–${recurrence.endTime}`
+  return recurrence.type === 'DAILY'
+    ? `Daily ${window}`
+    : `Weekly on ${recurrence.days.map(d => DAYS_OF_WEEK[d]).join(', ')} ${window}`
+}
+
+/**
+ * Validate the active periods, returning an error message if any are invalid.
+ */
+export function validateActivePeriods (
+  activePeriods: Array<AlertActivePeriod>
+): ?string {
+  if (activePeriods.length === 0) {
+    return 'Alert must have at least one active period'
+  }
+  for (let i = 0; i < activePeriods.length; i++) {
+    const {end, recurrence, start} = activePeriods[i]
+    const label = `Active period ${i + 1}`
+    if (!start || !end || !moment(start).isValid() || !moment(end).isValid()) {
+      return `${label} must have a valid start and end date`
+    }
+    if (end < start) {
+      return `${label} end date ${moment(end).format()} cannot be before start date (${moment(start).format()})`
+    }
+    if (recurrence) {
+      if (!isValidTime(recurrence.startTime) || !isValidTime(recurrence.endTime)) {
+        return `${label} must have valid recurring start and end times (HH:mm)`
+      }
+      if (recurrence.type === 'WEEKLY' && recurrence.days.length === 0) {
+        return `${label} must recur on at least one day of the week`
+      }
+      if (expandActivePeriod(activePeriods[i]).length === 0) {
+        return `${label} does not recur within its date range`
+      }
+    }
+  }
+  return null
+}
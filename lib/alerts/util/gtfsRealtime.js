@@ -0,0 +1,314 @@
+// @flow
+
+import {getFeedId} from '../../common/util/modules'
+import {expandActivePeriods, getActivePeriods} from './activePeriods'
+
+import type {Alert, AlertEntity} from '../../types'
+
+// GTFS-realtime Service Alerts types (using the field names from
+// gtfs-realtime.proto, which is also how the JSON feed is formatted).
+export type GtfsRealtimeTranslatedString = {
+  translation: Array<{language?: string, text: string}>
+}
+
+export type GtfsRealtimeEntitySelector = {
+  agency_id?: string,
+  direction_id?: number,
+  route_id?: string,
+  route_type?: number,
+  stop_id?: string,
+  trip?: {direction_id?: number, route_id?: string, trip_id: string}
+}
+
+export type GtfsRealtimeAlert = {
+  active_period: Array<{end?: number, start?: number}>,
+  cause: string,
+  description_text?: GtfsRealtimeTranslatedString,
+  effect: string,
+  header_text: GtfsRealtimeTranslatedString,
+  informed_entity: Array<GtfsRealtimeEntitySelector>,
+  url?: GtfsRealtimeTranslatedString
+}
+
+export type GtfsRealtimeFeedMessage = {
+  entity: Array<{alert: GtfsRealtimeAlert, id: string}>,
+  header: {
+    gtfs_realtime_version: string,
+    incrementality: 'FULL_DATASET',
+    timestamp: number
+  }
+}
+
+// Enum values from gtfs-realtime.proto
+const CAUSE_VALUES = {
+  UNKNOWN_CAUSE: 1,
+  OTHER_CAUSE: 2,
+  TECHNICAL_PROBLEM: 3,
+  STRIKE: 4,
+  DEMONSTRATION: 5,
+  ACCIDENT: 6,
+  HOLIDAY: 7,
+  WEATHER: 8,
+  MAINTENANCE: 9,
+  CONSTRUCTION: 10,
+  POLICE_ACTIVITY: 11,
+  MEDICAL_EMERGENCY: 12
+}
+
+const EFFECT_VALUES = {
+  NO_SERVICE: 1,
+  REDUCED_SERVICE: 2,
+  SIGNIFICANT_DELAYS: 3,
+  DETOUR: 4,
+  ADDITIONAL_SERVICE: 5,
+  MODIFIED_SERVICE: 6,
+  OTHER_EFFECT: 7,
+  UNKNOWN_EFFECT: 8,
+  STOP_MOVED: 9
+}
+
+const toSeconds = (millis: ?number) => millis ? Math.floor(millis / 1000) : null
+
+/**
+ * Construct a translated string from the primary language text (which has no
+ * language, i.e., it is in the feed's default language) and any non-empty
+ * translations.
+ */
+const toTranslatedString = (
+  text: string,
+  translations: Array<{language: string, text: string}> = []
+): GtfsRealtimeTranslatedString =>
+  ({
+    translation: [
+      {text},
+      ...translations
+        .filter(t => t.text)
+        .map(({language, text}) => ({language, text}))
+    ]
+  })
+
+/**
+ * Determine whether the alert belongs in the GTFS-realtime feed at the time
+ * (in milliseconds), i.e., it is published and has not ended.
+ */
+export function isAlertInFeed (alert: Alert, time: number): boolean {
+  return alert.published && !(alert.end && alert.end < time)
+}
+
+/**
+ * Convert an alert's affected entity into GTFS-realtime EntitySelectors. Trip
+ * entities result in one selector per trip.
+ */
+export function alertEntityToEntitySelectors (
+  entity: AlertEntity
+): Array<GtfsRealtimeEntitySelector> {
+  const selector = {}
+  const agencyId = getFeedId(entity.agency)
+  if (agencyId) selector.agency_id = agencyId
+  const routeId = entity.route ? entity.route.route_id : entity.route_id
+  if (entity.mode && typeof entity.mode.gtfsType === 'number') {
+    selector.route_type = entity.mode.gtfsType
+  }
+  const stopId = entity.stop ? entity.stop.stop_id : entity.stop_id
+  if (stopId) selector.stop_id = stopId
+  if (entity.type === 'TRIP' && entity.trips) {
+    return entity.trips.map(t => {
+      const trip: Object = {trip_id: t.trip_id}
+      if (routeId) trip.route_id = routeId
+      if (typeof t.direction_id === 'number') trip.direction_id = t.direction_id
+      return {...selector, trip}
+    })
+  }
+  if (routeId) selector.route_id = routeId
+  if (typeof entity.direction_id === 'number') {
+    selector.direction_id = entity.direction_id
+  }
+  return [selector]
+}
+
+/**
+ * Convert an alert into a GTFS-realtime Alert. Recurring active periods are
+ * expanded into the concrete periods they represent.
+ */
+export function alertToGtfsRealtime (alert: Alert): GtfsRealtimeAlert {
+  const translations = alert.translations || []
+  const activePeriods = []
+  expandActivePeriods(getActivePeriods(alert)).forEach(p => {
+    const start = toSeconds(p.start)
+    const end = toSeconds(p.end)
+    const period = {}
+    if (start) period.start = start
+    if (end) period.end = end
+    if (start || end) activePeriods.push(period)
+  })
+  const gtfsRealtimeAlert: GtfsRealtimeAlert = {
+    active_period: activePeriods,
+    cause: CAUSE_VALUES[alert.cause] ? alert.cause : 'UNKNOWN_CAUSE',
+    effect: EFFECT_VALUES[alert.effect] ? alert.effect : 'UNKNOWN_EFFECT',
+    header_text: toTranslatedString(
+      alert.title,
+      translations.map(({language, title}) => ({language, text: title}))
+    ),
+    informed_entity: alert.affectedEntities.reduce(
+      (selectors, entity) => selectors.concat(alertEntityToEntitySelectors(entity)),
+      []
+    )
+  }
+  if (alert.description) {
+    gtfsRealtimeAlert.description_text = toTranslatedString(
+      alert.description,
+      translations.map(({description, language}) => ({language, text: description}))
+    )
+  }
+  if (alert.url) gtfsRealtimeAlert.url = toTranslatedString(alert.url)
+  return gtfsRealtimeAlert
+}
+
+/**
+ * Convert the alerts into a full dataset GTFS-realtime FeedMessage (timestamp
+ * in milliseconds).
+ */
+export function alertsToFeedMessage (
+  alerts: Array<Alert>,
+  timestamp: number
+): GtfsRealtimeFeedMessage {
+  return {
+    entity: alerts.map(alert => ({
+      alert: alertToGtfsRealtime(alert),
+      id: `${alert.id}`
+    })),
+    header: {
+      gtfs_realtime_version: '2.0',
+      incrementality: 'FULL_DATASET',
+      timestamp: Math.floor(timestamp / 1000)
+    }
+  }
+}
+
+/*
+ * Protocol buffer encoding. Only the subset of the wire format needed for
+ * Service Alerts is implemented: varints (for enums and unsigned integers) and
+ * length-delimited fields (for strings and embedded messages).
+ */
+
+const VARINT = 0
+const LENGTH_DELIMITED = 2
+
+type ProtoField = [number, 'message' | 'string' | 'varint', any]
+
+function encodeVarint (value: number): Array<number> {
+  const bytes = []
+  // Use arithmetic rather than bitwise operators to support values (e.g.,
+  // timestamps) larger than 32 bits.
+  let remaining = Math.floor(value)
+  while (remaining >= 128) {
+    bytes.push((remaining % 128) + 128)
+    remaining = Math.floor(remaining / 128)
+  }
+  bytes.push(remaining)
+  return bytes
+}
+
+function encodeUtf8 (text: string): Array<number> {
+  const bytes = []
+  for (const char of text) {
+    const code = char.codePointAt(0)
+    if (code < 0x80) {
+      bytes.push(code)
+    } else if (code < 0x800) {
+      bytes.push(0xC0 | (code >> 6), 0x80 | (code & 0x3F))
+    } else if (code < 0x10000) {
+      bytes.push(0xE0 | (code >> 12), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F))
+    } else {
+      bytes.push(
+        0xF0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3F),
+        0x80 | ((code >> 6) & 0x3F),
+        0x80 | (code & 0x3F)
+      )
+    }
+  }
+  return bytes
+}
+
+/**
+ * Encode the fields (skipping any without a value) as a protobuf message.
+ * Embedded message values must already be encoded.
+ */
+function encodeFields (fields: Array<ProtoField>): Array<number> {
+  const bytes = []
+  fields.forEach(([fieldNumber, type, value]) => {
+    if (value === null || value === undefined) return
+    if (type === 'varint') {
+      bytes.push(...encodeVarint(fieldNumber * 8 + VARINT), ...encodeVarint(value))
+    } else {
+      const data = type === 'string' ? encodeUtf8(value) : value
+      bytes.push(
+        ...encodeVarint(fieldNumber * 8 + LENGTH_DELIMITED),
+        ...encodeVarint(data.length)
+      )
+      // Avoid spreading data, which may exceed the maximum number of arguments
+      // for large messages.
+      data.forEach(byte => bytes.push(byte))
+    }
+  })
+  return bytes
+}
+
+const encodeTranslatedString = (translatedString: ?GtfsRealtimeTranslatedString) =>
+  translatedString
+    ? encodeFields(translatedString.translation.map(({language, text}) =>
+      [1, 'message', encodeFields([[1, 'string', text], [2, 'string', language]])]
+    ))
+    : null
+
+function encodeEntitySelector (selector: GtfsRealtimeEntitySelector): Array<number> {
+  const {trip} = selector
+  return encodeFields([
+    [1, 'string', selector.agency_id],
+    [2, 'string', selector.route_id],
+    [3, 'varint', selector.route_type],
+    [4, 'message', trip
+      ? encodeFields([
+        [1, 'string', trip.trip_id],
+        [5, 'string', trip.route_id],
+        [6, 'varint', trip.direction_id]
+      ])
+      : null
+    ],
+    [5, 'string', selector.stop_id],
+    [6, 'varint', selector.direction_id]
+  ])
+}
+
+function encodeAlert (alert: GtfsRealtimeAlert): Array<number> {
+  return encodeFields([
+    ...alert.active_period.map(period =>
+      [1, 'message', encodeFields([[1, 'varint', period.start], [2, 'varint', period.end]])]),
+    ...alert.informed_entity.map(selector =>
+      [5, 'message', encodeEntitySelector(selector)]),
+    [6, 'varint', CAUSE_VALUES[alert.cause]],
+    [7, 'varint', EFFECT_VALUES[alert.effect]],
+    [8, 'message', encodeTranslatedString(alert.url)],
+    [10, 'message', encodeTranslatedString(alert.header_text)],
+    [11, 'message', encodeTranslatedString(alert.description_text)]
+  ])
+}
+
+/**
+ * Encode the FeedMessage in the GTFS-realtime protocol buffer format.
+ */
+export function encodeFeedMessage (feedMessage: GtfsRealtimeFeedMessage): Uint8Array {
+  const {entity, header} = feedMessage
+  const bytes = encodeFields([
+    [1, 'message', encodeFields([
+      [1, 'string', header.gtfs_realtime_version],
+      // FULL_DATASET is the default (zero) value.
+      [2, 'varint', header.incrementality === 'FULL_DATASET' ? 0 : 1],
+      [3, 'varint', header.timestamp]
+    ])],
+    ...entity.map(({alert, id}) =>
+      [2, 'message', encodeFields([[1, 'string', id], [5, 'message', encodeAlert(alert)]])])
+  ])
+  return new Uint8Array(bytes)
+}
@@ -1,13 +1,27 @@
 // @flow
 
-import moment from 'moment'
-
 import { getFeedId } from '../../common/util/modules'
+import {expandActivePeriods, getActivePeriods, isActiveAt} from './activePeriods'
 
-import type {Alert, AlertEntity, Project, RtdAlert, RtdEntity} from '../../types'
+import type {
+  Alert,
+  AlertActivePeriod,
+  AlertEntity,
+  AlertRoutePattern,
+  Feed,
+  Project,
+  RtdActivePeriod,
+  RtdAlert,
+  RtdEntity
+} from '../../types'
 
 export const FILTERS = ['ACTIVE', 'FUTURE', 'ARCHIVED', 'DRAFT', 'ALL']
 
+// Character limits (for display purposes) that apply to the alert text in
+// each language
+export const ALERT_TITLE_CHAR_LIMIT = 100
+export const ALERT_DESCRIPTION_CHAR_LIMIT = 1200
+
 export const CAUSES = [
   'UNKNOWN_CAUSE',
   'TECHNICAL_PROBLEM',
@@ -57,21 +71,30 @@ export const EFFECTS = [
   'OTHER_EFFECT'
 ]
 
+/**
+ * Filter alerts by category. Categories are based on the alert's (expanded)
+ * active periods, so, for example, an alert that recurs nightly is only ACTIVE
+ * during the night and is otherwise FUTURE until its last period has ended.
+ */
 export function filterAlertsByCategory (alerts: Array<Alert>, filter: string) {
-  const now = moment()
+  const now = Date.now()
+  const getPeriods = (alert: Alert) => expandActivePeriods(getActivePeriods(alert))
   switch (filter) {
     case 'ALL':
       return alerts
     case 'ACTIVE':
       return alerts.filter((alert: Alert) =>
-        moment(alert.start).isBefore(now) &&
-        moment(alert.end).isAfter(now) &&
-        alert.published
+        alert.published && isActiveAt(getPeriods(alert), now)
       )
     case 'FUTURE':
-      return alerts.filter((alert: Alert) => moment(alert.start).isAfter(now))
+      return alerts.filter((alert: Alert) => {
+        const periods = getPeriods(alert)
+        return !isActiveAt(periods, now) && periods.some(p => p.start > now)
+      })
     case 'ARCHIVED':
-      return alerts.filter((alert: Alert) => moment(alert.end).isBefore(now))
+      return alerts.filter((alert: Alert) =>
+        getPeriods(alert).every(p => p.end < now)
+      )
     case 'DRAFT':
       return alerts.filter((alert: Alert) => !alert.published)
     default:
@@ -79,6 +102,55 @@ export function filterAlertsByCategory (alerts: Array<Alert>, filter: string) {
   }
 }
 
+/**
+ * Get the languages (ISO 639-1 codes) configured for the project's alerts. The
+ * first language is the primary language, which is stored in the alert's title
+ * and description. The text for any other languages is stored in the alert's
+ * translations.
+ */
+export function getAlertLanguages (project: ?Project): Array<string> {
+  return (project && project.alertLanguages) || []
+}
+
+/**
+ * Get the key used to store the patterns for a feed's route in the alerts
+ * state.
+ */
+export function getRoutePatternsKey (feed: ?Feed, routeId: ?string): string {
+  return `${feed ? feed.id : ''}:${routeId || ''}`
+}
+
+/**
+ * Get the shapes (as arrays of [lat, lon]) to highlight on the map for the
+ * alert's affected entities: the patterns of the selected trips for trip
+ * entities and the patterns (in the selected direction) for route entities.
+ */
+export function getAffectedShapes (
+  entities: Array<AlertEntity>,
+  routePatterns: {[string]: Array<AlertRoutePattern>}
+): Array<Array<[number, number]>> {
+  const shapes = []
+  entities.forEach(entity => {
+    if (entity.type !== 'ROUTE' && entity.type !== 'TRIP') return
+    const routeId = entity.route ? entity.route.route_id : entity.route_id
+    const patterns = routePatterns[getRoutePatternsKey(entity.agency, routeId)]
+    if (!patterns) return
+    const {direction_id: directionId, trips} = entity
+    // Trips saved without a pattern ID fall back to highlighting the route's
+    // patterns.
+    const patternIds = entity.type === 'TRIP' && trips && trips.every(t => t.pattern_id)
+      ? trips.map(t => t.pattern_id)
+      : null
+    patterns
+      .filter(p => patternIds
+        ? patternIds.indexOf(p.pattern_id) !== -1
+        : typeof directionId !== 'number' || p.direction_id === directionId
+      )
+      .forEach(p => { if (p.shape.length) shapes.push(p.shape) })
+  })
+  return shapes
+}
+
 export function mapRtdAlert (rtdAlert: RtdAlert, project: Project): Alert {
   const {
     Id: id,
@@ -92,7 +164,9 @@ export function mapRtdAlert (rtdAlert: RtdAlert, project: Project): Alert {
     StartDateTime: start,
     EndDateTime: end,
     Published: published,
-    ServiceAlertEntities: entities
+    ServiceAlertEntities: entities,
+    ActivePeriods: rtdPeriods,
+    Translations: rtdTranslations
   } = rtdAlert
   const alert = {
     id,
@@ -112,21 +186,56 @@ export function mapRtdAlert (rtdAlert: RtdAlert, project: Project): Alert {
     url,
     start: start * 1000,
     end: end * 1000,
+    // Alerts saved without active periods have a single period from their
+    // start to end.
+    activePeriods: rtdPeriods && rtdPeriods.length
+      ? rtdPeriods.map(mapRtdActivePeriod)
+      : [{id: 1, start: start * 1000, end: end * 1000, recurrence: null}],
+    translations: (rtdTranslations || []).map(t => ({
+      description: t.DescriptionText
+        ? t.DescriptionText.replace(/(\r\n)/g, '\n')
+        : '',
+      language: t.Language,
+      title: t.HeaderText || ''
+    })),
     published: published === 'Yes',
     affectedEntities: entities.map(ent => mapRtdEntity(ent, project))
   }
   return alert
 }
 
+function mapRtdActivePeriod (
+  rtdPeriod: RtdActivePeriod,
+  index: number
+): AlertActivePeriod {
+  const {EndDateTime, Recurrence, StartDateTime} = rtdPeriod
+  return {
+    id: index + 1,
+    start: StartDateTime * 1000,
+    end: EndDateTime * 1000,
+    recurrence: Recurrence
+      ? {
+        days: Recurrence.Days || [],
+        endTime: Recurrence.EndTime,
+        startTime: Recurrence.StartTime,
+        type: Recurrence.Type
+      }
+      : null
+  }
+}
+
 function mapRtdEntity (rtdEntity: RtdEntity, project: Project): AlertEntity {
   const {
     Id: id,
     AgencyId,
+    DirectionId,
     StopId,
     RouteId,
-    RouteType
+    RouteType,
+    ServiceAlertTrips,
+    TripId
   } = rtdEntity
-  let agency, type, mode
+  let agency, type, mode, trips
   // Hierarchically examine RTD entity contents and assign type based on what is
   // found. For example, the type is AGENCY if that is all the entity contains.
   if (AgencyId) {
@@ -151,12 +260,29 @@ function mapRtdEntity (rtdEntity: RtdEntity, project: Project): AlertEntity {
     mode = modes.find(m => m.gtfsType === RouteType) || defaultMode
     type = 'MODE'
   }
+  // Trips take precedence over all of the above (the route is used to select
+  // the trips).
+  if (ServiceAlertTrips && ServiceAlertTrips.length) {
+    trips = ServiceAlertTrips.map(t => ({
+      departure_time: t.DepartureTime,
+      direction_id: t.DirectionId,
+      pattern_id: t.PatternId,
+      trip_headsign: t.TripHeadsign,
+      trip_id: t.TripId
+    }))
+    type = 'TRIP'
+  } else if (TripId) {
+    trips = [{trip_id: TripId}]
+    type = 'TRIP'
+  }
   return {
     id,
     agency,
     type,
     mode,
+    direction_id: typeof DirectionId === 'number' ? DirectionId : null,
     stop_id: StopId,
-    route_id: RouteId
+    route_id: RouteId,
+    trips
   }
 }
@@ -0,0 +1,55 @@
+// @flow
+
+import type {RtdAlert} from '../../types'
+
+// NOTE: The local alerts adapter stores alerts in the browser's local storage
+// (in the same JSON format used by the RTD service) so that the alerts module
+// can be used and tested without an alerts back end. It is enabled by setting
+// modules.alerts.adapter to local.
+const STORAGE_KEY = 'localServiceAlerts'
+
+/**
+ * Get the alerts stored by the local adapter.
+ */
+export function getLocalAlerts (): Array<RtdAlert> {
+  try {
+    const json = window.localStorage.getItem(STORAGE_KEY)
+    return json ? JSON.parse(json) : []
+  } catch (e) {
+    console.warn('Could not read local alerts', e)
+    return []
+  }
+}
+
+function storeLocalAlerts (alerts: Array<RtdAlert>): void {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(alerts))
+}
+
+/**
+ * Create or update an alert with the local adapter. New alerts (with a null
+ * Id) are assigned the next available ID.
+ */
+export function saveLocalAlert (rtdAlert: RtdAlert): RtdAlert {
+  const alerts = getLocalAlerts()
+  const index = alerts.findIndex(a => a.Id === rtdAlert.Id)
+  const id = rtdAlert.Id === null
+    ? alerts.reduce((max, a) => Math.max(max, a.Id), 0) + 1
+    : rtdAlert.Id
+  const savedAlert = {
+    ...rtdAlert,
+    EditedDate: new Date().toISOString(),
+    Id: id,
+    ServiceAlertEntities: rtdAlert.ServiceAlertEntities.map(entity => ({...entity, AlertId: id}))
+  }
+  if (index === -1) alerts.push(savedAlert)
+  else alerts[index] = savedAlert
+  storeLocalAlerts(alerts)
+  return savedAlert
+}
+
+/**
+ * Delete an alert with the local adapter.
+ */
+export function deleteLocalAlert (id: number): void {
+  storeLocalAlerts(getLocalAlerts().filter(a => a.Id !== id))
+}
@@ -0,0 +1,88 @@
+// @flow
+
+import moment from 'moment'
+
+import {getEntityName, getRouteNameAlerts} from '../../editor/util/gtfs'
+import {getActivePeriodBounds, getActivePeriods} from './activePeriods'
+
+import type {Alert, AlertTemplate} from '../../types'
+
+export const TEMPLATE_DATE_FORMAT = 'MMM D, YYYY'
+
+export const TEMPLATE_PLACEHOLDERS = [
+  {description: 'Names of the affected agencies', token: 'agency'},
+  {description: 'Names of the affected routes', token: 'route'},
+  {description: 'Names of the affected stops', token: 'stop'},
+  {description: 'Start date of the alert', token: 'start_date'},
+  {description: 'End date of the alert', token: 'end_date'}
+]
+
+const PLACEHOLDER_REGEX = new RegExp(
+  `\\{(${TEMPLATE_PLACEHOLDERS.map(p => p.token).join('|')})\\}`,
+  'g'
+)
+
+const unique = (values: Array<?string>): Array<string> =>
+  values.reduce((list, value) => {
+    if (value && list.indexOf(value) === -1) list.push(value)
+    return list
+  }, [])
+
+/**
+ * Get the values (keyed by placeholder token) used to fill a template from the
+ * alert's affected entities and active periods. Values that cannot be
+ * determined (e.g., no routes have been selected) are null.
+ */
+export function getTemplateValues (
+  alert: $Shape<Alert>
+): {[string]: ?string} {
+  const entities = alert.affectedEntities || []
+  const {end, start} = getActivePeriodBounds(getActivePeriods((alert: any)))
+  const join = (values: Array<string>) => values.length ? values.join(', ') : null
+  return {
+    agency: join(unique(entities.map(e => e.agency && e.agency.name))),
+    end_date: end ? moment(end).format(TEMPLATE_DATE_FORMAT) : null,
+    route: join(unique(entities.map(e =>
+      e.route ? getRouteNameAlerts(e.route) || e.route.route_id : e.route_id
+    ))),
+    start_date: start ? moment(start).format(TEMPLATE_DATE_FORMAT) : null,
+    stop: join(unique(entities.map(e =>
+      e.stop ? getEntityName(e.stop) : e.stop_id
+    )))
+  }
+}
+
+/**
+ * Replace the placeholders in the text with their values. Placeholders without
+ * a value are left in place so that they can be filled in later.
+ */
+export function fillTemplateText (text: string, values: {[string]: ?string}): string {
+  return text.replace(
+    PLACEHOLDER_REGEX,
+    (placeholder, token) => values[token] || placeholder
+  )
+}
+
+/**
+ * Check whether the text contains any unfilled placeholders.
+ */
+export function hasTemplatePlaceholders (text: ?string): boolean {
+  return !!text && new RegExp(PLACEHOLDER_REGEX.source).test(text)
+}
+
+/**
+ * Get the alert properties to set when applying a template to an alert (with
+ * placeholders filled from the alert).
+ */
+export function applyAlertTemplate (
+  template: AlertTemplate,
+  alert: $Shape<Alert>
+): {cause: string, description: string, effect: string, title: string} {
+  const values = getTemplateValues(alert)
+  return {
+    cause: template.cause,
+    description: fillTemplateText(template.description, values),
+    effect: template.effect,
+    title: fillTemplateText(template.title, values)
+  }
+}
@@ -10,14 +10,15 @@ import {getComponentMessages} from '../util/config'
 type Props = {
   clearable?: boolean,
   minimumInput?: number,
-  onChange?: string => void,
+  multi?: boolean,
+  onChange?: any => void,
   placeholder?: string,
   tabIndex?: number,
-  value: ?string
+  value: ?string | Array<string>
 }
 
 type State = {
-  value: ?string
+  value: ?string | Array<string>
 }
 
 export default class LanguageSelect extends Component<Props, State> {
@@ -39,7 +40,7 @@ export default class LanguageSelect extends Component<Props, State> {
     }
   }
 
-  _onChange = (value: string) => {
+  _onChange = (value: any) => {
     const {onChange} = this.props
     this.setState({value})
     onChange && onChange(value)
@@ -48,7 +49,7 @@ export default class LanguageSelect extends Component<Props, State> {
   _getOptions = () => ISO6391.getAllCodes().map(code => ({value: code, label: ISO6391.getName(code)}))
 
   render () {
-    const {clearable, tabIndex, placeholder, minimumInput} = this.props
+    const {clearable, multi, tabIndex, placeholder, minimumInput} = this.props
     return (
       <Select
         ref='langSelect'
@@ -58,6 +59,7 @@ export default class LanguageSelect extends Component<Props, State> {
         filterOptions
         minimumInput={minimumInput}
         clearable={clearable}
+        multi={multi}
         placeholder={placeholder || this.messages('placeholder')}
         options={this._getOptions()}
         value={this.state.value}
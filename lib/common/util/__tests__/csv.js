@@ -0,0 +1,57 @@
+// @flow
+
+import {parseCsv, parseCsvWithHeader, toCsv} from '../csv'
+
+describe('lib > common > util > csv', () => {
+  describe('> parseCsv', () => {
+    it('should parse simple rows', () => {
+      expect(parseCsv('a,b,c\n1,2,3')).toEqual([['a', 'b', 'c'], ['1', '2', '3']])
+    })
+
+    it('should handle CRLF line endings and skip blank lines', () => {
+      expect(parseCsv('a,b\r\n\r\n1,2\r\n')).toEqual([['a', 'b'], ['1', '2']])
+    })
+
+    it('should strip a byte order mark', () => {
+      expect(parseCsv('\uFEFFstop_id\n1')).toEqual([['stop_id'], ['1']])
+    })
+
+    it('should handle quoted values', () => {
+      expect(parseCsv('a,b\n"Main St, North","say ""hi""\nthere"')).toEqual([
+        ['a', 'b'],
+        ['Main St, North', 'say "hi"\nthere']
+      ])
+    })
+
+    it('should keep empty values', () => {
+      expect(parseCsv('a,b,c\n,,')).toEqual([['a', 'b', 'c'], ['', '', '']])
+    })
+  })
+
+  describe('> parseCsvWithHeader', () => {
+    it('should key records on trimmed header fields', () => {
+      expect(parseCsvWithHeader('stop_id, stop_name\n1,First\n2')).toEqual({
+        fields: ['stop_id', 'stop_name'],
+        records: [
+          {stop_id: '1', stop_name: 'First'},
+          {stop_id: '2', stop_name: ''}
+        ]
+      })
+    })
+  })
+
+  describe('> toCsv', () => {
+    it('should write header and escape values', () => {
+      expect(toCsv(
+        ['stop_id', 'stop_name', 'stop_desc'],
+        [{stop_id: 1, stop_name: 'Main St, "North"', stop_desc: null}]
+      )).toEqual('stop_id,stop_name,stop_desc\n1,"Main St, ""North""",')
+    })
+
+    it('should round trip with parseCsvWithHeader', () => {
+      const records = [{a: 'x,y', b: 'line\nbreak'}, {a: '', b: '"'}]
+      expect(parseCsvWithHeader(toCsv(['a', 'b'], records)).records)
+        .toEqual(records)
+    })
+  })
+})
@@ -0,0 +1,92 @@
+// @flow
+
+/**
+ * Parse CSV text into an array of rows (each an array of string values).
+ * Handles quoted values (which may contain commas, escaped quotes and line
+ * breaks), CRLF line endings and a leading byte order mark. Blank lines are
+ * skipped.
+ */
+export function parseCsv (text: string): Array<Array<string>> {
+  const rows = []
+  let row = []
+  let value = ''
+  let quoted = false
+  // Strip byte order mark (often added by spreadsheet applications).
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text
+  const endRow = () => {
+    row.push(value)
+    // Skip blank lines.
+    if (row.length > 1 || row[0] !== '') rows.push(row)
+    row = []
+    value = ''
+  }
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+    if (quoted) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          // Escaped quote.
+          value += '"'
+          i++
+        } else {
+          quoted = false
+        }
+      } else {
+        value += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(value)
+      value = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      endRow()
+    } else {
+      value += char
+    }
+  }
+  if (value !== '' || row.length > 0) endRow()
+  return rows
+}
+
+/**
+ * Parse CSV text with a header row into a list of objects keyed on the
+ * (trimmed) header names.
+ */
+export function parseCsvWithHeader (text: string): {
+  fields: Array<string>,
+  records: Array<{[string]: string}>
+} {
+  const [header = [], ...rows] = parseCsv(text)
+  const fields = header.map(field => field.trim())
+  const records = rows.map(row => {
+    const record = {}
+    fields.forEach((field, i) => {
+      record[field] = typeof row[i] === 'string' ? row[i] : ''
+    })
+    return record
+  })
+  return {fields, records}
+}
+
+function escapeCsvValue (value: any): string {
+  if (value === null || typeof value === 'undefined') return ''
+  const str = String(value)
+  return /[",\r\n]/.test(str)
+    ? `"${str.replace(/"/g, '""')}"`
+    : str
+}
+
+/**
+ * Serialize a list of objects to CSV text containing a header row with the
+ * provided fields. Null and undefined values are written as empty values.
+ */
+export function toCsv (fields: Array<string>, records: Array<Object>): string {
+  return [
+    fields.map(escapeCsvValue).join(','),
+    ...records.map(record =>
+      fields.map(field => escapeCsvValue(record[field])).join(',')
+    )
+  ].join('\n')
+}
@@ -35,6 +35,14 @@ function getRtdApi (): ?string {
   return null
 }
 
+/**
+ * Whether alerts are stored with the local (browser storage) adapter rather
+ * than an alerts back end.
+ */
+export function isAlertsAdapterLocal (): boolean {
+  return getConfigProperty('modules.alerts.adapter') === 'local'
+}
+
 export function getAlertsUrl (): string {
   const rtdApi = getRtdApi()
   return rtdApi ? rtdApi + '/ServiceAlert' : '/api/manager/secure/alerts'
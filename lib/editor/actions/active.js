@@ -12,6 +12,7 @@ import {fetchGTFSEntities} from '../../manager/actions/versions'
 import {saveTripPattern} from './tripPattern'
 import {
   getEditorNamespace,
+  getEntityName,
   getTableById,
   isValidComponent,
   subComponentList,
@@ -19,9 +20,13 @@ import {
 } from '../util/gtfs'
 import {getMapFromGtfsStrategy, entityIsNew} from '../util/objects'
 
-import type {Entity, Feed} from '../../types'
+import type {EditorHistoryItem, Entity, Feed} from '../../types'
 import type {dispatchFn, getStateFn, AppState} from '../../types/reducers'
 
+const addEditorHistoryItem = createAction(
+  'ADD_EDITOR_HISTORY_ITEM',
+  (payload: EditorHistoryItem) => payload
+)
 export const clearGtfsContent = createVoidPayloadAction('CLEAR_GTFSEDITOR_CONTENT')
 const receivedNewEntity = createAction(
   'RECEIVE_NEW_ENTITY',
@@ -59,7 +64,11 @@ export const updateActiveGtfsEntity = createAction(
     component: string,
     entity: any, // tried to have type of Entity, but flow errored too much
     props: Object
-  }) => payload
+  }) => ({
+    ...payload,
+    // Timestamp is used to merge consecutive edits in the undo history.
+    timestamp: Date.now()
+  })
 )
 export const updateEditSetting = createAction(
   'UPDATE_EDIT_SETTING',
@@ -69,7 +78,8 @@ export const updateEditSetting = createAction(
   }) => payload
 )
 
-export type EditorActiveActions = ActionType<typeof clearGtfsContent> |
+export type EditorActiveActions = ActionType<typeof addEditorHistoryItem> |
+  ActionType<typeof clearGtfsContent> |
   ActionType<typeof receivedNewEntity> |
   ActionType<typeof resetActiveGtfsEntity> |
   ActionType<typeof savedGtfsEntity> |
@@ -196,6 +206,9 @@ function updateUrl (
  * It ALSO handles redirecting the browser URL if an entity referenced by a route
  * parameter is not found in the list of entities.
  *
+ * Returns a promise that resolves once the active entity has been fetched (or
+ * immediately if no fetch is needed).
+ *
  * FIXME: There is too much going on in this action.
  */
 /* eslint-disable complexity */
@@ -272,6 +285,7 @@ export function setActiveGtfsEntity (
     // TODO: Fetch active entity and any subentities.
     // Only fetch entity if it is not being created
     const namespace = getEditorNamespace(feedSourceId, state)
+    let fetchPromise = Promise.resolve()
     if (
       namespace &&
       entityId &&
@@ -281,7 +295,7 @@ export function setActiveGtfsEntity (
     ) {
       // Only fetch trip patterns if the active pattern is not in the store and
       // if we're changing routes
-      dispatch(fetchGTFSEntities({namespace, id: entityId, type: component, editor: true}))
+      fetchPromise = dispatch(fetchGTFSEntities({namespace, id: entityId, type: component, editor: true}))
     }
     dispatch(settingActiveGtfsEntity({
       activeEntity,
@@ -294,6 +308,7 @@ export function setActiveGtfsEntity (
       subSubComponent,
       subSubEntityId
     }))
+    return fetchPromise
   }
 }
 
@@ -335,22 +350,33 @@ export function saveActiveGtfsEntity (
  * This method determines the URL from entity type (component), maps the entity
  * data into the required format (primarily updates fields to snake_case), and
  * after performing PUT request re-fetches the entity.
+ *
+ * Unless recordHistory is false (e.g., when the save itself is an undo/redo),
+ * the save is recorded in the editor history.
  */
 export function saveEntity (
   feedId: ?string,
   entity: ?Entity,
   component: string,
-  refetch: ?boolean = true
+  refetch: ?boolean = true,
+  recordHistory: boolean = true
 ) {
   return function (dispatch: dispatchFn, getState: getStateFn) {
     if (!feedId || !entity) {
       return
     }
     dispatch(savingActiveGtfsEntity())
+    const {id: entityId} = entity
     const notNew = !entityIsNew(entity)
     const method = notNew ? 'put' : 'post'
-    const idParam = notNew ? `/${entity.id || ''}` : ''
-    const {sessionId} = getState().editor.data.lock
+    const idParam = notNew ? `/${entityId || ''}` : ''
+    const {lock, tables} = getState().editor.data
+    const {sessionId} = lock
+    // The table copy of the entity reflects its last saved state (it is
+    // replaced with the full entity whenever the entity is fetched).
+    const previousEntity = notNew
+      ? getTableById(tables, component).find(e => e.id === entityId)
+      : null
     const route = component === 'fare' ? 'fareattribute' : component
     const url = `/api/editor/secure/${route}${idParam}?feedId=${feedId}&sessionId=${sessionId || ''}`
     const mappingStrategy = getMapFromGtfsStrategy(component)
@@ -359,6 +385,17 @@ export function saveEntity (
       .then(res => res.json())
       .then(savedEntity => {
         dispatch(savedGtfsEntity())
+        if (recordHistory && entity) {
+          dispatch(addEditorHistoryItem({
+            component,
+            entityId: savedEntity.id,
+            label: getEntityName(entity),
+            previousProps: previousEntity ? clone(previousEntity) : null,
+            props: {...clone(entity), id: savedEntity.id},
+            timestamp: Date.now(),
+            type: 'SAVE'
+          }))
+        }
         const namespace = getEditorNamespace(feedId, getState())
         // Refetch entity and replace in store
         if (refetch) {
@@ -379,13 +416,15 @@ export function saveEntity (
 }
 
 /**
- * Generic delete function for editor GTFS entities.
+ * Generic delete function for editor GTFS entities. Unless recordHistory is
+ * false, the deletion of the active entity is recorded in the editor history.
  */
 export function deleteGtfsEntity (
   feedId: string,
   component: string,
   entityId: number,
-  routeId?: number
+  routeId?: number,
+  recordHistory: boolean = true
 ) {
   return function (dispatch: dispatchFn, getState: getStateFn) {
     const namespace = getEditorNamespace(feedId, getState())
@@ -399,7 +438,16 @@ export function deleteGtfsEntity (
       // waste of network traffic (especially for large feeds)
       return dispatch(fetchBaseGtfs({namespace}))
     }
-    const {sessionId} = getState().editor.data.lock
+    const {active, lock} = getState().editor.data
+    const {sessionId} = lock
+    // Only the active entity is guaranteed to be fully loaded (table entries
+    // may only contain a subset of fields), so it is the only deleted entity
+    // that can be faithfully re-created on undo.
+    const deletedEntity = active.component === component &&
+      active.entity &&
+      active.entity.id === entityId
+      ? clone(active.entity)
+      : null
     const entityPath = component === 'trippattern'
       ? 'pattern'
       : component === 'fare' ? 'fareattribute' : component
@@ -411,6 +459,17 @@ export function deleteGtfsEntity (
     return dispatch(secureFetch(url, 'delete'))
       .then(response => response.json())
       .then(json => {
+        if (recordHistory && deletedEntity && component !== 'trippattern') {
+          dispatch(addEditorHistoryItem({
+            component,
+            entityId,
+            label: getEntityName(deletedEntity),
+            previousProps: deletedEntity,
+            props: deletedEntity,
+            timestamp: Date.now(),
+            type: 'DELETE'
+          }))
+        }
         if (component === 'trippattern' && routeId) {
           console.log('fetching trip patterns')
           // Replace trip patterns for route
@@ -0,0 +1,135 @@
+// @flow
+
+import {fetchGraphQL} from '../../common/actions'
+import fileDownload from '../../common/util/file-download'
+import {getEntityGraphQLRoot, getGraphQLFieldsForEntity} from '../../gtfs/util'
+import {deleteGtfsEntity, saveEntity, setActiveGtfsEntity} from './active'
+import {fetchBaseGtfs} from './editor'
+import {setErrorMessage} from '../../manager/actions/status'
+import {
+  entitiesToCsv,
+  getCsvFields,
+  getCsvFileName,
+  getCsvImportDiff
+} from '../util/csv'
+import {getEditorNamespace} from '../util/gtfs'
+
+import type {Entity} from '../../types'
+import type {dispatchFn, getStateFn} from '../../types/reducers'
+import type {CsvImportDiff} from '../util/csv'
+
+export type CsvImportResult = {deleted: number, failed: boolean, saved: number}
+
+/**
+ * Fetch all entities in the editor table for the component with all of their
+ * fields (the tables in the store only contain a subset of fields).
+ */
+function fetchFullEditorTable (feedId: string, component: string) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    const namespace = getEditorNamespace(feedId, getState())
+    const graphQLRoot = getEntityGraphQLRoot(component)
+    // Route fields for the editor include nested trip patterns and shapes,
+    // which are not needed for (and would slow down) the CSV.
+    const fields = component === 'route'
+      ? getCsvFields(component).map(field => field.name).join('\n')
+      : getGraphQLFieldsForEntity(component, true)
+    const query = `
+      query ($namespace: String) {
+        feed(namespace: $namespace) {
+          ${graphQLRoot} (limit: -1) {
+            id
+            ${fields}
+          }
+        }
+      }
+    `
+    return dispatch(fetchGraphQL({
+      query,
+      variables: {namespace},
+      errorMessage: `Could not fetch ${component} table`
+    }))
+      .then(data => {
+        if (!data) throw new Error(`Could not fetch ${component} table`)
+        return (data.feed[graphQLRoot]: Array<Entity>)
+      })
+  }
+}
+
+/**
+ * Download the editor table for the component as a CSV file.
+ */
+export function exportTableToCsv (feedId: string, component: string) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    return dispatch(fetchFullEditorTable(feedId, component))
+      .then(entities => fileDownload(
+        entitiesToCsv(component, entities),
+        getCsvFileName(component),
+        'text/csv'
+      ))
+      .catch(err => console.warn(err))
+  }
+}
+
+/**
+ * Compare the CSV text with the current editor table for the component and
+ * resolve with the changes an import would make (without making them).
+ */
+export function previewCsvImport (feedId: string, component: string, text: string) {
+  return function (dispatch: dispatchFn, getState: getStateFn): Promise<CsvImportDiff> {
+    return dispatch(fetchFullEditorTable(feedId, component))
+      .then(entities => getCsvImportDiff(
+        component,
+        text,
+        entities,
+        getState().editor.data.tables
+      ))
+  }
+}
+
+/**
+ * Apply the changes from a CSV import preview to the editor table by saving
+ * each added or changed entity (and optionally deleting the entities missing
+ * from the CSV). Requests are made one at a time and are not recorded in the
+ * editor history. Resolves with the number of entities saved and deleted (and
+ * whether the import failed partway through, in which case the entities
+ * already written are not rolled back).
+ */
+export function importCsvDiff (
+  feedId: string,
+  component: string,
+  diff: CsvImportDiff,
+  deleteRemoved: boolean
+) {
+  return function (dispatch: dispatchFn, getState: getStateFn): Promise<CsvImportResult> {
+    const namespace = getEditorNamespace(feedId, getState())
+    const toSave = [...diff.changed, ...diff.added].map(row => row.entity)
+    const toDelete = deleteRemoved ? diff.removed : []
+    const result = {deleted: 0, failed: false, saved: 0}
+    // Deselect the active entity, which may be modified by the import.
+    dispatch(setActiveGtfsEntity(feedId, component))
+    let promise = Promise.resolve()
+    toSave.forEach(entity => {
+      promise = promise
+        .then(() => dispatch(saveEntity(feedId, entity, component, false, false)))
+        .then(() => { result.saved++ })
+    })
+    toDelete.forEach(entity => {
+      const {id} = entity
+      if (typeof id !== 'number') return
+      promise = promise
+        .then(() => dispatch(deleteGtfsEntity(feedId, component, id, undefined, false)))
+        .then(() => { result.deleted++ })
+    })
+    return promise
+      .catch(err => {
+        console.warn('CSV import failed', err)
+        result.failed = true
+        dispatch(setErrorMessage({
+          message: `CSV import failed after ${result.saved} of ${toSave.length} rows were saved and ${result.deleted} of ${toDelete.length} rows were deleted. Rows already written have not been reverted.`
+        }))
+      })
+      // Replace the table with the saved entities.
+      .then(() => dispatch(fetchBaseGtfs({namespace, feedSourceId: feedId})))
+      .then(() => result)
+  }
+}
@@ -6,6 +6,7 @@ import moment from 'moment'
 import {createAction, type ActionType} from 'redux-actions'
 
 import {createVoidPayloadAction, fetchGraphQL, secureFetch} from '../../common/actions'
+import {GTFS_GRAPHQL_PREFIX} from '../../common/constants'
 import {generateUID} from '../../common/util/util'
 import {clearGtfsContent, saveActiveGtfsEntity, setActiveGtfsEntity} from './active'
 import {ENTITY} from '../constants'
@@ -15,6 +16,7 @@ import {
   getEditorNamespace,
   getTableById
 } from '../util/gtfs'
+import {getRuleQueryFields} from '../util/rules'
 import {fetchGTFSEntities} from '../../manager/actions/versions'
 
 import type {
@@ -319,6 +321,142 @@ export function uploadBrandingAsset (
   }
 }
 
+// Tables (and fields of the base tables) from newer additions to the GTFS spec
+// (Fares v2, levels, pathways and translations). These are fetched separately
+// from the base GTFS so that the editor still loads (with these tables empty)
+// if the server does not support them.
+const EXTENDED_TABLES_QUERY = `
+  query ($namespace: String) {
+    feed(namespace: $namespace) {
+      routes (limit: -1) {
+        id
+        network_id # needed for fare leg rules
+      }
+      stops (limit: -1) {
+        id
+        level_id # needed for station hierarchy
+      }
+      # Fares v2 tables (small enough to fetch all fields)
+      fare_media (limit: -1) {
+        id
+        fare_media_id
+        fare_media_name
+        fare_media_type
+      }
+      fare_products (limit: -1) {
+        id
+        fare_product_id
+        fare_product_name
+        fare_media_id
+        amount
+        currency
+      }
+      areas (limit: -1) {
+        id
+        area_id
+        area_name
+        stop_areas (limit: -1) {
+          id
+          area_id
+          stop_id
+        }
+      }
+      fare_leg_rules (limit: -1) {
+        id
+        leg_group_id
+        network_id
+        from_area_id
+        to_area_id
+        fare_product_id
+      }
+      fare_transfer_rules (limit: -1) {
+        id
+        from_leg_group_id
+        to_leg_group_id
+        transfer_count
+        duration_limit
+        duration_limit_type
+        fare_transfer_type
+        fare_product_id
+      }
+      levels (limit: -1) {
+        id
+        level_id
+        level_index
+        level_name
+      }
+      pathways (limit: -1) {
+        id
+        pathway_id
+        from_stop_id
+        to_stop_id
+        pathway_mode
+        is_bidirectional
+      }
+      translations (limit: -1) {
+        id
+        table_name
+        field_name
+        language
+        translation
+        record_id
+        record_sub_id
+        field_value
+      }
+    }
+  }
+`
+
+/**
+ * Fetch the extended tables (see EXTENDED_TABLES_QUERY). Unlike fetchGraphQL,
+ * errors (e.g., from a server that does not support these tables) are only
+ * logged and resolve to null.
+ */
+function fetchExtendedTables (namespace: string) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    const body = {query: EXTENDED_TABLES_QUERY, variables: {namespace}}
+    return dispatch(secureFetch(GTFS_GRAPHQL_PREFIX, 'post', body, true))
+      .then(res => res.json())
+      .then(json => {
+        if (json.errors && json.errors.length) {
+          throw new Error(json.errors.map(e => e.message).join('\n'))
+        }
+        return json.data.feed
+      })
+      .catch(err => {
+        console.warn('Could not fetch Fares v2, levels, pathways and translations (server may not support them).', err)
+        return null
+      })
+  }
+}
+
+/**
+ * Add the extended tables to the base GTFS tables, with the extended fields
+ * merged into the base routes and stops. If the extended tables could not be
+ * fetched, the tables are empty.
+ */
+function mergeExtendedTables (feed: any, extendedTables: any): EditorTables {
+  const {routes = [], stops = [], ...tables} = extendedTables || {}
+  const networkIds = {}
+  const levelIds = {}
+  routes.forEach(route => { networkIds[route.id] = route.network_id })
+  stops.forEach(stop => { levelIds[stop.id] = stop.level_id })
+  return {
+    ...feed,
+    areas: [],
+    fare_leg_rules: [],
+    fare_media: [],
+    fare_products: [],
+    fare_transfer_rules: [],
+    levels: [],
+    pathways: [],
+    translations: [],
+    ...tables,
+    routes: feed.routes.map(route => ({...route, network_id: networkIds[route.id] || null})),
+    stops: feed.stops.map(stop => ({...stop, level_id: levelIds[stop.id] || null}))
+  }
+}
+
 // FIXME: add additional params
 // TODO: fetch nested elements
 export function fetchBaseGtfs ({
@@ -361,21 +499,25 @@ export function fetchBaseGtfs ({
             id
             agency_id
             agency_name
+            ${getRuleQueryFields('agency')}
           }
           calendar {
             id
             service_id
             description
+            ${getRuleQueryFields('calendar')}
           }
           fares {
             id
             fare_id
+            ${getRuleQueryFields('fare')}
           }
           routes (limit: -1) {
             id
             route_id
             route_short_name
             route_long_name
+            ${getRuleQueryFields('route')}
           }
           schedule_exceptions (limit: -1) {
             id
@@ -389,10 +531,21 @@ export function fetchBaseGtfs ({
             stop_lat
             stop_lon
             zone_id # needed for fares
+            # needed for station hierarchy
+            location_type
+            parent_station
+            ${getRuleQueryFields('stop')}
           }
         }
       }
     `
+    const fetchTables = (namespace: string) => Promise.all([
+      dispatch(fetchGraphQL({query, variables: {namespace}})),
+      dispatch(fetchExtendedTables(namespace))
+    ]).then(([data, extendedTables]) => {
+      if (!data) return
+      dispatch(receiveBaseGtfs({feed: mergeExtendedTables(data.feed, extendedTables)}))
+    })
     // TODO: fetch patterns / subcomponent in nested query?
     if (!getState().editor.data.lock.sessionId) {
       if (!feedSourceId) {
@@ -412,8 +565,7 @@ export function fetchBaseGtfs ({
             dispatch(showEditorModal())
             return
           }
-          return dispatch(fetchGraphQL({query, variables: {namespace}}))
-            .then(data => dispatch(receiveBaseGtfs({...data})))
+          return fetchTables(namespace)
         })
     } else {
       // If there is already a session lock, skip trying to create another.
@@ -422,8 +574,7 @@ export function fetchBaseGtfs ({
         dispatch(showEditorModal())
         return
       }
-      return dispatch(fetchGraphQL({query, variables: {namespace}}))
-        .then(data => dispatch(receiveBaseGtfs({...data})))
+      return fetchTables(namespace)
     }
   }
 }
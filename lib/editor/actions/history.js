@@ -0,0 +1,151 @@
+// @flow
+
+import {createAction, type ActionType} from 'redux-actions'
+
+import {deleteGtfsEntity, saveEntity, setActiveGtfsEntity} from './active'
+import {ENTITY} from '../constants'
+
+import type {EditorHistoryItem} from '../../types'
+import type {dispatchFn, getStateFn} from '../../types/reducers'
+
+const redoHistoryItem = createAction(
+  'REDO_EDITOR_HISTORY_ITEM',
+  (payload: EditorHistoryItem) => payload
+)
+const undoHistoryItem = createAction(
+  'UNDO_EDITOR_HISTORY_ITEM',
+  (payload: EditorHistoryItem) => payload
+)
+
+export type EditorHistoryActions = ActionType<typeof redoHistoryItem> |
+  ActionType<typeof undoHistoryItem>
+
+/**
+ * Undo the most recent item in the editor history.
+ */
+export function undoEditorHistory () {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    const {past} = getState().editor.data.history
+    const item = past[past.length - 1]
+    if (!item) return Promise.resolve()
+    return dispatch(applyHistoryItem(item, true))
+  }
+}
+
+/**
+ * Redo the most recently undone item in the editor history.
+ */
+export function redoEditorHistory () {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    const item = getState().editor.data.history.future[0]
+    if (!item) return Promise.resolve()
+    return dispatch(applyHistoryItem(item, false))
+  }
+}
+
+/**
+ * Set the entity referenced by the history item as the active entity (if it
+ * is not already) so that the item can be applied to it.
+ */
+function activateHistoryEntity (item: EditorHistoryItem) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    const {component, entity, feedSourceId} = getState().editor.data.active
+    if (component === item.component && entity && entity.id === item.entityId) {
+      return Promise.resolve()
+    }
+    return Promise.resolve(dispatch(setActiveGtfsEntity(
+      feedSourceId,
+      item.component,
+      item.entityId
+    )))
+  }
+}
+
+/**
+ * Create the entity stored in the history item. The server assigns a new ID to
+ * the re-created entity, so the history item is updated to reference it.
+ */
+function recreateHistoryEntity (item: EditorHistoryItem, entity: ?Object) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    const {feedSourceId} = getState().editor.data.active
+    return Promise.resolve(dispatch(saveEntity(
+      feedSourceId,
+      ({...entity, id: ENTITY.NEW_ID}: any),
+      item.component,
+      false,
+      false
+    )))
+      .then(savedEntity => savedEntity
+        ? {...item, entityId: savedEntity.id, props: {...item.props, id: savedEntity.id}}
+        : item
+      )
+  }
+}
+
+function deleteHistoryEntity (item: EditorHistoryItem) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    const {active} = getState().editor.data
+    const {feedSourceId} = active
+    if (!feedSourceId) return Promise.resolve()
+    return Promise.resolve(dispatch(deleteGtfsEntity(
+      feedSourceId,
+      item.component,
+      item.entityId,
+      undefined,
+      false
+    )))
+      .then(() => {
+        // Deselect the deleted entity if it was active.
+        if (active.entity && active.entity.id === item.entityId) {
+          dispatch(setActiveGtfsEntity(feedSourceId, item.component))
+        }
+      })
+  }
+}
+
+/**
+ * Undo or redo a history item. Edits are applied to the active entity in the
+ * store (making the item's entity active first), whereas saves and deletes are
+ * reverted (or re-applied) by making the corresponding request to the server.
+ * These requests are not themselves recorded in the history.
+ */
+function applyHistoryItem (item: EditorHistoryItem, undo: boolean) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    const {feedSourceId} = getState().editor.data.active
+    const onApplied = (appliedItem: EditorHistoryItem) => dispatch(undo
+      ? undoHistoryItem(appliedItem)
+      : redoHistoryItem(appliedItem)
+    )
+    let promise
+    switch (item.type) {
+      case 'UPDATE':
+        promise = dispatch(activateHistoryEntity(item))
+          .then(() => item)
+        break
+      case 'SAVE':
+        if (!item.previousProps) {
+          // The save created the entity.
+          promise = undo
+            ? dispatch(deleteHistoryEntity(item)).then(() => item)
+            : dispatch(recreateHistoryEntity(item, item.props))
+        } else {
+          const entity = undo ? item.previousProps : item.props
+          promise = dispatch(activateHistoryEntity(item))
+            .then(() => dispatch(saveEntity(feedSourceId, (entity: any), item.component, true, false)))
+            .then(() => item)
+        }
+        break
+      case 'DELETE':
+        promise = undo
+          ? dispatch(recreateHistoryEntity(item, item.previousProps))
+          : dispatch(deleteHistoryEntity(item)).then(() => item)
+        break
+      default:
+        console.warn(`Unknown history item type ${item.type}`)
+        return Promise.resolve()
+    }
+    return promise
+      .then(onApplied)
+      .catch(err => console.warn(`Could not ${undo ? 'undo' : 'redo'} ${item.type} for ${item.label}`, err))
+  }
+}
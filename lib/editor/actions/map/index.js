@@ -11,16 +11,20 @@ import nearestPointOnLine from '@turf/nearest-point-on-line'
 import point from 'turf-point'
 
 import {POINT_TYPE} from '../../constants'
+import {saveActiveGtfsEntity, updateEditSetting} from '../active'
 import {setActivePatternSegment} from '../tripPattern'
 import {setErrorMessage} from '../../../manager/actions/status'
+import {getTableById} from '../../util/gtfs'
 import {
+  controlPointsFromSegments,
   getLineSlices,
   recalculateShape,
   newControlPoint,
   shapePointsToSimpleCoordinates
 } from '../../util/map'
+import {getSegmentsForImportedShape} from '../../util/shapeImport'
 
-import type {Feed, LatLng, Pattern, ControlPoint} from '../../../types'
+import type {Coordinates, Feed, LatLng, Pattern, ControlPoint} from '../../../types'
 import type {dispatchFn, getStateFn} from '../../../types/reducers'
 
 export const controlPointDragOrEnd = createAction(
@@ -39,14 +43,14 @@ export const updatePatternGeometry = createAction(
   'UPDATE_PATTERN_GEOMETRY',
   (payload: {
     controlPoints: ?Array<ControlPoint>,
-    patternSegments: ?Array<[number, number]>
+    patternSegments: ?Array<Coordinates>
   }) => payload
 )
 export const updateTempPatternGeometry = createAction(
   'UPDATE_TEMP_PATTERN_GEOMETRY',
   (payload: {
     controlPoints: ?Array<ControlPoint>,
-    patternSegments: ?Array<[number, number]>
+    patternSegments: ?Array<Coordinates>
   }) => payload
 )
 
@@ -140,6 +144,40 @@ export function displayRoutesShapefile (feedSource: Feed, file: File) {
   }
 }
 
+/**
+ * Replace the pattern shape with an imported shape (see util/shapeImport),
+ * snapping the existing pattern stops onto the shape. If the pattern has fewer
+ * than two stops, the shape is instead set as the line for placing stops in
+ * bulk (PLACE_STOPS_ALONG_LINE). Resolves to the maximum distance (in meters)
+ * between a stop and the imported shape or null if the shape was not applied.
+ */
+export function importPatternShape (pattern: Pattern, coordinates: Coordinates) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    if (coordinates.length < 2) {
+      dispatch(setErrorMessage({message: 'Imported shape must have at least two points.'}))
+      return Promise.resolve(null)
+    }
+    const {patternStops} = pattern
+    if (!patternStops || patternStops.length < 2) {
+      dispatch(updateEditSetting({setting: 'proposedStops', value: null}))
+      dispatch(updateEditSetting({setting: 'stopPlacementLine', value: coordinates}))
+      dispatch(updateEditSetting({setting: 'onMapClick', value: 'PLACE_STOPS_ALONG_LINE'}))
+      return Promise.resolve(0)
+    }
+    const stops = getTableById(getState().editor.data.tables, 'stop')
+    const result = getSegmentsForImportedShape(coordinates, patternStops, stops)
+    if (!result) {
+      dispatch(setErrorMessage({message: 'Could not import shape because some pattern stops could not be found.'}))
+      return Promise.resolve(null)
+    }
+    const {maxDistanceFromShape, patternSegments} = result
+    const controlPoints = controlPointsFromSegments(patternStops, patternSegments)
+    dispatch(updatePatternGeometry({controlPoints, patternSegments}))
+    return dispatch(saveActiveGtfsEntity('trippattern'))
+      .then(() => maxDistanceFromShape)
+  }
+}
+
 /**
  * Calculate a new shape according to newly dragged position of control point
  *
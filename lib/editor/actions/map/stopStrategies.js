@@ -9,10 +9,10 @@ import lineSlice from 'turf-line-slice'
 import lineString from 'turf-linestring'
 import point from 'turf-point'
 
-import {updateActiveGtfsEntity, saveActiveGtfsEntity} from '../active'
+import {updateActiveGtfsEntity, updateEditSetting, saveActiveGtfsEntity} from '../active'
 import {updatePatternStops} from '../tripPattern'
 import {generateUID} from '../../../common/util/util'
-import {POINT_TYPE} from '../../constants'
+import {ENTITY, POINT_TYPE} from '../../constants'
 import {newGtfsEntity} from '../editor'
 import {setErrorMessage} from '../../../manager/actions/status'
 import {updatePatternGeometry} from '../map'
@@ -22,6 +22,7 @@ import {getTableById} from '../../util/gtfs'
 import {
   constructStop,
   controlPointsFromSegments,
+  ensureValidCoords,
   newControlPoint,
   stopToPatternStop,
   recalculateShape,
@@ -32,8 +33,16 @@ import {
   constructPoint
 } from '../../util/map'
 import {coordinatesFromShapePoints} from '../../util/objects'
+import {proposeStops} from '../../util/stopPlacement'
 
-import type {ControlPoint, GtfsStop, LatLng, Pattern} from '../../../types'
+import type {
+  ControlPoint,
+  Coordinates,
+  GtfsStop,
+  LatLng,
+  Pattern,
+  ProposedStop
+} from '../../../types'
 import type {dispatchFn, getStateFn} from '../../../types/reducers'
 
 /**
@@ -219,6 +228,128 @@ export function addStopAtInterval (latlng: LatLng, activePattern: Pattern, contr
   }
 }
 
+/**
+ * Extends the line along which stops are to be placed (see
+ * PLACE_STOPS_ALONG_LINE) to the click location, optionally following streets.
+ * Any proposed stops are cleared because they no longer match the line.
+ */
+export function extendStopPlacementLine (latlng: LatLng) {
+  return async function (dispatch: dispatchFn, getState: getStateFn) {
+    const {followStreets, stopPlacementLine} = getState().editor.editSettings.present
+    const coordinates = stopPlacementLine ? [...stopPlacementLine] : []
+    const lastCoordinate = coordinates[coordinates.length - 1]
+    let extension = null
+    if (lastCoordinate && followStreets) {
+      extension = await getPolyline([ll.toLeaflet(lastCoordinate), latlng])
+    }
+    if (extension && extension.length > 0) {
+      // Skip first coordinate (it duplicates the current end of the line).
+      coordinates.push(...extension.slice(1))
+    } else {
+      coordinates.push(ll.toCoordinates(latlng))
+    }
+    dispatch(updateEditSetting({setting: 'proposedStops', value: null}))
+    dispatch(updateEditSetting({setting: 'stopPlacementLine', value: coordinates}))
+  }
+}
+
+/**
+ * Proposes stops along the stop placement line at the stop interval, reusing
+ * existing stops within the snap radius and (optionally) preferring
+ * intersections. The proposed stops are shown on the map for review before
+ * being added to the pattern with addProposedStopsToPattern.
+ */
+export function proposeStopsAlongLine () {
+  return async function (dispatch: dispatchFn, getState: getStateFn) {
+    const {data, editSettings} = getState().editor
+    const {
+      afterIntersection,
+      distanceFromIntersection,
+      preferIntersections,
+      stopInterval,
+      stopPlacementLine,
+      stopSnapRadius
+    } = editSettings.present
+    if (!stopPlacementLine || stopPlacementLine.length < 2) {
+      dispatch(setErrorMessage({message: 'Draw or copy a line before placing stops.'}))
+      return null
+    }
+    const proposedStops = await proposeStops(
+      stopPlacementLine,
+      getTableById(data.tables, 'stop'),
+      {
+        afterIntersection: Boolean(afterIntersection),
+        distanceFromIntersection,
+        preferIntersections,
+        snapRadius: stopSnapRadius,
+        spacing: stopInterval
+      }
+    )
+    dispatch(updateEditSetting({setting: 'proposedStops', value: proposedStops}))
+    return proposedStops
+  }
+}
+
+/**
+ * Creates the proposed stops that do not reuse existing stops and replaces the
+ * pattern's stops and shape with the proposed stops and the line they were
+ * placed along.
+ */
+export function addProposedStopsToPattern (
+  pattern: Pattern,
+  coordinates: Coordinates,
+  proposedStops: Array<ProposedStop>
+) {
+  return async function (dispatch: dispatchFn, getState: getStateFn) {
+    if (proposedStops.length < 2) {
+      dispatch(setErrorMessage({message: 'At least two stops are needed to add stops to a pattern.'}))
+      return
+    }
+    const stops = getTableById(getState().editor.data.tables, 'stop')
+    const patternStops = []
+    for (let i = 0; i < proposedStops.length; i++) {
+      const proposedStop = proposedStops[i]
+      let stop = proposedStop.existingStopId
+        ? stops.find(s => s.stop_id === proposedStop.existingStopId)
+        : null
+      if (!stop) {
+        // Create stops one at a time (multiple stops cannot be created in a
+        // single request).
+        const stopId = generateUID()
+        stop = await dispatch(newGtfsEntity(null, 'stop', {
+          id: ENTITY.NEW_ID,
+          stop_id: stopId,
+          stop_name: proposedStop.name || `New Stop (${stopId})`,
+          stop_lat: proposedStop.lat,
+          stop_lon: proposedStop.lon
+        }, true, false))
+        if (!stop) {
+          dispatch(setErrorMessage({message: 'Could not create stop. Stop placement stopped.'}))
+          return
+        }
+      }
+      const patternStop = stopToPatternStop(stop, i)
+      patternStop.shapeDistTraveled = proposedStop.distance
+      patternStops.push(patternStop)
+    }
+    // Split line into segments between consecutive stops.
+    const line = lineString(coordinates)
+    const patternSegments = proposedStops.slice(1).map((proposedStop, i) =>
+      ensureValidCoords(lineSliceAlong(
+        line,
+        proposedStops[i].distance / 1000,
+        proposedStop.distance / 1000
+      ).geometry.coordinates)
+    )
+    const controlPoints = controlPointsFromSegments(patternStops, patternSegments)
+    dispatch(updatePatternStops(pattern, patternStops))
+    dispatch(updatePatternGeometry({controlPoints, patternSegments}))
+    dispatch(updateEditSetting({setting: 'proposedStops', value: null}))
+    dispatch(updateEditSetting({setting: 'stopPlacementLine', value: null}))
+    return dispatch(saveActiveGtfsEntity('trippattern'))
+  }
+}
+
 export function addStopToPattern (pattern: Pattern, stop: GtfsStop, index?: ?number) {
   return async function (dispatch: dispatchFn, getState: getStateFn) {
     const {data, editSettings} = getState().editor
@@ -2,9 +2,15 @@
 
 import {createAction, type ActionType} from 'redux-actions'
 
-import {secureFetch} from '../../common/actions'
+import {fetchGraphQL, secureFetch} from '../../common/actions'
 import {getConfigProperty} from '../../common/util/config'
-import {handleJobResponse} from '../../manager/actions/status'
+import {handleJobResponse, setErrorMessage} from '../../manager/actions/status'
+import {
+  blockSnapshotsOnError,
+  countRuleErrors,
+  getRuleCheckQuery,
+  getValidationRules
+} from '../util/rules'
 
 import type {Feed, Snapshot} from '../../types'
 import type {dispatchFn, getStateFn} from '../../types/reducers'
@@ -97,9 +103,40 @@ export function createSnapshot (feedSource: Feed, name: string, comment?: ?strin
       name,
       comment
     }
-    dispatch(creatingSnapshot())
-    return dispatch(secureFetch(url, 'post', snapshot))
-      .then(res => dispatch(handleJobResponse(res, 'Error creating snapshot')))
+    return dispatch(fetchRuleErrorCount(feedSource))
+      .then(errorCount => {
+        // If the check failed, an error message has already been shown.
+        if (typeof errorCount !== 'number') return
+        if (errorCount > 0) {
+          dispatch(setErrorMessage({
+            message: `Snapshot cannot be created because the feed has ${errorCount} validation rule error(s). Fix the errors and try again.`
+          }))
+          return
+        }
+        dispatch(creatingSnapshot())
+        return dispatch(secureFetch(url, 'post', snapshot))
+          .then(res => dispatch(handleJobResponse(res, 'Error creating snapshot')))
+      })
+  }
+}
+
+/**
+ * Count the violations of custom validation rules with severity error for the
+ * feed source's editor data (if rule errors block snapshot creation). Resolves
+ * to null if the check could not be completed.
+ */
+function fetchRuleErrorCount (feedSource: Feed) {
+  return function (dispatch: dispatchFn, getState: getStateFn): Promise<?number> {
+    const rules = getValidationRules().filter(rule => rule.severity === 'error')
+    if (!blockSnapshotsOnError() || rules.length === 0 || !feedSource.editorNamespace) {
+      return Promise.resolve(0)
+    }
+    return dispatch(fetchGraphQL({
+      query: getRuleCheckQuery(rules),
+      variables: {namespace: feedSource.editorNamespace},
+      errorMessage: 'Could not check validation rules'
+    }))
+      .then(data => data ? countRuleErrors(data.feed, rules) : null)
   }
 }
 
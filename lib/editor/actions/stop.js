@@ -0,0 +1,265 @@
+// @flow
+
+import {deleteGtfsEntity, saveEntity} from './active'
+import {fetchGraphQL, secureFetch} from '../../common/actions'
+import {snakeCaseKeys} from '../../common/util/map-keys'
+import {getEntityGraphQLRoot, getGraphQLFieldsForEntity} from '../../gtfs/util'
+import {setErrorMessage} from '../../manager/actions/status'
+import {fetchBaseGtfs} from './editor'
+import {fetchTripsForPattern} from './trip'
+import {fetchTripPatterns, updateTripPattern} from './tripPattern'
+import {
+  getMergedStopIndexes,
+  getStopPatternUsages,
+  mergeStopAreas,
+  replaceMergedStopIds
+} from '../util/duplicates'
+import {getEditorNamespace, getTableById} from '../util/gtfs'
+import {tripPatternToGtfs} from '../util/objects'
+
+import type {PatternUsage} from '../util/duplicates'
+import type {Pattern, Trip} from '../../types'
+import type {dispatchFn, getStateFn} from '../../types/reducers'
+
+/**
+ * Fetch the stop IDs of every pattern in the editor feed. Rejects if the
+ * patterns could not be fetched.
+ */
+function fetchUsagePatterns (feedId: string) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    const namespace = getEditorNamespace(feedId, getState())
+    const query = `
+      query ($namespace: String) {
+        feed(namespace: $namespace) {
+          patterns (limit: -1) {
+            pattern_id
+            name
+            route_id
+            pattern_stops (limit: -1) {
+              stop_id
+            }
+          }
+        }
+      }
+    `
+    return dispatch(fetchGraphQL({
+      query,
+      variables: {namespace},
+      errorMessage: 'Could not fetch pattern stops'
+    }))
+      .then(data => {
+        if (!data) throw new Error('Could not fetch pattern stops')
+        return data.feed.patterns
+      })
+  }
+}
+
+/**
+ * Fetch the patterns that serve each stop in the editor feed (keyed by
+ * stop_id). The editor store only contains the patterns for the active route,
+ * so this is fetched separately for the duplicate stop tool.
+ */
+export function fetchStopPatternUsages (feedId: string) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    return dispatch(fetchUsagePatterns(feedId))
+      .then(getStopPatternUsages)
+      .catch((err): {[string]: Array<PatternUsage>} => {
+        console.warn(err)
+        return {}
+      })
+  }
+}
+
+/**
+ * Fetch the full (editor) fields of a single entity by its ID. Entities in the
+ * editor tables may only have a subset of fields, which must not be lost when
+ * the entity is saved.
+ */
+function fetchFullEntity (feedId: string, component: string, id: number) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    const namespace = getEditorNamespace(feedId, getState())
+    const root = getEntityGraphQLRoot(component)
+    const query = `
+      query ($namespace: String, $id: Int) {
+        feed(namespace: $namespace) {
+          ${root} (id: $id) {
+            id
+            ${getGraphQLFieldsForEntity(component, true)}
+          }
+        }
+      }
+    `
+    return dispatch(fetchGraphQL({query, variables: {namespace, id}}))
+      .then(data => {
+        const entity = data && data.feed[root][0]
+        if (!entity) throw new Error(`Could not fetch ${component} ${id}`)
+        return entity
+      })
+  }
+}
+
+// Run the tasks one after another, stopping at the first that fails.
+function runInSequence (tasks: Array<() => Promise<any>>): Promise<void> {
+  return tasks.reduce((promise, task) => promise.then(task), Promise.resolve())
+}
+
+/**
+ * Rewrite the pattern stops and stop times of a pattern that serves one of the
+ * merged stops. Stops are replaced one at a time (with a save for each
+ * replacement) so that each save is a simple single stop replacement.
+ */
+function mergePatternStops (
+  feedId: string,
+  pattern: Pattern,
+  survivingStopId: string,
+  mergedStopIds: Array<string>
+) {
+  return function (dispatch: dispatchFn, getState: getStateFn): Promise<void> {
+    const sessionId = getState().editor.data.lock.sessionId || ''
+    const patternName = pattern.name || pattern.patternId
+    let updatedPattern = pattern
+    const replaceStop = (index: number) => () => {
+      const patternStops = [...updatedPattern.patternStops]
+      patternStops[index] = {...patternStops[index], stopId: survivingStopId}
+      updatedPattern = {...updatedPattern, patternStops}
+      return dispatch(updateTripPattern(feedId, updatedPattern))
+        .then(saved => {
+          if (!saved) throw new Error(`Could not update stops for pattern ${patternName}`)
+        })
+    }
+    const replaceStopTimes = (trip: Trip) => () => {
+      const stopTimes = replaceMergedStopIds(trip.stopTimes, 'stopId', survivingStopId, mergedStopIds)
+      const url = `/api/editor/secure/trip/${trip.id || ''}?feedId=${feedId}&sessionId=${sessionId}`
+      return dispatch(secureFetch(url, 'put', snakeCaseKeys({...trip, stopTimes})))
+        .then(res => {
+          if (!res) throw new Error(`Could not update stop times for trip ${trip.tripId}`)
+        })
+    }
+    return runInSequence(
+      getMergedStopIndexes(pattern.patternStops, 'stopId', mergedStopIds).map(replaceStop)
+    )
+      .then(() => dispatch(fetchTripsForPattern(feedId, pattern.patternId)))
+      .then(trips => runInSequence(trips
+        .filter(trip => getMergedStopIndexes(trip.stopTimes, 'stopId', mergedStopIds).length > 0)
+        .map(replaceStopTimes)
+      ))
+  }
+}
+
+/**
+ * Rewrite the pattern stops and stop times of each of the route's patterns
+ * that serve one of the merged stops.
+ */
+function mergePatternStopsForRoute (
+  feedId: string,
+  routeId: number,
+  survivingStopId: string,
+  mergedStopIds: Array<string>
+) {
+  return function (dispatch: dispatchFn, getState: getStateFn): Promise<void> {
+    return dispatch(fetchFullEntity(feedId, 'route', routeId))
+      .then(route => runInSequence(route.tripPatterns
+        .map(tripPatternToGtfs)
+        .filter(pattern => getMergedStopIndexes(pattern.patternStops, 'stopId', mergedStopIds).length > 0)
+        .map(pattern => () =>
+          dispatch(mergePatternStops(feedId, pattern, survivingStopId, mergedStopIds)))
+      ))
+  }
+}
+
+/**
+ * Rewrite the pathways, stop areas and child stops (parent_station) that
+ * reference the merged stops.
+ */
+function mergeStopReferences (
+  feedId: string,
+  survivingStopId: string,
+  mergedStopIds: Array<string>
+) {
+  return function (dispatch: dispatchFn, getState: getStateFn): Promise<void> {
+    const {tables} = getState().editor.data
+    const isMerged = (stopId: ?string) => !!stopId && mergedStopIds.indexOf(stopId) !== -1
+    const replace = (stopId: ?string) => isMerged(stopId) ? survivingStopId : stopId
+    const save = (entity, component) =>
+      dispatch(saveEntity(feedId, entity, component, false, false))
+    return runInSequence([
+      ...getTableById(tables, 'pathway')
+        .filter(pathway => isMerged(pathway.from_stop_id) || isMerged(pathway.to_stop_id))
+        .map(pathway => () => dispatch(fetchFullEntity(feedId, 'pathway', pathway.id))
+          .then(entity => save({
+            ...entity,
+            from_stop_id: replace(entity.from_stop_id),
+            to_stop_id: replace(entity.to_stop_id)
+          }, 'pathway'))),
+      ...getTableById(tables, 'area')
+        .filter(area => getMergedStopIndexes(area.stop_areas || [], 'stop_id', mergedStopIds).length > 0)
+        .map(area => () => save({
+          ...area,
+          stop_areas: mergeStopAreas(area.stop_areas, survivingStopId, mergedStopIds)
+        }, 'area')),
+      ...getTableById(tables, 'stop')
+        .filter(stop => isMerged(stop.parent_station) && !isMerged(stop.stop_id))
+        .map(stop => () => dispatch(fetchFullEntity(feedId, 'stop', stop.id))
+          .then(entity => save({...entity, parent_station: survivingStopId}, 'stop')))
+    ])
+  }
+}
+
+/**
+ * Merge duplicate stops into the surviving stop using the existing editor
+ * endpoints: every pattern stop and stop time (as well as every pathway, stop
+ * area and child stop) that references one of the other stops is rewritten to
+ * the surviving stop_id, after which the other stops are deleted. Transfers
+ * are not edited in the editor, so there are none to rewrite. If any update
+ * fails, no stops are deleted (so that nothing references a deleted stop) and
+ * an error is shown. Resolves to whether the merge succeeded.
+ */
+export function mergeStops (
+  feedId: string,
+  survivingStopId: string,
+  stopIds: Array<string>
+) {
+  return function (dispatch: dispatchFn, getState: getStateFn): Promise<boolean> {
+    if (!getState().editor.data.lock.sessionId) {
+      console.warn('No sessionId defined, unable to merge stops!')
+      return Promise.resolve(false)
+    }
+    const mergedStopIds = stopIds.filter(id => id !== survivingStopId)
+    const namespace = getEditorNamespace(feedId, getState())
+    return dispatch(fetchUsagePatterns(feedId))
+      .then(patterns => {
+        const usages = getStopPatternUsages(patterns)
+        // Database IDs of the routes with patterns that serve the merged stops
+        const routes = getTableById(getState().editor.data.tables, 'route')
+        const routeIds = []
+        mergedStopIds.forEach(stopId => {
+          (usages[stopId] || []).forEach(usage => {
+            const route = routes.find(r => r.route_id === usage.routeId)
+            if (route && routeIds.indexOf(route.id) === -1) routeIds.push(route.id)
+          })
+        })
+        return runInSequence(routeIds.map(routeId => () =>
+          dispatch(mergePatternStopsForRoute(feedId, routeId, survivingStopId, mergedStopIds))))
+      })
+      .then(() => dispatch(mergeStopReferences(feedId, survivingStopId, mergedStopIds)))
+      .then(() => {
+        return runInSequence(getTableById(getState().editor.data.tables, 'stop')
+          .filter(stop => mergedStopIds.indexOf(stop.stop_id) !== -1)
+          .map(stop => () => dispatch(deleteGtfsEntity(feedId, 'stop', stop.id, undefined, false))))
+      })
+      .then(() => true)
+      .catch(err => {
+        console.warn(err)
+        dispatch(setErrorMessage({
+          message: `Could not merge stops into ${survivingStopId}. No stops were deleted, but references to the other stops may have been partially updated.`,
+          detail: err.message
+        }))
+        return false
+      })
+      .then(success => {
+        // Refresh pattern shapes on map and the stops table.
+        dispatch(fetchTripPatterns(feedId))
+        return dispatch(fetchBaseGtfs({namespace})).then(() => success)
+      })
+  }
+}
@@ -0,0 +1,67 @@
+// @flow
+
+import {deleteGtfsEntity, saveEntity} from './active'
+import {fetchBaseGtfs} from './editor'
+import {ENTITY} from '../constants'
+import {getEditorNamespace} from '../util/gtfs'
+import {getRecordTranslations} from '../util/translations'
+
+import type {GtfsTranslation} from '../../types'
+import type {dispatchFn, getStateFn} from '../../types/reducers'
+import type {TranslationRecord} from '../util/translations'
+
+export type TranslationValue = {
+  id?: number,
+  language: string,
+  translation: string
+}
+
+/**
+ * Replace the translations (in translations.txt) for the field of a record
+ * with the provided list of language/translation values. Translations are
+ * added, updated or deleted one at a time (and are not recorded in the editor
+ * history), after which the editor tables are refetched.
+ */
+export function saveTranslations (
+  feedId: string,
+  record: TranslationRecord,
+  values: Array<TranslationValue>
+) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    const namespace = getEditorNamespace(feedId, getState())
+    const existing: Array<GtfsTranslation> = getRecordTranslations(
+      getState().editor.data.tables.translations,
+      record
+    )
+    const toSave = values
+      .filter(value => {
+        const original = existing.find(t => t.id === value.id)
+        return !original ||
+          original.language !== value.language ||
+          original.translation !== value.translation
+      })
+      .map(value => ({
+        field_name: record.fieldName,
+        field_value: null,
+        id: typeof value.id === 'number' ? value.id : ENTITY.NEW_ID,
+        language: value.language,
+        record_id: record.recordId,
+        record_sub_id: null,
+        table_name: record.tableName,
+        translation: value.translation
+      }))
+    const toDelete = existing.filter(t => !values.some(value => value.id === t.id))
+    let promise = Promise.resolve()
+    toSave.forEach(translation => {
+      promise = promise
+        .then(() => dispatch(saveEntity(feedId, translation, 'translation', false, false)))
+    })
+    toDelete.forEach(translation => {
+      promise = promise
+        .then(() => dispatch(deleteGtfsEntity(feedId, 'translation', translation.id, undefined, false)))
+    })
+    return promise
+      .catch(err => console.warn('Could not save translations', err))
+      .then(() => dispatch(fetchBaseGtfs({namespace, feedSourceId: feedId})))
+  }
+}
@@ -5,18 +5,31 @@ import {createAction, type ActionType} from 'redux-actions'
 import {snakeCaseKeys} from '../../common/util/map-keys'
 import {createVoidPayloadAction, fetchGraphQL, secureFetch} from '../../common/actions'
 import {setErrorMessage} from '../../manager/actions/status'
+import {cleanFrequencyWindows} from '../util/frequencies'
+import type {BlockTrip} from '../util/blocks'
+import {applyRunningTimeProfiles, getRunningTimeProfiles} from '../util/runningTimes'
 import {entityIsNew} from '../util/objects'
 import {getEditorNamespace} from '../util/gtfs'
 
-import type {Pattern, TimetableColumn, Trip} from '../../types'
-import type {dispatchFn, getStateFn, TripCounts} from '../../types/reducers'
+import type {
+  Pattern,
+  RunningTimeProfile,
+  StopTime,
+  TimetableColumn,
+  Trip
+} from '../../types'
+import type {AppState, dispatchFn, getStateFn, TripCounts} from '../../types/reducers'
 
-export const addNewTrip = createAction(
+export const addFrequencyWindow = createAction(
+  'ADD_FREQUENCY_WINDOW',
+  (payload: { rowIndexes: Array<number> }) => payload
+)
+const addTrip = createAction(
   'ADD_NEW_TRIP',
   (payload: Trip) => payload
 )
 const deletingTrips = createVoidPayloadAction('DELETING_TRIPS_FOR_CALENDAR')
-export const offsetRows = createAction(
+const offsetTripRows = createAction(
   'OFFSET_ROWS',
   (payload: {columns: TimetableColumn[], offset: number, rowIndexes: number[]}) => payload
 )
@@ -45,6 +58,10 @@ export const setOffset = createAction(
   'SET_TIMETABLE_OFFSET',
   (payload: number) => payload
 )
+const setTripStopTimes = createAction(
+  'SET_TRIP_STOP_TIMES',
+  (payload: { rowIndex: number, stopTimes: Array<StopTime> }) => payload
+)
 export const setScrollIndexes = createAction(
   'SET_TIMETABLE_SCROLL_INDEXES',
   (payload: { scrollToColumn: number, scrollToRow: number }) => payload
@@ -67,9 +84,10 @@ export const updateCellValue = createAction(
   }) => payload
 )
 
-export type EditorTripActions = ActionType<typeof addNewTrip> |
+export type EditorTripActions = ActionType<typeof addFrequencyWindow> |
+  ActionType<typeof addTrip> |
   ActionType<typeof deletingTrips> |
-  ActionType<typeof offsetRows> |
+  ActionType<typeof offsetTripRows> |
   ActionType<typeof receiveTripCounts> |
   ActionType<typeof receiveTripCountsForPattern> |
   ActionType<typeof receiveTripsForCalendar> |
@@ -78,11 +96,107 @@ export type EditorTripActions = ActionType<typeof addNewTrip> |
   ActionType<typeof setActiveCell> |
   ActionType<typeof setOffset> |
   ActionType<typeof setScrollIndexes> |
+  ActionType<typeof setTripStopTimes> |
   ActionType<typeof toggleAllRows> |
   ActionType<typeof toggleDepartureTimes> |
   ActionType<typeof toggleRowSelection> |
   ActionType<typeof updateCellValue>
 
+/**
+ * Get the running time profiles for the active pattern (timetable-based
+ * patterns only, because frequency-based trips have relative stop times).
+ */
+function getActivePatternProfiles (state: AppState): Array<RunningTimeProfile> {
+  const {feedSourceId, subEntity: pattern} = state.editor.data.active
+  if (!pattern || pattern.useFrequency) return []
+  return getRunningTimeProfiles(feedSourceId, pattern.patternId)
+}
+
+/**
+ * Add a new (unsaved) trip to the timetable, applying the active pattern's
+ * running time profile for the trip's first departure time (if the pattern has
+ * profiles).
+ */
+export function addNewTrip (trip: Trip) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    const state = getState()
+    const pattern = state.editor.data.active.subEntity
+    const profiles = getActivePatternProfiles(state)
+    dispatch(addTrip(pattern
+      ? applyRunningTimeProfiles(trip, pattern.patternStops, profiles)
+      : trip
+    ))
+  }
+}
+
+/**
+ * Offset the times for the rows (trips) in the timetable. If the active
+ * pattern has running time profiles, the offset trips' stop times are then
+ * recalculated from the profile for their new first departure time.
+ */
+export function offsetRows (payload: {columns: TimetableColumn[], offset: number, rowIndexes: number[]}) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    dispatch(offsetTripRows(payload))
+    const state = getState()
+    const pattern = state.editor.data.active.subEntity
+    const profiles = getActivePatternProfiles(state)
+    if (!pattern || profiles.length === 0) return
+    payload.rowIndexes.forEach(rowIndex => {
+      const trip = getState().editor.timetable.trips[rowIndex]
+      if (!trip) return
+      const {stopTimes} = applyRunningTimeProfiles(trip, pattern.patternStops, profiles)
+      dispatch(setTripStopTimes({rowIndex, stopTimes}))
+    })
+  }
+}
+
+// Trip fields (and nested frequencies and stop times) used by the timetable
+// editor.
+const TRIP_FIELDS = `
+  id
+  frequencies {
+    startTime: start_time
+    endTime: end_time
+    headwaySecs: headway_secs
+    exactTimes: exact_times
+  }
+  tripId: trip_id
+  tripHeadsign: trip_headsign
+  tripShortName: trip_short_name
+  blockId: block_id
+  directionId: direction_id
+  route_id
+  shape_id
+  wheelchair_accessible
+  bikes_allowed
+  pattern_id
+  service_id
+  stopTimes: stop_times (limit: -1) {
+    stopId: stop_id
+    stopSequence: stop_sequence
+    arrivalTime: arrival_time
+    departureTime: departure_time
+    stopHeadsign: stop_headsign
+    shape_dist_traveled: shape_dist_traveled
+    pickup_type
+    drop_off_type
+    timepoint
+  }
+`
+
+// This fetches patterns on the pattern_id field (rather than ID) because
+// pattern_id is needed to join on the nested trips table
+const TRIPS_FOR_CALENDAR_QUERY = `query ($namespace: String, $pattern_id: [String], $service_id: [String]) {
+  feed(namespace: $namespace) {
+    patterns (pattern_id: $pattern_id, limit: -1) {
+      id: pattern_id
+      trips (service_id: $service_id, limit: -1) {
+        ${TRIP_FIELDS}
+      }
+    }
+  }
+}`
+
 // REST actions
 export function fetchTripsForCalendar (
   feedId: string,
@@ -92,60 +206,134 @@ export function fetchTripsForCalendar (
 ) {
   return function (dispatch: dispatchFn, getState: getStateFn) {
     const namespace = getEditorNamespace(feedId, getState())
-    // This fetches patterns on the pattern_id field (rather than ID) because
-    // pattern_id is needed to join on the nested trips table
-    const query = `query ($namespace: String, $pattern_id: [String], $service_id: [String]) {
-    feed(namespace: $namespace) {
+    dispatch(requestingTripsForCalendar())
+    // FIXME: string casting pattern id
+    return dispatch(fetchGraphQL({
+      query: TRIPS_FOR_CALENDAR_QUERY,
+      variables: {namespace, pattern_id: pattern.patternId, service_id: calendarId},
+      errorMessage: 'Could not fetch trips for pattern'
+    }))
+      .then(data => dispatch(receiveTripsForCalendar({trips: data.feed.patterns[0].trips, pattern})))
+      .then(() => {
+        fetchCounts && dispatch(fetchCalendarTripCountsForPattern(feedId, pattern.patternId))
+      })
+  }
+}
+
+/**
+ * Fetch all trips (for every calendar) for a pattern. Unlike
+ * fetchTripsForCalendar, the trips are not loaded into the timetable editor,
+ * but are returned in the promise.
+ */
+export function fetchTripsForPattern (feedId: string, patternId: string) {
+  return function (dispatch: dispatchFn, getState: getStateFn): Promise<Array<Trip>> {
+    const namespace = getEditorNamespace(feedId, getState())
+    const query = `query ($namespace: String, $pattern_id: [String]) {
+      feed(namespace: $namespace) {
         patterns (pattern_id: $pattern_id) {
           id: pattern_id
-          trips (service_id: $service_id, limit: -1) {
-            id
-            frequencies {
-              startTime: start_time
-              endTime: end_time
-              headwaySecs: headway_secs
-              exactTimes: exact_times
-            }
-            tripId: trip_id
-            tripHeadsign: trip_headsign
-            tripShortName: trip_short_name
-            blockId: block_id
-            directionId: direction_id
-            route_id
-            shape_id
-            wheelchair_accessible
-            bikes_allowed
-            pattern_id
-            service_id
-            stopTimes: stop_times (limit: -1) {
-              stopId: stop_id
-              stopSequence: stop_sequence
-              arrivalTime: arrival_time
-              departureTime: departure_time
-              stopHeadsign: stop_headsign
-              shape_dist_traveled: shape_dist_traveled
-              pickup_type
-              drop_off_type
-              timepoint
-            }
+          trips (limit: -1) {
+            ${TRIP_FIELDS}
           }
         }
       }
     }`
-    dispatch(requestingTripsForCalendar())
-    // FIXME: string casting pattern id
     return dispatch(fetchGraphQL({
       query,
-      variables: {namespace, pattern_id: pattern.patternId, service_id: calendarId},
+      variables: {namespace, pattern_id: patternId},
       errorMessage: 'Could not fetch trips for pattern'
     }))
-      .then(data => dispatch(receiveTripsForCalendar({trips: data.feed.patterns[0].trips, pattern})))
-      .then(() => {
-        fetchCounts && dispatch(fetchCalendarTripCountsForPattern(feedId, pattern.patternId))
+      .then(data => {
+        if (!data) throw new Error('Could not fetch trips for pattern')
+        return data.feed.patterns[0] ? data.feed.patterns[0].trips : []
+      })
+  }
+}
+
+/**
+ * Fetch the trips for a calendar for multiple patterns (with the same query
+ * used by fetchTripsForCalendar). The trips are not loaded into the timetable
+ * editor, but are returned in the promise keyed by pattern_id.
+ */
+export function fetchTripsForPatternsAndCalendar (
+  feedId: string,
+  patternIds: Array<string>,
+  calendarId: string
+) {
+  return function (dispatch: dispatchFn, getState: getStateFn): Promise<{[string]: Array<Trip>}> {
+    const namespace = getEditorNamespace(feedId, getState())
+    return dispatch(fetchGraphQL({
+      query: TRIPS_FOR_CALENDAR_QUERY,
+      variables: {namespace, pattern_id: patternIds, service_id: calendarId},
+      errorMessage: 'Could not fetch trips for patterns'
+    }))
+      .then(data => {
+        const tripsByPatternId = {}
+        if (data) {
+          data.feed.patterns.forEach(pattern => {
+            tripsByPatternId[pattern.id] = pattern.trips
+          })
+        }
+        return tripsByPatternId
+      })
+  }
+}
+
+/**
+ * Fetch the trips (across all patterns) for a calendar for use in the block
+ * scheduling view. Frequency-based trips are excluded because they do not
+ * represent a single vehicle trip. The trips are returned in the promise (with
+ * the name of each trip's pattern).
+ */
+export function fetchTripsForBlocks (feedId: string, calendarId: string) {
+  return function (dispatch: dispatchFn, getState: getStateFn): Promise<Array<BlockTrip>> {
+    const namespace = getEditorNamespace(feedId, getState())
+    const query = `query ($namespace: String, $service_id: [String]) {
+      feed(namespace: $namespace) {
+        patterns (limit: -1) {
+          id: pattern_id
+          name
+          trips (service_id: $service_id, limit: -1) {
+            ${TRIP_FIELDS}
+          }
+        }
+      }
+    }`
+    return dispatch(fetchGraphQL({
+      query,
+      variables: {namespace, service_id: calendarId},
+      errorMessage: 'Could not fetch trips for calendar'
+    }))
+      .then(data => {
+        if (!data) return []
+        const trips = []
+        data.feed.patterns.forEach(pattern => {
+          pattern.trips
+            .filter(trip => !trip.frequencies || trip.frequencies.length === 0)
+            .forEach(trip => trips.push({...trip, patternName: pattern.name}))
+        })
+        return trips
       })
   }
 }
 
+/**
+ * Assign a trip to a block (or remove it from any block if blockId is null).
+ * Resolves to true if the trip was saved successfully.
+ */
+export function updateTripBlock (feedId: string, trip: BlockTrip, blockId: ?string) {
+  return function (dispatch: dispatchFn, getState: getStateFn): Promise<boolean> {
+    const sessionId = getState().editor.data.lock.sessionId || ''
+    const url = `/api/editor/secure/trip/${trip.id}?feedId=${feedId}&sessionId=${sessionId}`
+    // Remove fields that were added for the block view.
+    const {patternName, ...tripToSave} = trip
+    return dispatch(secureFetch(url, 'put', snakeCaseKeys({...tripToSave, blockId})))
+      // secureFetch resolves to null (after showing an error) if the request
+      // fails.
+      .then(res => !!res)
+  }
+}
+
 export function saveTripsForCalendar (
   feedId: string,
   pattern: Pattern,
@@ -155,7 +343,8 @@ export function saveTripsForCalendar (
   return function (dispatch: dispatchFn, getState: getStateFn) {
     const errorIndexes = []
     const sessionId = getState().editor.data.lock.sessionId || ''
-    trips = trips.map(snakeCaseKeys)
+    // Remove any empty frequency windows before saving.
+    trips = trips.map(trip => snakeCaseKeys(cleanFrequencyWindows(trip)))
     return Promise.all(trips.filter(t => t).map((trip, index) => {
       const tripExists = !entityIsNew(trip) && trip.id !== null
       const method = tripExists ? 'put' : 'post'
@@ -7,7 +7,9 @@ import {createVoidPayloadAction, secureFetch} from '../../common/actions'
 import {snakeCaseKeys} from '../../common/util/map-keys'
 import {generateUID} from '../../common/util/util'
 import {fetchGTFSEntities} from '../../manager/actions/versions'
-import {fetchTripCounts} from './trip'
+import {setErrorMessage} from '../../manager/actions/status'
+import {fetchTripCounts, fetchTripsForPattern} from './trip'
+import {collapseTripsToFrequencies, expandFrequencyTrip} from '../util/frequencies'
 import {getEditorNamespace} from '../util/gtfs'
 import {resequenceStops, resequenceShapePoints} from '../util/map'
 import {entityIsNew} from '../util/objects'
@@ -89,6 +91,56 @@ export function fetchTripPatterns (feedId: string) {
   }
 }
 
+/**
+ * Get the request body for saving the trip pattern (mapped to the back end
+ * model).
+ */
+function getTripPatternData (tripPattern: Pattern): Object {
+  // Resequence shape points to ready shape_points for insertion into shapes
+  // table. NOTE: if the pattern shape has been edited, the sequence should
+  // already be correct. However, if it is unedited, it may not be zero-based,
+  // so we prevent that here.
+  // NOTE: This must be applied before snake case-ing (because
+  // resequenceShapePoints updates the camelCase field shapePtSequence).
+  tripPattern.patternStops = tripPattern.patternStops.map(resequenceStops)
+  if (!tripPattern.shapeId) {
+    // If trip pattern has no shape ID (e.g., if the pattern was imported
+    // without shapes), generate one and assign shape points to the new ID.
+    const shapeId = generateUID()
+    tripPattern.shapeId = shapeId
+    tripPattern.shapePoints = tripPattern.shapePoints.map(sp => ({...sp, shapeId}))
+  }
+  tripPattern.shapePoints = tripPattern.shapePoints.map(resequenceShapePoints)
+  const patternData = snakeCaseKeys(tripPattern)
+  // Shape points must be assigned to shapes field in order to match back end
+  // model and apply updates.
+  patternData.shapes = patternData.shape_points
+  // Remove large fields that are unrecognized by the back end.
+  delete patternData.shape_points
+  delete patternData.shape
+  patternData.id = entityIsNew(tripPattern) ? null : tripPattern.id
+  return patternData
+}
+
+/**
+ * Save changes to an existing trip pattern that is not necessarily the active
+ * pattern (e.g., when merging stops). Unlike saveTripPattern, the active
+ * entity is neither refetched nor reset. Resolves with whether the save
+ * succeeded.
+ */
+export function updateTripPattern (feedId: string, tripPattern: Pattern) {
+  return function (dispatch: dispatchFn, getState: getStateFn): Promise<boolean> {
+    const sessionId = getState().editor.data.lock.sessionId || ''
+    const url = `/api/editor/secure/pattern/${tripPattern.id}?feedId=${feedId}&sessionId=${sessionId}`
+    return dispatch(secureFetch(url, 'put', getTripPatternData(tripPattern)))
+      .then(res => !!res)
+  }
+}
+
+/**
+ * Save the trip pattern and refetch the route's patterns. Resolves with false
+ * if the save fails (in which case the active pattern is reset).
+ */
 export function saveTripPattern (feedId: ?string, tripPattern: Pattern) {
   return function (dispatch: dispatchFn, getState: getStateFn) {
     if (!feedId) {
@@ -106,33 +158,10 @@ export function saveTripPattern (feedId: ?string, tripPattern: Pattern) {
       return
     }
     const {id: routeId} = data.active.entity
-    // Resequence shape points to ready shape_points for insertion into shapes
-    // table. NOTE: if the pattern shape has been edited, the sequence should
-    // already be correct. However, if it is unedited, it may not be zero-based,
-    // so we prevent that here.
-    // NOTE: This must be applied before snake case-ing (because
-    // resequenceShapePoints updates the camelCase field shapePtSequence).
-    tripPattern.patternStops = tripPattern.patternStops.map(resequenceStops)
-    if (!tripPattern.shapeId) {
-      // If trip pattern has no shape ID (e.g., if the pattern was imported
-      // without shapes), generate one and assign shape points to the new ID.
-      const shapeId = generateUID()
-      tripPattern.shapeId = shapeId
-      tripPattern.shapePoints = tripPattern.shapePoints.map(sp => ({...sp, shapeId}))
-    }
-    tripPattern.shapePoints = tripPattern.shapePoints.map(resequenceShapePoints)
-    const patternData = snakeCaseKeys(tripPattern)
-    // Shape points must be assigned to shapes field in order to match back end
-    // model and apply updates.
-    patternData.shapes = patternData.shape_points
-    // Remove large fields that are unrecognized by the back end.
-    delete patternData.shape_points
-    delete patternData.shape
     const url = patternIsNew
       ? `/api/editor/secure/pattern?feedId=${feedId}&sessionId=${sessionId}`
       : `/api/editor/secure/pattern/${tripPattern.id}?feedId=${feedId}&sessionId=${sessionId}`
-    patternData.id = patternIsNew ? null : tripPattern.id
-    return dispatch(secureFetch(url, method, patternData))
+    return dispatch(secureFetch(url, method, getTripPatternData(tripPattern)))
       .then(res => res.json())
       .then(newTripPattern => {
         dispatch(savedGtfsEntity())
@@ -155,6 +184,7 @@ export function saveTripPattern (feedId: ?string, tripPattern: Pattern) {
           entity: tripPattern,
           component: 'trippattern'
         }))
+        return false
       })
   }
 }
@@ -173,3 +203,106 @@ export function deleteAllTripsForPattern (feedId: string, patternId: string) {
       .then(() => dispatch(fetchTripCounts(feedId)))
   }
 }
+
+/**
+ * Switch a pattern between frequency-based and timetable-based trips,
+ * converting its existing trips (on every calendar) rather than deleting them.
+ * Frequency-based trips are expanded into an explicit trip for each departure
+ * and explicit trips are collapsed into frequency-based trips (see
+ * collapseTripsToFrequencies). The converted trips are created first, then the
+ * pattern's useFrequency is saved and finally the original trips are deleted.
+ * If any step fails, the converted trips already created are deleted (and
+ * useFrequency is restored) so that the pattern keeps its original trips.
+ */
+export function convertTripsForPattern (
+  feedId: string,
+  pattern: Pattern,
+  useFrequency: boolean
+) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    const sessionId = getState().editor.data.lock.sessionId || ''
+    const tripUrl = `/api/editor/secure/trip?feedId=${feedId}&sessionId=${sessionId}`
+    const createdTripIds: Array<number> = []
+    let patternSaved = false
+    return dispatch(fetchTripsForPattern(feedId, pattern.patternId))
+      .then(trips => {
+        const tripsToDelete = trips.filter(t => useFrequency
+          ? t.frequencies.length === 0
+          : t.frequencies.length > 0
+        )
+        const convertedTrips = useFrequency
+          ? collapseTripsToFrequencies(tripsToDelete)
+          : tripsToDelete.reduce((result, t) => result.concat(expandFrequencyTrip(t)), [])
+        // Create converted trips one at a time.
+        return convertedTrips.reduce(
+          (promise, trip) => promise
+            .then(() => dispatch(secureFetch(tripUrl, 'post', snakeCaseKeys(trip))))
+            .then(res => {
+              if (!res) throw new Error('Could not create converted trip')
+              return res.json()
+            })
+            .then(createdTrip => { createdTripIds.push(createdTrip.id) }),
+          Promise.resolve()
+        )
+          .then(() => dispatch(savePatternUseFrequency(feedId, pattern, useFrequency)))
+          .then(saved => {
+            if (!saved) throw new Error('Could not save pattern')
+            patternSaved = true
+            if (tripsToDelete.length === 0) return
+            const tripIds = tripsToDelete.map(t => t.id).join(',')
+            return dispatch(secureFetch(`${tripUrl}&tripIds=${tripIds}`, 'delete'))
+              .then(res => {
+                if (!res) throw new Error('Could not delete original trips')
+              })
+          })
+      })
+      .catch(err => {
+        console.warn(err)
+        return dispatch(revertTripConversion(feedId, pattern, createdTripIds, patternSaved))
+          .then(reverted => dispatch(setErrorMessage({
+            message: reverted
+              ? `Could not convert trips for pattern ${pattern.name}. The pattern and its original trips are unchanged.`
+              : `Could not convert trips for pattern ${pattern.name} and the ${createdTripIds.length} converted trips that were created could not be removed. Check the pattern for duplicate trips.`
+          })))
+      })
+      .then(() => dispatch(fetchTripCounts(feedId)))
+  }
+}
+
+function savePatternUseFrequency (feedId: string, pattern: Pattern, useFrequency: boolean) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    const props = {useFrequency: useFrequency ? 1 : 0}
+    dispatch(updateActiveGtfsEntity({component: 'trippattern', entity: pattern, props}))
+    return dispatch(saveTripPattern(feedId, ({...pattern, ...props}: any)))
+      .then(result => result !== false)
+  }
+}
+
+/**
+ * Undo a failed trip conversion by deleting the converted trips that were
+ * created and restoring the pattern's useFrequency (if it was saved).
+ * Resolves with whether the conversion was fully reverted.
+ */
+function revertTripConversion (
+  feedId: string,
+  pattern: Pattern,
+  createdTripIds: Array<number>,
+  patternSaved: boolean
+) {
+  return function (dispatch: dispatchFn, getState: getStateFn): Promise<boolean> {
+    const sessionId = getState().editor.data.lock.sessionId || ''
+    const url = `/api/editor/secure/trip?feedId=${feedId}&sessionId=${sessionId}&tripIds=${createdTripIds.join(',')}`
+    const deleteCreatedTrips = createdTripIds.length > 0
+      ? dispatch(secureFetch(url, 'delete')).then(res => !!res)
+      : Promise.resolve(true)
+    return deleteCreatedTrips
+      .then(deleted => {
+        if (!deleted || !patternSaved) return deleted
+        return dispatch(savePatternUseFrequency(feedId, pattern, !!pattern.useFrequency))
+      })
+      .catch(err => {
+        console.warn(err)
+        return false
+      })
+  }
+}
@@ -0,0 +1,125 @@
+// @flow
+
+import Icon from '@conveyal/woonerf/components/icon'
+import React, {Component} from 'react'
+import {Button, ListGroup, ListGroupItem} from 'react-bootstrap'
+
+import {updateActiveGtfsEntity} from '../actions/active'
+import {generateNullProps, getEntityName, getTableById} from '../util/gtfs'
+import VirtualizedEntitySelect from './VirtualizedEntitySelect'
+
+import type {GtfsArea, GtfsStop} from '../../types'
+import type {EditorTables} from '../../types/reducers'
+import type {EntityOption} from './VirtualizedEntitySelect'
+
+type Props = {
+  activeComponent: string,
+  activeEntity: GtfsArea,
+  tableData: EditorTables,
+  updateActiveGtfsEntity: typeof updateActiveGtfsEntity
+}
+
+let newId = -1
+
+/**
+ * Form for assigning stops to a Fares v2 area (i.e., the stop_areas for the
+ * area). Stop areas are nested under the area entity in the same way that fare
+ * rules are nested under fares.
+ */
+export default class AreaStopsForm extends Component<Props> {
+  _updateStopAreas = (stopAreas: $PropertyType<GtfsArea, 'stop_areas'>) => {
+    const {activeComponent, activeEntity, updateActiveGtfsEntity} = this.props
+    updateActiveGtfsEntity({
+      component: activeComponent,
+      entity: activeEntity,
+      props: {stop_areas: stopAreas}
+    })
+  }
+
+  _onChangeStop = (option: ?EntityOption) => {
+    const {activeEntity} = this.props
+    const stopAreas = activeEntity.stop_areas || []
+    if (!option) return
+    const stopId = option.value
+    if (stopAreas.some(sa => sa.stop_id === stopId)) return
+    // Add new stop area to beginning of array
+    this._updateStopAreas([
+      {
+        ...generateNullProps('stop_areas'),
+        id: newId--,
+        area_id: activeEntity.area_id,
+        stop_id: stopId
+      },
+      ...stopAreas
+    ])
+  }
+
+  _onClickRemove = (index: number) => {
+    const stopAreas = [...this.props.activeEntity.stop_areas]
+    stopAreas.splice(index, 1)
+    this._updateStopAreas(stopAreas)
+  }
+
+  render () {
+    const {activeEntity, tableData} = this.props
+    const stopAreas = activeEntity.stop_areas || []
+    const stops: Array<GtfsStop> = getTableById(tableData, 'stop')
+    return (
+      <div data-test-id='area-stops-form'>
+        <p>
+          Specify which stops belong to the <strong>{activeEntity.area_id}</strong> area.
+          Stations include all of their child stops.
+        </p>
+        <span className='pull-right'>
+          {stopAreas.length} stops in this area
+        </span>
+        <VirtualizedEntitySelect
+          // Clear the value after each selection so that more stops can be added.
+          value={null}
+          component='stop'
+          entityKey='stop_id'
+          key={`${activeEntity.id}-${stopAreas.length}`}
+          entities={stops}
+          onChange={this._onChangeStop} />
+        <ListGroup style={{marginTop: '15px'}}>
+          {stopAreas.map((stopArea, index) => {
+            const stop = stops.find(s => s.stop_id === stopArea.stop_id)
+            return (
+              <StopAreaItem
+                index={index}
+                key={stopArea.id}
+                label={stop ? getEntityName(stop) : stopArea.stop_id}
+                onRemove={this._onClickRemove} />
+            )
+          })}
+        </ListGroup>
+      </div>
+    )
+  }
+}
+
+type ItemProps = {
+  index: number,
+  label: string,
+  onRemove: number => void
+}
+
+class StopAreaItem extends Component<ItemProps> {
+  _onClickRemove = () => this.props.onRemove(this.props.index)
+
+  render () {
+    return (
+      <ListGroupItem>
+        <Button
+          bsSize='xsmall'
+          bsStyle='danger'
+          className='pull-right'
+          onClick={this._onClickRemove}
+          title='Remove stop from area'>
+          <Icon type='times' />
+        </Button>
+        {this.props.label}
+      </ListGroupItem>
+    )
+  }
+}
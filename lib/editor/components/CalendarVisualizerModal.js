@@ -0,0 +1,276 @@
+// @flow
+
+import Icon from '@conveyal/woonerf/components/icon'
+import moment from 'moment'
+import React, {Component} from 'react'
+import {Button, ButtonToolbar, Label, Modal} from 'react-bootstrap'
+
+import * as activeActions from '../actions/active'
+import * as editorActions from '../actions/editor'
+import {
+  getExceptionsByDate,
+  getMonthWeeks,
+  getServiceDateRange,
+  getServiceForDate
+} from '../util/calendars'
+import {getTableById} from '../util/gtfs'
+
+import type {DateService} from '../util/calendars'
+import type {ScheduleException, ServiceCalendar} from '../../types'
+import type {EditorTables} from '../../types/reducers'
+
+type Props = {
+  feedSourceId: string,
+  newGtfsEntity: typeof editorActions.newGtfsEntity,
+  onClose: () => void,
+  setActiveEntity: typeof activeActions.setActiveEntity,
+  show: boolean,
+  tables: EditorTables
+}
+
+type State = {
+  month: string,
+  selectedDate: ?string
+}
+
+const DATE_FORMAT = 'YYYYMMDD'
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const COLORS = {
+  EXCEPTION: '#d9edf7',
+  NO_SERVICE: '#f2dede',
+  OUTSIDE_RANGE: '#f5f5f5',
+  SELECTED: '#337ab7'
+}
+
+/**
+ * Month-grid calendar showing the service IDs that are active on each date
+ * after applying the calendars and schedule exceptions. Dates without service
+ * (e.g., holidays) are highlighted. Clicking a date shows the service for the
+ * date along with options to add (or edit) a schedule exception.
+ */
+export default class CalendarVisualizerModal extends Component<Props, State> {
+  constructor (props: Props) {
+    super(props)
+    const range = this._getDateRange(props)
+    const today = moment().format(DATE_FORMAT)
+    // Start on the current month if it is within the feed's service range.
+    const month = !range || (today >= range.startDate && today <= range.endDate)
+      ? today
+      : range.startDate
+    this.state = {
+      month: moment(month, DATE_FORMAT).startOf('month').format(DATE_FORMAT),
+      selectedDate: null
+    }
+  }
+
+  _getCalendars = (props: Props = this.props): Array<ServiceCalendar> =>
+    getTableById(props.tables, 'calendar')
+
+  _getExceptions = (props: Props = this.props): Array<ScheduleException> =>
+    getTableById(props.tables, 'scheduleexception')
+
+  _getDateRange (props: Props) {
+    return getServiceDateRange(this._getCalendars(props), this._getExceptions(props))
+  }
+
+  _offsetMonth (months: number) {
+    const month = moment(this.state.month, DATE_FORMAT)
+      .add(months, 'months')
+      .format(DATE_FORMAT)
+    this.setState({month})
+  }
+
+  _onClickPrevious = () => this._offsetMonth(-1)
+
+  _onClickNext = () => this._offsetMonth(1)
+
+  _onClickDate = (date: string) => this.setState({selectedDate: date})
+
+  _onClickAddException = () => {
+    const {feedSourceId, newGtfsEntity, onClose} = this.props
+    const {selectedDate} = this.state
+    if (!selectedDate) return
+    newGtfsEntity(feedSourceId, 'scheduleexception', {
+      dates: [selectedDate],
+      name: moment(selectedDate, DATE_FORMAT).format('MMM D, YYYY')
+    })
+    onClose()
+  }
+
+  _onClickEditException = (exception: ScheduleException) => {
+    const {feedSourceId, onClose, setActiveEntity} = this.props
+    setActiveEntity(feedSourceId, 'scheduleexception', exception)
+    onClose()
+  }
+
+  _getCalendarName = (serviceId: string) => {
+    const calendar = this._getCalendars().find(c => c.service_id === serviceId)
+    return calendar && calendar.description
+      ? `${calendar.description} (${serviceId})`
+      : serviceId
+  }
+
+  _renderDate (service: DateService, inRange: boolean) {
+    const {date, exception, serviceIds} = service
+    const isSelected = date === this.state.selectedDate
+    const noService = inRange && serviceIds.length === 0
+    const backgroundColor = noService
+      ? COLORS.NO_SERVICE
+      : exception
+        ? COLORS.EXCEPTION
+        : !inRange
+          ? COLORS.OUTSIDE_RANGE
+          : 'white'
+    return (
+      <td
+        key={date}
+        onClick={() => this._onClickDate(date)}
+        style={{
+          backgroundColor,
+          border: isSelected ? `2px solid ${COLORS.SELECTED}` : '1px solid #ddd',
+          cursor: 'pointer',
+          height: '70px',
+          padding: '3px',
+          verticalAlign: 'top',
+          width: `${100 / 7}%`
+        }}
+        title={serviceIds.join(', ')}>
+        <strong>{moment(date, DATE_FORMAT).date()}</strong>
+        {exception &&
+          <Icon type='exclamation-circle' className='pull-right text-info' />
+        }
+        <div className='small' style={{overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'}}>
+          {noService
+            ? <span className='text-danger'>No service</span>
+            : serviceIds.join(', ')
+          }
+        </div>
+        {exception &&
+          <div className='small text-muted' style={{overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'}}>
+            {exception.name}
+          </div>
+        }
+      </td>
+    )
+  }
+
+  _renderSelectedDate (service: DateService) {
+    const {date, exception, regularServiceIds, serviceIds} = service
+    return (
+      <div style={{marginTop: '10px'}}>
+        <h4>{moment(date, DATE_FORMAT).format('dddd, MMMM D, YYYY')}</h4>
+        <p>
+          {serviceIds.length > 0
+            ? <span>Service running: {serviceIds.map(id => (
+              <span key={id}><Label bsStyle='success'>{this._getCalendarName(id)}</Label>{' '}</span>
+            ))}</span>
+            : <span className='text-danger'>No service on this date.</span>
+          }
+        </p>
+        {exception &&
+          <p>
+            Exception <strong>{exception.name}</strong> applies to this date
+            {regularServiceIds.join() !== serviceIds.join() &&
+              <span>
+                {' '}(regular service: {regularServiceIds.length > 0
+                  ? regularServiceIds.join(', ')
+                  : 'none'})
+              </span>
+            }.
+          </p>
+        }
+        <ButtonToolbar>
+          {exception
+            ? <Button
+              bsSize='small'
+              onClick={() => this._onClickEditException(exception)}>
+              <Icon type='pencil' /> Edit exception
+            </Button>
+            : <Button
+              bsSize='small'
+              bsStyle='primary'
+              onClick={this._onClickAddException}>
+              <Icon type='plus' /> Add exception on this date
+            </Button>
+          }
+        </ButtonToolbar>
+      </div>
+    )
+  }
+
+  render () {
+    const {onClose, show} = this.props
+    const {month, selectedDate} = this.state
+    const calendars = this._getCalendars()
+    const exceptionsByDate = getExceptionsByDate(this._getExceptions())
+    const range = this._getDateRange(this.props)
+    const isInRange = date => !!range &&
+      date >= range.startDate && date <= range.endDate
+    const monthMoment = moment(month, DATE_FORMAT)
+    const hasPrevious = range && month > range.startDate
+    const hasNext = range && monthMoment.clone().endOf('month').format(DATE_FORMAT) < range.endDate
+    return (
+      <Modal bsSize='large' show={show} onHide={onClose}>
+        <Modal.Header closeButton>
+          <Modal.Title>Service calendar</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {!range
+            ? <p>No calendars or exceptions with dates found.</p>
+            : <div>
+              <div className='text-center' style={{marginBottom: '10px'}}>
+                <Button
+                  bsSize='small'
+                  className='pull-left'
+                  disabled={!hasPrevious}
+                  onClick={this._onClickPrevious}>
+                  <Icon type='chevron-left' />
+                </Button>
+                <Button
+                  bsSize='small'
+                  className='pull-right'
+                  disabled={!hasNext}
+                  onClick={this._onClickNext}>
+                  <Icon type='chevron-right' />
+                </Button>
+                <strong className='lead'>{monthMoment.format('MMMM YYYY')}</strong>
+              </div>
+              <table style={{tableLayout: 'fixed', width: '100%'}}>
+                <thead>
+                  <tr>
+                    {DAY_NAMES.map(day => <th key={day} className='text-center'>{day}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {getMonthWeeks(month).map((week, i) => (
+                    <tr key={i}>
+                      {week.map((date, j) => date
+                        ? this._renderDate(
+                          getServiceForDate(date, calendars, exceptionsByDate),
+                          isInRange(date)
+                        )
+                        : <td key={j} />
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className='small' style={{marginTop: '5px'}}>
+                <Label style={{backgroundColor: COLORS.NO_SERVICE, color: '#a94442'}}>No service</Label>{' '}
+                <Label style={{backgroundColor: COLORS.EXCEPTION, color: '#31708f'}}>Schedule exception</Label>{' '}
+                <Label style={{backgroundColor: COLORS.OUTSIDE_RANGE, color: '#777'}}>Outside feed dates</Label>
+              </div>
+              {selectedDate && this._renderSelectedDate(
+                getServiceForDate(selectedDate, calendars, exceptionsByDate)
+              )}
+            </div>
+          }
+        </Modal.Body>
+        <Modal.Footer>
+          <Button onClick={onClose}>Close</Button>
+        </Modal.Footer>
+      </Modal>
+    )
+  }
+}
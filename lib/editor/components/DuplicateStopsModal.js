@@ -0,0 +1,252 @@
+// @flow
+
+import Icon from '@conveyal/woonerf/components/icon'
+import React, {Component} from 'react'
+import {
+  Alert,
+  Button,
+  Checkbox,
+  ControlLabel,
+  FormControl,
+  FormGroup,
+  Modal,
+  Panel,
+  Radio
+} from 'react-bootstrap'
+
+import * as activeActions from '../actions/active'
+import * as stopActions from '../actions/stop'
+import {DEFAULT_DUPLICATE_STOP_OPTIONS, findDuplicateStops, getSurvivingStop} from '../util/duplicates'
+import {abbreviateStopName} from '../util/gtfs'
+
+import type {DuplicateStopOptions, PatternUsage} from '../util/duplicates'
+import type {EditorTables} from '../../types/reducers'
+
+type Stop = $ElementType<$PropertyType<EditorTables, 'stops'>, number>
+
+type Props = {
+  activeEntity: any,
+  feedSourceId: string,
+  fetchStopPatternUsages: typeof stopActions.fetchStopPatternUsages,
+  mergeStops: typeof stopActions.mergeStops,
+  onClose: () => void,
+  setActiveEntity: typeof activeActions.setActiveEntity,
+  show: boolean,
+  stops: Array<Stop>
+}
+
+type State = {
+  clusters: ?Array<Array<Stop>>,
+  loading: boolean,
+  merging: ?string,
+  options: DuplicateStopOptions,
+  survivors: {[string]: string},
+  usages: {[string]: Array<PatternUsage>}
+}
+
+// Maximum number of clusters to list at once (merged clusters are removed).
+const MAX_CLUSTERS = 50
+
+const defaultState = {
+  clusters: null,
+  loading: false,
+  merging: null,
+  options: DEFAULT_DUPLICATE_STOP_OPTIONS,
+  survivors: {},
+  usages: {}
+}
+
+const getClusterKey = (cluster: Array<Stop>) => cluster[0].stop_id
+
+/**
+ * Modal for finding stops that are likely duplicates (near each other and,
+ * optionally, with the same normalized name) and merging each cluster into a
+ * single surviving stop.
+ */
+export default class DuplicateStopsModal extends Component<Props, State> {
+  state = defaultState
+
+  _onClose = () => {
+    this.setState(defaultState)
+    this.props.onClose()
+  }
+
+  _onChangeMaxDistance = (evt: SyntheticInputEvent<HTMLInputElement>) =>
+    this.setState({options: {...this.state.options, maxDistance: +evt.target.value}})
+
+  _onChangeMatchNames = () =>
+    this.setState({options: {...this.state.options, matchNames: !this.state.options.matchNames}})
+
+  _onClickFind = () => {
+    const {feedSourceId, fetchStopPatternUsages, stops} = this.props
+    this.setState({loading: true})
+    // $FlowFixMe action wrapped in dispatch returns a promise
+    fetchStopPatternUsages(feedSourceId).then(usages => {
+      const clusters = findDuplicateStops(stops, this.state.options)
+      // Default to the most used stop for each cluster.
+      const survivors = {}
+      clusters.forEach(cluster => {
+        survivors[getClusterKey(cluster)] = getSurvivingStop(cluster, usages).stop_id
+      })
+      this.setState({clusters, loading: false, survivors, usages})
+    })
+  }
+
+  _onChangeSurvivor = (clusterKey: string, stopId: string) =>
+    this.setState({survivors: {...this.state.survivors, [clusterKey]: stopId}})
+
+  _onMerge = (cluster: Array<Stop>) => {
+    const {activeEntity, feedSourceId, mergeStops, setActiveEntity} = this.props
+    const clusterKey = getClusterKey(cluster)
+    const survivingStopId = this.state.survivors[clusterKey]
+    const stopIds = cluster.map(s => s.stop_id)
+    if (!window.confirm(`Are you sure you want to merge ${stopIds.length} stops into ${survivingStopId}? This cannot be undone.`)) {
+      return
+    }
+    this.setState({merging: clusterKey})
+    // $FlowFixMe action wrapped in dispatch returns a promise
+    mergeStops(feedSourceId, survivingStopId, stopIds).then(success => {
+      if (!success) return this.setState({merging: null})
+      if (
+        activeEntity &&
+        stopIds.indexOf(activeEntity.stop_id) !== -1 &&
+        activeEntity.stop_id !== survivingStopId
+      ) {
+        // Active stop no longer exists.
+        setActiveEntity(feedSourceId, 'stop')
+      }
+      const clusters = (this.state.clusters || [])
+        .filter(c => getClusterKey(c) !== clusterKey)
+      this.setState({clusters, merging: null})
+    })
+  }
+
+  _renderResults () {
+    const {clusters, merging, survivors, usages} = this.state
+    if (!clusters) return null
+    if (clusters.length === 0) {
+      return <Alert bsStyle='success'>No duplicate stops found.</Alert>
+    }
+    return (
+      <div>
+        <p>
+          {clusters.length} possible duplicates found
+          {clusters.length > MAX_CLUSTERS ? ` (showing first ${MAX_CLUSTERS})` : ''}.
+          Select the stop to keep for each group. Pattern stops and transfers
+          that reference the other stops will be updated to the selected stop.
+        </p>
+        {clusters.slice(0, MAX_CLUSTERS).map(cluster => (
+          <DuplicateStopCluster
+            cluster={cluster}
+            disabled={merging !== null}
+            isMerging={merging === getClusterKey(cluster)}
+            key={getClusterKey(cluster)}
+            onChangeSurvivor={this._onChangeSurvivor}
+            onMerge={this._onMerge}
+            survivingStopId={survivors[getClusterKey(cluster)]}
+            usages={usages} />
+        ))}
+      </div>
+    )
+  }
+
+  render () {
+    const {show} = this.props
+    const {loading, options} = this.state
+    return (
+      <Modal show={show} onHide={this._onClose} bsSize='large'>
+        <Modal.Header closeButton>
+          <Modal.Title>Find duplicate stops</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <FormGroup controlId='duplicate-max-distance'>
+            <ControlLabel>Maximum distance between stops (meters)</ControlLabel>
+            <FormControl
+              min={1}
+              onChange={this._onChangeMaxDistance}
+              type='number'
+              value={options.maxDistance} />
+          </FormGroup>
+          <Checkbox
+            checked={options.matchNames}
+            onChange={this._onChangeMatchNames}>
+            Only group stops with matching names (ignoring case, punctuation,
+            abbreviations and cross street order)
+          </Checkbox>
+          <Button
+            bsStyle='primary'
+            disabled={loading}
+            onClick={this._onClickFind}
+            style={{marginBottom: '15px'}}>
+            {loading
+              ? <span><Icon className='fa-spin' type='refresh' /> Searching...</span>
+              : <span><Icon type='search' /> Find duplicates</span>
+            }
+          </Button>
+          {this._renderResults()}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button onClick={this._onClose}>Close</Button>
+        </Modal.Footer>
+      </Modal>
+    )
+  }
+}
+
+type ClusterProps = {
+  cluster: Array<Stop>,
+  disabled: boolean,
+  isMerging: boolean,
+  onChangeSurvivor: (string, string) => void,
+  onMerge: (Array<Stop>) => void,
+  survivingStopId: string,
+  usages: {[string]: Array<PatternUsage>}
+}
+
+class DuplicateStopCluster extends Component<ClusterProps> {
+  _onChange = (evt: SyntheticInputEvent<HTMLInputElement>) =>
+    this.props.onChangeSurvivor(getClusterKey(this.props.cluster), evt.target.value)
+
+  _onClickMerge = () => this.props.onMerge(this.props.cluster)
+
+  render () {
+    const {cluster, disabled, isMerging, survivingStopId, usages} = this.props
+    const clusterKey = getClusterKey(cluster)
+    return (
+      <Panel>
+        <Button
+          bsSize='small'
+          bsStyle='warning'
+          className='pull-right'
+          disabled={disabled}
+          onClick={this._onClickMerge}>
+          <Icon className={isMerging ? 'fa-spin' : undefined} type={isMerging ? 'refresh' : 'compress'} />{' '}
+          Merge {cluster.length} stops
+        </Button>
+        {cluster.map(stop => {
+          const stopUsages = usages[stop.stop_id] || []
+          return (
+            <Radio
+              checked={stop.stop_id === survivingStopId}
+              key={stop.stop_id}
+              name={`survivor-${clusterKey}`}
+              onChange={this._onChange}
+              value={stop.stop_id}>
+              <strong title={stop.stop_name}>{abbreviateStopName(stop.stop_name)}</strong>{' '}
+              <small className='text-muted'>
+                ({stop.stop_id}) - {stopUsages.length} patterns
+              </small>
+              {stopUsages.length > 0 &&
+                <div>
+                  <small>
+                    {stopUsages.map(u => u.name || u.patternId).join(', ')}
+                  </small>
+                </div>
+              }
+            </Radio>
+          )
+        })}
+      </Panel>
+    )
+  }
+}
@@ -10,8 +10,10 @@ import * as snapshotActions from '../actions/snapshots.js'
 import ConfirmModal from '../../common/components/ConfirmModal'
 import {getComponentMessages, getConfigProperty} from '../../common/util/config'
 import CreateSnapshotModal from '../../editor/components/CreateSnapshotModal'
+import * as generalActions from '../../gtfs/actions/general'
 import * as versionActions from '../../manager/actions/versions'
 import {isEditingDisabled} from '../../manager/util'
+import ServiceChangeReportModal from './ServiceChangeReportModal'
 
 import type {Props as ContainerProps} from '../containers/ActiveEditorFeedSourcePanel'
 import type {Feed, Snapshot} from '../../types'
@@ -22,14 +24,24 @@ type Props = ContainerProps & {
   createSnapshot: typeof snapshotActions.createSnapshot,
   deleteSnapshot: typeof snapshotActions.deleteSnapshot,
   downloadSnapshot: typeof snapshotActions.downloadSnapshot,
+  exportGeography: typeof generalActions.exportGeography,
+  fetchServiceChangeReport: typeof versionActions.fetchServiceChangeReport,
   fetchSnapshots: typeof snapshotActions.fetchSnapshots,
   restoreSnapshot: typeof snapshotActions.restoreSnapshot,
   user: ManagerUserState
 }
 
-export default class EditorFeedSourcePanel extends Component<Props> {
+type State = {
+  showServiceChangeReport: boolean
+}
+
+export default class EditorFeedSourcePanel extends Component<Props, State> {
   messages = getComponentMessages('EditorFeedSourcePanel')
 
+  state = {
+    showServiceChangeReport: false
+  }
+
   componentWillMount () {
     this.props.fetchSnapshots(this.props.feedSource)
   }
@@ -38,13 +50,28 @@ export default class EditorFeedSourcePanel extends Component<Props> {
     this.props.createSnapshot(this.props.feedSource, name, comment)
   }
 
+  _onExportGeoJson = () => this._exportGeography('geojson')
+
+  _onExportKml = () => this._exportGeography('kml')
+
+  _exportGeography (format: 'geojson' | 'kml') {
+    const {exportGeography, feedSource} = this.props
+    if (!feedSource.editorNamespace) return
+    exportGeography(feedSource.editorNamespace, feedSource.name, format)
+  }
+
   _openModal = () => this.refs.snapshotModal.open()
 
+  _onClickServiceChangeReport = () => this.setState({showServiceChangeReport: true})
+
+  _onCloseServiceChangeReport = () => this.setState({showServiceChangeReport: false})
+
   _sortBySnapshotTime = (a: Snapshot, b: Snapshot) => b.snapshotTime - a.snapshotTime
 
   render () {
     const {
       feedSource,
+      fetchServiceChangeReport,
       project,
       user
     } = this.props
@@ -64,6 +91,13 @@ export default class EditorFeedSourcePanel extends Component<Props> {
           ref='snapshotModal'
           onOkClicked={this._onCreateSnapshot} />
         <ConfirmModal ref='confirmModal' />
+        {this.state.showServiceChangeReport &&
+          <ServiceChangeReportModal
+            feedSource={feedSource}
+            fetchServiceChangeReport={fetchServiceChangeReport}
+            onClose={this._onCloseServiceChangeReport}
+            show />
+        }
         <Col xs={9}>
           {feedSource.editorSnapshots && feedSource.editorSnapshots.length
             ? <div>
@@ -107,6 +141,31 @@ export default class EditorFeedSourcePanel extends Component<Props> {
             onClick={this._openModal}>
             <Icon type='camera' /> Take snapshot of latest changes
           </Button>
+          <Button
+            block
+            disabled={!feedSource.editorNamespace}
+            style={{marginBottom: '20px'}}
+            onClick={this._onClickServiceChangeReport}>
+            <Icon type='bar-chart' /> {this.messages('serviceChangeReport')}
+          </Button>
+          <ButtonGroup justified style={{marginBottom: '20px'}}>
+            <ButtonGroup>
+              <Button
+                disabled={!feedSource.editorNamespace}
+                onClick={this._onExportGeoJson}
+                title={this.messages('exportHelp')}>
+                <Icon type='map-o' /> {this.messages('exportGeoJson')}
+              </Button>
+            </ButtonGroup>
+            <ButtonGroup>
+              <Button
+                disabled={!feedSource.editorNamespace}
+                onClick={this._onExportKml}
+                title={this.messages('exportHelp')}>
+                <Icon type='globe' /> {this.messages('exportKml')}
+              </Button>
+            </ButtonGroup>
+          </ButtonGroup>
           <Panel
             header={
               <h3>
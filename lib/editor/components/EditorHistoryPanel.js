@@ -0,0 +1,117 @@
+// @flow
+
+import Icon from '@conveyal/woonerf/components/icon'
+import React, {Component} from 'react'
+import {Button, ButtonGroup, ListGroup, ListGroupItem, Panel} from 'react-bootstrap'
+
+import * as historyActions from '../actions/history'
+import {fromNow} from '../../common/util/date-time'
+import {componentToText} from '../util/objects'
+
+import type {EditorHistoryItem} from '../../types'
+import type {EditorHistoryState} from '../../types/reducers'
+
+type Props = {
+  history: EditorHistoryState,
+  onClose: () => void,
+  redoEditorHistory: typeof historyActions.redoEditorHistory,
+  undoEditorHistory: typeof historyActions.undoEditorHistory
+}
+
+const ICONS = {
+  DELETE: 'trash',
+  SAVE: 'floppy-o',
+  UPDATE: 'pencil'
+}
+
+function describeHistoryItem (item: EditorHistoryItem): string {
+  switch (item.type) {
+    case 'UPDATE':
+      return `Edited ${Object.keys(item.props).join(', ')}`
+    case 'SAVE':
+      return item.previousProps ? 'Saved' : 'Created'
+    case 'DELETE':
+      return 'Deleted'
+    default:
+      return item.type
+  }
+}
+
+/**
+ * Lists the edits, saves and deletes made during the editor session. Undone
+ * items (i.e., those that can be redone) are shown muted above the most
+ * recent item.
+ */
+export default class EditorHistoryPanel extends Component<Props> {
+  _onClickRedo = () => this.props.redoEditorHistory()
+
+  _onClickUndo = () => this.props.undoEditorHistory()
+
+  _renderItem = (item: EditorHistoryItem, index: number, undone: boolean) => (
+    <ListGroupItem
+      key={`${undone ? 'future' : 'past'}-${index}`}
+      style={{padding: '5px 10px'}}
+      className={undone ? 'text-muted' : undefined}>
+      <small className='pull-right'>{fromNow(item.timestamp)}</small>
+      <small>
+        <Icon type={ICONS[item.type]} />{' '}
+        {describeHistoryItem(item)}{' '}
+        {componentToText(item.component)}{' '}
+        <strong title={item.label}>{item.label}</strong>
+      </small>
+    </ListGroupItem>
+  )
+
+  render () {
+    const {history, onClose} = this.props
+    const {future, past} = history
+    const hasItems = future.length > 0 || past.length > 0
+    return (
+      <Panel
+        header={
+          <h5 style={{margin: 0}}>
+            <Button
+              bsSize='xsmall'
+              className='pull-right'
+              onClick={onClose}>
+              <Icon type='times' />
+            </Button>
+            <Icon type='history' /> Edit history
+          </h5>
+        }
+        style={{marginBottom: '5px'}}>
+        <ButtonGroup style={{marginBottom: '5px'}}>
+          <Button
+            bsSize='small'
+            data-test-id='undo-history-button'
+            disabled={past.length === 0}
+            onClick={this._onClickUndo}
+            title='Undo (Ctrl+Z)'>
+            <Icon type='undo' /> Undo
+          </Button>
+          <Button
+            bsSize='small'
+            data-test-id='redo-history-button'
+            disabled={future.length === 0}
+            onClick={this._onClickRedo}
+            title='Redo (Ctrl+Shift+Z)'>
+            <Icon type='repeat' /> Redo
+          </Button>
+        </ButtonGroup>
+        {hasItems
+          ? <ListGroup fill style={{maxHeight: '250px', overflowY: 'auto'}}>
+            {/* Most recently undone item is first in future, so reverse the
+              list to show it directly above the most recent past item. */}
+            {[...future]
+              .reverse()
+              .map((item, i) => this._renderItem(item, i, true))}
+            {[...past]
+              .reverse()
+              .map((item, i) => this._renderItem(item, i, false))}
+          </ListGroup>
+          : <p className='text-muted'><small>No changes made yet.</small></p>
+        }
+      </Panel>
+    )
+  }
+}
@@ -9,8 +9,12 @@ import Dropzone from 'react-dropzone'
 
 import * as activeActions from '../actions/active'
 import * as editorActions from '../actions/editor'
+import * as translationActions from '../actions/translations'
 import ColorField from './ColorField'
+import FieldTranslations from './FieldTranslations'
+import {LOCATION_TYPE} from '../constants'
 import {getEntityName, getTableById} from '../util/gtfs'
+import {getLocationType, getParentLocationType} from '../util/stations'
 import {FIELD_PROPS} from '../util/types'
 import {doesNotExist} from '../util/validation'
 import VirtualizedEntitySelect from './VirtualizedEntitySelect'
@@ -19,8 +23,9 @@ import LanguageSelect from '../../common/components/LanguageSelect'
 import toSentenceCase from '../../common/util/to-sentence-case'
 import ZoneSelect from './ZoneSelect'
 
-import type {Entity, Feed, Field, GtfsAgency, GtfsStop} from '../../types'
+import type {Entity, Feed, Field, GtfsAgency, GtfsLevel, GtfsStop} from '../../types'
 import type {EditorTables} from '../../types/reducers'
+import type {RuleViolation} from '../util/rules'
 
 type Props = {
   activeComponent: string,
@@ -31,6 +36,8 @@ type Props = {
   field: Field,
   hasRoutes: boolean,
   isNotValid: boolean,
+  ruleViolation?: ?RuleViolation,
+  saveTranslations: typeof translationActions.saveTranslations,
   table: any,
   tableData: EditorTables,
   updateActiveGtfsEntity: typeof activeActions.updateActiveGtfsEntity,
@@ -44,6 +51,45 @@ const agencyToOption = (agency: GtfsAgency) => ({
   agency
 })
 
+const levelToOption = (level: GtfsLevel) => ({
+  value: level.level_id,
+  label: getEntityName(level)
+})
+
+/**
+ * Get the select options for a Fares v2 reference field. Fare products may be
+ * defined more than once (once per fare media), so options are de-duplicated
+ * by value.
+ */
+const getFareReferenceOptions = (inputType: string, tableData: EditorTables) => {
+  let options = []
+  switch (inputType) {
+    case 'GTFS_AREA':
+      options = getTableById(tableData, 'area')
+        .map(a => ({value: a.area_id, label: getEntityName(a)}))
+      break
+    case 'GTFS_FARE_MEDIA':
+      options = getTableById(tableData, 'faremedia')
+        .map(m => ({value: m.fare_media_id, label: getEntityName(m)}))
+      break
+    case 'GTFS_FARE_PRODUCT':
+      options = getTableById(tableData, 'fareproduct')
+        .map(p => ({value: p.fare_product_id, label: getEntityName(p)}))
+      break
+    case 'GTFS_LEG_GROUP':
+      options = getTableById(tableData, 'farelegrule')
+        .map(r => ({value: r.leg_group_id, label: r.leg_group_id}))
+      break
+    case 'GTFS_NETWORK':
+      options = getTableById(tableData, 'route')
+        .map(r => ({value: r.network_id, label: r.network_id}))
+      break
+  }
+  return options.filter((o, i) =>
+    o.value && options.findIndex(other => other.value === o.value) === i
+  )
+}
+
 const entityToOption = (entity: ?Entity, key: string) => {
   return entity
     ? {
@@ -114,7 +160,8 @@ export default class EditorInput extends Component<Props> {
       currentValue,
       approveGtfsDisabled,
       zoneOptions,
-      isNotValid
+      isNotValid,
+      ruleViolation
     } = this.props
     const editorField = field.displayName || field.name
     const formProps = {}
@@ -122,6 +169,9 @@ export default class EditorInput extends Component<Props> {
     formProps.className = `col-xs-${field.columnWidth}`
     if (isNotValid) {
       formProps.validationState = 'error'
+    } else if (ruleViolation) {
+      // Custom validation rule violations do not prevent saving.
+      formProps.validationState = ruleViolation.severity === 'error' ? 'error' : 'warning'
     } else if (field.required) {
       formProps.validationState = 'success'
     }
@@ -170,6 +220,10 @@ export default class EditorInput extends Component<Props> {
           <FormGroup {...formProps}>
             {basicLabel}
             <FormControl {...fieldProps} value={stringValue} />
+            {field.translatable
+              ? <FieldTranslations {...this.props} />
+              : null
+            }
           </FormGroup>
         )
       }
@@ -338,10 +392,49 @@ export default class EditorInput extends Component<Props> {
               options={agencies.map(agencyToOption)} />
           </FormGroup>
         )
+      case 'GTFS_LEVEL': {
+        const levels: Array<GtfsLevel> = getTableById(tableData, 'level')
+        const level = levels.find(l => l.level_id === currentValue)
+        return (
+          <FormGroup {...formProps}>
+            {basicLabel}
+            <Select
+              placeholder='Select level...'
+              clearable
+              value={level
+                ? levelToOption(level)
+                : currentValue !== null
+                  ? {value: currentValue}
+                  : null
+              }
+              onChange={this._onSelectChange}
+              options={levels.map(levelToOption)} />
+          </FormGroup>
+        )
+      }
+      case 'GTFS_AREA':
+      case 'GTFS_FARE_MEDIA':
+      case 'GTFS_FARE_PRODUCT':
+      case 'GTFS_LEG_GROUP':
+      case 'GTFS_NETWORK': {
+        const options = getFareReferenceOptions(field.inputType, tableData)
+        const option = options.find(o => o.value === currentValue)
+        return (
+          <FormGroup {...formProps}>
+            {basicLabel}
+            <Select
+              placeholder={`Select ${editorField.replace(/_id$/, '').replace(/_/g, ' ')}...`}
+              clearable
+              value={option || (currentValue !== null ? {value: currentValue} : null)}
+              onChange={this._onSelectChange}
+              options={options} />
+          </FormGroup>
+        )
+      }
       case 'GTFS_STOP': {
         // Create copy of stops table (because of destructive splice operation
         // below).
-        const stops: Array<GtfsStop> = [...getTableById(tableData, 'stop')]
+        let stops: Array<GtfsStop> = [...getTableById(tableData, 'stop')]
         const key = 'stop_id'
         const castedEntity = ((activeEntity: any): GtfsStop)
         const activeStopIndex = stops.findIndex(s => s[key] === castedEntity[key])
@@ -351,6 +444,14 @@ export default class EditorInput extends Component<Props> {
         if (activeStopIndex !== -1) {
           stops.splice(activeStopIndex, 1)
         }
+        if (field.name === 'parent_station') {
+          // Only list stops with the location type required for the parent.
+          const parentLocationType = getParentLocationType(getLocationType(castedEntity))
+          stops = stops.filter(s => getLocationType(s) === parentLocationType)
+        } else if (activeComponent === 'pathway') {
+          // Pathways may not reference stations.
+          stops = stops.filter(s => getLocationType(s) !== LOCATION_TYPE.STATION)
+        }
         return (
           <FormGroup {...formProps}>
             {basicLabel}
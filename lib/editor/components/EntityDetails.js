@@ -7,7 +7,9 @@ import { Form } from 'react-bootstrap'
 import * as activeActions from '../actions/active'
 import * as editorActions from '../actions/editor'
 import * as mapActions from '../actions/map'
+import * as translationActions from '../actions/translations'
 import ActiveTripPatternList from '../containers/ActiveTripPatternList'
+import AreaStopsForm from './AreaStopsForm'
 import EditorInput from './EditorInput'
 import FareRulesForm from './FareRulesForm'
 import EntityDetailsHeader from './EntityDetailsHeader'
@@ -17,6 +19,7 @@ import { getTableById } from '../util/gtfs'
 
 import type {Entity, Feed, Field, Pattern, Project} from '../../types'
 import type {EditorTables, ManagerUserState, MapState} from '../../types/reducers'
+import type {RuleViolation} from '../util/rules'
 import type {EditorValidationIssue} from '../util/validation'
 
 type Props = {
@@ -34,7 +37,9 @@ type Props = {
   offset: number,
   project: Project,
   resetActiveEntity: typeof activeActions.resetActiveGtfsEntity,
+  ruleViolations: Array<RuleViolation>,
   saveActiveGtfsEntity: typeof activeActions.saveActiveGtfsEntity,
+  saveTranslations: typeof translationActions.saveTranslations,
   setActiveEntity: typeof activeActions.setActiveEntity,
   showConfirmModal: any,
   subComponent: string,
@@ -60,6 +65,9 @@ export default class EntityDetails extends Component<Props, State> {
   _hasValidationIssue = (field: Field) =>
     this.props.validationErrors.find(e => e.field === field.name)
 
+  _getRuleViolation = (field: Field) =>
+    this.props.ruleViolations.find(v => v.field === field.name)
+
   _toggleFareRules = (editFareRules: boolean) => this.setState({ editFareRules })
 
   render () {
@@ -151,11 +159,16 @@ export default class EntityDetails extends Component<Props, State> {
                               approveGtfsDisabled={approveGtfsDisabled}
                               zoneOptions={zoneOptions}
                               isNotValid={this._hasValidationIssue(field)}
+                              ruleViolation={this._getRuleViolation(field)}
                               {...this.props} />
                           </div>
                         ))
                       }
                     </Form>
+                    {renderDefault && activeComponent === 'area' &&
+                      // $FlowFixMe
+                      <AreaStopsForm {...this.props} />
+                    }
                   </div>
             }
           </div>
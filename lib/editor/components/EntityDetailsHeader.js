@@ -12,6 +12,7 @@ import {GTFS_ICONS} from '../util/ui'
 
 import type {Entity, Feed, GtfsRoute, Pattern} from '../../types'
 import type {MapState} from '../../types/reducers'
+import type {RuleViolation} from '../util/rules'
 import type {EditorValidationIssue} from '../util/validation'
 
 type RouteWithPatterns = {tripPatterns: Array<Pattern>} & GtfsRoute
@@ -25,6 +26,7 @@ type Props = {
   feedSource: Feed,
   mapState: MapState,
   resetActiveEntity: typeof activeActions.resetActiveGtfsEntity,
+  ruleViolations: Array<RuleViolation>,
   saveActiveGtfsEntity: typeof activeActions.saveActiveGtfsEntity,
   setActiveEntity: typeof activeActions.setActiveEntity,
   subComponent: string,
@@ -111,6 +113,7 @@ export default class EntityDetailsHeader extends Component<Props> {
       editFareRules,
       entityEdited,
       mapState,
+      ruleViolations,
       subComponent,
       subEntityId,
       validationErrors
@@ -123,6 +126,14 @@ export default class EntityDetailsHeader extends Component<Props> {
       </Tooltip>
     )
     const hasErrors = validationErrors.length > 0
+    const ruleTooltip = (
+      <Tooltip id='rule-tooltip'>
+        {ruleViolations.map((v, i) => (
+          <p key={i}>{v.field}: {v.reason}</p>
+        ))}
+      </Tooltip>
+    )
+    const hasRuleErrors = ruleViolations.some(v => v.severity === 'error')
     const entityName = activeComponent === 'feedinfo'
       ? 'Feed Info'
       : getEntityName(activeEntity)
@@ -237,6 +248,23 @@ export default class EntityDetailsHeader extends Component<Props> {
             }
           </small>
         </p>
+        {/* Custom validation rule violations (these do not prevent saving) */}
+        {ruleViolations.length > 0
+          ? <p style={{marginBottom: '2px'}}>
+            <small className={hasRuleErrors ? 'text-danger' : 'text-warning'}>
+              <Icon type='exclamation-circle' />
+              {' '}
+              <OverlayTrigger
+                placement='bottom'
+                overlay={ruleTooltip}>
+                <span style={{borderBottom: '1px dotted #000'}}>
+                  {ruleViolations.length} rule violation(s)
+                </span>
+              </OverlayTrigger>
+            </small>
+          </p>
+          : null
+        }
         <div className='clearfix' />
         {activeComponent === 'route'
           ? <Nav style={{marginBottom: '5px'}} bsStyle='pills' justified>
@@ -7,8 +7,13 @@ import {Table, Column} from 'react-virtualized/dist/commonjs/Table'
 import {AutoSizer} from 'react-virtualized/dist/commonjs/AutoSizer'
 
 import * as activeActions from '../actions/active'
+import * as csvActions from '../actions/csv'
 import * as editorActions from '../actions/editor'
+import ActiveCalendarVisualizerModal from '../containers/ActiveCalendarVisualizerModal'
+import ActiveDuplicateStopsModal from '../containers/ActiveDuplicateStopsModal'
+import ActiveFareCalculatorModal from '../containers/ActiveFareCalculatorModal'
 import {getConfigProperty} from '../../common/util/config'
+import {FARES_V2_COMPONENTS} from '../util/fares'
 import {componentToText, entityIsNew} from '../util/objects'
 import EntityListButtons from './EntityListButtons'
 import EntityListSecondaryActions from './EntityListSecondaryActions'
@@ -24,10 +29,13 @@ type Props = ContainerProps & {
   deleteGtfsEntity: typeof activeActions.deleteGtfsEntity,
   enterTimetableEditor: typeof activeActions.enterTimetableEditor,
   entities: Array<Entity>,
+  exportTableToCsv: typeof csvActions.exportTableToCsv,
   feedSource: Feed,
   hasRoutes: boolean,
+  importCsvDiff: typeof csvActions.importCsvDiff,
   list: ImmutableList, // FIXME Immutable.List
   newGtfsEntity: typeof editorActions.newGtfsEntity,
+  previewCsvImport: typeof csvActions.previewCsvImport,
   setActiveEntity: typeof activeActions.setActiveEntity,
   sort: DataStateSort,
   updateActiveGtfsEntity: typeof activeActions.updateActiveGtfsEntity,
@@ -36,6 +44,9 @@ type Props = ContainerProps & {
 
 type State = {
   fromIndex?: ?number,
+  showCalendarVisualizer?: boolean,
+  showDuplicateStops?: boolean,
+  showFareCalculator?: boolean,
   toIndex?: ?number
 }
 
@@ -76,11 +87,39 @@ export default class EntityList extends Component<Props, State> {
 
   _getRow = ({index}: {index: number}) => this.props.list.get(index)
 
+  /**
+   * Render entity name with an indicator for custom validation rule violations.
+   */
+  _renderNameCell = ({cellData, rowData}: {cellData: string, rowData: any}) => {
+    if (!rowData || !rowData.ruleSeverity) return cellData
+    const isError = rowData.ruleSeverity === 'error'
+    return (
+      <span title={isError ? 'Validation rule errors' : 'Validation rule warnings'}>
+        <Icon
+          className={isError ? 'text-danger' : 'text-warning'}
+          type='exclamation-circle' />{' '}
+        {cellData}
+      </span>
+    )
+  }
+
   _onChangeSort = (evt: SyntheticInputEvent<HTMLInputElement>) =>
     this.props.updateEntitySort({key: evt.target.value})
 
   _onClickTimetableEditor = () => this.props.enterTimetableEditor()
 
+  _onClickCalendarVisualizer = () => this.setState({showCalendarVisualizer: true})
+
+  _onCloseCalendarVisualizer = () => this.setState({showCalendarVisualizer: false})
+
+  _onClickFareCalculator = () => this.setState({showFareCalculator: true})
+
+  _onCloseFareCalculator = () => this.setState({showFareCalculator: false})
+
+  _onClickDuplicateStops = () => this.setState({showDuplicateStops: true})
+
+  _onCloseDuplicateStops = () => this.setState({showDuplicateStops: false})
+
   _onClickNew = () =>
     this.props.newGtfsEntity(this.props.feedSource.id, this.props.activeComponent)
 
@@ -161,6 +200,7 @@ export default class EntityList extends Component<Props, State> {
             <Column
               label='Name'
               dataKey='name'
+              cellRenderer={this._renderNameCell}
               className='small entity-list-row'
               style={{outline: 'none'}}
               width={width - 5} />
@@ -224,10 +264,55 @@ export default class EntityList extends Component<Props, State> {
             </Button>
             : null
           }
+          {activeComponent === 'calendar' || activeComponent === 'scheduleexception'
+            ? <Button
+              style={{marginTop: '10px'}}
+              block
+              onClick={this._onClickCalendarVisualizer}>
+              <Icon type='calendar-check-o' /> View service calendar
+            </Button>
+            : null
+          }
+          {activeComponent === 'stop'
+            ? <Button
+              style={{marginTop: '10px'}}
+              block
+              onClick={this._onClickDuplicateStops}>
+              <Icon type='clone' /> Find duplicate stops
+            </Button>
+            : null
+          }
+          {FARES_V2_COMPONENTS.indexOf(activeComponent) !== -1
+            ? <Button
+              style={{marginTop: '10px'}}
+              block
+              onClick={this._onClickFareCalculator}>
+              <Icon type='calculator' /> Fare calculator
+            </Button>
+            : null
+          }
           {/* Table view button */}
         </div>
         <EntityListSecondaryActions {...this.props} />
         {entityList}
+        {/* Only mount modals when shown to avoid re-rendering on edits. */}
+        {this.state.showCalendarVisualizer &&
+          <ActiveCalendarVisualizerModal
+            feedSourceId={feedSource.id}
+            onClose={this._onCloseCalendarVisualizer}
+            show />
+        }
+        {this.state.showDuplicateStops &&
+          <ActiveDuplicateStopsModal
+            feedSourceId={feedSource.id}
+            onClose={this._onCloseDuplicateStops}
+            show />
+        }
+        {this.state.showFareCalculator &&
+          <ActiveFareCalculatorModal
+            onClose={this._onCloseFareCalculator}
+            show />
+        }
       </div>
     )
   }
@@ -5,7 +5,10 @@ import React, {Component} from 'react'
 import { ButtonGroup, Tooltip, OverlayTrigger, Button } from 'react-bootstrap'
 
 import * as activeActions from '../actions/active'
+import * as csvActions from '../actions/csv'
 import * as editorActions from '../actions/editor'
+import ImportCsvModal from './ImportCsvModal'
+import {CSV_COMPONENTS} from '../util/csv'
 import {componentToText, entityIsNew} from '../util/objects'
 
 import type {Entity, Feed} from '../../types'
@@ -17,17 +20,28 @@ type Props = {
   cloneGtfsEntity: typeof editorActions.cloneGtfsEntity,
   deleteGtfsEntity: typeof activeActions.deleteGtfsEntity,
   entities: Array<Entity>,
+  exportTableToCsv: typeof csvActions.exportTableToCsv,
   feedSource: Feed,
   fromIndex: ?number,
+  importCsvDiff: typeof csvActions.importCsvDiff,
   list: ImmutableList,
   newGtfsEntity: typeof editorActions.newGtfsEntity,
+  previewCsvImport: typeof csvActions.previewCsvImport,
   setActiveEntity: typeof activeActions.setActiveEntity,
   showConfirmModal: any,
   toIndex: ?number,
   updateIndexes: (?number, ?number) => void
 }
 
-export default class EntityListButtons extends Component<Props> {
+type State = {
+  showImportCsvModal: boolean
+}
+
+export default class EntityListButtons extends Component<Props, State> {
+  state = {
+    showImportCsvModal: false
+  }
+
   _mergeEntities = () => {
     // TODO: add merge routes action
     window.alert('Merge routes feature not yet supported!')
@@ -91,6 +105,15 @@ export default class EntityListButtons extends Component<Props> {
     }
   }
 
+  _onClickExportCsv = () => {
+    const {activeComponent, exportTableToCsv, feedSource} = this.props
+    exportTableToCsv(feedSource.id, activeComponent)
+  }
+
+  _onClickImportCsv = () => this.setState({showImportCsvModal: true})
+
+  _onCloseImportCsv = () => this.setState({showImportCsvModal: false})
+
   _onClickNew = () => {
     const {activeComponent, feedSource, newGtfsEntity} = this.props
     newGtfsEntity(feedSource.id, activeComponent)
@@ -101,13 +124,43 @@ export default class EntityListButtons extends Component<Props> {
       activeComponent,
       activeEntity,
       entities,
+      feedSource,
       fromIndex,
+      importCsvDiff,
+      previewCsvImport,
       toIndex
     } = this.props
+    const csvEnabled = CSV_COMPONENTS.indexOf(activeComponent) !== -1
     return (
       <div>
         <ButtonGroup
           className='pull-right'>
+          {csvEnabled
+            ? <OverlayTrigger
+              placement='bottom'
+              overlay={<Tooltip id={`export-${activeComponent}-csv`}>Export table as CSV</Tooltip>}>
+              <Button
+                bsSize='small'
+                data-test-id={`export-${activeComponent}-csv-button`}
+                onClick={this._onClickExportCsv}>
+                <Icon type='download' />
+              </Button>
+            </OverlayTrigger>
+            : null
+          }
+          {csvEnabled
+            ? <OverlayTrigger
+              placement='bottom'
+              overlay={<Tooltip id={`import-${activeComponent}-csv`}>Import CSV into table</Tooltip>}>
+              <Button
+                bsSize='small'
+                data-test-id={`import-${activeComponent}-csv-button`}
+                onClick={this._onClickImportCsv}>
+                <Icon type='upload' />
+              </Button>
+            </OverlayTrigger>
+            : null
+          }
           {activeComponent === 'route'
             ? <OverlayTrigger
               placement='bottom'
@@ -164,6 +217,16 @@ export default class EntityListButtons extends Component<Props> {
             New {componentToText(activeComponent)}
           </Button>
         }
+        {csvEnabled
+          ? <ImportCsvModal
+            component={activeComponent}
+            feedId={feedSource.id}
+            importCsvDiff={importCsvDiff}
+            onClose={this._onCloseImportCsv}
+            previewCsvImport={previewCsvImport}
+            show={this.state.showImportCsvModal} />
+          : null
+        }
       </div>
     )
   }
@@ -0,0 +1,218 @@
+// @flow
+
+import React, {Component} from 'react'
+import {
+  Button,
+  Col,
+  ControlLabel,
+  FormControl,
+  FormGroup,
+  Modal,
+  Row,
+  Table
+} from 'react-bootstrap'
+
+import {calculateJourneyFare} from '../util/fares'
+import {getEntityName, getTableById} from '../util/gtfs'
+import VirtualizedEntitySelect from './VirtualizedEntitySelect'
+
+import type {FareLeg, FareTables, PricedLeg} from '../util/fares'
+import type {EditorTables} from '../../types/reducers'
+
+type Props = {
+  onClose: () => void,
+  show: boolean,
+  tables: EditorTables
+}
+
+type State = {
+  legs: Array<FareLeg>,
+  transferMinutes: number
+}
+
+const TRANSFER_TYPE_LABELS = ['A + AB', 'A + AB + B', 'AB']
+
+const emptyLeg = () => ({fromStopId: null, routeId: null, toStopId: null})
+
+const defaultState = {
+  legs: [emptyLeg(), emptyLeg()],
+  transferMinutes: 0
+}
+
+const formatAmount = (amount: ?number, currency: ?string) =>
+  typeof amount === 'number'
+    ? `${amount.toFixed(2)}${currency ? ` ${currency}` : ''}`
+    : 'No fare'
+
+/**
+ * Modal for checking the Fares v2 tables by pricing a sample two-leg journey.
+ * Each leg is priced with the matching fare leg rules and a fare transfer rule
+ * is applied between the legs if one matches.
+ */
+export default class FareCalculatorModal extends Component<Props, State> {
+  state = defaultState
+
+  _onClose = () => {
+    this.setState(defaultState)
+    this.props.onClose()
+  }
+
+  _onChangeLeg = (index: number, props: $Shape<FareLeg>) => {
+    const legs = [...this.state.legs]
+    legs[index] = {...legs[index], ...props}
+    this.setState({legs})
+  }
+
+  _onChangeTransferMinutes = (evt: SyntheticInputEvent<HTMLInputElement>) =>
+    this.setState({transferMinutes: +evt.target.value || 0})
+
+  _getFareTables = (): FareTables => {
+    const {tables} = this.props
+    return {
+      areas: getTableById(tables, 'area'),
+      fare_leg_rules: getTableById(tables, 'farelegrule'),
+      fare_media: getTableById(tables, 'faremedia'),
+      fare_products: getTableById(tables, 'fareproduct'),
+      fare_transfer_rules: getTableById(tables, 'faretransferrule'),
+      routes: getTableById(tables, 'route'),
+      stops: getTableById(tables, 'stop')
+    }
+  }
+
+  _renderLegRow = (pricedLeg: PricedLeg, index: number, currency: ?string) => (
+    <tr key={index}>
+      <td>Leg {index + 1}</td>
+      <td>{pricedLeg.legRule ? pricedLeg.legRule.leg_group_id || '(no group)' : '-'}</td>
+      <td>{pricedLeg.product ? getEntityName(pricedLeg.product) : '-'}</td>
+      <td className='text-right'>{formatAmount(pricedLeg.amount, currency)}</td>
+    </tr>
+  )
+
+  render () {
+    const {show, tables} = this.props
+    const {legs, transferMinutes} = this.state
+    const fareTables = this._getFareTables()
+    const calculation = calculateJourneyFare(legs[0], legs[1], transferMinutes * 60, fareTables)
+    const {currency, transferAmount, transferRule} = calculation
+    return (
+      <Modal show={show} onHide={this._onClose} bsSize='large'>
+        <Modal.Header closeButton>
+          <Modal.Title>Fare calculator</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p>
+            Select the route and stops for each leg of a sample journey to
+            check how the fare leg and transfer rules price it.
+          </p>
+          {legs.map((leg, index) => (
+            <LegSelector
+              index={index}
+              key={index}
+              leg={leg}
+              onChange={this._onChangeLeg}
+              tables={tables} />
+          ))}
+          <FormGroup controlId='transfer-minutes'>
+            <ControlLabel>Transfer time (minutes)</ControlLabel>
+            <FormControl
+              min={0}
+              onChange={this._onChangeTransferMinutes}
+              type='number'
+              value={transferMinutes} />
+          </FormGroup>
+          <Table condensed>
+            <thead>
+              <tr>
+                <th />
+                <th>Leg group</th>
+                <th>Fare product</th>
+                <th className='text-right'>Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              {calculation.legs.map((pricedLeg, index) =>
+                this._renderLegRow(pricedLeg, index, currency))}
+              <tr>
+                <td>Transfer</td>
+                <td>
+                  {transferRule
+                    ? TRANSFER_TYPE_LABELS[+transferRule.fare_transfer_type]
+                    : 'No transfer rule applies'}
+                </td>
+                <td />
+                <td className='text-right'>
+                  {transferRule ? formatAmount(transferAmount, currency) : '-'}
+                </td>
+              </tr>
+              <tr>
+                <th colSpan={3}>Total</th>
+                <th className='text-right'>{formatAmount(calculation.total, currency)}</th>
+              </tr>
+            </tbody>
+          </Table>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button onClick={this._onClose}>Close</Button>
+        </Modal.Footer>
+      </Modal>
+    )
+  }
+}
+
+type LegProps = {
+  index: number,
+  leg: FareLeg,
+  onChange: (number, $Shape<FareLeg>) => void,
+  tables: EditorTables
+}
+
+class LegSelector extends Component<LegProps> {
+  _onChangeRoute = (option: any) =>
+    this.props.onChange(this.props.index, {routeId: option ? option.value : null})
+
+  _onChangeFromStop = (option: any) =>
+    this.props.onChange(this.props.index, {fromStopId: option ? option.value : null})
+
+  _onChangeToStop = (option: any) =>
+    this.props.onChange(this.props.index, {toStopId: option ? option.value : null})
+
+  _toOption = (entities: Array<any>, key: string, value: ?string) => {
+    const entity = value ? entities.find(e => e[key] === value) : null
+    return entity ? {value, label: getEntityName(entity), entity} : null
+  }
+
+  render () {
+    const {index, leg, tables} = this.props
+    const routes = getTableById(tables, 'route')
+    const stops = getTableById(tables, 'stop')
+    return (
+      <Row>
+        <Col xs={12}><ControlLabel>Leg {index + 1}</ControlLabel></Col>
+        <Col xs={4}>
+          <VirtualizedEntitySelect
+            component='route'
+            entities={routes}
+            entityKey='route_id'
+            onChange={this._onChangeRoute}
+            value={this._toOption(routes, 'route_id', leg.routeId)} />
+        </Col>
+        <Col xs={4}>
+          <VirtualizedEntitySelect
+            component='stop'
+            entities={stops}
+            entityKey='stop_id'
+            onChange={this._onChangeFromStop}
+            value={this._toOption(stops, 'stop_id', leg.fromStopId)} />
+        </Col>
+        <Col xs={4}>
+          <VirtualizedEntitySelect
+            component='stop'
+            entities={stops}
+            entityKey='stop_id'
+            onChange={this._onChangeToStop}
+            value={this._toOption(stops, 'stop_id', leg.toStopId)} />
+        </Col>
+      </Row>
+    )
+  }
+}
@@ -6,18 +6,21 @@ import { Button, ButtonGroup, DropdownButton, Dropdown, MenuItem, Tooltip, Overl
 import { browserHistory } from 'react-router'
 
 import * as activeActions from '../actions/active'
+import * as historyActions from '../actions/history'
 import * as mapActions from '../actions/map'
 import * as snapshotActions from '../actions/snapshots'
 import SelectFileModal from '../../common/components/SelectFileModal.js'
 import {getComponentMessages} from '../../common/util/config'
 import {isValidZipFile} from '../../common/util/util'
 import CreateSnapshotModal from './CreateSnapshotModal'
+import EditorHistoryPanel from './EditorHistoryPanel'
 import { GTFS_ICONS } from '../util/ui'
 import {componentToText} from '../util/objects'
 import {ENTITY} from '../constants'
 
 import type {Props as ContainerProps} from '../containers/ActiveFeedInfoPanel'
 import type {Feed, FeedInfo, Project} from '../../types'
+import type {EditorHistoryState} from '../../types/reducers'
 
 type Props = ContainerProps & {
   createSnapshot: typeof snapshotActions.createSnapshot,
@@ -25,13 +28,17 @@ type Props = ContainerProps & {
   feedInfo: FeedInfo,
   feedSource: Feed,
   fetchSnapshots: typeof snapshotActions.fetchSnapshots,
+  history: EditorHistoryState,
   project: Project,
+  redoEditorHistory: typeof historyActions.redoEditorHistory,
   restoreSnapshot: typeof snapshotActions.restoreSnapshot,
-  setActiveEntity: typeof activeActions.setActiveEntity
+  setActiveEntity: typeof activeActions.setActiveEntity,
+  undoEditorHistory: typeof historyActions.undoEditorHistory
 }
 
 type State = {
-  right: number
+  right: number,
+  showHistory: boolean
 }
 
 const PANEL_WIDTH = 400
@@ -43,7 +50,8 @@ const PANEL_WIDTH = 400
 export default class FeedInfoPanel extends Component<Props, State> {
   messages = getComponentMessages('FeedInfoPanel')
   state = {
-    right: 5
+    right: 5,
+    showHistory: false
   }
 
   _onAddSelect = (key: string) => {
@@ -77,6 +85,8 @@ export default class FeedInfoPanel extends Component<Props, State> {
     })
   }
 
+  _onToggleHistory = () => this.setState({showHistory: !this.state.showHistory})
+
   _onToggleHide = () => {
     const toolbarVisible = this.state.right > 0
     if (toolbarVisible) {
@@ -107,7 +117,13 @@ export default class FeedInfoPanel extends Component<Props, State> {
   }
 
   render () {
-    const { feedSource, feedInfo } = this.props
+    const {
+      feedSource,
+      feedInfo,
+      history,
+      redoEditorHistory,
+      undoEditorHistory
+    } = this.props
     if (!feedInfo) return null
     const panelStyle = {
       position: 'absolute',
@@ -134,6 +150,14 @@ export default class FeedInfoPanel extends Component<Props, State> {
           <CreateSnapshotModal
             ref='snapshotModal'
             onOkClicked={this._onOkClicked} />
+          {this.state.showHistory && toolbarVisible
+            ? <EditorHistoryPanel
+              history={history}
+              onClose={this._onToggleHistory}
+              redoEditorHistory={redoEditorHistory}
+              undoEditorHistory={undoEditorHistory} />
+            : null
+          }
           <ButtonGroup>
             {/* Hide toolbar toggle */}
             <OverlayTrigger placement='top' overlay={<Tooltip id='hide-tooltip'>{toolbarVisible ? 'Hide toolbar' : 'Show toolbar'}</Tooltip>}>
@@ -157,6 +181,15 @@ export default class FeedInfoPanel extends Component<Props, State> {
               onClick={this.showUploadFileModal}>
               <Icon type='upload' />
             </Button>
+            {/* Edit history toggle */}
+            <OverlayTrigger placement='top' overlay={<Tooltip id='history-tooltip'>Edit history</Tooltip>}>
+              <Button
+                active={this.state.showHistory}
+                data-test-id='toggle-history-button'
+                onClick={this._onToggleHistory}>
+                <Icon type='history' />
+              </Button>
+            </OverlayTrigger>
             {/* Add entity dropdown */}
             <DropdownButton
               pullRight dropup
@@ -0,0 +1,222 @@
+// @flow
+
+import Icon from '@conveyal/woonerf/components/icon'
+import React, {Component} from 'react'
+import {Button, FormControl, HelpBlock, InputGroup} from 'react-bootstrap'
+
+import * as translationActions from '../actions/translations'
+import LanguageSelect from '../../common/components/LanguageSelect'
+import {getTableById} from '../util/gtfs'
+import {entityIsNew} from '../util/objects'
+import {
+  getRecordTranslations,
+  getTranslationLanguageIssue,
+  getTranslationRecord
+} from '../util/translations'
+
+import type {TranslationValue} from '../actions/translations'
+import type {Feed, Field} from '../../types'
+import type {EditorTables} from '../../types/reducers'
+
+type Props = {
+  activeComponent: string,
+  activeEntity: any,
+  // Show the list of translations without first clicking the toggle
+  defaultExpanded?: boolean,
+  feedSource: Feed,
+  field: Field,
+  saveTranslations: typeof translationActions.saveTranslations,
+  tableData: EditorTables
+}
+
+type State = {
+  expanded: boolean,
+  saving: boolean,
+  values: Array<TranslationValue>
+}
+
+/**
+ * Expandable list of translations (stored in translations.txt) for a
+ * translatable field of the active entity. Translations are saved separately
+ * from the entity.
+ */
+export default class FieldTranslations extends Component<Props, State> {
+  state = {
+    expanded: false,
+    saving: false,
+    values: []
+  }
+
+  componentDidMount () {
+    if (this.props.defaultExpanded) this._onToggle()
+  }
+
+  componentWillReceiveProps (nextProps: Props) {
+    // Collapse list when a different entity is selected.
+    if (nextProps.activeEntity.id !== this.props.activeEntity.id) {
+      this.setState({expanded: false, values: []})
+    }
+  }
+
+  _getRecord (props: Props = this.props) {
+    const {activeComponent, activeEntity, field} = props
+    return getTranslationRecord(activeComponent, activeEntity, field.name)
+  }
+
+  _getSavedTranslations (props: Props = this.props) {
+    const record = this._getRecord(props)
+    return record ? getRecordTranslations(props.tableData.translations, record) : []
+  }
+
+  _loadValues = () => {
+    const values = this._getSavedTranslations()
+      .map(({id, language, translation}) => ({id, language, translation}))
+    this.setState({values})
+  }
+
+  _onToggle = () => {
+    const expanded = !this.state.expanded
+    if (expanded) this._loadValues()
+    this.setState({expanded})
+  }
+
+  _onAdd = () => this.setState({
+    values: [...this.state.values, {language: '', translation: ''}]
+  })
+
+  _onChangeLanguage = (index: number, option: any) => {
+    this._updateValue(index, {language: option ? option.value : ''})
+  }
+
+  _onChangeTranslation = (index: number, evt: SyntheticInputEvent<HTMLInputElement>) => {
+    this._updateValue(index, {translation: evt.target.value})
+  }
+
+  _onRemove = (index: number) => {
+    const values = [...this.state.values]
+    values.splice(index, 1)
+    this.setState({values})
+  }
+
+  _onSave = () => {
+    const {feedSource, saveTranslations} = this.props
+    const record = this._getRecord()
+    if (!record) return
+    this.setState({saving: true})
+    saveTranslations(feedSource.id, record, this.state.values)
+      // $FlowFixMe action wrapped in dispatch returns a promise
+      .then(() => {
+        this.setState({saving: false})
+        this._loadValues()
+      })
+  }
+
+  _updateValue (index: number, props: {[string]: string}) {
+    const values = [...this.state.values]
+    values[index] = {...values[index], ...props}
+    this.setState({values})
+  }
+
+  /**
+   * Get the issue (if any) with each translation in the list, checking each
+   * against the other (unsaved) translations in the list.
+   */
+  _getIssues (): Array<?string> {
+    const {tableData} = this.props
+    const record = this._getRecord()
+    if (!record) return []
+    const feedInfo = getTableById(tableData, 'feedinfo')[0]
+    const candidates = this.state.values.map((value, i) => ({
+      field_name: record.fieldName,
+      field_value: null,
+      id: i,
+      language: value.language,
+      record_id: record.recordId,
+      record_sub_id: null,
+      table_name: record.tableName,
+      translation: value.translation
+    }))
+    return candidates.map(candidate => {
+      if (!candidate.language) return 'Language is required.'
+      if (!candidate.translation) return 'Translation is required.'
+      return getTranslationLanguageIssue(
+        candidate,
+        candidates,
+        feedInfo && feedInfo.feed_lang
+      )
+    })
+  }
+
+  _renderValue = (value: TranslationValue, index: number, issue: ?string) => (
+    <div key={index} style={{marginBottom: '5px'}}>
+      <LanguageSelect
+        clearable={false}
+        onChange={option => this._onChangeLanguage(index, option)}
+        value={value.language} />
+      <InputGroup style={{marginTop: '-15px'}}>
+        <FormControl
+          onChange={evt => this._onChangeTranslation(index, evt)}
+          placeholder='Translation'
+          value={value.translation} />
+        <InputGroup.Button>
+          <Button
+            bsStyle='danger'
+            onClick={() => this._onRemove(index)}
+            title='Remove translation'>
+            <Icon type='trash' />
+          </Button>
+        </InputGroup.Button>
+      </InputGroup>
+      {issue ? <HelpBlock className='text-danger'>{issue}</HelpBlock> : null}
+    </div>
+  )
+
+  render () {
+    const {activeComponent, activeEntity} = this.props
+    const {expanded, saving, values} = this.state
+    const record = this._getRecord()
+    const savedCount = this._getSavedTranslations().length
+    const toggle = (
+      <Button
+        bsSize='xsmall'
+        bsStyle='link'
+        data-test-id='field-translations-toggle'
+        onClick={this._onToggle}
+        style={{paddingLeft: 0}}>
+        <Icon type='language' /> Translations ({savedCount})
+      </Button>
+    )
+    if (!expanded) return toggle
+    if (entityIsNew(activeEntity) || !record) {
+      return (
+        <div>
+          {toggle}
+          <HelpBlock>
+            Save the {activeComponent} (with an ID) before adding translations.
+          </HelpBlock>
+        </div>
+      )
+    }
+    const issues = this._getIssues()
+    const hasIssues = issues.some(issue => issue)
+    return (
+      <div>
+        {toggle}
+        {values.map((value, i) => this._renderValue(value, i, issues[i]))}
+        <Button
+          bsSize='small'
+          onClick={this._onAdd}>
+          <Icon type='plus' /> Add translation
+        </Button>{' '}
+        <Button
+          bsSize='small'
+          bsStyle='primary'
+          data-test-id='save-field-translations-button'
+          disabled={saving || hasIssues}
+          onClick={this._onSave}>
+          <Icon type='floppy-o' /> Save translations
+        </Button>
+      </div>
+    )
+  }
+}
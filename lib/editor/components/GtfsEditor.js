@@ -4,9 +4,11 @@ import React, {Component} from 'react'
 
 import * as activeActions from '../actions/active'
 import * as editorActions from '../actions/editor'
+import * as historyActions from '../actions/history'
 import * as mapActions from '../actions/map'
 import * as stopStrategiesActions from '../actions/map/stopStrategies'
 import * as snapshotActions from '../actions/snapshots'
+import * as translationActions from '../actions/translations'
 import * as tripActions from '../actions/trip'
 import * as tripPatternActions from '../actions/tripPattern'
 import CurrentStatusMessage from '../../common/containers/CurrentStatusMessage'
@@ -46,6 +48,7 @@ import type {
   ManagerUserState,
   MapState
 } from '../../types/reducers'
+import type {RuleViolation} from '../util/rules'
 import type {EditorValidationIssue} from '../util/validation'
 
 type Props = ContainerProps & {
@@ -70,6 +73,7 @@ type Props = ContainerProps & {
   editSettings: EditSettingsState,
   entities: Array<Entity>,
   entityEdited: boolean,
+  extendStopPlacementLine: typeof stopStrategiesActions.extendStopPlacementLine,
   feedInfo: FeedInfo,
   feedIsLocked: boolean,
   feedSource: Feed,
@@ -91,12 +95,15 @@ type Props = ContainerProps & {
   patternSegment: number,
   patternStop: {id: string, index: number},
   project: Project,
+  redoEditorHistory: typeof historyActions.redoEditorHistory,
   refreshBaseEditorData: typeof activeActions.refreshBaseEditorData,
   removeControlPoint: typeof mapActions.removeControlPoint,
   removeEditorLock: typeof editorActions.removeEditorLock,
   removeStopFromPattern: typeof stopStrategiesActions.removeStopFromPattern,
   resetActiveEntity: typeof activeActions.resetActiveGtfsEntity,
+  ruleViolations: Array<RuleViolation>,
   saveActiveGtfsEntity: typeof activeActions.saveActiveGtfsEntity,
+  saveTranslations: typeof translationActions.saveTranslations,
   setActiveEntity: typeof activeActions.setActiveEntity,
   setActiveGtfsEntity: typeof activeActions.setActiveGtfsEntity,
   setActivePatternSegment: typeof tripPatternActions.setActivePatternSegment,
@@ -112,6 +119,7 @@ type Props = ContainerProps & {
   tableData: EditorTables,
   timetableStatus: FetchStatus, // fetchStatus
   tripPatterns: Array<Pattern>,
+  undoEditorHistory: typeof historyActions.undoEditorHistory,
   updateActiveGtfsEntity: typeof activeActions.updateActiveGtfsEntity,
   updateEditSetting: typeof activeActions.updateEditSetting,
   updateMapSetting: typeof mapActions.updateMapSetting,
@@ -127,6 +135,19 @@ type State = {
   activeTableId: ?string
 }
 
+/**
+ * Check whether the event target is an element that handles its own text
+ * editing (and therefore its own undo/redo).
+ */
+function isEditableElement (target: EventTarget): boolean {
+  if (!(target instanceof HTMLElement)) return false
+  const {tagName} = target
+  return target.isContentEditable ||
+    tagName === 'INPUT' ||
+    tagName === 'SELECT' ||
+    tagName === 'TEXTAREA'
+}
+
 export default class GtfsEditor extends Component<Props, State> {
   componentWillMount () {
     this.setState({
@@ -152,6 +173,7 @@ export default class GtfsEditor extends Component<Props, State> {
     // cases.
     const unloadEvent = window.attachEvent ? 'onbeforeunload' : 'beforeunload'
     window.addEventListener(unloadEvent, this.componentCleanUp)
+    window.addEventListener('keydown', this._handleKeyDown)
   }
 
   componentWillUnmount () {
@@ -161,6 +183,33 @@ export default class GtfsEditor extends Component<Props, State> {
     // And remove the event handler for normal unmounting
     const unloadEvent = window.attachEvent ? 'onbeforeunload' : 'beforeunload'
     window.removeEventListener(unloadEvent, this.componentCleanUp)
+    window.removeEventListener('keydown', this._handleKeyDown)
+  }
+
+  /**
+   * Handle undo/redo keyboard shortcuts for entity edits.
+   */
+  _handleKeyDown = (evt: KeyboardEvent) => {
+    const {
+      feedIsLocked,
+      redoEditorHistory,
+      subSubComponent,
+      undoEditorHistory
+    } = this.props
+    // The timetable editor handles its own keyboard shortcuts.
+    if (feedIsLocked || subSubComponent === 'timetable') return
+    // Check if command key or ctrl is pressed.
+    if (!evt.ctrlKey && !evt.metaKey) return
+    // Leave native undo/redo to inputs that are being edited.
+    if (isEditableElement(evt.target)) return
+    switch (evt.keyCode) {
+      case 90: // z - Undo (or redo if shift is pressed)
+        evt.preventDefault()
+        return evt.shiftKey ? redoEditorHistory() : undoEditorHistory()
+      case 89: // y - Redo
+        evt.preventDefault()
+        return redoEditorHistory()
+    }
   }
 
   componentDidUpdate (prevProps: Props) {
@@ -0,0 +1,261 @@
+// @flow
+
+import Icon from '@conveyal/woonerf/components/icon'
+import React, {Component} from 'react'
+import {
+  Alert,
+  Button,
+  Checkbox,
+  ControlLabel,
+  FormControl,
+  FormGroup,
+  HelpBlock,
+  Label,
+  Modal,
+  Table
+} from 'react-bootstrap'
+
+import * as csvActions from '../actions/csv'
+import {getEntityIdField} from '../../gtfs/util'
+import {getCsvFileName} from '../util/csv'
+import {getEntityName} from '../util/gtfs'
+import {componentToText} from '../util/objects'
+
+import type {CsvImportResult} from '../actions/csv'
+import type {CsvImportDiff, CsvImportRow} from '../util/csv'
+import type {Entity} from '../../types'
+
+type Props = {
+  component: string,
+  feedId: string,
+  importCsvDiff: typeof csvActions.importCsvDiff,
+  onClose: () => void,
+  previewCsvImport: typeof csvActions.previewCsvImport,
+  show: boolean
+}
+
+type State = {
+  deleteRemoved: boolean,
+  diff: ?CsvImportDiff,
+  error: ?string,
+  loading: boolean
+}
+
+// Maximum number of rows to list in the preview table for each type of change
+const MAX_PREVIEW_ROWS = 100
+
+const defaultState = {
+  deleteRemoved: false,
+  diff: null,
+  error: null,
+  loading: false
+}
+
+/**
+ * Modal for importing a CSV file into an editor table. A preview of the rows
+ * that would be added, changed and removed (along with any validation issues)
+ * is shown before the import is committed.
+ */
+export default class ImportCsvModal extends Component<Props, State> {
+  state = defaultState
+
+  _onClose = () => {
+    this.setState(defaultState)
+    this.props.onClose()
+  }
+
+  _onChangeDeleteRemoved = () =>
+    this.setState({deleteRemoved: !this.state.deleteRemoved})
+
+  _onChangeFile = (evt: SyntheticInputEvent<HTMLInputElement>) => {
+    const {component, feedId, previewCsvImport} = this.props
+    const file = evt.target.files[0]
+    if (!file) return
+    this.setState({...defaultState, loading: true})
+    const reader = new window.FileReader()
+    reader.onload = () => {
+      previewCsvImport(feedId, component, reader.result)
+        // $FlowFixMe action wrapped in dispatch returns a promise
+        .then(diff => this.setState({diff, loading: false}))
+        .catch(err => this.setState({error: err.message, loading: false}))
+    }
+    reader.readAsText(file)
+  }
+
+  _onClickImport = () => {
+    const {component, feedId, importCsvDiff} = this.props
+    const {deleteRemoved, diff} = this.state
+    if (!diff) return
+    this.setState({loading: true})
+    importCsvDiff(feedId, component, diff, deleteRemoved)
+      // $FlowFixMe action wrapped in dispatch returns a promise
+      .then((result: CsvImportResult) => {
+        // Keep the modal open if the import failed partway through (the
+        // error message describes which rows were written).
+        if (result.failed) {
+          this.setState({
+            diff: null,
+            error: 'Import failed. Re-select the CSV file to preview the remaining changes.',
+            loading: false
+          })
+        } else {
+          this._onClose()
+        }
+      })
+  }
+
+  _countIssues (diff: CsvImportDiff): number {
+    return [...diff.added, ...diff.changed]
+      .filter(row => row.issues.length > 0)
+      .length
+  }
+
+  _renderRow = (row: CsvImportRow, index: number, type: 'added' | 'changed') => {
+    const idField = getEntityIdField(this.props.component)
+    return (
+      <tr key={`${type}-${index}`}>
+        <td>
+          {type === 'added'
+            ? <Label bsStyle='success'>Added</Label>
+            : <Label bsStyle='warning'>Changed</Label>
+          }
+        </td>
+        <td>{row.entity[idField]}</td>
+        <td>{getEntityName(row.entity)}</td>
+        <td>
+          {row.changedFields.join(', ')}
+          {row.issues.map(issue => (
+            <div key={issue.field} className='text-danger'>
+              <Icon type='exclamation-triangle' /> {issue.field}: {issue.reason}
+            </div>
+          ))}
+        </td>
+      </tr>
+    )
+  }
+
+  _renderRemovedRow = (entity: Entity, index: number) => {
+    const idField = getEntityIdField(this.props.component)
+    return (
+      <tr key={`removed-${index}`}>
+        <td><Label bsStyle='danger'>Removed</Label></td>
+        <td>{entity[idField]}</td>
+        <td>{getEntityName(entity)}</td>
+        <td />
+      </tr>
+    )
+  }
+
+  _renderPreview (diff: CsvImportDiff) {
+    const {component} = this.props
+    const {deleteRemoved} = this.state
+    const {added, changed, ignoredFields, removed, unchanged} = diff
+    const type = componentToText(component)
+    const rowsWithIssues = this._countIssues(diff)
+    return (
+      <div>
+        <p>
+          <Label bsStyle='success'>{added.length} added</Label>{' '}
+          <Label bsStyle='warning'>{changed.length} changed</Label>{' '}
+          <Label bsStyle='danger'>{removed.length} removed</Label>{' '}
+          <Label>{unchanged} unchanged</Label>
+        </p>
+        {ignoredFields.length > 0
+          ? <Alert bsStyle='info'>
+            The following columns are not {type} fields and will be ignored:{' '}
+            {ignoredFields.join(', ')}
+          </Alert>
+          : null
+        }
+        {rowsWithIssues > 0
+          ? <Alert bsStyle='danger'>
+            {rowsWithIssues} row(s) have validation issues. Fix the issues in
+            the CSV and select the file again to import.
+          </Alert>
+          : null
+        }
+        <div style={{maxHeight: '300px', overflowY: 'auto'}}>
+          <Table condensed>
+            <thead>
+              <tr>
+                <th />
+                <th>{getEntityIdField(component)}</th>
+                <th>Name</th>
+                <th>Changes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {added
+                .slice(0, MAX_PREVIEW_ROWS)
+                .map((row, i) => this._renderRow(row, i, 'added'))}
+              {changed
+                .slice(0, MAX_PREVIEW_ROWS)
+                .map((row, i) => this._renderRow(row, i, 'changed'))}
+              {removed
+                .slice(0, MAX_PREVIEW_ROWS)
+                .map(this._renderRemovedRow)}
+            </tbody>
+          </Table>
+        </div>
+        {removed.length > 0
+          ? <Checkbox
+            checked={deleteRemoved}
+            onChange={this._onChangeDeleteRemoved}>
+            Delete the {removed.length} {type}(s) not found in the CSV
+          </Checkbox>
+          : null
+        }
+      </div>
+    )
+  }
+
+  render () {
+    const {component, show} = this.props
+    const {deleteRemoved, diff, error, loading} = this.state
+    const type = componentToText(component)
+    const hasChanges = !!diff && (
+      diff.added.length > 0 ||
+      diff.changed.length > 0 ||
+      (deleteRemoved && diff.removed.length > 0)
+    )
+    const canImport = !!diff && !loading && hasChanges && this._countIssues(diff) === 0
+    return (
+      <Modal show={show} onHide={this._onClose} bsSize='large'>
+        <Modal.Header>
+          <Modal.Title>Import CSV into {getCsvFileName(component)}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <FormGroup>
+            <ControlLabel>CSV file</ControlLabel>
+            <FormControl
+              accept='.csv,.txt'
+              data-test-id='import-csv-file-input'
+              disabled={loading}
+              onChange={this._onChangeFile}
+              type='file' />
+            <HelpBlock>
+              Column names must match GTFS field names. Rows are matched to
+              existing {type}s on {getEntityIdField(component)}. Fields for
+              columns missing from the CSV are left unchanged.
+            </HelpBlock>
+          </FormGroup>
+          {error ? <Alert bsStyle='danger'>{error}</Alert> : null}
+          {loading ? <p><Icon type='spinner' className='fa-pulse' /> Loading...</p> : null}
+          {diff && !loading ? this._renderPreview(diff) : null}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button
+            bsStyle='primary'
+            data-test-id='import-csv-button'
+            disabled={!canImport}
+            onClick={this._onClickImport}>
+            Import
+          </Button>
+          <Button onClick={this._onClose}>
+            Cancel
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    )
+  }
+}
@@ -0,0 +1,260 @@
+// @flow
+
+import Icon from '@conveyal/woonerf/components/icon'
+import React, {Component} from 'react'
+import {Alert, Button, Checkbox, Label, Modal, Table} from 'react-bootstrap'
+
+import {getComponentMessages} from '../../common/util/config'
+import {secondsAfterMidnightToHHMM} from '../../common/util/gtfs'
+import {getSummaryValue, hasRouteServiceChanged} from '../../gtfs/util/serviceChange'
+import TripsPerHourChart from '../../manager/components/reporter/components/TripsPerHourChart'
+import * as versionActions from '../../manager/actions/versions'
+
+import type {RouteServiceChange, ServiceChangeReport} from '../../gtfs/util/serviceChange'
+import type {Feed} from '../../types'
+
+type Props = {
+  feedSource: Feed,
+  fetchServiceChangeReport: typeof versionActions.fetchServiceChangeReport,
+  onClose: () => void,
+  show: boolean
+}
+
+type State = {
+  fetching: boolean,
+  report: ?ServiceChangeReport,
+  selectedRouteId: ?string,
+  showUnchanged: boolean
+}
+
+const formatHours = (hours: ?number) =>
+  typeof hours === 'number' ? `${Math.round(hours * 10) / 10}` : '-'
+
+const formatNumber = (value: ?number) =>
+  typeof value === 'number' ? `${value}` : '-'
+
+const formatTime = (seconds: ?number) =>
+  typeof seconds === 'number' ? secondsAfterMidnightToHHMM(seconds) : '-'
+
+const formatHeadway = (seconds: ?number) =>
+  typeof seconds === 'number' ? `${Math.round(seconds / 60)} min` : '-'
+
+/**
+ * Modal comparing the service in the editor buffer against the latest
+ * published feed version (or the latest version if none has been published),
+ * so that changes riders will experience can be reviewed before publishing a
+ * snapshot.
+ */
+export default class ServiceChangeReportModal extends Component<Props, State> {
+  messages = getComponentMessages('ServiceChangeReportModal')
+
+  state = {
+    fetching: false,
+    report: null,
+    selectedRouteId: null,
+    showUnchanged: false
+  }
+
+  componentDidMount () {
+    const {feedSource, fetchServiceChangeReport} = this.props
+    const {editorNamespace} = feedSource
+    const baseNamespace = this._getBaseNamespace()
+    if (!baseNamespace || !editorNamespace) return
+    this.setState({fetching: true})
+    // $FlowFixMe action wrapped in dispatch returns a promise
+    fetchServiceChangeReport(baseNamespace, editorNamespace)
+      .then(report => this.setState({fetching: false, report}))
+  }
+
+  /**
+   * Get the namespace of the published version or, if no version has been
+   * published, the latest version (if loaded).
+   */
+  _getBaseNamespace (): ?string {
+    const {feedSource} = this.props
+    if (feedSource.publishedVersionId) return feedSource.publishedVersionId
+    const latestVersion = feedSource.feedVersions &&
+      feedSource.feedVersions.find(v => v.id === feedSource.latestVersionId)
+    return latestVersion ? latestVersion.namespace : null
+  }
+
+  _onSelectRoute = (routeId: string) =>
+    this.setState({
+      selectedRouteId: routeId === this.state.selectedRouteId ? null : routeId
+    })
+
+  _onToggleUnchanged = () =>
+    this.setState({showUnchanged: !this.state.showUnchanged})
+
+  _renderChange (
+    change: RouteServiceChange,
+    field: string,
+    format: (?number) => string
+  ) {
+    const base = getSummaryValue(change.base, field)
+    const compared = getSummaryValue(change.compared, field)
+    if (base === compared) return <td>{format(compared)}</td>
+    return (
+      <td className='text-warning'>
+        <del className='text-muted'>{format(base)}</del> {format(compared)}
+      </td>
+    )
+  }
+
+  _renderTotals (report: ServiceChangeReport) {
+    const {base, compared} = report.totals
+    const formatDelta = (delta: number, format: number => string) =>
+      `${delta > 0 ? '+' : ''}${format(delta)}`
+    return (
+      <Table condensed>
+        <thead>
+          <tr>
+            <th />
+            <th>{this.messages('published')}</th>
+            <th>{this.messages('editor')}</th>
+            <th>{this.messages('change')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <th>{this.messages('weeklyHours')}</th>
+            <td>{formatHours(base.weeklyHours)}</td>
+            <td>{formatHours(compared.weeklyHours)}</td>
+            <td>{formatDelta(compared.weeklyHours - base.weeklyHours, formatHours)}</td>
+          </tr>
+          <tr>
+            <th>{this.messages('weeklyTrips')}</th>
+            <td>{base.weeklyTrips}</td>
+            <td>{compared.weeklyTrips}</td>
+            <td>{formatDelta(compared.weeklyTrips - base.weeklyTrips, formatNumber)}</td>
+          </tr>
+        </tbody>
+      </Table>
+    )
+  }
+
+  _renderTripsPerHour (change: RouteServiceChange) {
+    const {base, compared} = change
+    const maxTripsPerHour = Math.max(
+      ...(base ? base.tripsPerHour : [0]),
+      ...(compared ? compared.tripsPerHour : [0])
+    )
+    return (
+      <div>
+        <h5>{this.messages('published')}</h5>
+        <TripsPerHourChart
+          maxTripsPerHour={maxTripsPerHour}
+          tripsPerHour={base ? base.tripsPerHour : Array(24).fill(0)} />
+        <h5>{this.messages('editor')}</h5>
+        <TripsPerHourChart
+          maxTripsPerHour={maxTripsPerHour}
+          tripsPerHour={compared ? compared.tripsPerHour : Array(24).fill(0)} />
+      </div>
+    )
+  }
+
+  _renderRoutes (report: ServiceChangeReport) {
+    const {selectedRouteId, showUnchanged} = this.state
+    const routes = showUnchanged
+      ? report.routes
+      : report.routes.filter(hasRouteServiceChanged)
+    return (
+      <div>
+        <Checkbox checked={showUnchanged} onChange={this._onToggleUnchanged}>
+          {this.messages('showUnchanged')}
+        </Checkbox>
+        {routes.length === 0
+          ? <p className='lead text-center'>{this.messages('noChanges')}</p>
+          : <Table condensed hover>
+            <thead>
+              <tr>
+                <th>{this.messages('route')}</th>
+                <th>{this.messages('weeklyHours')}</th>
+                <th>{this.messages('weeklyTrips')}</th>
+                <th>{this.messages('spanStart')}</th>
+                <th>{this.messages('spanEnd')}</th>
+                <th>{this.messages('headway')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {routes.map(change => [
+                <tr
+                  key={change.routeId}
+                  onClick={() => this._onSelectRoute(change.routeId)}
+                  style={{cursor: 'pointer'}}>
+                  <td>
+                    {change.name}{' '}
+                    {!change.base && <Label bsStyle='success'>{this.messages('added')}</Label>}
+                    {!change.compared && <Label bsStyle='danger'>{this.messages('removed')}</Label>}
+                  </td>
+                  {this._renderChange(change, 'weeklyHours', formatHours)}
+                  {this._renderChange(change, 'weeklyTrips', formatNumber)}
+                  {this._renderChange(change, 'spanStart', formatTime)}
+                  {this._renderChange(change, 'spanEnd', formatTime)}
+                  {this._renderChange(change, 'headway', formatHeadway)}
+                </tr>,
+                selectedRouteId === change.routeId &&
+                  <tr key={`${change.routeId}-chart`}>
+                    <td colSpan={6}>{this._renderTripsPerHour(change)}</td>
+                  </tr>
+              ])}
+            </tbody>
+          </Table>
+        }
+      </div>
+    )
+  }
+
+  _renderRemovedStops (report: ServiceChangeReport) {
+    const {removedStops} = report
+    return (
+      <div>
+        <h4>{this.messages('removedStops')} ({removedStops.length})</h4>
+        {removedStops.length === 0
+          ? <p>{this.messages('noRemovedStops')}</p>
+          : <ul className='list-unstyled'>
+            {removedStops.map(stop => (
+              <li key={stop.stop_id}>
+                <Label bsStyle='danger'>{this.messages('removed')}</Label>{' '}
+                {stop.stop_name} <small className='text-muted'>({stop.stop_id})</small>
+              </li>
+            ))}
+          </ul>
+        }
+      </div>
+    )
+  }
+
+  render () {
+    const {feedSource, onClose, show} = this.props
+    const {fetching, report} = this.state
+    const baseNamespace = this._getBaseNamespace()
+    return (
+      <Modal bsSize='large' show={show} onHide={onClose}>
+        <Modal.Header closeButton>
+          <Modal.Title>{this.messages('title')}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {!baseNamespace || !feedSource.editorNamespace
+            ? <Alert bsStyle='warning'>{this.messages('noVersion')}</Alert>
+            : fetching
+              ? <p className='text-center'>
+                <Icon className='fa-spin' type='refresh' /> {this.messages('loading')}
+              </p>
+              : report && (
+                <div>
+                  <p className='text-muted'>{this.messages('help')}</p>
+                  {this._renderTotals(report)}
+                  {this._renderRoutes(report)}
+                  {this._renderRemovedStops(report)}
+                </div>
+              )
+          }
+        </Modal.Body>
+        <Modal.Footer>
+          <Button onClick={onClose}>{this.messages('close')}</Button>
+        </Modal.Footer>
+      </Modal>
+    )
+  }
+}
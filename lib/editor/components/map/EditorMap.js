@@ -17,9 +17,13 @@ import DirectionIconsLayer from './DirectionIconsLayer'
 import PatternDebugLines from './pattern-debug-lines'
 import PatternsLayer from './PatternsLayer'
 import PatternStopsLayer from './PatternStopsLayer'
+import StationLayer from './StationLayer'
+import StopPlacementLayer from './StopPlacementLayer'
 import StopsLayer from './StopsLayer'
+import {getTableById} from '../../util/gtfs'
 import {MAP_LAYERS, constructStop, clickToLatLng, getFeedBounds} from '../../util/map'
 import {entityIsNew} from '../../util/objects'
+import {getPathwaysForStops, getStationId, getStationMembers} from '../../util/stations'
 
 import type {
   ControlPoint,
@@ -27,11 +31,17 @@ import type {
   Entity,
   Feed,
   FeedInfo,
+  GtfsPathway,
   GtfsRoute,
   GtfsStop,
   Pattern
 } from '../../../types'
-import type {EditSettingsState, ManagerUserState, MapState} from '../../../types/reducers'
+import type {
+  EditorTables,
+  EditSettingsState,
+  ManagerUserState,
+  MapState
+} from '../../../types/reducers'
 
 type Props = {
   activeComponent: string,
@@ -48,6 +58,7 @@ type Props = {
   drawStops: boolean,
   editSettings: EditSettingsState,
   entities: Array<Entity>,
+  extendStopPlacementLine: typeof stopStrategiesActions.extendStopPlacementLine,
   entityEdited: boolean,
   feedInfo: FeedInfo,
   feedSource: Feed,
@@ -74,6 +85,7 @@ type Props = {
   subComponent: string,
   subEntity: number,
   subEntityId: number,
+  tableData: EditorTables,
   tripPatterns: Array<Pattern>,
   updateActiveGtfsEntity: typeof activeActions.updateActiveGtfsEntity,
   updateEditSetting: typeof activeActions.updateEditSetting,
@@ -196,7 +208,8 @@ export default class EditorMap extends Component<Props, State> {
       activePattern,
       addStopAtIntersection,
       addStopAtInterval,
-      controlPoints
+      controlPoints,
+      extendStopPlacementLine
     } = this.props
     if (subComponent === 'trippattern' && editSettings.editGeometry) {
       // TODO: Prevent adding stops (at click, at interval, etc.) if the user
@@ -212,6 +225,8 @@ export default class EditorMap extends Component<Props, State> {
           return addStopAtIntersection(e.latlng, activePattern)
         case 'ADD_STOPS_AT_INTERVAL':
           return addStopAtInterval(e.latlng, activePattern, controlPoints)
+        case 'PLACE_STOPS_ALONG_LINE':
+          return extendStopPlacementLine(e.latlng)
         default:
           break
       }
@@ -236,6 +251,29 @@ export default class EditorMap extends Component<Props, State> {
     }
   }
 
+  /**
+   * Render the station detail layer (station members and pathways) for the
+   * provided station, excluding the active stop (which is rendered as a
+   * draggable marker in the stops layer).
+   */
+  _renderStationLayer (stationId: string) {
+    const {activeComponent, activeEntity, feedSource, setActiveEntity, stops, tableData} = this.props
+    const pathways: Array<GtfsPathway> = getTableById(tableData, 'pathway')
+    const members = getStationMembers(stationId, stops)
+    const activeStopId = activeComponent === 'stop' && activeEntity
+      ? activeEntity.id
+      : null
+    return (
+      <StationLayer
+        activePathwayId={activeComponent === 'pathway' && activeEntity ? activeEntity.id : null}
+        feedSource={feedSource}
+        members={members.filter(s => s.id !== activeStopId)}
+        pathways={getPathwaysForStops(members, pathways)}
+        setActiveEntity={setActiveEntity}
+        station={stops.find(s => s.stop_id === stationId)} />
+    )
+  }
+
   _getMapComponents () {
     const {
       activeComponent,
@@ -338,20 +376,42 @@ export default class EditorMap extends Component<Props, State> {
               editSettings={editSettings}
               mapState={mapState}
               stops={stops} />
+            {editSettings.editGeometry &&
+              <StopPlacementLayer editSettings={editSettings} />
+            }
           </FeatureGroup>
         )
       case 'stop':
         const castedStop = ((activeEntity: any): GtfsStop)
+        // If the active stop belongs to a station, show the station detail
+        // (whose members are drawn by the station layer).
+        const stationId = getStationId(castedStop, stops)
+        const stationMemberIds = stationId
+          ? getStationMembers(stationId, stops).map(s => s.id)
+          : []
         return (
-          <StopsLayer
-            activeEntity={castedStop}
-            drawStops={drawStops}
-            feedSource={feedSource}
-            mapState={mapState}
-            setActiveEntity={setActiveEntity}
-            stops={stops}
-            updateActiveGtfsEntity={updateActiveGtfsEntity} />
+          <FeatureGroup>
+            {stationId && this._renderStationLayer(stationId)}
+            <StopsLayer
+              activeEntity={castedStop}
+              drawStops={drawStops}
+              feedSource={feedSource}
+              mapState={mapState}
+              setActiveEntity={setActiveEntity}
+              stops={stationId
+                ? stops.filter(s => s.id === castedStop.id || stationMemberIds.indexOf(s.id) === -1)
+                : stops
+              }
+              updateActiveGtfsEntity={updateActiveGtfsEntity} />
+          </FeatureGroup>
         )
+      case 'pathway':
+        const pathway = ((activeEntity: any): ?GtfsPathway)
+        const fromStop = pathway && stops.find(s => s.stop_id === pathway.from_stop_id)
+        const pathwayStationId = getStationId(fromStop, stops)
+        return pathwayStationId
+          ? this._renderStationLayer(pathwayStationId)
+          : null
       default:
         return null
     }
@@ -0,0 +1,157 @@
+// @flow
+
+import React, {Component} from 'react'
+import {CircleMarker, FeatureGroup, Polyline, Tooltip} from 'react-leaflet'
+
+import * as activeActions from '../../actions/active'
+import {LOCATION_TYPE} from '../../constants'
+import {getEntityName} from '../../util/gtfs'
+import {getLocationType, LOCATION_TYPE_LABELS} from '../../util/stations'
+
+import type {Feed, GtfsPathway, GtfsStop} from '../../../types'
+
+type Props = {
+  activePathwayId: ?number,
+  feedSource: Feed,
+  members: Array<GtfsStop>,
+  pathways: Array<GtfsPathway>,
+  setActiveEntity: typeof activeActions.setActiveEntity,
+  station: ?GtfsStop
+}
+
+const LOCATION_TYPE_COLORS = {
+  [LOCATION_TYPE.STOP]: '#2389c9',
+  [LOCATION_TYPE.STATION]: '#333333',
+  [LOCATION_TYPE.ENTRANCE]: '#5cb85c',
+  [LOCATION_TYPE.GENERIC_NODE]: '#999999',
+  [LOCATION_TYPE.BOARDING_AREA]: '#f0ad4e'
+}
+
+// Indexed by pathway_mode (1-7)
+const PATHWAY_MODE_LABELS = [
+  null,
+  'Walkway',
+  'Stairs',
+  'Moving sidewalk',
+  'Escalator',
+  'Elevator',
+  'Fare gate',
+  'Exit gate'
+]
+
+/**
+ * Station detail layer that draws the members of a station (platforms,
+ * entrances, generic nodes and boarding areas) and the pathways between them.
+ * One-way pathways are drawn with a dashed line.
+ */
+export default class StationLayer extends Component<Props> {
+  render () {
+    const {activePathwayId, feedSource, members, pathways, setActiveEntity, station} = this.props
+    const stopsById = {}
+    members.forEach(stop => { stopsById[stop.stop_id] = stop })
+    if (station) stopsById[station.stop_id] = station
+    return (
+      <FeatureGroup>
+        {pathways.map(pathway => {
+          const from = stopsById[pathway.from_stop_id]
+          const to = stopsById[pathway.to_stop_id]
+          // Skip pathways to stops outside of the station (or with missing
+          // stop references).
+          if (!from || !to) return null
+          return (
+            <PathwayLine
+              feedSource={feedSource}
+              from={from}
+              isActive={pathway.id === activePathwayId}
+              key={pathway.id}
+              pathway={pathway}
+              setActiveEntity={setActiveEntity}
+              to={to} />
+          )
+        })}
+        {members.map(stop => (
+          <StationMemberMarker
+            feedSource={feedSource}
+            key={stop.id}
+            setActiveEntity={setActiveEntity}
+            stop={stop} />
+        ))}
+      </FeatureGroup>
+    )
+  }
+}
+
+type PathwayLineProps = {
+  feedSource: Feed,
+  from: GtfsStop,
+  isActive: boolean,
+  pathway: GtfsPathway,
+  setActiveEntity: typeof activeActions.setActiveEntity,
+  to: GtfsStop
+}
+
+class PathwayLine extends Component<PathwayLineProps> {
+  _onClick = () => {
+    const {feedSource, pathway, setActiveEntity} = this.props
+    setActiveEntity(feedSource.id, 'pathway', pathway)
+  }
+
+  render () {
+    const {from, isActive, pathway, to} = this.props
+    const bidirectional = +pathway.is_bidirectional === 1
+    return (
+      <Polyline
+        color={isActive ? '#d9534f' : '#555555'}
+        dashArray={bidirectional ? undefined : '6, 6'}
+        onClick={this._onClick}
+        opacity={isActive ? 0.9 : 0.6}
+        positions={[[from.stop_lat, from.stop_lon], [to.stop_lat, to.stop_lon]]}
+        weight={isActive ? 6 : 4}>
+        <Tooltip sticky>
+          <span>
+            {PATHWAY_MODE_LABELS[+pathway.pathway_mode] || 'Pathway'}{' '}
+            ({pathway.pathway_id}): {getEntityName(from)}{' '}
+            {bidirectional ? '↔' : '→'} {getEntityName(to)}
+          </span>
+        </Tooltip>
+      </Polyline>
+    )
+  }
+}
+
+type MemberMarkerProps = {
+  feedSource: Feed,
+  setActiveEntity: typeof activeActions.setActiveEntity,
+  stop: GtfsStop
+}
+
+class StationMemberMarker extends Component<MemberMarkerProps> {
+  _onClick = () => {
+    const {feedSource, setActiveEntity, stop} = this.props
+    setActiveEntity(feedSource.id, 'stop', stop)
+  }
+
+  render () {
+    const {stop} = this.props
+    const locationType = getLocationType(stop)
+    // Do not render marker if the lat/lon are invalid.
+    if (isNaN(stop.stop_lat) || isNaN(stop.stop_lon)) return null
+    return (
+      <CircleMarker
+        center={[stop.stop_lat, stop.stop_lon]}
+        color='#ffffff'
+        fillColor={LOCATION_TYPE_COLORS[locationType]}
+        fillOpacity={1}
+        onClick={this._onClick}
+        radius={7}
+        weight={2}>
+        <Tooltip>
+          <span>
+            {getEntityName(stop)} ({LOCATION_TYPE_LABELS[locationType]}
+            {stop.level_id ? `, level ${stop.level_id}` : ''})
+          </span>
+        </Tooltip>
+      </CircleMarker>
+    )
+  }
+}
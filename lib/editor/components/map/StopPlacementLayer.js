@@ -0,0 +1,57 @@
+// @flow
+
+import React, {Component} from 'react'
+import {CircleMarker, FeatureGroup, Polyline, Tooltip} from 'react-leaflet'
+
+import type {ProposedStop} from '../../../types'
+import type {EditSettingsState} from '../../../types/reducers'
+
+type Props = {
+  editSettings: EditSettingsState
+}
+
+const getProposedStopColor = (proposedStop: ProposedStop) => proposedStop.existingStopId
+  ? 'green'
+  : proposedStop.atIntersection
+    ? 'orange'
+    : '#3388ff'
+
+/**
+ * Preview of the line that stops are placed along and the stops proposed for
+ * it (before they are added to the active pattern).
+ */
+export default class StopPlacementLayer extends Component<Props> {
+  render () {
+    const {proposedStops, stopPlacementLine} = this.props.editSettings
+    if (!stopPlacementLine) return null
+    return (
+      <FeatureGroup>
+        <Polyline
+          color='purple'
+          dashArray='8, 8'
+          interactive={false}
+          positions={stopPlacementLine.map(c => [c[1], c[0]])}
+          weight={4} />
+        {proposedStops && proposedStops.map((proposedStop, i) => (
+          <CircleMarker
+            center={[proposedStop.lat, proposedStop.lon]}
+            color='black'
+            fillColor={getProposedStopColor(proposedStop)}
+            fillOpacity={0.9}
+            key={i}
+            radius={6}
+            weight={1}>
+            <Tooltip>
+              <span>
+                {i + 1}. {proposedStop.name || '(unnamed)'}
+                {proposedStop.existingStopId
+                  ? ` (existing stop ${proposedStop.existingStopId})`
+                  : proposedStop.atIntersection ? ' (intersection)' : ''}
+              </span>
+            </Tooltip>
+          </CircleMarker>
+        ))}
+      </FeatureGroup>
+    )
+  }
+}
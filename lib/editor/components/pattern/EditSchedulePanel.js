@@ -16,7 +16,7 @@ type Props = {
   activePattern: Pattern,
   activePatternId: number,
   activePatternTripCount: number,
-  deleteAllTripsForPattern: typeof tripPatternActions.deleteAllTripsForPattern,
+  convertTripsForPattern: typeof tripPatternActions.convertTripsForPattern,
   feedSource: Feed,
   saveActiveGtfsEntity: typeof activeActions.saveActiveGtfsEntity,
   setActiveEntity: typeof activeActions.setActiveEntity,
@@ -60,31 +60,25 @@ export default class EditSchedulePanel extends Component<Props> {
   _onChangeUseFrequency = (key: string) => {
     const {
       activePattern,
-      deleteAllTripsForPattern,
+      activePatternTripCount,
+      convertTripsForPattern,
       feedSource,
-      saveActiveGtfsEntity,
-      showConfirmModal,
-      updateActiveGtfsEntity
+      showConfirmModal
     } = this.props
-    const {name, patternId} = activePattern
-    const useFrequency = key !== 'timetables' ? 1 : 0
-    const unselectedOption = key === 'timetables' ? 'frequencies' : 'timetables'
+    const {name} = activePattern
+    const useFrequency = key !== 'timetables'
+    const conversionMessage = useFrequency
+      ? `Existing trips will be converted into frequency-based trips: trips with
+      the same travel times (and calendar and headsign) are combined into one
+      trip with an exact-times frequency entry for each set of evenly spaced
+      trips. Block IDs will not be kept.`
+      : `Each existing frequency-based trip will be converted into an individual
+      trip for each departure in its frequency entries.`
     showConfirmModal({
       title: `Use ${key} for ${name}?`,
       body: `Are you sure you want to use ${key} for this trip pattern?
-      Any trips created using ${unselectedOption} will be lost.`,
-      onConfirm: () => {
-        // Update and save useFrequency field
-        updateActiveGtfsEntity({
-          component: 'trippattern',
-          entity: activePattern,
-          props: {useFrequency}
-        })
-        saveActiveGtfsEntity('trippattern')
-          // Then, delete all trips for the pattern.
-          // $FlowFixMe action is wrapped in promise when connected
-          .then(() => deleteAllTripsForPattern(feedSource.id, patternId))
-      }
+      ${activePatternTripCount > 0 ? conversionMessage : ''}`,
+      onConfirm: () => convertTripsForPattern(feedSource.id, activePattern, useFrequency)
     })
   }
 
@@ -8,6 +8,16 @@ import Rcslider from 'rc-slider'
 import {updateEditSetting} from '../../actions/active'
 import {CLICK_OPTIONS} from '../../util'
 import toSentenceCase from '../../../common/util/to-sentence-case'
+import {
+  getActiveRouter,
+  getRouters,
+  setActiveRouter
+} from '../../../scenario-editor/utils/routers'
+import {
+  getRoadNetworkStatus,
+  loadRoadNetwork,
+  localRouter
+} from '../../../scenario-editor/utils/routers/local'
 
 import type {EditSettingsState} from '../../../types/reducers'
 
@@ -107,6 +117,7 @@ export default class EditSettings extends Component<Props, State> {
               **/}
             </span>
           ))}
+          {editSettings.followStreets ? <RouterSettings /> : null}
           <ControlLabel>Editing mode</ControlLabel>
           <FormControl
             componentClass='select'
@@ -214,3 +225,87 @@ class AddStopAtIntersectionSettings extends Component<AddStopProps> {
     )
   }
 }
+
+type RouterSettingsState = {
+  routerId: string,
+  status: ?string
+}
+
+/**
+ * Settings for choosing the router used to snap to streets (and loading a road
+ * network for the local router). A warning is shown if the router is not ready
+ * (in which case new segments are drawn as straight lines).
+ */
+class RouterSettings extends Component<{}, RouterSettingsState> {
+  state = {
+    routerId: getActiveRouter().id,
+    status: getActiveRouter().getStatus()
+  }
+
+  _updateStatus = () => {
+    const router = getActiveRouter()
+    this.setState({routerId: router.id, status: router.getStatus()})
+  }
+
+  _onChangeRouter = (evt: SyntheticInputEvent<HTMLInputElement>) => {
+    setActiveRouter(evt.target.value)
+    this._updateStatus()
+  }
+
+  _onChangeFile = (evt: SyntheticInputEvent<HTMLInputElement>) => {
+    const file = evt.target.files[0]
+    if (!file) return
+    const reader = new window.FileReader()
+    reader.onload = e => {
+      loadRoadNetwork(e.target.result, file.name).then(this._updateStatus)
+      this._updateStatus()
+    }
+    reader.readAsText(file)
+  }
+
+  render () {
+    const {routerId, status} = this.state
+    const networkStatus = getRoadNetworkStatus()
+    return (
+      <div style={{marginBottom: '10px'}}>
+        <ControlLabel><small>Routing</small></ControlLabel>
+        <FormControl
+          bsSize='small'
+          componentClass='select'
+          value={routerId}
+          onChange={this._onChangeRouter}>
+          {getRouters().map(router => (
+            <option key={router.id} value={router.id}>{router.name}</option>
+          ))}
+        </FormControl>
+        {routerId === localRouter.id
+          ? <div style={{marginTop: '5px'}}>
+            <FormControl
+              accept='.json,.geojson,.osm,.xml'
+              bsSize='small'
+              onChange={this._onChangeFile}
+              type='file' />
+            <small className='text-muted'>
+              {networkStatus.loading
+                ? <span><Icon className='fa-spin' type='refresh' /> Loading road network...</span>
+                : networkStatus.edgeCount > 0
+                  ? `Loaded ${networkStatus.name || 'road network'} (${networkStatus.edgeCount} edges)`
+                  : 'Load a road network (GeoJSON, OSM XML or Overpass JSON).'
+              }
+            </small>
+          </div>
+          : null
+        }
+        {status
+          ? <Alert bsStyle='warning' style={{marginTop: '5px', marginBottom: '0px', padding: '5px'}}>
+            <small>
+              <strong>Routing unavailable:</strong> {status}. New segments will
+              be drawn as straight lines.
+            </small>
+          </Alert>
+          : null
+        }
+      </div>
+    )
+  }
+}
@@ -8,9 +8,12 @@ import numeral from 'numeral'
 
 import * as activeActions from '../../actions/active'
 import * as mapActions from '../../actions/map'
+import * as stopStrategiesActions from '../../actions/map/stopStrategies'
 import * as tripPatternActions from '../../actions/tripPattern'
 import OptionButton from '../../../common/components/OptionButton'
 import EditSettings from './EditSettings'
+import ShapeImportModal from './ShapeImportModal'
+import StopPlacementPanel from './StopPlacementPanel'
 import * as statusActions from '../../../manager/actions/status'
 import {polyline as getPolyline} from '../../../scenario-editor/utils/valhalla'
 import {
@@ -19,14 +22,18 @@ import {
   getPatternDistance
 } from '../../util/map'
 
-import type {ControlPoint, LatLng, Pattern, GtfsStop} from '../../../types'
+import type {ControlPoint, GtfsRoute, LatLng, Pattern, GtfsStop} from '../../../types'
 import type {EditSettingsUndoState} from '../../../types/reducers'
 
 type Props = {
+  activeEntity: GtfsRoute,
   activePattern: Pattern,
+  addProposedStopsToPattern: typeof stopStrategiesActions.addProposedStopsToPattern,
   controlPoints: Array<ControlPoint>,
   editSettings: EditSettingsUndoState,
+  importPatternShape: typeof mapActions.importPatternShape,
   patternSegment: number,
+  proposeStopsAlongLine: typeof stopStrategiesActions.proposeStopsAlongLine,
   resetActiveGtfsEntity: typeof activeActions.resetActiveGtfsEntity,
   saveActiveGtfsEntity: typeof activeActions.saveActiveGtfsEntity,
   setActivePatternSegment: typeof tripPatternActions.setActivePatternSegment,
@@ -40,7 +47,15 @@ type Props = {
   updatePatternGeometry: typeof mapActions.updatePatternGeometry,
 }
 
-export default class EditShapePanel extends Component<Props> {
+type State = {
+  showShapeImport: boolean
+}
+
+export default class EditShapePanel extends Component<Props, State> {
+  state = {
+    showShapeImport: false
+  }
+
   /**
    * Construct new pattern geometry from the pattern stop locations.
    */
@@ -129,6 +144,10 @@ export default class EditShapePanel extends Component<Props> {
     })
   }
 
+  _showShapeImport = () => this.setState({showShapeImport: true})
+
+  _hideShapeImport = () => this.setState({showShapeImport: false})
+
   _beginEditing = () => {
     const {togglePatternEditing} = this.props
     togglePatternEditing()
@@ -146,9 +165,13 @@ export default class EditShapePanel extends Component<Props> {
 
   render () {
     const {
+      activeEntity,
       activePattern,
+      addProposedStopsToPattern,
       controlPoints, // FIXME use to describe which segment user is editing
+      importPatternShape,
       patternSegment,
+      proposeStopsAlongLine,
       editSettings: editSettingsState,
       setActivePatternSegment,
       updateEditSetting,
@@ -231,9 +254,33 @@ export default class EditShapePanel extends Component<Props> {
                 <Button href='#' bsSize='small' {...b} />
               ))}
             </ButtonGroup>
+            <Button
+              block
+              bsSize='small'
+              onClick={this._showShapeImport}
+              style={{marginTop: '5px'}}>
+              <Icon type='upload' /> Import shape from file
+            </Button>
+            {this.state.showShapeImport &&
+              <ShapeImportModal
+                activePattern={activePattern}
+                importPatternShape={importPatternShape}
+                onClose={this._hideShapeImport}
+                show />
+            }
             <EditSettings
               editSettings={editSettings}
               updateEditSetting={updateEditSetting} />
+            {editSettings.onMapClick === 'PLACE_STOPS_ALONG_LINE'
+              ? <StopPlacementPanel
+                activeEntity={activeEntity}
+                activePattern={activePattern}
+                addProposedStopsToPattern={addProposedStopsToPattern}
+                editSettings={editSettings}
+                proposeStopsAlongLine={proposeStopsAlongLine}
+                updateEditSetting={updateEditSetting} />
+              : null
+            }
           </div>
           : <Button
             block
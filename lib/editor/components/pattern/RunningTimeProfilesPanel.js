@@ -0,0 +1,306 @@
+// @flow
+
+import Icon from '@conveyal/woonerf/components/icon'
+import React, {Component} from 'react'
+import {
+  Button,
+  ButtonToolbar,
+  ControlLabel,
+  FormControl,
+  FormGroup,
+  HelpBlock,
+  InputGroup,
+  Table
+} from 'react-bootstrap'
+
+import HourMinuteInput from '../HourMinuteInput'
+import MinuteSecondInput from '../MinuteSecondInput'
+import {getAbbreviatedStopName} from '../../util/gtfs'
+import {
+  createRunningTimeProfile,
+  getDefaultSegments,
+  getRunningTimeProfiles,
+  scaleSegments,
+  storeRunningTimeProfiles
+} from '../../util/runningTimes'
+
+import type {Feed, GtfsStop, Pattern, RunningTimeProfile} from '../../../types'
+
+type Props = {
+  activePattern: Pattern,
+  feedSource: Feed,
+  stops: Array<GtfsStop>
+}
+
+type State = {
+  activeProfileId: ?string,
+  edited: boolean,
+  factor: number,
+  profiles: Array<RunningTimeProfile>
+}
+
+const HOUR = 60 * 60
+
+/**
+ * Panel for editing the named running time profiles (e.g., AM peak) for a
+ * timetable-based trip pattern. Each profile has a time of day range and a
+ * travel/dwell time for each pattern stop. Trips added or offset in the
+ * timetable editor use the profile that contains their first departure.
+ */
+export default class RunningTimeProfilesPanel extends Component<Props, State> {
+  state = {
+    activeProfileId: null,
+    edited: false,
+    factor: 100,
+    profiles: []
+  }
+
+  componentWillMount () {
+    this._loadProfiles(this.props)
+  }
+
+  componentWillReceiveProps (nextProps: Props) {
+    if (nextProps.activePattern.id !== this.props.activePattern.id) {
+      this._loadProfiles(nextProps)
+    }
+  }
+
+  _loadProfiles (props: Props) {
+    const {activePattern, feedSource} = props
+    this.setState({
+      activeProfileId: null,
+      edited: false,
+      profiles: getRunningTimeProfiles(feedSource.id, activePattern.patternId)
+    })
+  }
+
+  _updateProfile (id: string, props: $Shape<RunningTimeProfile>) {
+    const profiles = this.state.profiles
+      .map(p => p.id === id ? {...p, ...props} : p)
+    this.setState({edited: true, profiles})
+  }
+
+  _getActiveProfile (): ?RunningTimeProfile {
+    const {activeProfileId, profiles} = this.state
+    return profiles.find(p => p.id === activeProfileId)
+  }
+
+  _onClickAdd = () => {
+    const {activePattern} = this.props
+    const {profiles} = this.state
+    // Start new profile where the last profile ends.
+    const startTime = profiles.length > 0
+      ? profiles[profiles.length - 1].endTime
+      : 6 * HOUR
+    const profile = createRunningTimeProfile(
+      activePattern,
+      `Profile ${profiles.length + 1}`,
+      startTime,
+      Math.min(startTime + 3 * HOUR, 24 * HOUR)
+    )
+    this.setState({
+      activeProfileId: profile.id,
+      edited: true,
+      profiles: [...profiles, profile]
+    })
+  }
+
+  _onClickSave = () => {
+    const {activePattern, feedSource} = this.props
+    storeRunningTimeProfiles(feedSource.id, activePattern.patternId, this.state.profiles)
+    this.setState({edited: false})
+  }
+
+  _onClickUndo = () => this._loadProfiles(this.props)
+
+  _onChangeFactor = (evt: SyntheticInputEvent<HTMLInputElement>) =>
+    this.setState({factor: +evt.target.value})
+
+  _onClickApplyFactor = () => {
+    const {activePattern} = this.props
+    const profile = this._getActiveProfile()
+    if (!profile) return
+    const defaultSegments = getDefaultSegments(activePattern.patternStops)
+    this._updateProfile(profile.id, {
+      segments: scaleSegments(defaultSegments, this.state.factor / 100)
+    })
+  }
+
+  _onSegmentChange (index: number, field: 'dwellTime' | 'travelTime', value: number) {
+    const {activePattern} = this.props
+    const profile = this._getActiveProfile()
+    if (!profile) return
+    // Fill in any missing segments with the pattern default times.
+    const defaultSegments = getDefaultSegments(activePattern.patternStops)
+    const segments = defaultSegments.map((s, i) => profile.segments[i] || s)
+    segments[index] = {...segments[index], [field]: value}
+    this._updateProfile(profile.id, {segments})
+  }
+
+  _renderProfile = (profile: RunningTimeProfile) => {
+    const {activeProfileId} = this.state
+    const isActive = profile.id === activeProfileId
+    return (
+      <tr key={profile.id} className={isActive ? 'info' : undefined}>
+        <td>
+          <FormControl
+            bsSize='small'
+            onChange={(evt: SyntheticInputEvent<HTMLInputElement>) =>
+              this._updateProfile(profile.id, {name: evt.target.value})}
+            value={profile.name} />
+        </td>
+        <td>
+          <HourMinuteInput
+            bsSize='small'
+            onChange={startTime => this._updateProfile(profile.id, {startTime})}
+            seconds={profile.startTime}
+            style={{width: '60px'}} />
+        </td>
+        <td>
+          <HourMinuteInput
+            bsSize='small'
+            onChange={endTime => this._updateProfile(profile.id, {endTime})}
+            seconds={profile.endTime}
+            style={{width: '60px'}} />
+        </td>
+        <td style={{whiteSpace: 'nowrap'}}>
+          <Button
+            active={isActive}
+            bsSize='xsmall'
+            onClick={() => this.setState({activeProfileId: isActive ? null : profile.id})}
+            title='Edit running times'>
+            <Icon type='clock-o' />
+          </Button>{' '}
+          <Button
+            bsSize='xsmall'
+            bsStyle='danger'
+            onClick={() => this.setState({
+              activeProfileId: isActive ? null : activeProfileId,
+              edited: true,
+              profiles: this.state.profiles.filter(p => p.id !== profile.id)
+            })}
+            title='Delete profile'>
+            <Icon type='trash' />
+          </Button>
+        </td>
+      </tr>
+    )
+  }
+
+  _renderSegments (profile: RunningTimeProfile) {
+    const {activePattern, stops} = this.props
+    const {factor} = this.state
+    const defaultSegments = getDefaultSegments(activePattern.patternStops)
+    return (
+      <div>
+        <FormGroup bsSize='small'>
+          <ControlLabel><small>Travel times (% of default)</small></ControlLabel>
+          <InputGroup>
+            <FormControl
+              min={1}
+              onChange={this._onChangeFactor}
+              type='number'
+              value={factor} />
+            <InputGroup.Button>
+              <Button onClick={this._onClickApplyFactor}>
+                <Icon type='calculator' /> Apply
+              </Button>
+            </InputGroup.Button>
+          </InputGroup>
+        </FormGroup>
+        <Table condensed>
+          <thead>
+            <tr>
+              <th>Stop</th>
+              <th>Travel</th>
+              <th>Dwell</th>
+            </tr>
+          </thead>
+          <tbody>
+            {activePattern.patternStops.map((ps, i) => {
+              const stop = stops.find(s => s.stop_id === ps.stopId)
+              const segment = profile.segments[i] || defaultSegments[i]
+              return (
+                <tr key={i}>
+                  <td title={stop ? stop.stop_name : ps.stopId}>
+                    <small>{i + 1}. {stop ? getAbbreviatedStopName(stop) : ps.stopId}</small>
+                  </td>
+                  <td>
+                    {i > 0
+                      ? <MinuteSecondInput
+                        onChange={value => this._onSegmentChange(i, 'travelTime', value)}
+                        seconds={segment.travelTime}
+                        style={{width: '60px'}} />
+                      : null
+                    }
+                  </td>
+                  <td>
+                    <MinuteSecondInput
+                      onChange={value => this._onSegmentChange(i, 'dwellTime', value)}
+                      seconds={segment.dwellTime}
+                      style={{width: '60px'}} />
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </Table>
+      </div>
+    )
+  }
+
+  render () {
+    const {activePattern} = this.props
+    const {edited, profiles} = this.state
+    if (activePattern.useFrequency) return null
+    const activeProfile = this._getActiveProfile()
+    return (
+      <div>
+        <h4 className='line'>Running time profiles</h4>
+        <HelpBlock>
+          Trips added or offset in the timetable editor use the running times of
+          the profile containing their first departure (or the default times
+          below if no profile applies). Profiles are saved in this browser.
+        </HelpBlock>
+        {profiles.length > 0
+          ? <Table condensed>
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Start</th>
+                <th>End</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {profiles.map(this._renderProfile)}
+            </tbody>
+          </Table>
+          : null
+        }
+        {activeProfile ? this._renderSegments(activeProfile) : null}
+        <ButtonToolbar style={{marginBottom: '10px'}}>
+          <Button
+            bsSize='small'
+            data-test-id='add-running-time-profile-button'
+            onClick={this._onClickAdd}>
+            <Icon type='plus' /> Add profile
+          </Button>
+          <Button
+            bsSize='small'
+            disabled={!edited}
+            onClick={this._onClickUndo}>
+            <Icon type='undo' /> Undo
+          </Button>
+          <Button
+            bsSize='small'
+            bsStyle='primary'
+            disabled={!edited}
+            onClick={this._onClickSave}>
+            <Icon type='floppy-o' /> Save
+          </Button>
+        </ButtonToolbar>
+      </div>
+    )
+  }
+}
@@ -0,0 +1,150 @@
+// @flow
+
+import Icon from '@conveyal/woonerf/components/icon'
+import React, {Component} from 'react'
+import {Alert, Button, FormControl, FormGroup, HelpBlock, Modal, Radio} from 'react-bootstrap'
+import lineDistance from 'turf-line-distance'
+import lineString from 'turf-linestring'
+
+import * as mapActions from '../../actions/map'
+import {SHAPE_FILE_EXTENSIONS, readShapesFromFile} from '../../util/shapeImport'
+
+import type {ImportedShape} from '../../util/shapeImport'
+import type {Pattern} from '../../../types'
+
+type Props = {
+  activePattern: Pattern,
+  importPatternShape: typeof mapActions.importPatternShape,
+  onClose: () => void,
+  show: boolean
+}
+
+type State = {
+  error: ?string,
+  loading: boolean,
+  selectedIndex: number,
+  shapes: ?Array<ImportedShape>,
+  warning: ?string
+}
+
+// Stops further than this from the imported shape (in meters) are reported.
+const STOP_DISTANCE_WARNING = 50
+
+const defaultState = {
+  error: null,
+  loading: false,
+  selectedIndex: 0,
+  shapes: null,
+  warning: null
+}
+
+/**
+ * Modal for importing a pattern shape from a GeoJSON, KML or zipped shapefile.
+ * The file is parsed client-side and the user picks which line to use.
+ */
+export default class ShapeImportModal extends Component<Props, State> {
+  state = defaultState
+
+  _onClose = () => {
+    this.setState(defaultState)
+    this.props.onClose()
+  }
+
+  _onChangeFile = (evt: SyntheticInputEvent<HTMLInputElement>) => {
+    const file = evt.target.files[0]
+    if (!file) return
+    this.setState({...defaultState, loading: true})
+    readShapesFromFile(file)
+      .then(shapes => this.setState({
+        error: shapes.length === 0 ? 'No lines found in file.' : null,
+        loading: false,
+        shapes
+      }))
+      .catch(e => {
+        console.warn(e)
+        this.setState({error: `Could not read file: ${e.message}`, loading: false})
+      })
+  }
+
+  _onChangeShape = (evt: SyntheticInputEvent<HTMLInputElement>) =>
+    this.setState({selectedIndex: +evt.target.value})
+
+  _onImport = () => {
+    const {activePattern, importPatternShape} = this.props
+    const {selectedIndex, shapes} = this.state
+    if (!shapes || !shapes[selectedIndex]) return
+    this.setState({loading: true})
+    // $FlowFixMe action wrapped in dispatch returns a promise
+    importPatternShape(activePattern, shapes[selectedIndex].coordinates)
+      .then(maxDistanceFromShape => {
+        if (maxDistanceFromShape === null) {
+          return this.setState({loading: false})
+        }
+        if (maxDistanceFromShape > STOP_DISTANCE_WARNING) {
+          // Keep modal open so that the user sees the warning.
+          return this.setState({
+            loading: false,
+            warning: `Shape imported, but some stops are up to ${Math.round(maxDistanceFromShape)} meters from the shape. Check that the correct line was imported.`
+          })
+        }
+        this._onClose()
+      })
+  }
+
+  render () {
+    const {activePattern, show} = this.props
+    const {error, loading, selectedIndex, shapes, warning} = this.state
+    const stopCount = activePattern.patternStops ? activePattern.patternStops.length : 0
+    return (
+      <Modal show={show} onHide={this._onClose}>
+        <Modal.Header closeButton>
+          <Modal.Title>Import shape for {activePattern.name}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <FormGroup controlId='shape-import-file'>
+            <FormControl
+              accept={SHAPE_FILE_EXTENSIONS.join(',')}
+              disabled={loading}
+              onChange={this._onChangeFile}
+              type='file' />
+            <HelpBlock>
+              GeoJSON, KML or zipped shapefile.{' '}
+              {stopCount > 1
+                ? 'Pattern stops will be snapped onto the selected line.'
+                : 'The pattern has no stops, so the line will be used to place stops along.'
+              }
+            </HelpBlock>
+          </FormGroup>
+          {error && <Alert bsStyle='danger'>{error}</Alert>}
+          {warning && <Alert bsStyle='warning'>{warning}</Alert>}
+          {shapes && shapes.map((shape, i) => (
+            <Radio
+              checked={i === selectedIndex}
+              key={i}
+              name='imported-shape'
+              onChange={this._onChangeShape}
+              value={i}>
+              <strong>{shape.name}</strong>{' '}
+              <small className='text-muted'>
+                ({shape.coordinates.length} points,{' '}
+                {Math.round(lineDistance(lineString(shape.coordinates), 'kilometers') * 100) / 100} km)
+              </small>
+            </Radio>
+          ))}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button
+            bsStyle='primary'
+            disabled={loading || !shapes || shapes.length === 0 || Boolean(warning)}
+            onClick={this._onImport}>
+            {loading
+              ? <span><Icon className='fa-spin' type='refresh' /> Loading...</span>
+              : <span><Icon type='upload' /> Import shape</span>
+            }
+          </Button>
+          <Button onClick={this._onClose}>Close</Button>
+        </Modal.Footer>
+      </Modal>
+    )
+  }
+}
@@ -0,0 +1,202 @@
+// @flow
+
+import Icon from '@conveyal/woonerf/components/icon'
+import React, {Component} from 'react'
+import {
+  Alert,
+  Button,
+  ButtonToolbar,
+  Checkbox,
+  ControlLabel,
+  FormControl,
+  FormGroup
+} from 'react-bootstrap'
+
+import * as activeActions from '../../actions/active'
+import * as stopStrategiesActions from '../../actions/map/stopStrategies'
+import {coordinatesFromShapePoints} from '../../util/objects'
+
+import type {GtfsRoute, Pattern} from '../../../types'
+import type {EditSettingsState} from '../../../types/reducers'
+
+type Props = {
+  activeEntity: GtfsRoute,
+  activePattern: Pattern,
+  addProposedStopsToPattern: typeof stopStrategiesActions.addProposedStopsToPattern,
+  editSettings: EditSettingsState,
+  proposeStopsAlongLine: typeof stopStrategiesActions.proposeStopsAlongLine,
+  updateEditSetting: typeof activeActions.updateEditSetting
+}
+
+type State = {
+  loading: boolean
+}
+
+/**
+ * Settings and controls for placing stops in bulk along a line that is either
+ * drawn on the map (by clicking) or copied from the shape of a pattern on the
+ * active route. Proposed stops are previewed on the map before being added to
+ * the active pattern.
+ */
+export default class StopPlacementPanel extends Component<Props, State> {
+  state = {
+    loading: false
+  }
+
+  _onNumberChange = (evt: SyntheticInputEvent<HTMLInputElement>) =>
+    this.props.updateEditSetting({
+      setting: evt.target.name,
+      value: +evt.target.value
+    })
+
+  _onCheckboxChange = (evt: SyntheticInputEvent<HTMLInputElement>) =>
+    this.props.updateEditSetting({
+      setting: evt.target.name,
+      value: evt.target.checked
+    })
+
+  _onSelectShape = (evt: SyntheticInputEvent<HTMLInputElement>) => {
+    const {activeEntity, updateEditSetting} = this.props
+    const pattern = activeEntity.tripPatterns &&
+      activeEntity.tripPatterns.find(p => String(p.id) === evt.target.value)
+    if (!pattern) return
+    updateEditSetting({setting: 'proposedStops', value: null})
+    updateEditSetting({
+      setting: 'stopPlacementLine',
+      value: coordinatesFromShapePoints(pattern.shapePoints || [])
+    })
+  }
+
+  _onClear = () => {
+    const {updateEditSetting} = this.props
+    updateEditSetting({setting: 'proposedStops', value: null})
+    updateEditSetting({setting: 'stopPlacementLine', value: null})
+  }
+
+  _onPropose = () => {
+    this.setState({loading: true})
+    // $FlowFixMe action wrapped in dispatch returns a promise
+    this.props.proposeStopsAlongLine()
+      .then(() => this.setState({loading: false}))
+  }
+
+  _onAddToPattern = () => {
+    const {activePattern, addProposedStopsToPattern, editSettings} = this.props
+    const {proposedStops, stopPlacementLine} = editSettings
+    if (!proposedStops || !stopPlacementLine) return
+    this.setState({loading: true})
+    // $FlowFixMe action wrapped in dispatch returns a promise
+    addProposedStopsToPattern(activePattern, stopPlacementLine, proposedStops)
+      .then(() => this.setState({loading: false}))
+  }
+
+  render () {
+    const {activeEntity, activePattern, editSettings} = this.props
+    const {
+      preferIntersections,
+      proposedStops,
+      stopInterval,
+      stopPlacementLine,
+      stopSnapRadius
+    } = editSettings
+    const {loading} = this.state
+    const patternsWithShapes = (activeEntity.tripPatterns || [])
+      .filter(p => p.shapePoints && p.shapePoints.length > 1)
+    const patternHasStops = activePattern.patternStops && activePattern.patternStops.length > 0
+    const reusedCount = proposedStops
+      ? proposedStops.filter(s => s.existingStopId).length
+      : 0
+    const intersectionCount = proposedStops
+      ? proposedStops.filter(s => s.atIntersection).length
+      : 0
+    return (
+      <div style={{marginTop: '10px'}}>
+        <small className='text-muted'>
+          Click the map to draw a line (snapped to streets if enabled) or copy
+          a pattern shape.
+        </small>
+        <FormGroup bsSize='small' controlId='stop-placement-shape'>
+          <ControlLabel><small>Copy shape from pattern</small></ControlLabel>
+          <FormControl
+            componentClass='select'
+            disabled={patternsWithShapes.length === 0}
+            onChange={this._onSelectShape}
+            value=''>
+            <option disabled value=''>
+              {patternsWithShapes.length === 0 ? '(no pattern shapes)' : 'Select pattern...'}
+            </option>
+            {patternsWithShapes.map(p => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </FormControl>
+        </FormGroup>
+        <FormGroup bsSize='small' controlId='stop-placement-spacing'>
+          <ControlLabel><small>Stop spacing (meters)</small></ControlLabel>
+          <FormControl
+            min={50}
+            name='stopInterval'
+            onChange={this._onNumberChange}
+            step={25}
+            type='number'
+            value={stopInterval} />
+        </FormGroup>
+        <FormGroup bsSize='small' controlId='stop-placement-snap-radius'>
+          <ControlLabel><small>Reuse existing stops within (meters)</small></ControlLabel>
+          <FormControl
+            min={0}
+            name='stopSnapRadius'
+            onChange={this._onNumberChange}
+            step={5}
+            type='number'
+            value={stopSnapRadius} />
+        </FormGroup>
+        <Checkbox
+          checked={preferIntersections}
+          name='preferIntersections'
+          onChange={this._onCheckboxChange}>
+          <small>Prefer intersections</small>
+        </Checkbox>
+        <ButtonToolbar>
+          <Button
+            bsSize='small'
+            disabled={loading || !stopPlacementLine || stopPlacementLine.length < 2}
+            onClick={this._onPropose}>
+            <Icon className={loading ? 'fa-spin' : undefined} type={loading ? 'refresh' : 'map-marker'} />{' '}
+            Propose stops
+          </Button>
+          <Button
+            bsSize='small'
+            bsStyle='primary'
+            disabled={loading || !proposedStops || proposedStops.length < 2 || patternHasStops}
+            onClick={this._onAddToPattern}>
+            <Icon type='check' /> Add to pattern
+          </Button>
+          <Button
+            bsSize='small'
+            disabled={loading || !stopPlacementLine}
+            onClick={this._onClear}>
+            <Icon type='times' /> Clear
+          </Button>
+        </ButtonToolbar>
+        {proposedStops
+          ? <p style={{marginTop: '5px'}}>
+            <small>
+              {proposedStops.length} stops proposed ({reusedCount} existing,{' '}
+              {intersectionCount} at intersections,{' '}
+              {proposedStops.length - reusedCount} new).
+            </small>
+          </p>
+          : null
+        }
+        {patternHasStops
+          ? <Alert bsStyle='warning' style={{marginTop: '5px', padding: '5px'}}>
+            <small>
+              Stops can only be added in bulk to a pattern without stops.
+            </small>
+          </Alert>
+          : null
+        }
+      </div>
+    )
+  }
+}
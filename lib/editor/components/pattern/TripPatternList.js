@@ -34,19 +34,22 @@ export type Props = ContainerProps & {
   activePattern: Pattern,
   activePatternId: number,
   activePatternTripCount: number,
+  addProposedStopsToPattern: typeof stopStrategiesActions.addProposedStopsToPattern,
   addStopToPattern: typeof stopStrategiesActions.addStopToPattern,
   cloneGtfsEntity: typeof editorActions.cloneGtfsEntity,
   controlPoints: Array<ControlPoint>,
-  deleteAllTripsForPattern: typeof tripPatternActions.deleteAllTripsForPattern,
+  convertTripsForPattern: typeof tripPatternActions.convertTripsForPattern,
   deleteGtfsEntity: typeof activeActions.deleteGtfsEntity,
   editSettings: EditSettingsUndoState,
   feedSource: Feed,
+  importPatternShape: typeof mapActions.importPatternShape,
   mapState: MapState,
   newGtfsEntity: typeof editorActions.newGtfsEntity,
   patternEdited: boolean,
   patternSegment: number,
   patternSegments: Array<Coordinates>,
   patternStop: {id: ?any, index: ?number},
+  proposeStopsAlongLine: typeof stopStrategiesActions.proposeStopsAlongLine,
   removeStopFromPattern: typeof stopStrategiesActions.removeStopFromPattern,
   resetActiveGtfsEntity: typeof activeActions.resetActiveGtfsEntity,
   saveActiveGtfsEntity: typeof activeActions.saveActiveGtfsEntity,
@@ -7,6 +7,7 @@ import EditShapePanel from './EditShapePanel'
 import EditSchedulePanel from './EditSchedulePanel'
 import CalculateDefaultTimesForm from './CalculateDefaultTimesForm'
 import PatternStopsPanel from './PatternStopsPanel'
+import RunningTimeProfilesPanel from './RunningTimeProfilesPanel'
 
 import type {Props} from './TripPatternList'
 
@@ -27,11 +28,12 @@ export default class TripPatternViewer extends Component<Props> {
       activePattern,
       activePatternId,
       activePatternTripCount,
-      deleteAllTripsForPattern,
+      convertTripsForPattern,
       feedSource,
       saveActiveGtfsEntity,
       setActiveEntity,
       showConfirmModal,
+      stops,
       updateActiveGtfsEntity
     } = this.props
     if (!activePattern) return null
@@ -47,7 +49,7 @@ export default class TripPatternViewer extends Component<Props> {
           activePattern={activePattern}
           activePatternId={activePatternId}
           activePatternTripCount={activePatternTripCount}
-          deleteAllTripsForPattern={deleteAllTripsForPattern}
+          convertTripsForPattern={convertTripsForPattern}
           feedSource={feedSource}
           saveActiveGtfsEntity={saveActiveGtfsEntity}
           setActiveEntity={setActiveEntity}
@@ -55,6 +57,10 @@ export default class TripPatternViewer extends Component<Props> {
           updateActiveGtfsEntity={updateActiveGtfsEntity} />
         <PatternStopsPanel {...this.props} />
         <CalculateDefaultTimesForm {...this.props} />
+        <RunningTimeProfilesPanel
+          activePattern={activePattern}
+          feedSource={feedSource}
+          stops={stops} />
       </div>
     )
   }
@@ -0,0 +1,341 @@
+// @flow
+
+import Icon from '@conveyal/woonerf/components/icon'
+import React, {Component} from 'react'
+import {Badge, Button, Label} from 'react-bootstrap'
+
+import * as tripActions from '../../actions/trip'
+import {secondsAfterMidnightToHHMM} from '../../../common/util/gtfs'
+import {
+  getBlocks,
+  getNextBlockId,
+  getTripSpan,
+  getVehicleCountsByHour
+} from '../../util/blocks'
+
+import type {Block, BlockIssue, BlockTrip} from '../../util/blocks'
+import type {Feed} from '../../../types'
+
+type Props = {
+  activeScheduleId: string,
+  feedSource: Feed,
+  fetchTripsForBlocks: typeof tripActions.fetchTripsForBlocks,
+  height: number,
+  updateTripBlock: typeof tripActions.updateTripBlock
+}
+
+type State = {
+  draggedTripId: ?string,
+  dropBlockId: ?string,
+  fetching: boolean,
+  trips: Array<BlockTrip>
+}
+
+const ONE_HOUR_IN_SECONDS = 60 * 60
+const LABEL_WIDTH = 130
+const ROW_HEIGHT = 28
+const CHART_HEIGHT = 60
+// Placeholder used as drop target ID for the row of trips without a block.
+const UNASSIGNED = '__unassigned__'
+
+const ISSUE_COLORS = {
+  OVERLAP: '#d9534f',
+  STOP_MISMATCH: '#f0ad4e'
+}
+
+/**
+ * Gantt chart of the trips (across all patterns) for a calendar grouped by
+ * block. Trips can be dragged between blocks to (re)assign their block_id.
+ * Overlapping trips and trips that do not start where the previous trip in the
+ * block ended are flagged, and the number of vehicles in service for each hour
+ * is shown above the chart.
+ */
+export default class BlockScheduler extends Component<Props, State> {
+  state = {
+    draggedTripId: null,
+    dropBlockId: null,
+    fetching: false,
+    trips: []
+  }
+
+  componentWillMount () {
+    this._fetchTrips(this.props)
+  }
+
+  componentWillReceiveProps (nextProps: Props) {
+    if (nextProps.activeScheduleId !== this.props.activeScheduleId) {
+      this._fetchTrips(nextProps)
+    }
+  }
+
+  _fetchTrips (props: Props) {
+    const {activeScheduleId, feedSource, fetchTripsForBlocks} = props
+    this.setState({fetching: true})
+    // $FlowFixMe action wrapped in dispatch returns a promise
+    fetchTripsForBlocks(feedSource.id, activeScheduleId)
+      .then(trips => this.setState({fetching: false, trips}))
+      .catch(err => {
+        console.warn(err)
+        this.setState({fetching: false})
+      })
+  }
+
+  _onClickRefresh = () => this._fetchTrips(this.props)
+
+  _onDragStart = (evt: SyntheticDragEvent<HTMLDivElement>, trip: BlockTrip) => {
+    // Firefox requires data to be set for drag to start.
+    evt.dataTransfer.setData('text', trip.tripId)
+    this.setState({draggedTripId: trip.tripId})
+  }
+
+  _onDragEnd = () => this.setState({draggedTripId: null, dropBlockId: null})
+
+  _onDragOver = (evt: SyntheticDragEvent<HTMLDivElement>, blockId: string) => {
+    if (!this.state.draggedTripId) return
+    // Prevent default to allow drop.
+    evt.preventDefault()
+    if (this.state.dropBlockId !== blockId) this.setState({dropBlockId: blockId})
+  }
+
+  _onDrop = (evt: SyntheticDragEvent<HTMLDivElement>, blockId: string) => {
+    evt.preventDefault()
+    const {feedSource, updateTripBlock} = this.props
+    const {draggedTripId, trips} = this.state
+    this.setState({draggedTripId: null, dropBlockId: null})
+    const trip = trips.find(t => t.tripId === draggedTripId)
+    const newBlockId = blockId === UNASSIGNED ? null : blockId
+    if (!trip || (trip.blockId || null) === newBlockId) return
+    // Update the trip immediately and revert the change if the save fails.
+    const setBlockId = blockId => this.setState({
+      trips: this.state.trips.map(t => t.tripId === trip.tripId ? {...t, blockId} : t)
+    })
+    setBlockId(newBlockId)
+    // $FlowFixMe action wrapped in dispatch returns a promise
+    updateTripBlock(feedSource.id, trip, newBlockId)
+      .then(success => { if (!success) setBlockId(trip.blockId) })
+      .catch(err => {
+        console.warn(err)
+        setBlockId(trip.blockId)
+      })
+  }
+
+  _getPosition (start: number, end: number, range: [number, number]) {
+    const [min, max] = range
+    const total = max - min
+    return {
+      left: `${(start - min) / total * 100}%`,
+      width: `${Math.max(end - start, 60) / total * 100}%`
+    }
+  }
+
+  _renderHourLines (range: [number, number]) {
+    const lines = []
+    for (let time = range[0]; time <= range[1]; time += ONE_HOUR_IN_SECONDS) {
+      lines.push(
+        <div
+          key={time}
+          style={{
+            ...this._getPosition(time, time, range),
+            borderLeft: '1px solid #eee',
+            height: '100%',
+            position: 'absolute',
+            top: 0,
+            width: 0
+          }} />
+      )
+    }
+    return lines
+  }
+
+  _renderVehicleCounts (counts: Array<number>, range: [number, number]) {
+    const peak = Math.max(...counts, 0)
+    const max = Math.max(peak, 1)
+    const firstHour = range[0] / ONE_HOUR_IN_SECONDS
+    const lastHour = range[1] / ONE_HOUR_IN_SECONDS
+    const bars = []
+    for (let hour = firstHour; hour < lastHour; hour++) {
+      const count = counts[hour] || 0
+      const start = hour * ONE_HOUR_IN_SECONDS
+      bars.push(
+        <div
+          key={hour}
+          title={`${secondsAfterMidnightToHHMM(start)}: ${count} vehicle(s)`}
+          style={{
+            ...this._getPosition(start, start + ONE_HOUR_IN_SECONDS, range),
+            bottom: 14,
+            position: 'absolute'
+          }}>
+          <div
+            className='text-center small'
+            style={{
+              backgroundColor: count === peak ? '#337ab7' : '#9fc5e8',
+              color: 'white',
+              height: `${count / max * (CHART_HEIGHT - 30)}px`,
+              margin: '0px 1px',
+              minHeight: count > 0 ? '14px' : 0
+            }}>
+            {count > 0 ? count : null}
+          </div>
+        </div>
+      )
+      bars.push(
+        <small
+          key={`label-${hour}`}
+          className='text-muted'
+          style={{
+            ...this._getPosition(start, start, range),
+            bottom: 0,
+            position: 'absolute',
+            whiteSpace: 'nowrap'
+          }}>
+          {secondsAfterMidnightToHHMM(start)}
+        </small>
+      )
+    }
+    return (
+      <div style={{display: 'flex', marginBottom: '5px'}}>
+        <div style={{width: `${LABEL_WIDTH}px`, flexShrink: 0}}>
+          <strong>Vehicles</strong>
+          <div className='small'>Peak: {peak}</div>
+        </div>
+        <div style={{flexGrow: 1, height: `${CHART_HEIGHT}px`, position: 'relative'}}>
+          {bars}
+        </div>
+      </div>
+    )
+  }
+
+  _renderTrip (trip: BlockTrip, issue: ?BlockIssue, range: [number, number]) {
+    const span = getTripSpan(trip)
+    if (!span) return null
+    const {draggedTripId} = this.state
+    const title = [
+      `Trip ${trip.tripId} (${trip.patternName})`,
+      `${secondsAfterMidnightToHHMM(span.start)} - ${secondsAfterMidnightToHHMM(span.end)}`,
+      `${span.startStopId || ''} to ${span.endStopId || ''}`,
+      issue ? issue.reason : ''
+    ].filter(Boolean).join('\n')
+    return (
+      <div
+        key={trip.id}
+        draggable
+        onDragEnd={this._onDragEnd}
+        onDragStart={evt => this._onDragStart(evt, trip)}
+        title={title}
+        style={{
+          ...this._getPosition(span.start, span.end, range),
+          backgroundColor: issue ? ISSUE_COLORS[issue.type] : '#5bc0de',
+          border: '1px solid white',
+          borderRadius: '3px',
+          color: 'white',
+          cursor: 'move',
+          fontSize: '10px',
+          height: `${ROW_HEIGHT - 6}px`,
+          opacity: draggedTripId === trip.tripId ? 0.5 : 1,
+          overflow: 'hidden',
+          padding: '3px',
+          position: 'absolute',
+          top: '3px',
+          whiteSpace: 'nowrap'
+        }}>
+        {trip.tripId}
+      </div>
+    )
+  }
+
+  _renderRow (block: Block, range: [number, number], label: string, dropId: string) {
+    const {dropBlockId} = this.state
+    const {issues, trips} = block
+    return (
+      <div
+        key={dropId}
+        onDragOver={evt => this._onDragOver(evt, dropId)}
+        onDrop={evt => this._onDrop(evt, dropId)}
+        style={{
+          backgroundColor: dropBlockId === dropId ? '#dff0d8' : undefined,
+          borderBottom: '1px solid #ddd',
+          display: 'flex'
+        }}>
+        <div
+          className='small'
+          style={{
+            flexShrink: 0,
+            lineHeight: `${ROW_HEIGHT}px`,
+            overflow: 'hidden',
+            whiteSpace: 'nowrap',
+            width: `${LABEL_WIDTH}px`
+          }}
+          title={issues.map(i => i.reason).join('\n')}>
+          {label}{' '}
+          {trips.length > 0 ? <Badge>{trips.length}</Badge> : null}{' '}
+          {issues.length > 0
+            ? <Icon className='text-danger' type='exclamation-triangle' />
+            : null
+          }
+        </div>
+        <div style={{flexGrow: 1, height: `${ROW_HEIGHT}px`, position: 'relative'}}>
+          {this._renderHourLines(range)}
+          {trips.map(trip => this._renderTrip(
+            trip,
+            issues.find(i => i.tripId === trip.tripId),
+            range
+          ))}
+        </div>
+      </div>
+    )
+  }
+
+  render () {
+    const {height} = this.props
+    const {fetching, trips} = this.state
+    const blocks = getBlocks(trips)
+    const spans = trips.map(getTripSpan).filter(Boolean)
+    // Round time range to whole hours.
+    const range = spans.length > 0
+      ? [
+        Math.floor(Math.min(...spans.map(s => s.start)) / ONE_HOUR_IN_SECONDS) * ONE_HOUR_IN_SECONDS,
+        Math.ceil(Math.max(...spans.map(s => s.end)) / ONE_HOUR_IN_SECONDS) * ONE_HOUR_IN_SECONDS
+      ]
+      : [0, 24 * ONE_HOUR_IN_SECONDS]
+    if (range[1] === range[0]) range[1] += ONE_HOUR_IN_SECONDS
+    const assignedBlocks = blocks.filter(b => b.blockId)
+    const unassigned = blocks.find(b => !b.blockId) || {blockId: null, issues: [], trips: []}
+    const newBlockId = getNextBlockId(blocks)
+    const issueCount = blocks.reduce((count, b) => count + b.issues.length, 0)
+    return (
+      <div style={{height: `${height}px`, overflowY: 'auto'}}>
+        <p style={{marginTop: '5px'}}>
+          <Button
+            bsSize='small'
+            disabled={fetching}
+            onClick={this._onClickRefresh}>
+            <Icon className={fetching ? 'fa-spin' : undefined} type='refresh' /> Refresh
+          </Button>{' '}
+          <small>
+            {trips.length} trips in {assignedBlocks.length} blocks for all
+            routes on this calendar. Drag trips between rows to change their
+            block. Changes are saved immediately.{' '}
+            <Label style={{backgroundColor: ISSUE_COLORS.OVERLAP}}>Overlap</Label>{' '}
+            <Label style={{backgroundColor: ISSUE_COLORS.STOP_MISMATCH}}>Stop mismatch</Label>{' '}
+            {issueCount > 0
+              ? <span className='text-danger'>{issueCount} issue(s) found.</span>
+              : null
+            }
+          </small>
+        </p>
+        {this._renderVehicleCounts(getVehicleCountsByHour(blocks), range)}
+        {assignedBlocks.map(block => {
+          const blockId = block.blockId || ''
+          return this._renderRow(block, range, `Block ${blockId}`, blockId)
+        })}
+        {this._renderRow(unassigned, range, 'No block', UNASSIGNED)}
+        {this._renderRow(
+          {blockId: newBlockId, issues: [], trips: []},
+          range,
+          `New block (${newBlockId})`,
+          newBlockId
+        )}
+      </div>
+    )
+  }
+}
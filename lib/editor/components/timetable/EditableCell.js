@@ -4,8 +4,11 @@ import React, {Component} from 'react'
 import moment from 'moment'
 
 import * as tripActions from '../../actions/trip'
-import {secondsAfterMidnightToHHMM} from '../../../common/util/gtfs'
-import { isTimeFormat, TIMETABLE_FORMATS } from '../../util/timetable'
+import {
+  formatCellValue,
+  parseClipboardText,
+  TIMETABLE_FORMATS
+} from '../../util/timetable'
 
 import type {TimetableColumn} from '../../../types'
 import type {EditorValidationIssue} from '../../util/validation'
@@ -20,12 +23,13 @@ type Props = {
   invalidData: ?EditorValidationIssue,
   isEditing: boolean,
   isFocused: boolean,
+  isInSelection: boolean,
   isSelected: boolean,
   lightText: boolean,
   offsetScrollCol: number => void,
   offsetScrollRow: number => void,
   onChange: (?(number | string), number, TimetableColumn, number) => void,
-  onClick: (number, number) => void,
+  onClick: (number, number, boolean) => void,
   onStopEditing: () => void,
   placeholder: ?string,
   rowIndex: number,
@@ -41,18 +45,6 @@ type State = {
   originalData: CellData
 }
 
-const renderCell = (
-  col: TimetableColumn,
-  value: ?(number | string)
-): number | string => {
-  if (!isTimeFormat(col.type)) {
-    // If not a time format, return string value (or empty string to avoid null)
-    return value || ''
-  } else {
-    return secondsAfterMidnightToHHMM(value)
-  }
-}
-
 /**
  * A component to handle the editing of a cell in a timetable editor
  */
@@ -97,10 +89,11 @@ export default class EditableCell extends Component<Props, State> {
     this.setState({isEditing: true})
   }
 
-  handleClick = (evt: SyntheticInputEvent<HTMLInputElement>) => {
+  handleClick = (evt: SyntheticMouseEvent<HTMLInputElement>) => {
     const {columnIndex, isFocused, onClick, rowIndex} = this.props
-    if (isFocused) this.beginEditing()
-    else onClick(rowIndex, columnIndex)
+    // Shift-click extends the cell selection (see TimetableGrid).
+    if (isFocused && !evt.shiftKey) this.beginEditing()
+    else onClick(rowIndex, columnIndex, evt.shiftKey)
   }
 
   /**
@@ -203,8 +196,8 @@ export default class EditableCell extends Component<Props, State> {
     if (column.type === 'TEXT') {
       if (data !== this.state.originalData) this._handleSave(data)
       else this.cancel()
-    } else if (column.type === 'SECONDS') {
-      // Ensure that only a positive integer value can be set.
+    } else if (column.type === 'SECONDS' || column.type === 'BOOLEAN') {
+      // Ensure that only a number value can be set.
       const value = +data
       this._handleSave(value)
     } else {
@@ -270,19 +263,7 @@ export default class EditableCell extends Component<Props, State> {
       console.warn('No clipboard data found.')
       return
     }
-    const text = clipboardData.getData('Text')
-    const rowDelimiter = text.indexOf('\n') > -1 // google sheets row delimiter
-      ? '\n'
-      : text.indexOf(String.fromCharCode(13)) > -1 // excel row delimiter
-        ? String.fromCharCode(13)
-        : undefined
-    const rows = text.split(rowDelimiter)
-    const rowsAndColumns = []
-    // Split each row into columns
-    for (let i = 0; i < rows.length; i++) {
-      rowsAndColumns.push(rows[i].split(String.fromCharCode(9)))
-    }
-
+    const rowsAndColumns = parseClipboardText(clipboardData.getData('Text'))
     if (rowsAndColumns.length > 1 || rowsAndColumns[0].length > 1) {
       this.cancel()
       handlePastedRows(rowsAndColumns, rowIndex, columnIndex)
@@ -295,9 +276,19 @@ export default class EditableCell extends Component<Props, State> {
   }
 
   render () {
-    const {column, invalidData, isFocused, isSelected, lightText, placeholder, style} = this.props
+    const {
+      column,
+      invalidData,
+      isFocused,
+      isInSelection,
+      isSelected,
+      lightText,
+      placeholder,
+      style
+    } = this.props
     const {data, edited, isEditing} = this.state
     const rowCheckedColor = '#F3FAF6'
+    const cellSelectionColor = '#E3EEF9'
     const focusedNotEditing = isFocused && !isEditing
     const edgeDiff = isFocused ? 0 : 0.5
     const divStyle = {
@@ -312,9 +303,11 @@ export default class EditableCell extends Component<Props, State> {
           ? '#F4F4F4'
           : isEditing
             ? '#fff'
-            : isSelected
-              ? rowCheckedColor
-              : '#fff',
+            : isInSelection
+              ? cellSelectionColor
+              : isSelected
+                ? rowCheckedColor
+                : '#fff',
       border: invalidData && focusedNotEditing
         ? '2px solid red'
         : isFocused
@@ -328,7 +321,7 @@ export default class EditableCell extends Component<Props, State> {
     }
     const cellHtml = isEditing
       ? <input
-        defaultValue={renderCell(column, data)}
+        defaultValue={formatCellValue(column, data)}
         autoFocus
         className='cell-input'
         onBlur={this.cancel}
@@ -342,7 +335,7 @@ export default class EditableCell extends Component<Props, State> {
       : <div
         className='cell-div noselect'
         style={divStyle}>
-        {renderCell(column, data)}
+        {formatCellValue(column, data)}
       </div>
     return (
       <div
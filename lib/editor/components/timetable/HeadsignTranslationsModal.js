@@ -0,0 +1,69 @@
+// @flow
+
+import React, {Component} from 'react'
+import {Button, HelpBlock, Modal} from 'react-bootstrap'
+
+import * as translationActions from '../../actions/translations'
+import {ENTITY} from '../../constants'
+import FieldTranslations from '../FieldTranslations'
+import {getTranslatableField} from '../../util/translations'
+
+import type {Feed, Trip} from '../../../types'
+import type {EditorTables} from '../../../types/reducers'
+
+type Props = {
+  feedSource: Feed,
+  onClose: () => void,
+  saveTranslations: typeof translationActions.saveTranslations,
+  show: boolean,
+  tableData: EditorTables,
+  trip: ?Trip
+}
+
+/**
+ * Modal for editing the translations of the headsign of a trip selected in the
+ * timetable editor (where trip fields are edited in the grid rather than with
+ * an EditorInput).
+ */
+export default class HeadsignTranslationsModal extends Component<Props> {
+  render () {
+    const {feedSource, onClose, saveTranslations, show, tableData, trip} = this.props
+    const field = getTranslatableField('trip', 'trip_headsign')
+    // Timetable trips have camel-cased keys, so convert the trip to the GTFS
+    // entity shape expected by the translation helpers.
+    const entity = trip && {
+      id: trip.id === null ? ENTITY.NEW_ID : trip.id,
+      trip_headsign: trip.tripHeadsign,
+      trip_id: trip.tripId
+    }
+    return (
+      <Modal show={show} onHide={onClose}>
+        <Modal.Header closeButton>
+          <Modal.Title>Headsign translations</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {entity && field
+            ? <div>
+              <p>
+                <strong>{entity.trip_headsign || '[no headsign]'}</strong>{' '}
+                <small className='text-muted'>({entity.trip_id})</small>
+              </p>
+              <FieldTranslations
+                activeComponent='trip'
+                activeEntity={entity}
+                defaultExpanded
+                feedSource={feedSource}
+                field={field}
+                saveTranslations={saveTranslations}
+                tableData={tableData} />
+            </div>
+            : <HelpBlock>Select a single trip to translate its headsign.</HelpBlock>
+          }
+        </Modal.Body>
+        <Modal.Footer>
+          <Button onClick={onClose}>Close</Button>
+        </Modal.Footer>
+      </Modal>
+    )
+  }
+}
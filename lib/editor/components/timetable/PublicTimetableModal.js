@@ -0,0 +1,275 @@
+// @flow
+
+import Icon from '@conveyal/woonerf/components/icon'
+import React, {Component} from 'react'
+import {
+  Alert,
+  Button,
+  Col,
+  ControlLabel,
+  FormControl,
+  FormGroup,
+  Modal,
+  Row,
+  Table
+} from 'react-bootstrap'
+
+import * as tripActions from '../../actions/trip'
+import fileDownload from '../../../common/util/file-download'
+import {getRouteName, getTableById} from '../../util/gtfs'
+import {
+  buildPublicTimetable,
+  formatPublicTime,
+  publicTimetableToCsv,
+  publicTimetableToHtml
+} from '../../util/publicTimetable'
+
+import type {PublicTimetable} from '../../util/publicTimetable'
+import type {Feed, GtfsRoute, ServiceCalendar} from '../../../types'
+import type {EditorTables} from '../../../types/reducers'
+
+type Props = {
+  activeScheduleId: ?string,
+  feedSource: Feed,
+  fetchTripsForPatternsAndCalendar: typeof tripActions.fetchTripsForPatternsAndCalendar,
+  onClose: () => void,
+  route: GtfsRoute,
+  show: boolean,
+  tableData: EditorTables
+}
+
+type State = {
+  calendarId: ?string,
+  // Direction of the patterns to include (empty string for patterns without a
+  // direction_id).
+  direction: string,
+  fetching: boolean,
+  timetable: ?PublicTimetable
+}
+
+const getDirection = (directionId: ?number) =>
+  typeof directionId === 'number' ? `${directionId}` : ''
+
+/**
+ * Modal for generating a printable public timetable for a route, direction and
+ * calendar. Trips from all of the route's patterns in the direction are merged
+ * into a single timetable showing the timepoint stops, which can be printed
+ * (or saved as a PDF) or downloaded as HTML or CSV.
+ */
+export default class PublicTimetableModal extends Component<Props, State> {
+  state = {
+    calendarId: null,
+    direction: '0',
+    fetching: false,
+    timetable: null
+  }
+
+  componentWillReceiveProps (nextProps: Props) {
+    if (nextProps.show && !this.props.show) {
+      const directions = this._getDirections(nextProps.route)
+      const direction = directions.indexOf(this.state.direction) !== -1
+        ? this.state.direction
+        : directions[0] || ''
+      const calendarId = nextProps.activeScheduleId || this.state.calendarId
+      this.setState({calendarId, direction, timetable: null})
+      this._generate(nextProps, calendarId, direction)
+    }
+  }
+
+  _getDirections (route: GtfsRoute): Array<string> {
+    const directions = []
+    const patterns = route.tripPatterns || []
+    patterns.forEach(pattern => {
+      const direction = getDirection(pattern.directionId)
+      if (directions.indexOf(direction) === -1) directions.push(direction)
+    })
+    return directions.sort()
+  }
+
+  _generate (props: Props, calendarId: ?string, direction: string) {
+    const {feedSource, fetchTripsForPatternsAndCalendar, route, tableData} = props
+    const patterns = (route.tripPatterns || [])
+      .filter(pattern => getDirection(pattern.directionId) === direction)
+    if (!calendarId || patterns.length === 0) {
+      return this.setState({timetable: null})
+    }
+    this.setState({fetching: true})
+    // $FlowFixMe action wrapped in dispatch returns a promise
+    fetchTripsForPatternsAndCalendar(
+      feedSource.id,
+      patterns.map(pattern => pattern.patternId),
+      calendarId
+    )
+      .then(tripsByPatternId => {
+        const stops = getTableById(tableData, 'stop')
+        this.setState({
+          fetching: false,
+          timetable: buildPublicTimetable(patterns, tripsByPatternId, stops)
+        })
+      })
+  }
+
+  _onChangeCalendar = (evt: SyntheticInputEvent<HTMLInputElement>) => {
+    const calendarId = evt.target.value
+    this.setState({calendarId})
+    this._generate(this.props, calendarId, this.state.direction)
+  }
+
+  _onChangeDirection = (evt: SyntheticInputEvent<HTMLInputElement>) => {
+    const direction = evt.target.value
+    this.setState({direction})
+    this._generate(this.props, this.state.calendarId, direction)
+  }
+
+  _getTitles (): {fileName: string, subtitle: string, title: string} {
+    const {route, tableData} = this.props
+    const {calendarId, direction, timetable} = this.state
+    const calendars: Array<ServiceCalendar> = getTableById(tableData, 'calendar')
+    const calendar = calendars.find(c => c.service_id === calendarId)
+    const title = getRouteName(route)
+    const subtitle = [
+      timetable && timetable.headsign
+        ? `To ${timetable.headsign}`
+        : direction !== '' && `Direction ${direction}`,
+      calendar && (calendar.description || calendar.service_id)
+    ].filter(Boolean).join(' | ')
+    const fileName = `${title} ${direction} ${calendarId || ''}`
+      .trim()
+      .replace(/[^a-zA-Z0-9-_]+/g, '_')
+    return {fileName, subtitle, title}
+  }
+
+  _getHtml (): string {
+    const {timetable} = this.state
+    const {subtitle, title} = this._getTitles()
+    return timetable ? publicTimetableToHtml(timetable, title, subtitle) : ''
+  }
+
+  _onDownloadCsv = () => {
+    const {timetable} = this.state
+    if (!timetable) return
+    fileDownload(publicTimetableToCsv(timetable), `${this._getTitles().fileName}.csv`, 'text/csv')
+  }
+
+  _onDownloadHtml = () =>
+    fileDownload(this._getHtml(), `${this._getTitles().fileName}.html`, 'text/html')
+
+  /**
+   * Open the timetable in a new window and show the browser print dialog
+   * (which can also be used to save the timetable as a PDF).
+   */
+  _onPrint = () => {
+    const printWindow = window.open('', '_blank')
+    if (!printWindow) {
+      return window.alert('Could not open print window. Please allow pop-ups for this site.')
+    }
+    printWindow.document.write(this._getHtml())
+    printWindow.document.close()
+    printWindow.focus()
+    printWindow.print()
+  }
+
+  render () {
+    const {onClose, route, show, tableData} = this.props
+    const {calendarId, direction, fetching, timetable} = this.state
+    const calendars: Array<ServiceCalendar> = getTableById(tableData, 'calendar')
+    const {subtitle, title} = this._getTitles()
+    const hasTrips = timetable && timetable.rows.length > 0
+    return (
+      <Modal bsSize='large' show={show} onHide={onClose}>
+        <Modal.Header closeButton>
+          <Modal.Title>Public timetable for {getRouteName(route)}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <Row>
+            <Col xs={6}>
+              <FormGroup controlId='public-timetable-direction'>
+                <ControlLabel>Direction</ControlLabel>
+                <FormControl
+                  componentClass='select'
+                  onChange={this._onChangeDirection}
+                  value={direction}>
+                  {this._getDirections(route).map(d => (
+                    <option key={d} value={d}>
+                      {d === '' ? 'No direction' : `Direction ${d}`}
+                    </option>
+                  ))}
+                </FormControl>
+              </FormGroup>
+            </Col>
+            <Col xs={6}>
+              <FormGroup controlId='public-timetable-calendar'>
+                <ControlLabel>Calendar</ControlLabel>
+                <FormControl
+                  componentClass='select'
+                  onChange={this._onChangeCalendar}
+                  value={calendarId || ''}>
+                  <option disabled value=''>Select a calendar</option>
+                  {calendars.map(c => (
+                    <option key={c.service_id} value={c.service_id}>
+                      {c.description ? `${c.description} (${c.service_id})` : c.service_id}
+                    </option>
+                  ))}
+                </FormControl>
+              </FormGroup>
+            </Col>
+          </Row>
+          {fetching
+            ? <p className='text-center'><Icon className='fa-spin' type='refresh' /> Loading trips...</p>
+            : timetable && !hasTrips
+              ? <Alert bsStyle='warning'>No trips found for direction and calendar.</Alert>
+              : timetable && (
+                <div>
+                  <h4>{title} <small>{subtitle}</small></h4>
+                  {timetable.frequencyTripCount > 0 &&
+                    <Alert bsStyle='info'>
+                      {timetable.frequencyTripCount} frequency-based trip(s) are not shown.
+                    </Alert>
+                  }
+                  <div style={{maxHeight: '400px', overflow: 'auto'}}>
+                    <Table bordered condensed striped>
+                      <thead>
+                        <tr>
+                          <th />
+                          {timetable.columns.map((c, i) => (
+                            <th key={i} className='text-center'><small>{c.stopName}</small></th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {timetable.rows.map((row, i) => (
+                          <tr key={i} title={row.tripId || undefined}>
+                            <td><strong>{row.footnote}</strong></td>
+                            {row.times.map((time, j) => (
+                              <td key={j} className='text-center'>
+                                {typeof time === 'number' ? formatPublicTime(time) : '—'}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </Table>
+                  </div>
+                  {timetable.footnotes.map(f => (
+                    <div key={f.id}><strong>{f.id}</strong> {f.text}</div>
+                  ))}
+                </div>
+              )
+          }
+        </Modal.Body>
+        <Modal.Footer>
+          <Button disabled={!hasTrips} onClick={this._onDownloadCsv}>
+            <Icon type='download' /> CSV
+          </Button>
+          <Button disabled={!hasTrips} onClick={this._onDownloadHtml}>
+            <Icon type='download' /> HTML
+          </Button>
+          <Button bsStyle='primary' disabled={!hasTrips} onClick={this._onPrint}>
+            <Icon type='print' /> Print / save as PDF
+          </Button>
+          <Button onClick={onClose}>Close</Button>
+        </Modal.Footer>
+      </Modal>
+    )
+  }
+}
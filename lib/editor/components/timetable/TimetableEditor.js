@@ -7,11 +7,15 @@ import React, {Component} from 'react'
 import {Button} from 'react-bootstrap'
 
 import * as activeActions from '../../actions/active'
+import * as translationActions from '../../actions/translations'
 import * as tripActions from '../../actions/trip'
 import {ENTITY} from '../../constants'
 import {generateNullProps} from '../../util/gtfs'
 import {entityIsNew} from '../../util/objects'
 import {isTimeFormat} from '../../util/timetable'
+import BlockScheduler from './BlockScheduler'
+import HeadsignTranslationsModal from './HeadsignTranslationsModal'
+import PublicTimetableModal from './PublicTimetableModal'
 import Timetable from './Timetable'
 import TimetableHeader from './TimetableHeader'
 import TimetableHelpModal from './TimetableHelpModal'
@@ -27,15 +31,19 @@ type Props = ContainerProps & {
   activePatternId: number,
   activeSchedule: string,
   activeScheduleId: string,
+  addFrequencyWindow: typeof tripActions.addFrequencyWindow,
   addNewTrip: typeof tripActions.addNewTrip,
   columns: Array<TimetableColumn>,
   data?: Array<Trip>,
   deleteTripsForCalendar: typeof tripActions.deleteTripsForCalendar,
   feedSource: Feed,
   fetchCalendarTripCountsForPattern: typeof tripActions.fetchCalendarTripCountsForPattern,
+  fetchTripsForBlocks: typeof tripActions.fetchTripsForBlocks,
   fetchTripsForCalendar: typeof tripActions.fetchTripsForCalendar,
+  fetchTripsForPatternsAndCalendar: typeof tripActions.fetchTripsForPatternsAndCalendar,
   offsetRows: typeof tripActions.offsetRows,
   removeTrips: typeof tripActions.removeTrips,
+  saveTranslations: typeof translationActions.saveTranslations,
   saveTripsForCalendar: typeof tripActions.saveTripsForCalendar,
   setActiveCell: typeof tripActions.setActiveCell,
   setActiveEntity: typeof activeActions.setActiveEntity,
@@ -49,21 +57,29 @@ type Props = ContainerProps & {
   toggleRowSelection: typeof tripActions.toggleRowSelection,
   tripCounts: TripCounts,
   tripValidationErrors: TripValidationIssues,
-  updateCellValue: typeof tripActions.updateCellValue
+  updateCellValue: typeof tripActions.updateCellValue,
+  updateTripBlock: typeof tripActions.updateTripBlock
 }
 
 type State = {
   height: number,
+  showBlockView: boolean,
+  showHeadsignTranslations: boolean,
   showHelpModal: boolean,
+  showPublicTimetable: boolean,
   width: number
 }
 
 export default class TimetableEditor extends Component<Props, State> {
   // State is used to track height/width of the window to dynamically adjust
-  // height of Grid as well as the visibility of the help modal.
+  // height of Grid as well as the visibility of the help modal, block view,
+  // public timetable and headsign translations.
   state = {
     height: 680,
+    showBlockView: false,
+    showHeadsignTranslations: false,
     showHelpModal: false,
+    showPublicTimetable: false,
     width: 1280
   }
 
@@ -79,6 +95,28 @@ export default class TimetableEditor extends Component<Props, State> {
 
   _showHelpModal = () => this.setState({showHelpModal: true})
 
+  _hidePublicTimetable = () => this.setState({showPublicTimetable: false})
+
+  _showPublicTimetable = () => this.setState({showPublicTimetable: true})
+
+  _hideHeadsignTranslations = () => this.setState({showHeadsignTranslations: false})
+
+  _showHeadsignTranslations = () => this.setState({showHeadsignTranslations: true})
+
+  /**
+   * Toggle between the timetable and the block scheduling view. Trips for the
+   * active pattern are re-fetched when returning to the timetable because
+   * their blocks may have been changed in the block view.
+   */
+  _toggleBlockView = () => {
+    const {activePattern, activeScheduleId, feedSource, fetchTripsForCalendar} = this.props
+    const showBlockView = !this.state.showBlockView
+    if (!showBlockView && activePattern && activeScheduleId) {
+      fetchTripsForCalendar(feedSource.id, activePattern, activeScheduleId)
+    }
+    this.setState({showBlockView})
+  }
+
   /**
    * Handle re-fetching trips if the schedule ID changes (or on initial mount).
    */
@@ -142,6 +180,14 @@ export default class TimetableEditor extends Component<Props, State> {
 
   cloneSelectedTrips = () => this.duplicateRows(this._getSelectedRowIndexes())
 
+  /**
+   * Add an empty frequency entry to the selected trips (or the trip where the
+   * cursor is active).
+   */
+  addWindowToSelectedTrips = () => {
+    this.props.addFrequencyWindow({rowIndexes: this._getSelectedRowIndexes()})
+  }
+
   constructNewRow = (toClone: ?Trip = null) => {
     const {activePatternId, route} = this.props
     const activePattern = route && route.tripPatterns
@@ -214,9 +260,10 @@ export default class TimetableEditor extends Component<Props, State> {
       objectPath.set(newRow, 'tripId', null)
       objectPath.set(newRow, 'useFrequency', activePattern.useFrequency)
       if (activePattern.useFrequency) {
-        // If a frequency-based trip, never use exact times. NOTE: there is no
-        // column to edit this field in the timetable grid.
-        objectPath.set(newRow, 'frequencies.0.exactTimes', 0)
+        // Default each frequency entry to frequency-based service (i.e., not
+        // exact times).
+        const frequencies = newRow.frequencies || []
+        frequencies.forEach(frequency => { frequency.exactTimes = 0 })
       } else {
         // If not using frequencies, set frequencies to empty array so that SQL backend
         // is happy.
@@ -244,6 +291,7 @@ export default class TimetableEditor extends Component<Props, State> {
       const index = arrayAscending[i]
       const toClone = this.props.timetable.trips[index]
       const newRow = this.constructNewRow(toClone)
+      if (!newRow) return
       // TODO: replace addNewTrip with func that saves trip via POST
       // this.props.addNewTrip(activePattern.feedId, activePattern, activeScheduleId, newRow)
       this.props.addNewTrip(newRow)
@@ -262,6 +310,7 @@ export default class TimetableEditor extends Component<Props, State> {
     const lastIndex = timetable.trips.length - 1
     const clone = blank ? null : timetable.trips[lastIndex]
     const newRow = this.constructNewRow(clone)
+    if (!newRow) return
     // TODO: replace addNewTrip with func that saves trip via POST?
     addNewTrip(newRow)
     if (scroll) {
@@ -356,13 +405,24 @@ export default class TimetableEditor extends Component<Props, State> {
     const {
       activePattern,
       activeSchedule,
+      activeScheduleId,
+      feedSource,
+      fetchTripsForBlocks,
+      fetchTripsForPatternsAndCalendar,
+      route,
+      saveTranslations,
+      tableData,
       timetable,
       toggleAllRows,
       toggleRowSelection,
-      tripCounts
+      tripCounts,
+      updateTripBlock
     } = this.props
     const {scrollToRow, scrollToColumn} = timetable.scrollIndexes
-    const {height} = this.state
+    const {height, showBlockView} = this.state
+    const selectedTrip = timetable.selected.length === 1
+      ? timetable.trips[timetable.selected[0]]
+      : null
 
     const panelStyle = {
       backgroundColor: 'white',
@@ -377,6 +437,23 @@ export default class TimetableEditor extends Component<Props, State> {
         <TimetableHelpModal
           onClose={this._hideHelpModal}
           show={this.state.showHelpModal} />
+        {route &&
+          <PublicTimetableModal
+            activeScheduleId={activeScheduleId}
+            feedSource={feedSource}
+            fetchTripsForPatternsAndCalendar={fetchTripsForPatternsAndCalendar}
+            onClose={this._hidePublicTimetable}
+            route={route}
+            show={this.state.showPublicTimetable}
+            tableData={tableData} />
+        }
+        <HeadsignTranslationsModal
+          feedSource={feedSource}
+          onClose={this._hideHeadsignTranslations}
+          saveTranslations={saveTranslations}
+          show={this.state.showHeadsignTranslations}
+          tableData={tableData}
+          trip={selectedTrip} />
         <TimetableHeader
           activePattern={activePattern}
           hideHelpModal={this._hideHelpModal}
@@ -386,9 +463,21 @@ export default class TimetableEditor extends Component<Props, State> {
           addNewRow={this.addNewRow}
           offsetWithDefaults={this._offsetWithDefaults}
           cloneSelectedTrips={this.cloneSelectedTrips}
+          addWindowToSelectedTrips={this.addWindowToSelectedTrips}
           saveEditedTrips={this.saveEditedTrips}
+          showBlockView={showBlockView}
+          showHeadsignTranslations={this._showHeadsignTranslations}
+          showPublicTimetable={this._showPublicTimetable}
+          toggleBlockView={this._toggleBlockView}
           {...this.props} />
-        {activeSchedule
+        {activeSchedule && showBlockView
+          ? <BlockScheduler
+            activeScheduleId={activeScheduleId}
+            feedSource={feedSource}
+            fetchTripsForBlocks={fetchTripsForBlocks}
+            height={height - HEADER_HEIGHT - 50}
+            updateTripBlock={updateTripBlock} />
+          : activeSchedule
           ? <Timetable
             style={{height: `${height - HEADER_HEIGHT - 50}px`}}
             addNewRow={this.addNewRow}
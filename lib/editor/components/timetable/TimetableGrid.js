@@ -13,7 +13,9 @@ import {ENTITY} from '../../constants'
 import HeaderCell from './HeaderCell'
 import EditableCell from './EditableCell'
 import {
+  formatCellValue,
   getHeaderColumns,
+  getRowsWithIssues,
   HEADER_GRID_STYLE,
   HEADER_GRID_WRAPPER_STYLE,
   isTimeFormat,
@@ -23,9 +25,11 @@ import {
   MAIN_GRID_WRAPPER_STYLE,
   OVERSCAN_COLUMN_COUNT,
   OVERSCAN_ROW_COUNT,
-  parseTime,
+  parseCellValue,
+  parseClipboardText,
   ROW_HEIGHT,
   SCROLL_SIZE,
+  toClipboardText,
   TOP_LEFT_STYLE,
   WRAPPER_STYLE
 } from '../../util/timetable'
@@ -74,14 +78,150 @@ type CellProps = {
   style: Style
 }
 
-export default class TimetableGrid extends Component<Props> {
+type CellPosition = {
+  columnIndex: number,
+  rowIndex: number
+}
+
+type PasteResult = {
+  endRow: number,
+  invalidValues: Array<string>,
+  newTrips: number,
+  startRow: number
+}
+
+type State = {
+  // Result of the last paste, which is reported once the pasted values have
+  // been applied to the trips (and validated).
+  pasteResult: ?PasteResult,
+  // Cell where the rectangular cell selection starts. The selection extends
+  // from this cell to the focused cell (scrollToRow/scrollToColumn).
+  selectionAnchor: ?CellPosition
+}
+
+export default class TimetableGrid extends Component<Props, State> {
   grid = null
 
+  state = {
+    pasteResult: null,
+    selectionAnchor: null
+  }
+
   componentWillReceiveProps (nextProps: Props) {
     if (nextProps.hideDepartureTimes !== this.props.hideDepartureTimes) {
       // force grid refresh because grid column width must change
       this.grid && this.grid.recomputeGridSize()
     }
+    if (
+      nextProps.activeScheduleId !== this.props.activeScheduleId ||
+      nextProps.activePattern.id !== this.props.activePattern.id
+    ) {
+      this.setState({selectionAnchor: null})
+    }
+  }
+
+  componentDidUpdate (prevProps: Props, prevState: State) {
+    const {pasteResult} = this.state
+    if (pasteResult && pasteResult !== prevState.pasteResult) {
+      // Pasted values have now been applied to the trips, so trip validation
+      // errors reflect the pasted values.
+      this._reportPasteResult(pasteResult)
+    }
+  }
+
+  /**
+   * Alert the user about any pasted values that could not be parsed and any
+   * pasted rows with trip validation issues (which must be fixed before the
+   * trips can be saved).
+   */
+  _reportPasteResult (pasteResult: PasteResult) {
+    const {endRow, invalidValues, newTrips, startRow} = pasteResult
+    const invalidRows = getRowsWithIssues(this.props.tripValidationErrors)
+      .filter(rowIndex => rowIndex >= startRow && rowIndex <= endRow)
+    this.setState({pasteResult: null})
+    const messages = []
+    if (invalidValues.length > 0) {
+      messages.push(`The following pasted values could not be read and were skipped:\n${invalidValues.join('\n')}`)
+    }
+    if (invalidRows.length > 0) {
+      messages.push(`Trips in rows ${invalidRows.map(i => i + 1).join(', ')} have validation issues (⚠️) that must be fixed before saving.`)
+    }
+    if (messages.length > 0) {
+      const pasted = `Pasted ${endRow - startRow + 1} row(s)${newTrips > 0 ? ` (${newTrips} new trip(s))` : ''}.`
+      window.alert([pasted, ...messages].join('\n\n'))
+    }
+  }
+
+  /**
+   * Get the bounds (in grid row/column indexes) of the rectangular cell
+   * selection. If there is no selection, this is the focused cell.
+   */
+  _getSelectionRange () {
+    const {scrollToColumn, scrollToRow} = this.props
+    const anchor = this.state.selectionAnchor ||
+      {columnIndex: scrollToColumn, rowIndex: scrollToRow}
+    return {
+      endColumn: Math.max(anchor.columnIndex, scrollToColumn),
+      endRow: Math.max(anchor.rowIndex, scrollToRow),
+      startColumn: Math.min(anchor.columnIndex, scrollToColumn),
+      startRow: Math.min(anchor.rowIndex, scrollToRow)
+    }
+  }
+
+  /**
+   * Start the cell selection at the focused cell when extending the selection
+   * (i.e., the shift key is held while moving), otherwise clear the selection.
+   */
+  _updateSelectionAnchor (extend: boolean) {
+    const {scrollToColumn, scrollToRow} = this.props
+    const {selectionAnchor} = this.state
+    if (extend && !selectionAnchor) {
+      this.setState({
+        selectionAnchor: {columnIndex: scrollToColumn, rowIndex: scrollToRow}
+      })
+    } else if (!extend && selectionAnchor) {
+      this.setState({selectionAnchor: null})
+    }
+  }
+
+  _onCellClick = (rowIndex: number, columnIndex: number, shiftKey: boolean) => {
+    this._updateSelectionAnchor(shiftKey)
+    this.props.updateScroll(rowIndex, columnIndex)
+  }
+
+  /**
+   * Copy the selected cells to the clipboard as tab-separated values (which
+   * can be pasted into a spreadsheet or back into the timetable).
+   */
+  _handleCopy = (evt: SyntheticClipboardEvent<HTMLDivElement>) => {
+    const {activeCell, columns, data} = this.props
+    // Let the cell input handle copying if a cell is being edited.
+    if (activeCell || !evt.clipboardData) return
+    const {endColumn, endRow, startColumn, startRow} = this._getSelectionRange()
+    const rows = []
+    for (let rowIndex = startRow; rowIndex <= endRow && rowIndex < data.length; rowIndex++) {
+      const row = []
+      for (let columnIndex = startColumn; columnIndex <= endColumn; columnIndex++) {
+        const col = columns[this._getColIndex(columnIndex)]
+        row.push(formatCellValue(col, this._getCellValue(rowIndex, col)))
+      }
+      rows.push(row)
+    }
+    evt.clipboardData.setData('text/plain', toClipboardText(rows))
+    evt.preventDefault()
+  }
+
+  /**
+   * Paste tab-separated values from the clipboard starting at the top left
+   * cell of the selection.
+   */
+  _handlePaste = (evt: SyntheticClipboardEvent<HTMLDivElement>) => {
+    // If a cell is being edited, EditableCell handles the paste.
+    if (this.props.activeCell || evt.isDefaultPrevented() || !evt.clipboardData) return
+    const rows = parseClipboardText(evt.clipboardData.getData('Text'))
+    const {startColumn, startRow} = this._getSelectionRange()
+    evt.preventDefault()
+    this.handlePastedRows(rows, startRow, startColumn)
   }
 
   /**
@@ -221,7 +361,11 @@ export default class TimetableGrid extends Component<Props> {
         // TODO: add delete cell value
         // updateCellValue({value: '', rowIndex, key: `${scrollToRow}.${col.key}`})
         break
+      case 27: // Esc - Clear cell selection
+        if (!activeCell) this._updateSelectionAnchor(false)
+        break
       case 9: // tab
+        this._updateSelectionAnchor(false)
         this.offsetScrollCol(evt.shiftKey ? -1 : 1)
         evt.preventDefault()
         break
@@ -230,8 +374,9 @@ export default class TimetableGrid extends Component<Props> {
           if (ctrlPressed) {
             // If Enter is pressed with CTRL or CMD and no cell is active, save
             // any unsaved trips.
-            if (Object.keys(tripValidationErrors).length > 0) {
-              return window.alert(`Cannot save trip edits. Please fix trip validation issues (⚠️) first.`)
+            const invalidRows = getRowsWithIssues(tripValidationErrors)
+            if (invalidRows.length > 0) {
+              return window.alert(`Cannot save trip edits. Please fix trip validation issues (⚠️) in rows ${invalidRows.map(i => i + 1).join(', ')} first.`)
             }
             return saveEditedTrips(activePattern, activeScheduleId)
           } else {
@@ -249,6 +394,8 @@ export default class TimetableGrid extends Component<Props> {
         evt.preventDefault()
         // override ArrowKeyStepper
         evt.stopPropagation()
+        // shift extends the cell selection
+        this._updateSelectionAnchor(evt.shiftKey)
 
         // check if done with command key or ctrl
         if (ctrlPressed) {
@@ -264,6 +411,7 @@ export default class TimetableGrid extends Component<Props> {
       case 38: // up
         // do nothing if k was pressed while in edit mode
         if (evt.keyCode === 75 && activeCell) return
+        this._updateSelectionAnchor(evt.shiftKey)
         // check if done with command key or ctrl
         if (ctrlPressed) {
           // prevent default up behavior
@@ -284,6 +432,7 @@ export default class TimetableGrid extends Component<Props> {
         evt.preventDefault()
         // override ArrowKeyStepper
         evt.stopPropagation()
+        this._updateSelectionAnchor(evt.shiftKey)
 
         // check if done with command key or ctrl
         if (ctrlPressed) {
@@ -300,6 +449,7 @@ export default class TimetableGrid extends Component<Props> {
       case 40: // down
         // do nothing if j was pressed while in edit mode
         if (evt.keyCode === 74 && activeCell) return
+        this._updateSelectionAnchor(evt.shiftKey)
         if (ctrlPressed) {
           // prevent default up behavior
           evt.preventDefault()
@@ -366,44 +516,69 @@ export default class TimetableGrid extends Component<Props> {
     )
   }
 
-  handlePastedRows = (pastedRows: Array<any>, rowIndex: number, colIndex: number) => {
+  /**
+   * Apply rows of pasted values to the grid starting at the provided row and
+   * (grid) column index. Values are parsed according to the column type, and
+   * new trips are created if the pasted rows extend past the last trip.
+   */
+  handlePastedRows = (pastedRows: Array<Array<string>>, rowIndex: number, columnIndex: number) => {
     const {
       addNewRow,
       columns,
       data,
       setActiveCell,
-      hideDepartureTimes,
-      updateCellValue,
       updateScroll
     } = this.props
-    let activeRow = rowIndex
-    let activeCol = colIndex
-    // iterate over rows in pasted selection
-    for (var i = 0; i < pastedRows.length; i++) {
-      activeRow = rowIndex + i
-      // construct new row if it doesn't exist
-      if (typeof data[i + rowIndex] === 'undefined') {
+    const columnCount = this._getColumnCount()
+    const invalidValues = []
+    let newTrips = 0
+    let lastColumn = columnIndex
+    pastedRows.forEach((pastedRow, i) => {
+      const row = rowIndex + i
+      // Construct new trip (cloned from the last trip) if row doesn't exist.
+      if (row >= data.length) {
         addNewRow()
+        newTrips++
       }
-      // iterate over number of columns in pasted selection
-      for (var j = 0; j < pastedRows[0].length; j++) {
-        activeCol = colIndex + j
-        const path = `${rowIndex + i}.${columns[colIndex + j].key}`
-        const value = parseTime(pastedRows[i][j])
-        updateCellValue({value, rowIndex: rowIndex + i, key: path})
-        // if departure times are hidden, paste into adjacent time column
-        const adjacentPath = `${rowIndex + i}.${columns[colIndex + j + 2].key}`
-        if (
-          hideDepartureTimes &&
-          isTimeFormat(columns[colIndex + j].type) &&
-          typeof objectPath.get(data, adjacentPath) !== 'undefined'
-        ) {
-          updateCellValue({value, rowIndex: rowIndex + i, key: adjacentPath})
+      pastedRow.forEach((text, j) => {
+        const gridColumn = columnIndex + j
+        // Ignore values that extend past the last column.
+        if (gridColumn >= columnCount) return
+        lastColumn = Math.max(lastColumn, gridColumn)
+        const col = columns[this._getColIndex(gridColumn)]
+        const value = parseCellValue(col, text)
+        if (typeof value === 'undefined') {
+          invalidValues.push(`Row ${row + 1}, ${col.name || col.key}: "${text}"`)
+          return
         }
-      }
+        this._handleCellChange(value, row, col, gridColumn)
+      })
+    })
+    const endRow = rowIndex + pastedRows.length - 1
+    setActiveCell(null)
+    // Select the pasted cells.
+    this.setState({
+      pasteResult: {endRow, invalidValues, newTrips, startRow: rowIndex},
+      selectionAnchor: {columnIndex, rowIndex}
+    })
+    updateScroll(endRow, lastColumn)
+  }
+
+  /**
+   * Get the value for a cell. For trip ID cells, this falls back to the ID of
+   * the trip (if the trip has been saved).
+   */
+  _getCellValue (rowIndex: number, col: TimetableColumn) {
+    const {data} = this.props
+    let val = objectPath.get(data[rowIndex], col.key)
+    if (col.key === 'tripId' && val === null) {
+      // If current column is trip ID and the value is null, set val to the id
+      // field's value
+      val = objectPath.get(data[rowIndex], 'id') !== ENTITY.NEW_ID
+        ? objectPath.get(data[rowIndex], 'id')
+        : null
     }
-    setActiveCell(`${activeRow}-${activeCol}`)
-    updateScroll(activeRow, activeCol)
+    return val
   }
 
   /**
@@ -419,50 +594,48 @@ export default class TimetableGrid extends Component<Props> {
     const {
       activeCell,
       columns,
-      data,
       scrollToRow,
       scrollToColumn,
       selected,
       setActiveCell,
       hideDepartureTimes,
-      tripValidationErrors,
-      updateScroll
+      tripValidationErrors
     } = this.props
+    const {selectionAnchor} = this.state
     const {columnIndex, key, rowIndex, style} = cellProps
     // adjust columnIndex for hideDepartures (departure times will not be present in grid)
     const colIndex = this._getColIndex(columnIndex)
     const isFocused = columnIndex === scrollToColumn && rowIndex === scrollToRow
     const isEditing = activeCell === `${rowIndex}-${columnIndex}`
     const col = columns[colIndex]
+    let isInSelection = false
+    if (selectionAnchor) {
+      const {endColumn, endRow, startColumn, startRow} = this._getSelectionRange()
+      isInSelection = rowIndex >= startRow && rowIndex <= endRow &&
+        columnIndex >= startColumn && columnIndex <= endColumn
+    }
 
     const rowIsChecked = (selected[0] === '*' && selected.indexOf(rowIndex) === -1) ||
       (selected[0] !== '*' && selected.indexOf(rowIndex) !== -1)
 
-    let val = objectPath.get(data[rowIndex], col.key)
-    if (col.key === 'tripId' && val === null) {
-      // If current column is trip ID and the value is null, set val to the id
-      // field's value
-      val = objectPath.get(data[rowIndex], 'id') !== ENTITY.NEW_ID
-        ? objectPath.get(data[rowIndex], 'id')
-        : null
-    }
     return (
       <EditableCell
         column={col}
         columnIndex={columnIndex} // pass original index to prevent issues with updateScroll/scrollsync
-        data={val}
+        data={this._getCellValue(rowIndex, col)}
         handlePastedRows={this.handlePastedRows}
         hideDepartureTimes={hideDepartureTimes}
         invalidData={tripValidationErrors[`${rowIndex}-${colIndex}`]}
         isEditing={isEditing}
         isFocused={isFocused}
+        isInSelection={isInSelection}
         isSelected={rowIsChecked}
         key={key}
         lightText={col.type === 'DEPARTURE_TIME'}
         offsetScrollCol={this.offsetScrollCol}
         offsetScrollRow={this.offsetScrollRow}
         onChange={this._handleCellChange}
-        onClick={updateScroll}
+        onClick={this._onCellClick}
         onStopEditing={this.handleEndEditing}
         placeholder={col.placeholder}
         rowIndex={rowIndex}
@@ -479,6 +652,7 @@ export default class TimetableGrid extends Component<Props> {
    * method of EditableCell.  The value can be a time value or non-time entry
    * such as Trip Id or Headsign. It also ensures that the companion departure
    * time gets appropriately updated if the departures times are hidden in the UI.
+   * The colIndex is the index of the column in the grid (see _getColIndex).
    */
   _handleCellChange = (value: ?(number | string), rowIndex: number, col: TimetableColumn, colIndex: number) => {
     const {
@@ -494,9 +668,11 @@ export default class TimetableGrid extends Component<Props> {
       // make sure stop time isn't null
       const splitColKeys = col.key.split('.')
       const stopTimeIdx = +splitColKeys[1]
-      const trip = data[rowIndex]
-      const stopTime = trip.stopTimes[stopTimeIdx]
-      if (!stopTime && col.key.indexOf('.') !== -1) {
+      // Trips added while pasting are not yet in data, but are cloned from the
+      // last trip.
+      const trip = data[rowIndex] || data[data.length - 1]
+      const stopTime = trip && trip.stopTimes[stopTimeIdx]
+      if (trip && !stopTime && col.key.indexOf('.') !== -1) {
         // If stop time is null and there is a '.' in the column key, create a
         // new stop time. If there is no '.', this is a frequency start/end
         // time, which does not need a new stop time entry.
@@ -514,7 +690,7 @@ export default class TimetableGrid extends Component<Props> {
     }
     updateCellValue({value, rowIndex, key: `${rowIndex}.${col.key}`})
     // if departure times are hidden, set departure time value equal to arrival time
-    const nextCol = columns[colIndex + 1]
+    const nextCol = columns[this._getColIndex(colIndex) + 1]
     if (hideDepartureTimes && nextCol && nextCol.type === 'DEPARTURE_TIME') {
       updateCellValue({value, rowIndex, key: `${rowIndex}.${nextCol.key}`})
     }
@@ -576,7 +752,9 @@ export default class TimetableGrid extends Component<Props> {
     return (
       <div
         style={WRAPPER_STYLE}
-        onKeyDown={this._handleKeyPress}>
+        onCopy={this._handleCopy}
+        onKeyDown={this._handleKeyPress}
+        onPaste={this._handlePaste}>
         <div
           style={TOP_LEFT_STYLE}>
           <Grid // Top Left Cell
@@ -650,6 +828,9 @@ export default class TimetableGrid extends Component<Props> {
                     rowCount={data.length}
                     scrollToColumn={scrollToColumn}
                     scrollToRow={scrollToRow}
+                    // Pass selection anchor as prop so that an update is
+                    // triggered when the cell selection changes.
+                    selectionAnchor={this.state.selectionAnchor}
                     width={width - SCROLL_SIZE - LEFT_COLUMN_WIDTH} />
                 </div>
               </div>
@@ -25,6 +25,7 @@ import CalendarSelect from './CalendarSelect'
 import RouteSelect from './RouteSelect'
 import PatternSelect from './PatternSelect'
 import {getTableById} from '../../util/gtfs'
+import {getTranslatableField} from '../../util/translations'
 
 import type {TripValidationIssues} from '../../selectors/timetable'
 import type {Feed, GtfsRoute, Pattern, ServiceCalendar, TripCounts} from '../../../types'
@@ -34,6 +35,7 @@ type Props = {
   activePattern: Pattern,
   activeScheduleId: string,
   addNewRow: (?boolean, ?boolean) => void,
+  addWindowToSelectedTrips: () => void,
   cloneSelectedTrips: () => void,
   feedSource: Feed,
   fetchCalendarTripCountsForPattern: typeof tripActions.fetchCalendarTripCountsForPattern,
@@ -45,9 +47,13 @@ type Props = {
   setActiveEntity: typeof activeActions.setActiveEntity,
   setOffset: typeof tripActions.setOffset,
   setScrollIndexes: typeof tripActions.setScrollIndexes,
+  showBlockView: boolean,
+  showHeadsignTranslations: () => void,
   showHelpModal: () => void,
+  showPublicTimetable: () => void,
   tableData: EditorTables,
   timetable: TimetableState,
+  toggleBlockView: () => void,
   toggleDepartureTimes: typeof tripActions.toggleDepartureTimes,
   tripCounts: TripCounts,
   tripValidationErrors: TripValidationIssues
@@ -92,6 +98,7 @@ export default class TimetableHeader extends Component<Props> {
 
   render () {
     const {
+      addWindowToSelectedTrips,
       cloneSelectedTrips,
       feedSource,
       fetchCalendarTripCountsForPattern,
@@ -104,7 +111,11 @@ export default class TimetableHeader extends Component<Props> {
       activeScheduleId,
       activePattern,
       setActiveEntity,
+      showBlockView,
+      showHeadsignTranslations,
       showHelpModal,
+      showPublicTimetable,
+      toggleBlockView,
       tripCounts,
       tripValidationErrors
     } = this.props
@@ -115,9 +126,11 @@ export default class TimetableHeader extends Component<Props> {
       backgroundColor: 'white'
     }
     const errorCount = Object.keys(tripValidationErrors).length
-    const tableType = activePattern && activePattern.useFrequency
-      ? 'Frequency editor'
-      : 'Timetable editor'
+    const tableType = showBlockView
+      ? 'Block schedule'
+      : activePattern && activePattern.useFrequency
+        ? 'Frequency editor'
+        : 'Timetable editor'
     const patternName = activePattern && activePattern.name
     const calendarName = activeCalendar && activeCalendar.service_id
     const numberOfTrips = !activePattern || !activeCalendar
@@ -126,7 +139,28 @@ export default class TimetableHeader extends Component<Props> {
         ? trips.length
         : 0
     const buttons = [{
+      id: 'blocks',
+      hidden: false,
+      tooltip: showBlockView ? 'Show timetable' : 'Show block schedule',
+      props: {
+        active: showBlockView,
+        children: <Icon type='bus' />,
+        'data-test-id': 'toggle-block-view-button',
+        disabled: !activeCalendar,
+        onClick: toggleBlockView
+      }
+    }, {
+      id: 'public-timetable',
+      hidden: false,
+      tooltip: 'Generate public timetable',
+      props: {
+        children: <Icon type='print' />,
+        disabled: !route || !route.tripPatterns || route.tripPatterns.length === 0,
+        onClick: showPublicTimetable
+      }
+    }, {
       id: 'add',
+      hidden: showBlockView,
       tooltip: 'Add blank trip',
       props: {
         onClick: this._onClickAdd,
@@ -134,14 +168,37 @@ export default class TimetableHeader extends Component<Props> {
       }
     }, {
       id: 'duplicate',
+      hidden: showBlockView,
       tooltip: 'Duplicate trips',
       props: {
         children: <Icon type='clone' />,
         'data-test-id': 'duplicate-trip-button',
         onClick: cloneSelectedTrips
       }
+    }, {
+      id: 'add-frequency',
+      hidden: showBlockView || !activePattern || !activePattern.useFrequency,
+      tooltip: 'Add frequency entry to trips',
+      props: {
+        children: <Icon type='clock-o' />,
+        'data-test-id': 'add-frequency-button',
+        disabled: trips.length === 0,
+        onClick: addWindowToSelectedTrips
+      }
+    }, {
+      id: 'translate-headsign',
+      hidden: showBlockView || !getTranslatableField('trip', 'trip_headsign'),
+      tooltip: 'Translate headsign of selected trip',
+      props: {
+        children: <Icon type='language' />,
+        'data-test-id': 'translate-headsign-button',
+        // Translations reference the saved trip_id, so the trip must be saved.
+        disabled: selected.length !== 1 || edited.indexOf(selected[0]) !== -1,
+        onClick: showHeadsignTranslations
+      }
     }, {
       id: 'delete',
+      hidden: showBlockView,
       tooltip: 'Delete trips',
       props: {
         bsStyle: 'danger',
@@ -152,6 +209,7 @@ export default class TimetableHeader extends Component<Props> {
       }
     }, {
       id: 'undo',
+      hidden: showBlockView,
       tooltip: 'Undo changes',
       props: {
         disabled: edited.length === 0,
@@ -160,6 +218,7 @@ export default class TimetableHeader extends Component<Props> {
       }
     }, {
       id: 'save',
+      hidden: showBlockView,
       tooltip: 'Save changes',
       props: {
         bsStyle: 'primary',
@@ -352,7 +411,7 @@ export default class TimetableHeader extends Component<Props> {
           <Col sm={3}>
             {/* Edit timetable buttons */}
             <ButtonGroup className='pull-right'>
-              {buttons.map(button => (
+              {buttons.filter(button => !button.hidden).map(button => (
                 <OverlayTrigger
                   placement='bottom'
                   key={button.id}
@@ -15,3 +15,20 @@ export const POINT_TYPE = Object.freeze({
   ANCHOR: 1,
   STOP: 2
 })
+
+export const HISTORY = Object.freeze({
+  // Maximum number of items retained in the editor undo/redo history
+  LIMIT: 100,
+  // Consecutive edits to the same fields of an entity made within this many
+  // milliseconds of each other are merged into a single history item.
+  MERGE_INTERVAL: 1000
+})
+
+// Values for the GTFS stops.txt location_type field
+export const LOCATION_TYPE = Object.freeze({
+  STOP: 0,
+  STATION: 1,
+  ENTRANCE: 2,
+  GENERIC_NODE: 3,
+  BOARDING_AREA: 4
+})
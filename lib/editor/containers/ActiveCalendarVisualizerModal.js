@@ -0,0 +1,28 @@
+// @flow
+
+import {connect} from 'react-redux'
+
+import {setActiveEntity} from '../actions/active'
+import {newGtfsEntity} from '../actions/editor'
+import CalendarVisualizerModal from '../components/CalendarVisualizerModal'
+
+import type {AppState} from '../../types/reducers'
+
+export type Props = {
+  feedSourceId: string,
+  onClose: () => void,
+  show: boolean
+}
+
+const mapStateToProps = (state: AppState, ownProps: Props) => ({
+  tables: state.editor.data.tables
+})
+
+const mapDispatchToProps = {
+  newGtfsEntity,
+  setActiveEntity
+}
+
+const ActiveCalendarVisualizerModal = connect(mapStateToProps, mapDispatchToProps)(CalendarVisualizerModal)
+
+export default ActiveCalendarVisualizerModal
@@ -0,0 +1,30 @@
+// @flow
+
+import {connect} from 'react-redux'
+
+import {setActiveEntity} from '../actions/active'
+import {fetchStopPatternUsages, mergeStops} from '../actions/stop'
+import DuplicateStopsModal from '../components/DuplicateStopsModal'
+
+import type {AppState} from '../../types/reducers'
+
+export type Props = {
+  feedSourceId: string,
+  onClose: () => void,
+  show: boolean
+}
+
+const mapStateToProps = (state: AppState, ownProps: Props) => ({
+  activeEntity: state.editor.data.active.entity,
+  stops: state.editor.data.tables.stops
+})
+
+const mapDispatchToProps = {
+  fetchStopPatternUsages,
+  mergeStops,
+  setActiveEntity
+}
+
+const ActiveDuplicateStopsModal = connect(mapStateToProps, mapDispatchToProps)(DuplicateStopsModal)
+
+export default ActiveDuplicateStopsModal
@@ -8,7 +8,11 @@ import {
   downloadSnapshot,
   createSnapshot
 } from '../actions/snapshots.js'
-import {createFeedVersionFromSnapshot} from '../../manager/actions/versions'
+import {exportGeography} from '../../gtfs/actions/general'
+import {
+  createFeedVersionFromSnapshot,
+  fetchServiceChangeReport
+} from '../../manager/actions/versions'
 
 import EditorFeedSourcePanel from '../components/EditorFeedSourcePanel'
 
@@ -32,6 +36,8 @@ const mapDispatchToProps = {
   createSnapshot,
   deleteSnapshot,
   downloadSnapshot,
+  exportGeography,
+  fetchServiceChangeReport,
   fetchSnapshots,
   restoreSnapshot
 }
@@ -8,6 +8,7 @@ import {
   setActiveEntity,
   updateActiveGtfsEntity
 } from '../actions/active'
+import {exportTableToCsv, importCsvDiff, previewCsvImport} from '../actions/csv'
 import {cloneGtfsEntity, newGtfsEntity, updateEntitySort} from '../actions/editor'
 import {getTableById} from '../util/gtfs'
 import EntityList from '../components/EntityList'
@@ -52,7 +53,10 @@ const mapDispatchToProps = {
   cloneGtfsEntity,
   deleteGtfsEntity,
   enterTimetableEditor,
+  exportTableToCsv,
+  importCsvDiff,
   newGtfsEntity,
+  previewCsvImport,
   setActiveEntity,
   updateActiveGtfsEntity,
   updateEntitySort
@@ -0,0 +1,22 @@
+// @flow
+
+import {connect} from 'react-redux'
+
+import FareCalculatorModal from '../components/FareCalculatorModal'
+
+import type {AppState} from '../../types/reducers'
+
+export type Props = {
+  onClose: () => void,
+  show: boolean
+}
+
+const mapStateToProps = (state: AppState, ownProps: Props) => ({
+  tables: state.editor.data.tables
+})
+
+const mapDispatchToProps = {}
+
+const ActiveFareCalculatorModal = connect(mapStateToProps, mapDispatchToProps)(FareCalculatorModal)
+
+export default ActiveFareCalculatorModal
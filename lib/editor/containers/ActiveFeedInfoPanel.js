@@ -3,6 +3,7 @@
 import {connect} from 'react-redux'
 
 import {setActiveEntity} from '../actions/active'
+import {redoEditorHistory, undoEditorHistory} from '../actions/history'
 import {createSnapshot, fetchSnapshots, restoreSnapshot} from '../actions/snapshots'
 import {displayRoutesShapefile} from '../actions/map'
 import FeedInfoPanel from '../components/FeedInfoPanel'
@@ -25,6 +26,7 @@ const mapStateToProps = (state: AppState, ownProps: Props) => {
     feedInfo,
     feedSourceId,
     feedSource,
+    history: state.editor.data.history,
     project
   }
 }
@@ -33,8 +35,10 @@ const mapDispatchToProps = {
   createSnapshot,
   displayRoutesShapefile,
   fetchSnapshots,
+  redoEditorHistory,
   restoreSnapshot,
-  setActiveEntity
+  setActiveEntity,
+  undoEditorHistory
 }
 
 const ActiveFeedInfoPanel = connect(mapStateToProps, mapDispatchToProps)(FeedInfoPanel)
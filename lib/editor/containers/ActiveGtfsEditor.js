@@ -15,7 +15,8 @@ import {
   addStopAtPoint,
   addStopAtIntersection,
   addStopAtInterval,
-  addStopToPattern
+  addStopToPattern,
+  extendStopPlacementLine
 } from '../actions/map/stopStrategies'
 import {
   handleControlPointDrag,
@@ -26,6 +27,7 @@ import {
   constructControlPoint
 } from '../actions/map'
 import {fetchTripsForCalendar} from '../actions/trip'
+import {redoEditorHistory, undoEditorHistory} from '../actions/history'
 import {
   clearGtfsContent,
   deleteGtfsEntity,
@@ -45,10 +47,11 @@ import {
   uploadBrandingAsset
 } from '../actions/editor'
 import {createSnapshot, loadFeedVersionForEditing} from '../actions/snapshots'
+import {saveTranslations} from '../actions/translations'
 import {updateUserMetadata} from '../../manager/actions/user'
 import {findProjectByFeedSource} from '../../manager/util'
 import {setTutorialHidden} from '../../manager/actions/ui'
-import {getControlPoints, getValidationErrors} from '../selectors'
+import {getControlPoints, getRuleViolations, getValidationErrors} from '../selectors'
 import {getTableById, getIdsFromParams} from '../util/gtfs'
 
 import type {AppState, RouterProps} from '../../types/reducers'
@@ -88,6 +91,7 @@ const mapStateToProps = (state: AppState, ownProps: Props) => {
   const entities = activeComponent && getTableById(tables, activeComponent)
   // console.log(activeEntityId, activeEntity, active, active.entity)
   const validationErrors = getValidationErrors(state)
+  const ruleViolations = getRuleViolations(state)
   const user = state.user
 
   // find the containing project
@@ -122,6 +126,7 @@ const mapStateToProps = (state: AppState, ownProps: Props) => {
     patternSegment,
     patternStop,
     project,
+    ruleViolations,
     sidebarExpanded: state.ui.sidebarExpanded,
     status,
     subComponent,
@@ -145,6 +150,7 @@ const mapDispatchToProps = {
   constructControlPoint,
   createSnapshot,
   deleteGtfsEntity,
+  extendStopPlacementLine,
   fetchTripPatterns,
   fetchTripsForCalendar,
   handleControlPointDrag,
@@ -153,18 +159,21 @@ const mapDispatchToProps = {
   loadFeedVersionForEditing,
   newGtfsEntities,
   newGtfsEntity,
+  redoEditorHistory,
   refreshBaseEditorData,
   removeControlPoint,
   removeEditorLock,
   removeStopFromPattern,
   resetActiveGtfsEntity,
   saveActiveGtfsEntity,
+  saveTranslations,
   setActiveEntity,
   setActiveGtfsEntity,
   setActivePatternSegment,
   setActiveStop,
   setTutorialHidden,
   undoActiveTripPatternEdits,
+  undoEditorHistory,
   updateActiveGtfsEntity,
   updateEditSetting,
   updateMapSetting,
@@ -3,11 +3,15 @@
 import { connect } from 'react-redux'
 
 import {setActiveEntity} from '../actions/active'
+import {saveTranslations} from '../actions/translations'
 import {
+  addFrequencyWindow,
   addNewTrip,
   deleteTripsForCalendar,
   fetchCalendarTripCountsForPattern,
+  fetchTripsForBlocks,
   fetchTripsForCalendar,
+  fetchTripsForPatternsAndCalendar,
   offsetRows,
   removeTrips,
   saveTripsForCalendar,
@@ -17,7 +21,8 @@ import {
   toggleAllRows,
   toggleDepartureTimes,
   toggleRowSelection,
-  updateCellValue
+  updateCellValue,
+  updateTripBlock
 } from '../actions/trip'
 import TimetableEditor from '../components/timetable/TimetableEditor'
 import {getTableById} from '../util/gtfs'
@@ -66,12 +71,16 @@ const mapStateToProps = (state: AppState, ownProps: Props) => {
 }
 
 const mapDispatchToProps = {
+  addFrequencyWindow,
   addNewTrip,
   deleteTripsForCalendar,
   fetchCalendarTripCountsForPattern,
+  fetchTripsForBlocks,
   fetchTripsForCalendar,
+  fetchTripsForPatternsAndCalendar,
   offsetRows,
   removeTrips,
+  saveTranslations,
   saveTripsForCalendar,
   setActiveCell,
   setActiveEntity,
@@ -80,7 +89,8 @@ const mapDispatchToProps = {
   toggleAllRows,
   toggleDepartureTimes,
   toggleRowSelection,
-  updateCellValue
+  updateCellValue,
+  updateTripBlock
 }
 
 const ActiveTimetableEditor = connect(mapStateToProps, mapDispatchToProps)(TimetableEditor)
@@ -13,11 +13,16 @@ import {
   newGtfsEntity,
   cloneGtfsEntity
 } from '../actions/editor'
-import {addStopToPattern, removeStopFromPattern} from '../actions/map/stopStrategies'
-import {updateMapSetting, updatePatternGeometry} from '../actions/map'
+import {
+  addProposedStopsToPattern,
+  addStopToPattern,
+  proposeStopsAlongLine,
+  removeStopFromPattern
+} from '../actions/map/stopStrategies'
+import {importPatternShape, updateMapSetting, updatePatternGeometry} from '../actions/map'
 import {setErrorMessage} from '../../manager/actions/status'
 import {
-  deleteAllTripsForPattern,
+  convertTripsForPattern,
   setActiveStop,
   setActivePatternSegment,
   togglePatternEditing,
@@ -77,11 +82,14 @@ const mapStateToProps = (state: AppState, ownProps: Props) => {
 }
 
 const mapDispatchToProps = {
+  addProposedStopsToPattern,
   addStopToPattern,
   cloneGtfsEntity,
-  deleteAllTripsForPattern,
+  convertTripsForPattern,
   deleteGtfsEntity,
+  importPatternShape,
   newGtfsEntity,
+  proposeStopsAlongLine,
   removeStopFromPattern,
   resetActiveGtfsEntity,
   saveActiveGtfsEntity,
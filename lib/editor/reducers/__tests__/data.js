@@ -0,0 +1,85 @@
+// @flow
+
+import update from 'react-addons-update'
+
+import {ENTITY, HISTORY} from '../../constants'
+import data, {defaultState} from '../data'
+
+const stop = {id: 1, stop_id: 's1', stop_lat: 0, stop_lon: 0, stop_name: 'Main St'}
+
+const withActiveStop = (entity: Object = stop): any => update(defaultState, {
+  active: {$set: {component: 'stop', entity, feedSourceId: 'feed1'}}
+})
+
+const edit = (state: any, props: Object, timestamp: number): any => data(state, ({
+  type: 'UPDATE_ACTIVE_GTFS_ENTITY',
+  payload: {component: 'stop', entity: state.active.entity, props, timestamp}
+}: any))
+
+const historyItem = (props: Object): any => ({
+  component: 'stop',
+  entityId: 1,
+  label: 'Main St',
+  previousProps: null,
+  props: {},
+  timestamp: 0,
+  type: 'SAVE',
+  ...props
+})
+
+describe('editor > reducers > data > history >', () => {
+  it('should merge consecutive edits to the same fields', () => {
+    let state = edit(withActiveStop(), {stop_name: 'Main'}, 0)
+    state = edit(state, {stop_name: 'Main Street'}, HISTORY.MERGE_INTERVAL - 1)
+    expect(state.history.past.length).toEqual(1)
+    expect(state.history.past[0].previousProps).toEqual({stop_name: 'Main St'})
+    expect(state.history.past[0].props).toEqual({stop_name: 'Main Street'})
+  })
+
+  it('should record separate items for edits outside the merge interval or to other fields', () => {
+    let state = edit(withActiveStop(), {stop_name: 'Main'}, 0)
+    state = edit(state, {stop_name: 'Main Street'}, HISTORY.MERGE_INTERVAL + 1)
+    state = edit(state, {stop_lat: 1}, HISTORY.MERGE_INTERVAL + 2)
+    expect(state.history.past.map(i => i.props)).toEqual([
+      {stop_name: 'Main'},
+      {stop_name: 'Main Street'},
+      {stop_lat: 1}
+    ])
+    expect(state.history.past[1].previousProps).toEqual({stop_name: 'Main'})
+  })
+
+  it('should undo and redo edits to the active entity', () => {
+    const edited = edit(withActiveStop(), {stop_name: 'Main'}, 0)
+    const item = edited.history.past[0]
+    const undone = data(edited, ({type: 'UNDO_EDITOR_HISTORY_ITEM', payload: item}: any))
+    expect(undone.active.entity).toHaveProperty('stop_name', 'Main St')
+    expect(undone.history).toEqual({future: [item], past: []})
+    const redone = data(undone, ({type: 'REDO_EDITOR_HISTORY_ITEM', payload: item}: any))
+    expect(redone.active.entity).toHaveProperty('stop_name', 'Main')
+    expect(redone.history).toEqual({future: [], past: [item]})
+  })
+
+  it('should point edits to a new entity to the ID assigned on first save', () => {
+    let state = edit(withActiveStop({...stop, id: ENTITY.NEW_ID}), {stop_name: 'Main'}, 0)
+    state = data(state, ({
+      type: 'ADD_EDITOR_HISTORY_ITEM',
+      payload: historyItem({entityId: 5, props: {...stop, id: 5}})
+    }: any))
+    expect(state.history.past.map(i => i.entityId)).toEqual([5, 5])
+  })
+
+  it('should clear the redo stack and trim the history to its limit', () => {
+    let state: any = update(defaultState, {
+      history: {future: {$set: [historyItem({entityId: 0})]}}
+    })
+    for (let i = 1; i <= HISTORY.LIMIT + 1; i++) {
+      state = data(state, ({
+        type: 'ADD_EDITOR_HISTORY_ITEM',
+        payload: historyItem({entityId: i, previousProps: {}})
+      }: any))
+    }
+    expect(state.history.future).toEqual([])
+    expect(state.history.past.length).toEqual(HISTORY.LIMIT)
+    expect(state.history.past[0].entityId).toEqual(2)
+  })
+})
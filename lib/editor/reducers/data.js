@@ -2,14 +2,16 @@
 
 import update from 'react-addons-update'
 import clone from 'lodash/cloneDeep'
+import isEqual from 'lodash/isEqual'
 import SortDirection from 'react-virtualized/dist/commonjs/Table/SortDirection'
 
-import {ENTITY} from '../constants'
+import {ENTITY, HISTORY} from '../constants'
 import {defaultSorter} from '../../common/util/util'
-import {generateNullProps, getTableById, getKeyForId} from '../util/gtfs'
+import {generateNullProps, getEntityName, getTableById, getKeyForId} from '../util/gtfs'
 import {getMapToGtfsStrategy, entityIsNew} from '../util/objects'
 import {assignDistancesToPatternStops, constructShapePoints} from '../util/map'
 
+import type {EditorHistoryItem} from '../../types'
 import type {Action} from '../../types/actions'
 import type {DataState} from '../../types/reducers'
 
@@ -19,17 +21,142 @@ const getUpdateEntityKeys = component => component === 'trippattern'
   ? {entityKey: 'subEntity', editedKey: 'patternEdited'}
   : {entityKey: 'entity', editedKey: 'edited'}
 
+/**
+ * Construct the update for the history sub-state that records an edit to the
+ * active entity. Consecutive edits to the same fields of an entity are merged
+ * into a single item so that, e.g., typing a stop name is undone in one step.
+ * Trip pattern edits are not recorded because pattern geometry has its own
+ * undo stack (see editSettings reducer).
+ */
+function getHistoryUpdateForEdit (
+  state: DataState,
+  component: string,
+  props: Object,
+  timestamp: number
+) {
+  const {entity} = state.active
+  const {past} = state.history
+  if (component === 'trippattern' || !entity) return {}
+  const lastItem = past[past.length - 1]
+  const keys = Object.keys(props).sort()
+  if (
+    lastItem &&
+    lastItem.type === 'UPDATE' &&
+    lastItem.component === component &&
+    lastItem.entityId === entity.id &&
+    timestamp - lastItem.timestamp < HISTORY.MERGE_INTERVAL &&
+    isEqual(Object.keys(lastItem.props).sort(), keys)
+  ) {
+    return {
+      future: {$set: []},
+      past: {[past.length - 1]: {$merge: {props: clone(props), timestamp}}}
+    }
+  }
+  const previousProps = {}
+  keys.forEach(key => { previousProps[key] = clone(entity[key]) })
+  return getHistoryUpdateForNewItem(past, {
+    component,
+    entityId: entity.id,
+    label: getEntityName(entity),
+    previousProps,
+    props: clone(props),
+    timestamp,
+    type: 'UPDATE'
+  })
+}
+
+function getHistoryUpdateForNewItem (
+  past: Array<EditorHistoryItem>,
+  item: EditorHistoryItem
+) {
+  // Any new item invalidates the redo stack.
+  return {
+    future: {$set: []},
+    past: {$set: [...past, item].slice(-HISTORY.LIMIT)}
+  }
+}
+
+function remapHistoryEntityId (
+  items: Array<EditorHistoryItem>,
+  component: string,
+  fromId: number,
+  toId: number
+): Array<EditorHistoryItem> {
+  return items.map(i => i.component === component && i.entityId === fromId
+    ? {...i, entityId: toId}
+    : i
+  )
+}
+
+/**
+ * Undoing a delete (or redoing the save that created an entity) re-creates the
+ * entity with a new ID. Get the history with all items that referenced the
+ * entity's old ID pointed to the new one.
+ */
+function getRemappedHistory (
+  state: DataState,
+  item: EditorHistoryItem,
+  undo: boolean
+) {
+  const {future, past} = state.history
+  const {entityId} = undo ? past[past.length - 1] : future[0]
+  return entityId === item.entityId
+    ? {future, past}
+    : {
+      future: remapHistoryEntityId(future, item.component, entityId, item.entityId),
+      past: remapHistoryEntityId(past, item.component, entityId, item.entityId)
+    }
+}
+
+/**
+ * Get the update for the active entity when undoing/redoing a history item.
+ * Only UPDATE items modify the store (saves and deletes are applied on the
+ * server) and only if the item's entity is active.
+ */
+function getActiveUpdateForHistoryItem (
+  state: DataState,
+  item: EditorHistoryItem,
+  props: ?Object
+) {
+  const {component, entity} = state.active
+  if (
+    item.type !== 'UPDATE' ||
+    !props ||
+    !entity ||
+    component !== item.component ||
+    entity.id !== item.entityId
+  ) {
+    return {}
+  }
+  return {
+    entity: {$merge: clone(props)},
+    edited: {$set: true}
+  }
+}
+
 export const defaultState = {
   active: {},
+  history: {
+    future: [],
+    past: []
+  },
   lock: {},
   tables: {
     agency: [],
+    areas: [],
     calendar: [],
+    fare_leg_rules: [],
+    fare_media: [],
+    fare_products: [],
+    fare_transfer_rules: [],
     fares: [],
     feed_info: [],
+    levels: [],
+    pathways: [],
     routes: [],
     schedule_exceptions: [],
     stops: [],
+    translations: [],
     trip_counts: {
       pattern_id: [],
       route_id: [],
@@ -203,7 +330,7 @@ const data = (state: DataState = defaultState, action: Action): DataState => {
         saveSuccessful: {$set: true}
       }})
     case 'UPDATE_ACTIVE_GTFS_ENTITY': {
-      const {component, props} = action.payload
+      const {component, props, timestamp} = action.payload
       const {entityKey, editedKey} = getUpdateEntityKeys(component)
       // FIXME: Check for pattern stops props (what about other sequenced lists)
       // and update stop sequence.
@@ -211,7 +338,42 @@ const data = (state: DataState = defaultState, action: Action): DataState => {
         active: {
           [entityKey]: {$merge: props},
           [editedKey]: {$set: true}
-        }
+        },
+        history: getHistoryUpdateForEdit(state, component, props, timestamp)
+      })
+    }
+    case 'ADD_EDITOR_HISTORY_ITEM': {
+      const item = action.payload
+      let {past} = state.history
+      if (item.type === 'SAVE' && !item.previousProps) {
+        // Edits made to a new entity before its first save were recorded
+        // against the placeholder ID. Point them to the newly assigned ID.
+        past = remapHistoryEntityId(past, item.component, ENTITY.NEW_ID, item.entityId)
+      }
+      return update(state, {history: getHistoryUpdateForNewItem(past, item)})
+    }
+    case 'UNDO_EDITOR_HISTORY_ITEM': {
+      // Payload may differ from the item in the stack (e.g., if undoing a
+      // delete re-created the entity with a new ID).
+      const item = action.payload
+      const {future, past} = getRemappedHistory(state, item, true)
+      return update(state, {
+        active: getActiveUpdateForHistoryItem(state, item, item.previousProps),
+        history: {$set: {
+          future: [item, ...future],
+          past: past.slice(0, -1)
+        }}
+      })
+    }
+    case 'REDO_EDITOR_HISTORY_ITEM': {
+      const item = action.payload
+      const {future, past} = getRemappedHistory(state, item, false)
+      return update(state, {
+        active: getActiveUpdateForHistoryItem(state, item, item.props),
+        history: {$set: {
+          future: future.slice(1),
+          past: [...past, item]
+        }}
       })
     }
     case 'CLEAR_GTFSEDITOR_CONTENT':
@@ -311,8 +473,16 @@ const data = (state: DataState = defaultState, action: Action): DataState => {
     case 'SET_ACTIVE_PATTERN_SEGMENT':
       return update(state, {active: {patternSegment: {$set: action.payload}}})
     case 'CREATING_SNAPSHOT':
-    case 'LOADING_FEEDVERSION_FOR_EDITING':
       return update(state, {status: {creatingSnapshot: {$set: true}}})
+    case 'LOADING_FEEDVERSION_FOR_EDITING':
+      // Loading a feed version replaces the editor buffer, so any history
+      // refers to entities that no longer exist.
+      return update(state, {
+        history: {$set: defaultState.history},
+        status: {creatingSnapshot: {$set: true}}
+      })
+    case 'RESTORING_SNAPSHOT':
+      return update(state, {history: {$set: defaultState.history}})
     case 'HANDLING_FINISHED_JOB':
       if (action.payload.type === 'CREATE_SNAPSHOT') {
         return update(state, {status: {
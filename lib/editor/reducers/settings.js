@@ -25,11 +25,15 @@ export const defaultState = {
   intersectionStep: 2,
   onMapClick: CLICK_OPTIONS[0],
   patternSegments: null,
+  preferIntersections: true,
+  proposedStops: null,
   shapePoints: null,
   showStops: true,
   showTooltips: true,
   hideStopHandles: true,
-  stopInterval: 400
+  stopInterval: 400,
+  stopPlacementLine: null,
+  stopSnapRadius: 30
 }
 
 export const reducers = {
@@ -96,8 +96,9 @@ const timetable = (state: TimetableState = defaultState, action: Action): Timeta
         for (var j = 0; j < action.payload.columns.length; j++) {
           const col = action.payload.columns[j]
           const path = `${action.payload.rowIndexes[i]}.${col.key}`
-          if (isTimeFormat(col.type)) {
-            const currentVal = objectPath.get(trips, path)
+          const currentVal = objectPath.get(trips, path)
+          // Only offset cells with a time (e.g., skip non-timepoints).
+          if (isTimeFormat(col.type) && typeof currentVal === 'number') {
             const value = currentVal + (action.payload.offset % 86399) // ensure seconds does not exceed 24 hours
             objectPath.set(trips, path, value)
           }
@@ -108,6 +109,12 @@ const timetable = (state: TimetableState = defaultState, action: Action): Timeta
         edited: {$push: editedRows}
       })
     }
+    case 'SET_TRIP_STOP_TIMES': {
+      const {rowIndex, stopTimes} = action.payload
+      return update(state, {
+        trips: {[rowIndex]: {stopTimes: {$set: stopTimes}}}
+      })
+    }
     case 'SET_TIMETABLE_OFFSET':
       return update(state, {
         offset: {$set: action.payload}
@@ -134,6 +141,23 @@ const timetable = (state: TimetableState = defaultState, action: Action): Timeta
       return update(state, {
         hideDepartureTimes: {$set: !state.hideDepartureTimes}
       })
+    case 'ADD_FREQUENCY_WINDOW': {
+      const trips = clone(state.trips)
+      const {rowIndexes} = action.payload
+      rowIndexes.forEach(rowIndex => {
+        if (!trips[rowIndex]) return
+        trips[rowIndex].frequencies = [...(trips[rowIndex].frequencies || []), {
+          endTime: null,
+          exactTimes: 0,
+          headwaySecs: null,
+          startTime: null
+        }]
+      })
+      return update(state, {
+        trips: {$set: trips},
+        edited: {$push: rowIndexes}
+      })
+    }
     case 'ADD_NEW_TRIP':
       return update(state, {
         trips: {$push: [action.payload]},
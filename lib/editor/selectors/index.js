@@ -23,6 +23,7 @@ import {
   newControlPoint,
   projectStopOntoLine
 } from '../util/map'
+import {getEntityRuleViolations, getValidationRules, getWorstSeverity} from '../util/rules'
 import {validate} from '../util/validation'
 import {coordinatesFromShapePoints} from '../util/objects'
 
@@ -35,6 +36,7 @@ import type {
   GtfsFare
 } from '../../types'
 import type {AppState} from '../../types/reducers'
+import type {RuleViolation} from '../util/rules'
 import type {EditorValidationIssue} from '../util/validation'
 
 export type ImmutableList = Array<any> & {get: number => any, size: number}
@@ -92,6 +94,17 @@ export const getValidationErrors: AppState => Array<EditorValidationIssue> = cre
   }
 )
 
+/**
+ * Violations of the custom validation rules (see ../util/rules) for the active
+ * entity.
+ */
+export const getRuleViolations: AppState => Array<RuleViolation> = createSelector(
+  [getActiveComponent, getActiveEntity],
+  (component: ?string, entity: ?Entity) => component && entity
+    ? getEntityRuleViolations(component, entity, getValidationRules(component))
+    : []
+)
+
 export const getActiveEntityList: AppState => ImmutableList = createSelector(
   [
     getActiveId,
@@ -101,13 +114,18 @@ export const getActiveEntityList: AppState => ImmutableList = createSelector(
     getActiveFeedSourceId
   ],
   (activeId, component, entities, sort) => {
+    const rules = component ? getValidationRules(component) : []
     const list =
       entities && entities.length
         ? entities.map((entity, index) => {
           const {id} = entity
           const isActive = activeId && id === activeId
           const name = getEntityName(entity) || '[Unnamed]'
-          return {...entity, name, id, isActive}
+          // Most severe custom validation rule violation (if any).
+          const ruleSeverity = rules.length > 0 && component
+            ? getWorstSeverity(getEntityRuleViolations(component, entity, rules))
+            : null
+          return {...entity, name, id, isActive, ruleSeverity}
         })
         : []
     // return sorted Immutable List (based on sort value from store)
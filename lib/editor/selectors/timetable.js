@@ -2,6 +2,12 @@
 import { createSelector } from 'reselect'
 import objectPath from 'object-path'
 
+import {
+  getFrequencyIndex,
+  getFrequencyWindowCount,
+  isFrequencyWindowEmpty,
+  MAX_HEADWAY_SECONDS
+} from '../util/frequencies'
 import { getAbbreviatedStopName, getTableById } from '../util/gtfs'
 import { isTimeFormat } from '../util/timetable'
 
@@ -21,13 +27,19 @@ const getActivePattern = (state: AppState) => state.editor.data.active.subEntity
 const getStops = (state: AppState) => getTableById(state.editor.data.tables, 'stop')
 const getTrips = (state: AppState) => state.editor.timetable.trips
 
+/**
+ * Gets the number of frequency windows (start/end/headway column sets) to show
+ * in the timetable, i.e., the maximum number of windows for any trip.
+ */
+const getWindowCount = createSelector([ getTrips ], getFrequencyWindowCount)
+
 /**
  * Constructs the timetable columns from a trip pattern (especially its pattern
  * stops) and the set of all stops for the GTFS feed.
  */
 export const getTimetableColumns = createSelector(
-  [ getActivePattern, getStops ],
-  (pattern: ?Pattern, stops: Array<GtfsStop>): Array<TimetableColumn> => {
+  [ getActivePattern, getStops, getWindowCount ],
+  (pattern: ?Pattern, stops: Array<GtfsStop>, windowCount: number): Array<TimetableColumn> => {
     const columns = [
       {
         name: 'Block ID',
@@ -82,44 +94,88 @@ export const getTimetableColumns = createSelector(
           })
         })
       } else {
-        // columns added if using freqency schedule type
-        columns.push({
-          name: 'Start time',
-          width: 100,
-          key: 'frequencies.0.startTime',
-          type: 'TIME',
-          placeholder: 'HH:MM:SS'
-        })
-        columns.push({
-          name: 'End time',
-          width: 100,
-          key: 'frequencies.0.endTime',
-          type: 'TIME',
-          placeholder: 'HH:MM:SS'
-        })
-        columns.push({
-          name: 'Headway',
-          width: 60,
-          key: 'frequencies.0.headwaySecs',
-          type: 'SECONDS',
-          placeholder: '900 (sec)'
-        })
-        // columns.push({
-        //   name: 'Exact times',
-        //   width: 60,
-        //   key: 'frequencies.0.exactTimes',
-        //   type: 'MINUTES',
-        //   placeholder: '15 (min)'
-        // })
+        // columns added if using freqency schedule type (one set of columns
+        // for each frequency window)
+        for (let i = 0; i < windowCount; i++) {
+          const suffix = i > 0 ? ` ${i + 1}` : ''
+          columns.push({
+            name: `Start time${suffix}`,
+            width: 100,
+            key: `frequencies.${i}.startTime`,
+            type: 'TIME',
+            placeholder: 'HH:MM:SS'
+          })
+          columns.push({
+            name: `End time${suffix}`,
+            width: 100,
+            key: `frequencies.${i}.endTime`,
+            type: 'TIME',
+            placeholder: 'HH:MM:SS'
+          })
+          columns.push({
+            name: `Headway${suffix}`,
+            width: 60,
+            key: `frequencies.${i}.headwaySecs`,
+            type: 'SECONDS',
+            placeholder: '900 (sec)'
+          })
+          columns.push({
+            name: `Exact times${suffix}`,
+            width: 60,
+            key: `frequencies.${i}.exactTimes`,
+            type: 'BOOLEAN',
+            placeholder: '0 or 1'
+          })
+        }
       }
     }
     return columns
   }
 )
 
-// FIXME: This is the value currently set in gtfs-lib, but is it too low?
-// see https://github.com/conveyal/gtfs-lib/issues/148
-const MAX_HEADWAY_SECONDS = 60 * 60 * 2
+/**
+ * Checks a frequency window cell (start time, end time, headway or exact times)
+ * for an editor trip. Empty windows other than the first are ignored (they are
+ * removed when the trip is saved).
+ */
+const getFrequencyValueIssue = (
+  val: any,
+  row: Trip,
+  col: TimetableColumn,
+  frequencyIndex: number
+): ?EditorValidationIssue => {
+  const frequency = row.frequencies && row.frequencies[frequencyIndex]
+  if (frequencyIndex > 0 && isFrequencyWindowEmpty(frequency)) return null
+  const issue = (reason: string) => ({field: col.key, invalid: true, reason})
+  if (col.type === 'TIME') {
+    const type = col.key.indexOf('end') > -1 ? 'end' : 'start'
+    if (typeof val !== 'number' || val < 0) {
+      // Both start and end time are required.
+      return issue(`Frequency entry must have ${type} time defined.`)
+    }
+    if (type === 'end') {
+      return frequency && typeof frequency.startTime === 'number' && val <= frequency.startTime
+        ? issue('Frequency end time must be after start time.')
+        : null
+    }
+    const previous = frequencyIndex > 0 && row.frequencies[frequencyIndex - 1]
+    return previous && typeof previous.endTime === 'number' && val < previous.endTime
+      ? issue('Frequency entry must not overlap with the previous entry.')
+      : null
+  } else if (col.type === 'BOOLEAN') {
+    return val && val !== 1
+      ? issue('Exact times must be 0 (frequency-based) or 1 (schedule-based).')
+      : null
+  } else {
+    // Column should contain headway seconds
+    if (val <= 0 || !Number.isInteger(val)) {
+      return issue('Headway seconds must be a positive integer.')
+    } else if (val > MAX_HEADWAY_SECONDS) {
+      return issue(`Headway seconds must be no greater than ${MAX_HEADWAY_SECONDS}.`)
+    }
+    return null
+  }
+}
 
 /**
  * Utility function that checks whether any individual cell (value) for an editor
@@ -135,8 +191,11 @@ const isCellValueInvalid = (
   tripIds: Array<string>
 ): ?EditorValidationIssue => {
   const col = columns[colIndex]
+  const frequencyIndex = getFrequencyIndex(col.key)
+  if (typeof frequencyIndex === 'number') {
+    return getFrequencyValueIssue(val, row, col, frequencyIndex)
+  }
   if (isTimeFormat(col.type)) {
-    // FIXME: This does not yet support validating frequency start/end times.
     // Handle time column validation.
     if (typeof val === 'number' && val >= 0) {
       // There is a valid value for this column.
@@ -160,15 +219,6 @@ const isCellValueInvalid = (
         }
         : null
     } else {
-      if (col.type === 'TIME') {
-        // Column is a frequency time entry. Both start and end time are required.
-        const type = col.key.indexOf('end') > -1 ? 'end' : 'start'
-        return {
-          field: col.key,
-          invalid: true,
-          reason: `Frequency entry must have ${type} time defined.`
-        }
-      }
       if (
         col.key.indexOf('stopTimes.0.') > -1 ||
         col.key.indexOf(`stopTimes.${patternStopMaxIndex}.`) > -1
@@ -206,21 +256,6 @@ const isCellValueInvalid = (
         invalid: true,
         reason: 'Trip ID must be dataset unique.'
       }
-    } else if (col.key.indexOf('headwaySecs') > -1) {
-      // Column should contain headway seconds
-      if (val <= 0 || !Number.isInteger(val)) {
-        return {
-          field: col.key,
-          invalid: true,
-          reason: 'Headway seconds must be a positive integer.'
-        }
-      } else if (val > MAX_HEADWAY_SECONDS) {
-        return {
-          field: col.key,
-          invalid: true,
-          reason: `Headway seconds must be no greater than ${MAX_HEADWAY_SECONDS}.`
-        }
-      }
     }
   }
   // If none of the above return conditions are met, the value should be OK.
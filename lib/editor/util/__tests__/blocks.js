@@ -0,0 +1,81 @@
+// @flow
+
+import {
+  getBlocks,
+  getNextBlockId,
+  getVehicleCountsByHour
+} from '../blocks'
+
+const HOUR = 3600
+
+const makeTrip = (
+  tripId: string,
+  blockId: ?string,
+  start: number,
+  end: number,
+  fromStop: string = 'a',
+  toStop: string = 'b'
+): any => ({
+  blockId,
+  frequencies: [],
+  id: start,
+  patternName: 'Pattern',
+  route_id: 'route',
+  service_id: 'weekday',
+  stopTimes: [
+    {stopId: fromStop, arrivalTime: start, departureTime: start},
+    {stopId: toStop, arrivalTime: end, departureTime: end}
+  ],
+  tripId
+})
+
+describe('editor > util > blocks >', () => {
+  describe('getBlocks', () => {
+    it('should group and sort trips by block', () => {
+      const trips = [
+        makeTrip('3', null, 9 * HOUR, 10 * HOUR),
+        makeTrip('2', '10', 8 * HOUR, 9 * HOUR, 'b', 'a'),
+        makeTrip('1', '10', 7 * HOUR, 8 * HOUR),
+        makeTrip('4', '2', 7 * HOUR, 8 * HOUR)
+      ]
+      const blocks = getBlocks(trips)
+      expect(blocks.map(b => b.blockId)).toEqual(['2', '10', null])
+      expect(blocks[1].trips.map(t => t.tripId)).toEqual(['1', '2'])
+      expect(blocks[1].issues).toEqual([])
+    })
+
+    it('should flag overlapping trips and mismatched stops', () => {
+      const trips = [
+        makeTrip('1', 'A', 7 * HOUR, 8 * HOUR),
+        makeTrip('2', 'A', 7.5 * HOUR, 9 * HOUR, 'b', 'a'),
+        makeTrip('3', 'A', 10 * HOUR, 11 * HOUR, 'c', 'a')
+      ]
+      const [block] = getBlocks(trips)
+      expect(block.issues.map(i => [i.tripId, i.type])).toEqual([
+        ['2', 'OVERLAP'],
+        ['3', 'STOP_MISMATCH']
+      ])
+    })
+  })
+
+  it('getVehicleCountsByHour should count blocks and unassigned trips', () => {
+    const blocks = getBlocks([
+      makeTrip('1', 'A', 6.5 * HOUR, 7.5 * HOUR),
+      makeTrip('2', 'A', 9 * HOUR, 9.5 * HOUR, 'b', 'a'),
+      makeTrip('3', null, 7 * HOUR, 7.5 * HOUR),
+      makeTrip('4', null, 8.25 * HOUR, 8.5 * HOUR)
+    ])
+    expect(getVehicleCountsByHour(blocks)).toEqual([0, 0, 0, 0, 0, 0, 1, 2, 2, 1])
+    expect(getVehicleCountsByHour([])).toEqual([])
+  })
+
+  it('getNextBlockId should return an unused block ID', () => {
+    const blocks = getBlocks([
+      makeTrip('1', 'B5', 0, HOUR),
+      makeTrip('2', '6', 0, HOUR),
+      makeTrip('3', '7', 0, HOUR)
+    ])
+    expect(getNextBlockId(blocks)).toEqual('8')
+    expect(getNextBlockId([])).toEqual('1')
+  })
+})
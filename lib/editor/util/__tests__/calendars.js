@@ -0,0 +1,84 @@
+// @flow
+
+import {EXCEPTION_EXEMPLARS} from '../index'
+import {
+  getExceptionsByDate,
+  getMonthWeeks,
+  getServiceDateRange,
+  getServiceForDate
+} from '../calendars'
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+
+const makeCalendar = (serviceId: string, days: Array<string>) => {
+  const calendar: any = {
+    end_date: '20241231',
+    service_id: serviceId,
+    start_date: '20240101'
+  }
+  WEEKDAYS.forEach(day => { calendar[day] = days.indexOf(day) !== -1 ? 1 : 0 })
+  return calendar
+}
+
+const makeException = (id: number, dates: Array<string>, exemplar: number, props: Object = {}): any => ({
+  added_service: null,
+  custom_schedule: null,
+  dates,
+  exemplar,
+  id,
+  name: `Exception ${id}`,
+  removed_service: null,
+  ...props
+})
+
+const calendars = [
+  makeCalendar('weekday', WEEKDAYS.slice(0, 5)),
+  makeCalendar('saturday', ['saturday']),
+  makeCalendar('sunday', ['sunday']),
+  makeCalendar('school', WEEKDAYS.slice(0, 5))
+]
+
+// 2024-12-25 is a Wednesday.
+const CHRISTMAS = '20241225'
+
+describe('editor > util > calendars >', () => {
+  it('getServiceForDate should use calendar weekdays and date ranges', () => {
+    expect(getServiceForDate(CHRISTMAS, calendars, {}).serviceIds).toEqual(['weekday', 'school'])
+    expect(getServiceForDate('20241228', calendars, {}).serviceIds).toEqual(['saturday'])
+    expect(getServiceForDate('20250101', calendars, {}).serviceIds).toEqual([])
+  })
+
+  it('getServiceForDate should apply each exception type', () => {
+    const getService = exception =>
+      getServiceForDate(CHRISTMAS, calendars, getExceptionsByDate([exception]))
+    const noService = getService(makeException(1, [CHRISTMAS], EXCEPTION_EXEMPLARS.NO_SERVICE))
+    expect(noService.serviceIds).toEqual([])
+    expect(noService.regularServiceIds).toEqual(['weekday', 'school'])
+    expect(getService(makeException(1, [CHRISTMAS], EXCEPTION_EXEMPLARS.SUNDAY)).serviceIds)
+      .toEqual(['sunday'])
+    expect(getService(makeException(1, [CHRISTMAS], EXCEPTION_EXEMPLARS.CUSTOM, {
+      custom_schedule: ['saturday']
+    })).serviceIds).toEqual(['saturday'])
+    expect(getService(makeException(1, [CHRISTMAS], EXCEPTION_EXEMPLARS.SWAP, {
+      added_service: ['saturday'],
+      removed_service: ['school']
+    })).serviceIds).toEqual(['weekday', 'saturday'])
+  })
+
+  it('getServiceDateRange should include calendars and exception dates', () => {
+    const exceptions = [makeException(1, ['20250102', '0'], EXCEPTION_EXEMPLARS.NO_SERVICE)]
+    expect(getServiceDateRange(calendars, exceptions))
+      .toEqual({endDate: '20250102', startDate: '20240101'})
+    expect(getServiceDateRange([], [])).toBeNull()
+  })
+
+  it('getMonthWeeks should pad weeks to start on Sunday', () => {
+    // December 2024 starts on a Sunday and has 31 days.
+    const weeks = getMonthWeeks(CHRISTMAS)
+    expect(weeks.length).toEqual(5)
+    expect(weeks[0][0]).toEqual('20241201')
+    expect(weeks[4]).toEqual(['20241229', '20241230', '20241231', null, null, null, null])
+    // November 2024 starts on a Friday.
+    expect(getMonthWeeks('20241101')[0].slice(5, 7)).toEqual(['20241101', '20241102'])
+  })
+})
@@ -0,0 +1,129 @@
+// @flow
+
+import {ENTITY} from '../../constants'
+import {defaultState as defaultEditorDataState} from '../../reducers/data'
+import {entitiesToCsv, getCsvImportDiff} from '../csv'
+
+const defaultTablesData = defaultEditorDataState.tables
+const stopTable = {
+  id: 'stop',
+  name: 'stops.txt',
+  fields: [
+    {name: 'stop_id', required: true, inputType: 'GTFS_ID', columnWidth: 6},
+    {name: 'stop_name', required: true, inputType: 'TEXT', columnWidth: 12},
+    {name: 'stop_lat', required: true, inputType: 'LATITUDE', columnWidth: 6},
+    {name: 'stop_lon', required: true, inputType: 'LONGITUDE', columnWidth: 6},
+    {
+      name: 'wheelchair_boarding',
+      required: false,
+      inputType: 'DROPDOWN',
+      options: [{value: '0'}, {value: '1'}, {value: '2'}],
+      columnWidth: 6
+    }
+  ]
+}
+const stops: Array<any> = [
+  {id: 1, stop_id: 'A', stop_name: 'First', stop_lat: 45.1, stop_lon: -122.1, wheelchair_boarding: null},
+  {id: 2, stop_id: 'B', stop_name: 'Second', stop_lat: 45.2, stop_lon: -122.2, wheelchair_boarding: '1'},
+  {id: 3, stop_id: 'C', stop_name: 'Third', stop_lat: 45.3, stop_lon: -122.3, wheelchair_boarding: null}
+]
+
+describe('editor > util > csv >', () => {
+  let oldConfig
+
+  afterEach(() => {
+    window.DT_CONFIG = oldConfig
+  })
+
+  beforeEach(() => {
+    oldConfig = window.DT_CONFIG
+    window.DT_CONFIG = {modules: {editor: {spec: [stopTable]}}}
+  })
+
+  describe('entitiesToCsv', () => {
+    it('should write a column for each spec field', () => {
+      expect(entitiesToCsv('stop', stops.slice(0, 1))).toEqual(
+        'stop_id,stop_name,stop_lat,stop_lon,wheelchair_boarding\nA,First,45.1,-122.1,'
+      )
+    })
+  })
+
+  describe('getCsvImportDiff', () => {
+    it('should find added, changed, removed and unchanged rows', () => {
+      const csv = [
+        'stop_id,stop_name,stop_lat,stop_lon,extra',
+        'A,First,45.1,-122.1,x',
+        'B,Second Street,45.2,-122.2,x',
+        'D,Fourth,45.4,-122.4,x'
+      ].join('\n')
+      const diff = getCsvImportDiff('stop', csv, stops, defaultTablesData)
+      expect(diff.unchanged).toEqual(1)
+      expect(diff.ignoredFields).toEqual(['extra'])
+      expect(diff.changed.length).toEqual(1)
+      expect(diff.changed[0].changedFields).toEqual(['stop_name'])
+      // Fields not included in the CSV are left unchanged.
+      expect(diff.changed[0].entity).toEqual({...stops[1], stop_name: 'Second Street'})
+      expect(diff.added.length).toEqual(1)
+      expect(diff.added[0].entity).toEqual({
+        id: ENTITY.NEW_ID,
+        stop_id: 'D',
+        stop_name: 'Fourth',
+        stop_lat: 45.4,
+        stop_lon: -122.4,
+        wheelchair_boarding: null
+      })
+      expect(diff.removed).toEqual([stops[2]])
+      expect(diff.added[0].issues).toEqual([])
+    })
+
+    it('should match dropdown option values', () => {
+      const csv = 'stop_id,wheelchair_boarding\nA,2'
+      const diff = getCsvImportDiff('stop', csv, stops, defaultTablesData)
+      const stop: any = diff.changed[0].entity
+      expect(stop.wheelchair_boarding).toEqual('2')
+    })
+
+    it('should flag invalid and duplicate rows', () => {
+      const csv = [
+        'stop_id,stop_name,stop_lat,stop_lon',
+        'D,,95,-122.4',
+        'D,Fourth,45.4,-122.4'
+      ].join('\n')
+      const diff = getCsvImportDiff('stop', csv, stops, defaultTablesData)
+      expect(diff.added[0].issues.map(issue => issue.field))
+        .toEqual(['stop_id', 'stop_name', 'stop_lat'])
+      expect(diff.added[1].issues).toEqual([{
+        field: 'stop_id',
+        invalid: true,
+        reason: 'Identifier appears more than once in CSV'
+      }])
+    })
+
+    it('should flag rows that repeat an existing ID within the CSV', () => {
+      const csv = [
+        'stop_id,stop_name,stop_lat,stop_lon',
+        'A,First,45.1,-122.1',
+        'A,First,45.1,-122.1',
+        'B,Second,45.2,-122.2',
+        'B,Second Street,45.2,-122.2'
+      ].join('\n')
+      const diff = getCsvImportDiff('stop', csv, stops, defaultTablesData)
+      // Duplicate rows are never counted as unchanged.
+      expect(diff.unchanged).toEqual(0)
+      expect(diff.added).toEqual([])
+      expect(diff.changed.map(row => (row.entity: any).stop_id)).toEqual(['A', 'A', 'B', 'B'])
+      diff.changed.forEach(row => {
+        expect(row.issues).toEqual([{
+          field: 'stop_id',
+          invalid: true,
+          reason: 'Identifier appears more than once in CSV'
+        }])
+      })
+    })
+
+    it('should require the GTFS ID column', () => {
+      expect(() => getCsvImportDiff('stop', 'stop_name\nFirst', stops, defaultTablesData))
+        .toThrow('CSV must contain a stop_id column.')
+    })
+  })
+})
@@ -0,0 +1,80 @@
+// @flow
+
+import {
+  findDuplicateStops,
+  getMergedStopIndexes,
+  getStopPatternUsages,
+  getSurvivingStop,
+  mergeStopAreas,
+  normalizeStopName,
+  replaceMergedStopIds
+} from '../duplicates'
+
+const makeStop = (id: number, name: string, lat: number, lon: number, locationType: ?number = null) => ({
+  id,
+  location_type: locationType,
+  stop_id: `s${id}`,
+  stop_lat: lat,
+  stop_lon: lon,
+  stop_name: name
+})
+
+// About 11 meters of latitude
+const OFFSET = 0.0001
+
+describe('editor > util > duplicates >', () => {
+  it('normalizeStopName should ignore case, punctuation, abbreviations and order', () => {
+    expect(normalizeStopName('Main Street & 1st Ave.')).toEqual('1st ave & main st')
+    expect(normalizeStopName('1st Avenue and MAIN ST')).toEqual('1st ave & main st')
+    expect(normalizeStopName('Grand Central Station')).toEqual('grand central sta')
+    expect(normalizeStopName(null)).toEqual('')
+  })
+
+  it('findDuplicateStops should cluster nearby stops with matching names', () => {
+    const stops = [
+      makeStop(1, 'Main St & 1st Ave', 45.5, -122.6),
+      makeStop(2, '1st Avenue and Main Street', 45.5 + OFFSET, -122.6),
+      // Chained to stop 2, but more than 25 meters from stop 1
+      makeStop(3, 'Main St @ 1st Ave', 45.5 + OFFSET * 3, -122.6),
+      // Nearby, but different name
+      makeStop(4, 'Main St & 2nd Ave', 45.5, -122.6),
+      // Same name, but far away
+      makeStop(5, 'Main St & 1st Ave', 45.6, -122.6),
+      // Stations are not merged with stops
+      makeStop(6, 'Main St & 1st Ave', 45.5, -122.6, 1)
+    ]
+    const clusters = findDuplicateStops(stops, {matchNames: true, maxDistance: 25})
+    expect(clusters.map(c => c.map(s => s.id))).toEqual([[1, 2, 3]])
+    const unnamedClusters = findDuplicateStops(stops, {matchNames: false, maxDistance: 5})
+    expect(unnamedClusters.map(c => c.map(s => s.id))).toEqual([[1, 4]])
+  })
+
+  it('getSurvivingStop should prefer the stop used by the most patterns', () => {
+    const stops = [makeStop(1, 'A', 0, 0), makeStop(2, 'A', 0, 0), makeStop(3, 'A', 0, 0)]
+    const pattern = (id, stopIds) => ({
+      name: id,
+      pattern_id: id,
+      pattern_stops: stopIds.map(stopId => ({stop_id: stopId})),
+      route_id: 'r'
+    })
+    const usages = getStopPatternUsages([
+      pattern('p1', ['s2', 's3', 's2']),
+      pattern('p2', ['s3'])
+    ])
+    expect(usages.s2.map(u => u.patternId)).toEqual(['p1'])
+    expect(getSurvivingStop(stops, usages).stop_id).toEqual('s3')
+    expect(getSurvivingStop(stops, {}).stop_id).toEqual('s1')
+  })
+
+  it('should replace references to merged stops with the surviving stop', () => {
+    const patternStops = [{stopId: 's1'}, {stopId: 's2'}, {stopId: 's3'}, {stopId: 's2'}]
+    expect(getMergedStopIndexes(patternStops, 'stopId', ['s2'])).toEqual([1, 3])
+    expect(replaceMergedStopIds(patternStops, 'stopId', 's1', ['s2']).map(ps => ps.stopId))
+      .toEqual(['s1', 's1', 's3', 's1'])
+    const stopAreas = [{area_id: 'a', stop_id: 's1'}, {area_id: 'a', stop_id: 's2'}, {area_id: 'a', stop_id: 's3'}]
+    expect(mergeStopAreas(stopAreas, 's1', ['s2'])).toEqual([
+      {area_id: 'a', stop_id: 's1'},
+      {area_id: 'a', stop_id: 's3'}
+    ])
+  })
+})
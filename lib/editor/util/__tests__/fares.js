@@ -0,0 +1,120 @@
+// @flow
+
+import {
+  calculateJourneyFare,
+  getFareReferenceIssue,
+  getFareTransferRuleIssue,
+  matchFareLegRules
+} from '../fares'
+
+const legRule = (id: number, props: any) => ({
+  fare_product_id: 'single',
+  from_area_id: null,
+  id,
+  leg_group_id: null,
+  network_id: null,
+  to_area_id: null,
+  ...props
+})
+
+const transferRule = (props: any): any => ({
+  duration_limit: null,
+  duration_limit_type: null,
+  fare_product_id: null,
+  fare_transfer_type: 0,
+  from_leg_group_id: 'local',
+  id: 1,
+  to_leg_group_id: 'express',
+  transfer_count: null,
+  ...props
+})
+
+const makeTables = (overrides: any = {}): any => ({
+  areas: [
+    {area_id: 'downtown', area_name: 'Downtown', id: 1, stop_areas: [{area_id: 'downtown', id: 1, stop_id: 'station'}]},
+    {area_id: 'airport', area_name: 'Airport', id: 2, stop_areas: [{area_id: 'airport', id: 2, stop_id: 'air'}]}
+  ],
+  fare_leg_rules: [
+    legRule(1, {leg_group_id: 'local', network_id: 'bus'}),
+    legRule(2, {fare_product_id: 'airport_express', leg_group_id: 'express', network_id: 'rail', to_area_id: 'airport'}),
+    legRule(3, {leg_group_id: 'default'})
+  ],
+  fare_media: [],
+  fare_products: [
+    {amount: 2.5, currency: 'USD', fare_media_id: 'cash', fare_product_id: 'single', fare_product_name: 'Single ride', id: 1},
+    {amount: 2, currency: 'USD', fare_media_id: 'card', fare_product_id: 'single', fare_product_name: 'Single ride', id: 2},
+    {amount: 10, currency: 'USD', fare_media_id: null, fare_product_id: 'airport_express', fare_product_name: 'Airport express', id: 3},
+    {amount: 1, currency: 'USD', fare_media_id: null, fare_product_id: 'upgrade', fare_product_name: 'Upgrade', id: 4}
+  ],
+  fare_transfer_rules: [],
+  routes: [
+    {network_id: 'bus', route_id: '1'},
+    {network_id: 'rail', route_id: 'A'},
+    {network_id: null, route_id: 'X'}
+  ],
+  stops: [
+    {id: 1, location_type: 1, parent_station: null, stop_id: 'station'},
+    {id: 2, location_type: 0, parent_station: 'station', stop_id: 'platform'},
+    {id: 3, location_type: 0, parent_station: null, stop_id: 'air'},
+    {id: 4, location_type: 0, parent_station: null, stop_id: 'other'}
+  ],
+  ...overrides
+})
+
+const busLeg = {fromStopId: 'other', routeId: '1', toStopId: 'platform'}
+const railLeg = {fromStopId: 'platform', routeId: 'A', toStopId: 'air'}
+
+describe('editor > util > fares >', () => {
+  it('matchFareLegRules should prefer exact matches over empty fields', () => {
+    const tables = makeTables()
+    expect(matchFareLegRules(busLeg, tables).map(r => r.id)).toEqual([1])
+    // Platform is in the downtown area through its parent station.
+    expect(matchFareLegRules(railLeg, tables).map(r => r.id)).toEqual([2])
+    // Rail trips not to the airport do not match the rule with an area.
+    expect(matchFareLegRules({...railLeg, toStopId: 'other'}, tables)).toEqual([])
+    // Routes without a network only match rules without a network.
+    expect(matchFareLegRules({...busLeg, routeId: 'X'}, tables).map(r => r.id)).toEqual([3])
+  })
+
+  it('calculateJourneyFare should sum legs without a transfer rule', () => {
+    const calculation = calculateJourneyFare(busLeg, railLeg, 600, makeTables())
+    // The cheapest single ride product (on any fare media) is used.
+    expect(calculation.legs.map(l => l.amount)).toEqual([2, 10])
+    expect(calculation.total).toEqual(12)
+    expect(calculation.currency).toEqual('USD')
+    expect(calculation.transferRule).toBeNull()
+  })
+
+  it('calculateJourneyFare should apply transfer types and duration limits', () => {
+    const calculate = (rule, seconds = 600) => calculateJourneyFare(
+      busLeg,
+      railLeg,
+      seconds,
+      makeTables({fare_transfer_rules: [rule]})
+    )
+    expect(calculate(transferRule({fare_product_id: 'upgrade'})).total).toEqual(3)
+    expect(calculate(transferRule({fare_product_id: 'upgrade', fare_transfer_type: 1})).total).toEqual(13)
+    expect(calculate(transferRule({fare_product_id: 'upgrade', fare_transfer_type: 2})).total).toEqual(1)
+    const limitedRule = transferRule({duration_limit: 900, duration_limit_type: 0})
+    expect(calculate(limitedRule).total).toEqual(2)
+    expect(calculate(limitedRule, 1200).total).toEqual(12)
+  })
+
+  it('getFareReferenceIssue should check referenced values exist', () => {
+    const tables = makeTables()
+    expect(getFareReferenceIssue('GTFS_AREA', 'airport', tables)).toBeNull()
+    expect(getFareReferenceIssue('GTFS_AREA', 'suburbs', tables)).toEqual('Area suburbs does not exist.')
+    expect(getFareReferenceIssue('GTFS_NETWORK', 'ferry', tables)).toBeTruthy()
+    expect(getFareReferenceIssue('GTFS_LEG_GROUP', '', tables)).toBeNull()
+  })
+
+  it('getFareTransferRuleIssue should check conditional fields', () => {
+    expect(getFareTransferRuleIssue(transferRule({transfer_count: 1}), 'transfer_count')).toBeTruthy()
+    const sameGroup = {from_leg_group_id: 'local', to_leg_group_id: 'local'}
+    expect(getFareTransferRuleIssue(transferRule(sameGroup), 'transfer_count')).toBeTruthy()
+    expect(getFareTransferRuleIssue(transferRule({...sameGroup, transfer_count: 0}), 'transfer_count')).toBeTruthy()
+    expect(getFareTransferRuleIssue(transferRule({...sameGroup, transfer_count: -1}), 'transfer_count')).toBeNull()
+    expect(getFareTransferRuleIssue(transferRule({duration_limit: 60}), 'duration_limit_type')).toBeTruthy()
+    expect(getFareTransferRuleIssue(transferRule({duration_limit_type: 1}), 'duration_limit_type')).toBeTruthy()
+  })
+})
@@ -0,0 +1,107 @@
+// @flow
+
+import {ENTITY} from '../../constants'
+import {
+  cleanFrequencyWindows,
+  collapseTripsToFrequencies,
+  expandFrequencyTrip,
+  getFrequencyIndex,
+  MAX_HEADWAY_SECONDS
+} from '../frequencies'
+
+const makeTrip = (startTime: number, props: {} = {}): any => ({
+  id: startTime,
+  frequencies: [],
+  service_id: 'weekday',
+  stopTimes: [
+    {stopId: 'a', arrivalTime: startTime, departureTime: startTime},
+    {stopId: 'b', arrivalTime: null, departureTime: null},
+    {stopId: 'c', arrivalTime: startTime + 600, departureTime: startTime + 660}
+  ],
+  tripHeadsign: 'Downtown',
+  tripId: `trip-${startTime}`,
+  useFrequency: false,
+  ...props
+})
+
+const startTimes = trips => trips.map(t => t.stopTimes[0].arrivalTime)
+
+describe('editor > util > frequencies >', () => {
+  it('getFrequencyIndex should parse index from column key', () => {
+    expect(getFrequencyIndex('frequencies.2.startTime')).toEqual(2)
+    expect(getFrequencyIndex('stopTimes.2.arrivalTime')).toEqual(null)
+  })
+
+  it('cleanFrequencyWindows should remove empty windows after the first', () => {
+    const trip = makeTrip(0, {
+      frequencies: [
+        {startTime: null, endTime: null, headwaySecs: null, exactTimes: null},
+        {startTime: 3600, endTime: 7200, headwaySecs: 600, exactTimes: 1},
+        undefined,
+        {startTime: null, endTime: null, headwaySecs: null, exactTimes: 0}
+      ]
+    })
+    expect(cleanFrequencyWindows(trip).frequencies).toEqual([
+      {startTime: null, endTime: null, headwaySecs: null, exactTimes: 0},
+      {startTime: 3600, endTime: 7200, headwaySecs: 600, exactTimes: 1}
+    ])
+  })
+
+  describe('expandFrequencyTrip', () => {
+    it('should create a trip for each departure in each window', () => {
+      const trip = makeTrip(0, {
+        frequencies: [
+          {startTime: 3600, endTime: 5400, headwaySecs: 600, exactTimes: 0},
+          {startTime: 7200, endTime: 9000, headwaySecs: 900, exactTimes: 1}
+        ],
+        useFrequency: true
+      })
+      const trips = expandFrequencyTrip(trip)
+      expect(startTimes(trips)).toEqual([3600, 4200, 4800, 7200, 8100])
+      expect(trips[1].stopTimes[2]).toEqual(
+        {stopId: 'c', arrivalTime: 4800, departureTime: 4860}
+      )
+      // Times are not set for non-timepoints.
+      expect(trips[1].stopTimes[1].arrivalTime).toEqual(null)
+      expect(trips[1].id).toEqual(ENTITY.NEW_ID)
+      expect(trips[1].tripId).toEqual(null)
+      expect(trips[1].frequencies).toEqual([])
+      expect(trips[1].useFrequency).toEqual(false)
+    })
+  })
+
+  describe('collapseTripsToFrequencies', () => {
+    it('should combine evenly spaced trips into windows', () => {
+      const trips = [0, 600, 1200, 1800, 2700, 3600, 10000].map(t => makeTrip(t))
+      const result = collapseTripsToFrequencies(trips)
+      expect(result.length).toEqual(1)
+      expect(result[0].frequencies).toEqual([
+        {startTime: 0, endTime: 2400, headwaySecs: 600, exactTimes: 1},
+        {startTime: 2700, endTime: 4500, headwaySecs: 900, exactTimes: 1},
+        {startTime: 10000, endTime: 10000 + MAX_HEADWAY_SECONDS, headwaySecs: MAX_HEADWAY_SECONDS, exactTimes: 1}
+      ])
+      expect(result[0].stopTimes[2].departureTime).toEqual(660)
+      expect(result[0].useFrequency).toEqual(true)
+      // Expanding the collapsed trip should produce the original start times.
+      expect(startTimes(expandFrequencyTrip(result[0])))
+        .toEqual([0, 600, 1200, 1800, 2700, 3600, 10000])
+    })
+
+    it('should not create overlapping windows', () => {
+      const trips = [0, 600, 1200, 1500].map(t => makeTrip(t))
+      const [trip] = collapseTripsToFrequencies(trips)
+      expect(trip.frequencies[0].endTime).toEqual(1500)
+      expect(startTimes(expandFrequencyTrip(trip))).toEqual([0, 600, 1200, 1500])
+    })
+
+    it('should keep trips with different travel times or calendars separate', () => {
+      const trips = [
+        makeTrip(0),
+        makeTrip(600),
+        makeTrip(0, {service_id: 'weekend'}),
+        makeTrip(1200, {stopTimes: makeTrip(1200).stopTimes.slice(0, 2)})
+      ]
+      expect(collapseTripsToFrequencies(trips).length).toEqual(3)
+    })
+  })
+})
@@ -0,0 +1,83 @@
+// @flow
+
+import {
+  buildPublicTimetable,
+  formatPublicTime,
+  getTimepointIndexes,
+  mergeStopSequences,
+  publicTimetableToCsv,
+  publicTimetableToHtml
+} from '../publicTimetable'
+
+const HOUR = 3600
+
+const makePattern = (patternId: string, stopIds: Array<string>, timepoints: Array<?number> = []): any => ({
+  name: patternId,
+  patternId,
+  patternStops: stopIds.map((stopId, i) => ({stopId, timepoint: timepoints[i]}))
+})
+
+// Make a trip with stop times five minutes apart starting at start.
+const makeTrip = (tripId: string, stopCount: number, start: number): any => ({
+  frequencies: [],
+  stopTimes: Array.from({length: stopCount}, (v, i) => ({
+    arrivalTime: start + i * 300,
+    departureTime: start + i * 300
+  })),
+  tripHeadsign: 'Downtown',
+  tripId
+})
+
+const stops = ['a', 'b', 'c', 'd', 'e'].map(id => ({stop_id: id, stop_name: `Stop ${id.toUpperCase()}`}))
+
+describe('editor > util > publicTimetable >', () => {
+  it('getTimepointIndexes should use timepoints (and ends) if any are set', () => {
+    expect(getTimepointIndexes(makePattern('p', ['a', 'b', 'c', 'd'], [null, 1, 0, 0]).patternStops))
+      .toEqual([0, 1, 3])
+    expect(getTimepointIndexes(makePattern('p', ['a', 'b', 'c']).patternStops))
+      .toEqual([0, 1, 2])
+  })
+
+  it('mergeStopSequences should keep the order of each sequence', () => {
+    const key = (stopId, occurrence = 1) => ({occurrence, stopId})
+    expect(mergeStopSequences([
+      [key('a'), key('b'), key('d')],
+      [key('a'), key('c'), key('d'), key('e')],
+      [key('b'), key('d'), key('b', 2)]
+    ])).toEqual([key('a'), key('c'), key('b'), key('d'), key('b', 2), key('e')])
+  })
+
+  it('buildPublicTimetable should merge patterns and add footnotes', () => {
+    const main = makePattern('main', ['a', 'b', 'c', 'd'])
+    const shortTurn = makePattern('short', ['b', 'c'])
+    const express = makePattern('express', ['a', 'b', 'c', 'd'], [1, 0, 0, 1])
+    const timetable = buildPublicTimetable([shortTurn, express, main], {
+      express: [makeTrip('x1', 4, 7 * HOUR + 600)],
+      main: [makeTrip('m2', 4, 8 * HOUR), makeTrip('m1', 4, 7 * HOUR)],
+      short: [makeTrip('s1', 2, 7 * HOUR + 30 * 60), {...makeTrip('f1', 2, 0), frequencies: [{}]}]
+    }, stops)
+    expect(timetable.columns.map(c => c.stopId)).toEqual(['a', 'b', 'c', 'd'])
+    expect(timetable.rows.map(r => r.tripId)).toEqual(['m1', 'x1', 's1', 'm2'])
+    expect(timetable.rows.map(r => r.footnote)).toEqual([null, 'A', 'B', null])
+    expect(timetable.footnotes.map(f => f.text)).toEqual([
+      'Trip does not serve Stop B and Stop C.',
+      'Trip does not serve Stop A and Stop D.'
+    ])
+    expect(timetable.frequencyTripCount).toEqual(1)
+    expect(timetable.headsign).toEqual('Downtown')
+    expect(timetable.rows[2].times).toEqual([null, 7 * HOUR + 30 * 60, 7 * HOUR + 35 * 60, null])
+  })
+
+  it('should export CSV and HTML', () => {
+    const timetable = buildPublicTimetable(
+      [makePattern('main', ['a', 'b'])],
+      {main: [makeTrip('m1', 2, 25 * HOUR)]},
+      stops
+    )
+    expect(formatPublicTime(7 * HOUR + 300)).toEqual('7:05')
+    expect(publicTimetableToCsv(timetable)).toEqual('Notes,Stop A,Stop B\n,25:00,25:05')
+    const html = publicTimetableToHtml(timetable, 'Route 1 <Main>', 'Weekday')
+    expect(html).toContain('<h1>Route 1 &lt;Main&gt;</h1>')
+    expect(html).toContain('<td>25:00</td><td>25:05</td>')
+  })
+})
@@ -0,0 +1,117 @@
+// @flow
+
+import {
+  countRuleErrors,
+  getEntityRuleViolations,
+  getValidationRules,
+  passesRule
+} from '../rules'
+
+import type {ValidationRule} from '../rules'
+
+const colorRule: ValidationRule = {
+  field: 'route_color',
+  severity: 'error',
+  table: 'route',
+  type: 'ALLOWED_VALUES',
+  values: ['FF0000', '00ff00']
+}
+const stopNameRule: ValidationRule = {
+  field: 'stop_name',
+  message: 'Stop name must follow the "X & Y" format',
+  pattern: '^.+ & .+$',
+  table: 'stop',
+  type: 'PATTERN'
+}
+const headsignRule: ValidationRule = {
+  field: 'trip_headsign',
+  severity: 'error',
+  table: 'trip',
+  type: 'LAST_STOP_NAME'
+}
+
+describe('editor > util > rules >', () => {
+  describe('getValidationRules', () => {
+    const invalidRules = [
+      {table: 'stop', type: 'FOO'},
+      {...stopNameRule, pattern: '('}
+    ]
+    let oldConfig
+    let oldWarn
+    let warn
+
+    beforeEach(() => {
+      oldConfig = window.DT_CONFIG
+      oldWarn = console.warn
+      warn = jest.fn()
+      // $FlowFixMe replace console.warn to count warnings
+      console.warn = warn
+      window.DT_CONFIG = {
+        application: {
+          validation: {rules: [colorRule, stopNameRule, ...invalidRules]}
+        }
+      }
+    })
+
+    afterEach(() => {
+      window.DT_CONFIG = oldConfig
+      // $FlowFixMe restore console.warn
+      console.warn = oldWarn
+    })
+
+    it('should ignore invalid rules and filter by table', () => {
+      expect(getValidationRules()).toEqual([colorRule, stopNameRule])
+      expect(getValidationRules('stop')).toEqual([stopNameRule])
+    })
+
+    it('should only warn about invalid rules once', () => {
+      getValidationRules()
+      getValidationRules('stop')
+      expect(warn.mock.calls).toEqual([
+        ['Ignoring 2 invalid validation rule(s)', invalidRules]
+      ])
+    })
+  })
+
+  it('passesRule should check values for each rule type', () => {
+    expect(passesRule(colorRule, 'ff0000')).toBe(true)
+    expect(passesRule(colorRule, '0000FF')).toBe(false)
+    // Empty values only violate required rules.
+    expect(passesRule(colorRule, '')).toBe(true)
+    expect(passesRule({...colorRule, type: 'REQUIRED'}, '')).toBe(false)
+    expect(passesRule(stopNameRule, 'Main St & 1st Ave')).toBe(true)
+    expect(passesRule(stopNameRule, 'Main St')).toBe(false)
+    const rangeRule = {field: 'f', max: 10, min: 0, table: 't', type: 'RANGE'}
+    expect(passesRule(rangeRule, '5')).toBe(true)
+    expect(passesRule(rangeRule, 11)).toBe(false)
+    const lengthRule = {field: 'f', max: 3, table: 't', type: 'LENGTH'}
+    expect(passesRule(lengthRule, 'abcd')).toBe(false)
+    expect(passesRule(headsignRule, 'Downtown', {lastStopName: 'Downtown'})).toBe(true)
+    expect(passesRule(headsignRule, 'Uptown', {lastStopName: 'Downtown'})).toBe(false)
+  })
+
+  it('getEntityRuleViolations should return violations for the table', () => {
+    const rules = [colorRule, stopNameRule]
+    expect(getEntityRuleViolations('stop', {stop_name: 'Main St'}, rules)).toEqual([{
+      field: 'stop_name',
+      invalid: true,
+      reason: 'Stop name must follow the "X & Y" format',
+      ruleId: 'stop.stop_name.PATTERN',
+      severity: 'warning'
+    }])
+    expect(getEntityRuleViolations('route', {route_color: 'FF0000'}, rules)).toEqual([])
+  })
+
+  it('countRuleErrors should only count error rule violations', () => {
+    const feed = {
+      route: [{route_color: 'FF0000'}, {route_color: '0000FF'}],
+      stop: [{stop_name: 'Main St'}],
+      stop_names: [{stop_id: '1', stop_name: 'Uptown'}, {stop_id: '2', stop_name: 'Downtown'}],
+      trip_patterns: [{
+        pattern_stops: [{stop_id: '2', stop_sequence: 1}, {stop_id: '1', stop_sequence: 0}],
+        trips: [{trip_headsign: 'Downtown'}, {trip_headsign: 'Uptown'}]
+      }]
+    }
+    expect(countRuleErrors(feed, [colorRule, stopNameRule, headsignRule])).toEqual(2)
+  })
+})
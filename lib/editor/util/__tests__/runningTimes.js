@@ -0,0 +1,110 @@
+// @flow
+
+import {
+  applyRunningTimeProfiles,
+  getProfileForTime,
+  getRunningTimeProfiles,
+  storeRunningTimeProfiles
+} from '../runningTimes'
+
+const HOUR = 3600
+
+const patternStops: Array<any> = [
+  {stopId: 'a', defaultTravelTime: 0, defaultDwellTime: 0},
+  {stopId: 'b', defaultTravelTime: 300, defaultDwellTime: 30},
+  {stopId: 'c', defaultTravelTime: 600, defaultDwellTime: 0}
+]
+
+const profiles = [
+  {
+    id: 'am',
+    name: 'AM peak',
+    startTime: 7 * HOUR,
+    endTime: 9 * HOUR,
+    segments: [
+      {travelTime: 0, dwellTime: 0},
+      {travelTime: 400, dwellTime: 60},
+      {travelTime: 900, dwellTime: 0}
+    ]
+  },
+  {
+    id: 'night',
+    name: 'Night',
+    startTime: 22 * HOUR,
+    endTime: 5 * HOUR,
+    segments: [{travelTime: 0, dwellTime: 0}, {travelTime: 200, dwellTime: 0}]
+  }
+]
+
+const makeTrip = (startTime: number): any => ({
+  id: 1,
+  frequencies: [],
+  stopTimes: [
+    {stopId: 'a', arrivalTime: startTime, departureTime: startTime},
+    {stopId: 'b', arrivalTime: startTime + 300, departureTime: startTime + 330},
+    {stopId: 'c', arrivalTime: startTime + 930, departureTime: startTime + 930}
+  ],
+  tripId: 'trip',
+  useFrequency: false
+})
+
+const times = trip => trip.stopTimes.map(st => [st.arrivalTime, st.departureTime])
+
+describe('editor > util > runningTimes >', () => {
+  it('getProfileForTime should find profile containing time', () => {
+    expect(getProfileForTime(profiles, 8 * HOUR)).toBe(profiles[0])
+    expect(getProfileForTime(profiles, 9 * HOUR)).toBeUndefined()
+    // Ranges that span midnight and times after midnight
+    expect(getProfileForTime(profiles, 23 * HOUR)).toBe(profiles[1])
+    expect(getProfileForTime(profiles, 25 * HOUR)).toBe(profiles[1])
+  })
+
+  describe('applyRunningTimeProfiles', () => {
+    it('should apply profile for first departure', () => {
+      const start = 7 * HOUR
+      expect(times(applyRunningTimeProfiles(makeTrip(start), patternStops, profiles))).toEqual([
+        [start, start],
+        [start + 400, start + 460],
+        [start + 1360, start + 1360]
+      ])
+    })
+
+    it('should fall back on default times for missing segments', () => {
+      const start = 23 * HOUR
+      expect(times(applyRunningTimeProfiles(makeTrip(start), patternStops, profiles))).toEqual([
+        [start, start],
+        [start + 200, start + 200],
+        [start + 800, start + 800]
+      ])
+    })
+
+    it('should use default times outside of profiles', () => {
+      const trip = makeTrip(12 * HOUR)
+      trip.stopTimes[2] = {...trip.stopTimes[2], arrivalTime: 0, departureTime: 0}
+      expect(times(applyRunningTimeProfiles(trip, patternStops, profiles)))
+        .toEqual(times(makeTrip(12 * HOUR)))
+    })
+
+    it('should not change trip if pattern has no profiles', () => {
+      const trip = makeTrip(8 * HOUR)
+      expect(applyRunningTimeProfiles(trip, patternStops, [])).toBe(trip)
+    })
+
+    it('should not set times for stops without times', () => {
+      const trip = makeTrip(8 * HOUR)
+      trip.stopTimes[1] = {stopId: 'b', arrivalTime: null, departureTime: null}
+      const result = applyRunningTimeProfiles(trip, patternStops, profiles)
+      expect(result.stopTimes[1].arrivalTime).toEqual(null)
+      expect(result.stopTimes[2].arrivalTime).toEqual(8 * HOUR + 1360)
+    })
+  })
+
+  it('should store profiles for each pattern', () => {
+    storeRunningTimeProfiles('feed', 'pattern-1', profiles)
+    storeRunningTimeProfiles('feed', 'pattern-2', [profiles[0]])
+    expect(getRunningTimeProfiles('feed', 'pattern-1')).toEqual(profiles)
+    storeRunningTimeProfiles('feed', 'pattern-1', [])
+    expect(getRunningTimeProfiles('feed', 'pattern-1')).toEqual([])
+    expect(getRunningTimeProfiles('feed', 'pattern-2')).toEqual([profiles[0]])
+  })
+})
@@ -0,0 +1,83 @@
+// @flow
+
+import {getSegmentsForImportedShape, getShapesFromGeoJson, parseKml} from '../shapeImport'
+
+const makeStop = (id: string, lat: number, lon: number): any => ({
+  stop_id: id,
+  stop_lat: lat,
+  stop_lon: lon
+})
+
+const makePatternStop = (stopId: string): any => ({stopId})
+
+describe('editor > util > shapeImport >', () => {
+  it('getShapesFromGeoJson should read line features', () => {
+    const shapes = getShapesFromGeoJson([{
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        geometry: {type: 'LineString', coordinates: [[0, 0], [1, 1]]},
+        properties: {name: 'Line'}
+      }, {
+        type: 'Feature',
+        geometry: {type: 'Point', coordinates: [0, 0]},
+        properties: {name: 'Point'}
+      }, {
+        type: 'Feature',
+        geometry: {type: 'MultiLineString', coordinates: [[[0, 0], [1, 1]], [[1, 1], [2, 2, 10]]]},
+        properties: {NAME: 'Multi'}
+      }]
+    }])
+    expect(shapes).toEqual([
+      {coordinates: [[0, 0], [1, 1]], name: 'Line'},
+      {coordinates: [[0, 0], [1, 1], [2, 2]], name: 'Multi'}
+    ])
+  })
+
+  it('parseKml should read placemark line strings', () => {
+    const kml = `<?xml version="1.0" encoding="UTF-8"?>
+      <kml xmlns="http://www.opengis.net/kml/2.2">
+        <Document>
+          <Placemark>
+            <name> Route 1 </name>
+            <LineString><coordinates>
+              -122.6,45.5,0 -122.5,45.6,0
+            </coordinates></LineString>
+          </Placemark>
+          <Placemark>
+            <name>Stop</name>
+            <Point><coordinates>-122.6,45.5,0</coordinates></Point>
+          </Placemark>
+        </Document>
+      </kml>`
+    expect(parseKml(kml)).toEqual([{
+      coordinates: [[-122.6, 45.5], [-122.5, 45.6]],
+      name: 'Route 1'
+    }])
+  })
+
+  it('getSegmentsForImportedShape should snap stops in order along the shape', () => {
+    // Line out along the equator and back (about 1113 meters each way)
+    const coordinates = [[0, 0], [0.01, 0], [0, 0.001]]
+    const stops = [
+      makeStop('a', 0.0001, 0),
+      makeStop('b', 0.0001, 0.01),
+      // Nearest to the outbound leg, but must be on the return leg
+      makeStop('c', 0.0002, 0.005)
+    ]
+    const patternStops = ['a', 'b', 'c'].map(makePatternStop)
+    const result = getSegmentsForImportedShape(coordinates, patternStops, stops)
+    if (!result) throw new Error('Expected result')
+    const {maxDistanceFromShape, patternSegments} = result
+    expect(patternSegments.length).toEqual(2)
+    expect(patternSegments[0][0][0]).toBeCloseTo(0, 4)
+    expect(patternSegments[1][0][0]).toBeCloseTo(0.01, 4)
+    const last = patternSegments[1][patternSegments[1].length - 1]
+    expect(last[0]).toBeCloseTo(0.005, 3)
+    expect(last[1]).toBeCloseTo(0.0005, 4)
+    // Stop c is about 33 meters from the return leg.
+    expect(maxDistanceFromShape).toBeGreaterThan(30)
+    expect(maxDistanceFromShape).toBeLessThan(40)
+    expect(getSegmentsForImportedShape(coordinates, [makePatternStop('x')], stops)).toBeNull()
+  })
+})
@@ -0,0 +1,56 @@
+// @flow
+
+import {findStopToReuse, getTargetDistances, proposeStops} from '../stopPlacement'
+
+const makeStop = (id: string, lat: number, lon: number) => ({
+  stop_id: id,
+  stop_lat: lat,
+  stop_lon: lon,
+  stop_name: `Stop ${id}`
+})
+
+// About 1113 meters along the equator
+const LINE = [[0, 0], [0.005, 0], [0.01, 0]]
+
+describe('editor > util > stopPlacement >', () => {
+  it('getTargetDistances should space stops evenly and include both ends', () => {
+    expect(getTargetDistances(1000, 450)).toEqual([0, 500, 1000])
+    expect(getTargetDistances(100, 400)).toEqual([0, 100])
+    expect(getTargetDistances(0, 400)).toEqual([0])
+  })
+
+  it('findStopToReuse should find the nearest unused stop within the radius', () => {
+    const stops = [
+      makeStop('far', 0.001, 0),
+      makeStop('near', 0.0001, 0),
+      makeStop('nearest', 0.00005, 0)
+    ]
+    expect(findStopToReuse([0, 0], stops, 30)).toHaveProperty('stop_id', 'nearest')
+    expect(findStopToReuse([0, 0], stops, 30, ['nearest'])).toHaveProperty('stop_id', 'near')
+    expect(findStopToReuse([0, 0], stops, 5)).toBeNull()
+  })
+
+  it('proposeStops should reuse stops and prefer intersections', async () => {
+    const stops = [makeStop('existing', 0.0001, 0)]
+    const geocode = async latlng => latlng.lng > 0.002 && latlng.lng < 0.005
+      ? {coordinate: [0.0035, 0.0001], isIntersection: true, name: 'Main St & 1st Ave'}
+      : {coordinate: [latlng.lng, latlng.lat], isIntersection: false, name: 'Main St'}
+    const proposals = await proposeStops(LINE, stops, {
+      afterIntersection: true,
+      distanceFromIntersection: 10,
+      preferIntersections: true,
+      snapRadius: 30,
+      spacing: 400
+    }, geocode)
+    expect(proposals.length).toEqual(4)
+    expect(proposals[0].existingStopId).toEqual('existing')
+    expect(proposals[0].name).toEqual('Stop existing')
+    // Moved from ~371m to 10m after the intersection (~389m)
+    expect(proposals[1].atIntersection).toBe(true)
+    expect(proposals[1].name).toEqual('Main St & 1st Ave')
+    expect(Math.round(proposals[1].distance)).toEqual(399)
+    expect(proposals[2].atIntersection).toBe(false)
+    expect(proposals[2].existingStopId).toBeNull()
+    expect(proposals.map(p => p.distance)).toEqual([...proposals.map(p => p.distance)].sort((a, b) => a - b))
+  })
+})
@@ -0,0 +1,64 @@
+// @flow
+
+import {
+  formatCellValue,
+  getRowsWithIssues,
+  parseCellValue,
+  parseClipboardText,
+  parseTime,
+  toClipboardText
+} from '../timetable'
+
+import type {TimetableColumn} from '../../../types'
+
+const makeColumn = (type: string): TimetableColumn => ({
+  key: 'key',
+  name: 'Column',
+  placeholder: '',
+  type,
+  width: 60
+})
+
+describe('editor > util > timetable >', () => {
+  it('parseTime should handle multiple formats and times past midnight', () => {
+    expect(parseTime('07:30:15')).toEqual(27015)
+    expect(parseTime('7:30')).toEqual(27000)
+    expect(parseTime('7:30 pm')).toEqual(70200)
+    expect(parseTime('0730')).toEqual(27000)
+    expect(parseTime('25:05:00')).toEqual(90300)
+    expect(parseTime('not a time')).toBeNull()
+  })
+
+  it('parseClipboardText should split rows and tab-separated columns', () => {
+    expect(parseClipboardText('a\tb\r\nc\td\r\n')).toEqual([['a', 'b'], ['c', 'd']])
+    expect(parseClipboardText('a\tb\nc\td')).toEqual([['a', 'b'], ['c', 'd']])
+    expect(parseClipboardText('a')).toEqual([['a']])
+  })
+
+  it('parseCellValue should parse values by column type', () => {
+    const arrival = makeColumn('ARRIVAL_TIME')
+    expect(parseCellValue(arrival, ' 8:00 ')).toEqual(28800)
+    expect(parseCellValue(arrival, '')).toBeNull()
+    expect(parseCellValue(arrival, 'abc')).toBeUndefined()
+    expect(parseCellValue(makeColumn('SECONDS'), '600')).toEqual(600)
+    expect(parseCellValue(makeColumn('SECONDS'), 'ten')).toBeUndefined()
+    expect(parseCellValue(makeColumn('TEXT'), 'Downtown')).toEqual('Downtown')
+  })
+
+  it('copied cells should paste back to the same values', () => {
+    const columns = [makeColumn('TEXT'), makeColumn('ARRIVAL_TIME'), makeColumn('DEPARTURE_TIME')]
+    const trips = [['trip-1', 28800, 90300], ['trip-2', null, 30000]]
+    const text = toClipboardText(
+      trips.map(values => values.map((value, i) => formatCellValue(columns[i], value)))
+    )
+    expect(text).toEqual('trip-1\t08:00:00\t25:05:00\ntrip-2\t\t08:20:00')
+    const pasted = parseClipboardText(text)
+      .map(values => values.map((value, i) => parseCellValue(columns[i], value)))
+    expect(pasted).toEqual(trips)
+  })
+
+  it('getRowsWithIssues should return sorted unique row indexes', () => {
+    const issue = {field: 'arrivalTime', reason: 'Time must be after previous'}
+    expect(getRowsWithIssues({'3-4': issue, '1-5': issue, '3-6': issue})).toEqual([1, 3])
+  })
+})
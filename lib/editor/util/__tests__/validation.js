@@ -16,6 +16,38 @@ const shapedDistTraveledField = {
   name: 'shape_dist_traveled',
   required: false
 }
+const parentStationField = {
+  columnWidth: 12,
+  inputType: 'GTFS_STOP',
+  name: 'parent_station',
+  required: false
+}
+const toStopIdField = {
+  columnWidth: 12,
+  inputType: 'GTFS_STOP',
+  name: 'to_stop_id',
+  required: true
+}
+const stationStops: Array<any> = [
+  {id: 1, stop_id: 'station', location_type: 1, parent_station: null},
+  {id: 2, stop_id: 'platform', location_type: 0, parent_station: 'station'},
+  {id: 3, stop_id: 'entrance', location_type: 2, parent_station: 'station'},
+  {id: 4, stop_id: 'boarding', location_type: 4, parent_station: 'platform'}
+]
+const languageField = {
+  columnWidth: 6,
+  inputType: 'LANGUAGE',
+  name: 'language',
+  required: true
+}
+const stopNameTranslation: any = {
+  id: 1,
+  table_name: 'stops',
+  field_name: 'stop_name',
+  language: 'fr',
+  translation: 'Gare',
+  record_id: 'station'
+}
 const stopSequenceField = {
   columnWidth: 6,
   inputType: 'POSITIVE_INT',
@@ -132,5 +164,100 @@ describe('editor > util > gtfs >', () => {
         ).toEqual(false)
       })
     })
+
+    describe('GTFS_STOP', () => {
+      const validateParent = (stop, value) =>
+        validate(parentStationField, value, stationStops, stop, defaultTablesData)
+
+      it('platform with station parent should be valid', () => {
+        expect(validateParent(stationStops[1], 'station')).toEqual(false)
+      })
+
+      it('entrance without parent should be invalid', () => {
+        expect(validateParent({...stationStops[2], parent_station: null}, null)).toEqual({
+          field: 'parent_station',
+          invalid: true,
+          reason: 'Entrance/exit must have a parent station.'
+        })
+      })
+
+      it('station with parent should be invalid', () => {
+        expect(validateParent(stationStops[0], 'platform')).toEqual({
+          field: 'parent_station',
+          invalid: true,
+          reason: 'Station must not have a parent station.'
+        })
+      })
+
+      it('boarding area with station parent should be invalid', () => {
+        expect(validateParent(stationStops[3], 'station')).toEqual({
+          field: 'parent_station',
+          invalid: true,
+          reason: 'Parent of boarding area must be a stop/platform.'
+        })
+      })
+
+      it('missing parent should be invalid', () => {
+        expect(validateParent(stationStops[1], 'missing')).toEqual({
+          field: 'parent_station',
+          invalid: true,
+          reason: 'Parent station missing does not exist.'
+        })
+      })
+
+      it('pathway to station should be invalid', () => {
+        const tableData = {...defaultTablesData, stops: stationStops}
+        const pathway: any = {id: 1, pathway_id: 'p1', from_stop_id: 'platform'}
+        expect(validate(toStopIdField, 'station', null, pathway, tableData)).toEqual({
+          field: 'to_stop_id',
+          invalid: true,
+          reason: 'Pathways must not reference stations.'
+        })
+        expect(validate(toStopIdField, 'entrance', null, pathway, tableData))
+          .toEqual(false)
+      })
+    })
+
+    describe('LANGUAGE', () => {
+      const validateLanguage = (translation, feedLang) => validate(
+        languageField,
+        translation.language,
+        null,
+        translation,
+        {
+          ...defaultTablesData,
+          feed_info: feedLang ? [({id: 1, feed_lang: feedLang}: any)] : [],
+          translations: [stopNameTranslation]
+        }
+      )
+
+      it('translation without feed language should be invalid', () => {
+        expect(validateLanguage(stopNameTranslation, null)).toEqual({
+          field: 'language',
+          invalid: true,
+          reason: 'Feed language (feed_lang in feed info) must be defined for translations.'
+        })
+      })
+
+      it('translation in feed language should be invalid', () => {
+        expect(validateLanguage(stopNameTranslation, 'fr')).toEqual({
+          field: 'language',
+          invalid: true,
+          reason: 'Language matches feed language (fr). Edit the original value instead.'
+        })
+        expect(validateLanguage(stopNameTranslation, 'mul')).toEqual(false)
+      })
+
+      it('duplicate translation language should be invalid', () => {
+        expect(validateLanguage({...stopNameTranslation, id: 2}, 'en')).toEqual({
+          field: 'language',
+          invalid: true,
+          reason: 'A translation for language fr already exists for this value.'
+        })
+        expect(validateLanguage(stopNameTranslation, 'en')).toEqual(false)
+        expect(validateLanguage({...stopNameTranslation, id: 2, language: 'de'}, 'en'))
+          .toEqual(false)
+      })
+    })
   })
 })
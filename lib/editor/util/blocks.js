@@ -0,0 +1,165 @@
+// @flow
+
+import type {Frequency, StopTime} from '../../types'
+
+const ONE_HOUR_IN_SECONDS = 60 * 60
+
+// Trip fields needed for block scheduling (the trips are fetched along with
+// their pattern, see fetchTripsForBlocks).
+export type BlockTrip = {
+  blockId: ?string,
+  frequencies: Array<Frequency>,
+  id: number,
+  patternName: string,
+  route_id: string,
+  service_id: string,
+  stopTimes: Array<StopTime>,
+  tripId: string
+}
+
+export type TripSpan = {
+  end: number,
+  endStopId: ?string,
+  start: number,
+  startStopId: ?string
+}
+
+export type BlockIssue = {
+  reason: string,
+  tripId: string,
+  type: 'OVERLAP' | 'STOP_MISMATCH'
+}
+
+export type Block = {
+  blockId: ?string,
+  issues: Array<BlockIssue>,
+  trips: Array<BlockTrip>
+}
+
+/**
+ * Get the start (first departure) and end (last arrival) times and stops for
+ * a trip. Returns null if the trip does not have times for its first and last
+ * stops.
+ */
+export function getTripSpan (trip: {stopTimes: Array<StopTime>}): ?TripSpan {
+  const {stopTimes} = trip
+  if (!stopTimes || stopTimes.length === 0) return null
+  const first = stopTimes[0]
+  const last = stopTimes[stopTimes.length - 1]
+  const start = typeof first.departureTime === 'number'
+    ? first.departureTime
+    : first.arrivalTime
+  const end = typeof last.arrivalTime === 'number'
+    ? last.arrivalTime
+    : last.departureTime
+  if (typeof start !== 'number' || typeof end !== 'number') return null
+  return {end, endStopId: last.stopId, start, startStopId: first.stopId}
+}
+
+const compareStartTimes = (a: BlockTrip, b: BlockTrip) => {
+  const spanA = getTripSpan(a)
+  const spanB = getTripSpan(b)
+  return (spanA ? spanA.start : 0) - (spanB ? spanB.start : 0)
+}
+
+/**
+ * Check the trips in a block (sorted by start time) for trips that overlap the
+ * previous trip or that begin at a different stop than where the previous trip
+ * ended (i.e., the vehicle cannot lay over between the trips).
+ */
+export function getBlockIssues (trips: Array<BlockTrip>): Array<BlockIssue> {
+  const issues = []
+  for (let i = 1; i < trips.length; i++) {
+    const previous = getTripSpan(trips[i - 1])
+    const current = getTripSpan(trips[i])
+    if (!previous || !current) continue
+    const tripId = trips[i].tripId
+    if (current.start < previous.end) {
+      issues.push({
+        reason: `Trip ${tripId} starts before previous trip ${trips[i - 1].tripId} ends.`,
+        tripId,
+        type: 'OVERLAP'
+      })
+    } else if (current.startStopId !== previous.endStopId) {
+      issues.push({
+        reason: `Trip ${tripId} starts at stop ${current.startStopId || '[none]'}, but previous trip ${trips[i - 1].tripId} ends at stop ${previous.endStopId || '[none]'}.`,
+        tripId,
+        type: 'STOP_MISMATCH'
+      })
+    }
+  }
+  return issues
+}
+
+/**
+ * Group the trips by block ID (sorting trips within each block by start time).
+ * Blocks are sorted by block ID, with trips that have no block ID last.
+ */
+export function getBlocks (trips: Array<BlockTrip>): Array<Block> {
+  const tripsByBlock: {[string]: Array<BlockTrip>} = {}
+  const unassigned = []
+  trips.forEach(trip => {
+    if (!trip.blockId) {
+      unassigned.push(trip)
+      return
+    }
+    if (!tripsByBlock[trip.blockId]) tripsByBlock[trip.blockId] = []
+    tripsByBlock[trip.blockId].push(trip)
+  })
+  const blocks = Object.keys(tripsByBlock)
+    .sort((a, b) => a.localeCompare(b, undefined, {numeric: true}))
+    .map(blockId => {
+      const blockTrips = tripsByBlock[blockId].sort(compareStartTimes)
+      return {blockId, issues: getBlockIssues(blockTrips), trips: blockTrips}
+    })
+  if (unassigned.length > 0) {
+    blocks.push({blockId: null, issues: [], trips: unassigned.sort(compareStartTimes)})
+  }
+  return blocks
+}
+
+/**
+ * Get the number of vehicles in service for each hour of the service day. A
+ * block is in service from the start of its first trip to the end of its last
+ * trip (including layovers) and each trip without a block is considered a
+ * separate vehicle. The returned array is indexed by hour (times after
+ * midnight, e.g., 25:00, are counted in hours 24 and later).
+ */
+export function getVehicleCountsByHour (blocks: Array<Block>): Array<number> {
+  const spans = []
+  blocks.forEach(block => {
+    const tripSpans = block.trips.map(getTripSpan).filter(Boolean)
+    if (tripSpans.length === 0) return
+    if (block.blockId) {
+      spans.push({
+        end: Math.max(...tripSpans.map(s => s.end)),
+        start: Math.min(...tripSpans.map(s => s.start))
+      })
+    } else {
+      spans.push(...tripSpans)
+    }
+  })
+  if (spans.length === 0) return []
+  const lastHour = Math.floor(Math.max(...spans.map(s => s.end)) / ONE_HOUR_IN_SECONDS)
+  const counts = []
+  for (let hour = 0; hour <= lastHour; hour++) {
+    const hourStart = hour * ONE_HOUR_IN_SECONDS
+    const hourEnd = hourStart + ONE_HOUR_IN_SECONDS
+    counts.push(spans.filter(s => s.start < hourEnd && s.end >= hourStart).length)
+  }
+  return counts
+}
+
+/**
+ * Get a block ID (with a number one greater than the largest numeric block
+ * ID) that is not used by any of the blocks.
+ */
+export function getNextBlockId (blocks: Array<Block>): string {
+  const numbers = blocks
+    .map(b => b.blockId ? parseInt(b.blockId.replace(/^\D+/, ''), 10) : NaN)
+    .filter(n => !isNaN(n))
+  let next = numbers.length > 0 ? Math.max(...numbers) + 1 : 1
+  const ids = blocks.map(b => b.blockId)
+  while (ids.indexOf(`${next}`) !== -1) next++
+  return `${next}`
+}
@@ -0,0 +1,168 @@
+// @flow
+
+import moment from 'moment'
+
+import {EXCEPTION_EXEMPLARS} from './index'
+
+import type {ScheduleException} from '../../types'
+
+// Minimal calendar fields needed to compute service
+type ServiceCalendarFields = {
+  +end_date: ?string,
+  +friday: ?number,
+  +monday: ?number,
+  +saturday: ?number,
+  +service_id: string,
+  +start_date: ?string,
+  +sunday: ?number,
+  +thursday: ?number,
+  +tuesday: ?number,
+  +wednesday: ?number
+}
+
+export type DateService = {
+  date: string, // YYYYMMDD
+  exception: ?ScheduleException,
+  // Service IDs that would run on the date without the exception.
+  regularServiceIds: Array<string>,
+  serviceIds: Array<string>
+}
+
+const DATE_FORMAT = 'YYYYMMDD'
+
+// Calendar weekday fields in order of the exemplar values (Monday is zero).
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+
+/**
+ * Get the calendar weekday field for a date (e.g., monday for 20240101).
+ */
+export function getWeekdayField (date: string): string {
+  // isoWeekday is 1 for Monday to 7 for Sunday.
+  return WEEKDAYS[moment(date, DATE_FORMAT).isoWeekday() - 1]
+}
+
+function runsOnRegularDate<C: ServiceCalendarFields> (calendar: C, date: string): boolean {
+  return Boolean(calendar.start_date && calendar.end_date) &&
+    String(calendar.start_date) <= date &&
+    String(calendar.end_date) >= date &&
+    calendar[getWeekdayField(date)] === 1
+}
+
+/**
+ * Determine whether a calendar runs on a date that has a schedule exception.
+ * This matches how exceptions are converted to calendar_dates on export:
+ * exceptions that run a day of the week run every calendar that operates on
+ * that day, custom exceptions run only the selected calendars, and swap
+ * exceptions add and remove the selected calendars (other calendars run as
+ * they normally would).
+ */
+function runsOnExceptionDate<C: ServiceCalendarFields> (
+  calendar: C,
+  date: string,
+  exception: ScheduleException
+): boolean {
+  const {exemplar} = exception
+  if (exemplar >= EXCEPTION_EXEMPLARS.MONDAY && exemplar <= EXCEPTION_EXEMPLARS.SUNDAY) {
+    return calendar[WEEKDAYS[exemplar]] === 1
+  }
+  switch (exemplar) {
+    case EXCEPTION_EXEMPLARS.NO_SERVICE:
+      return false
+    case EXCEPTION_EXEMPLARS.CUSTOM:
+      return (exception.custom_schedule || []).indexOf(calendar.service_id) !== -1
+    case EXCEPTION_EXEMPLARS.SWAP:
+      if ((exception.added_service || []).indexOf(calendar.service_id) !== -1) return true
+      if ((exception.removed_service || []).indexOf(calendar.service_id) !== -1) return false
+      return runsOnRegularDate(calendar, date)
+    default:
+      return runsOnRegularDate(calendar, date)
+  }
+}
+
+/**
+ * Get the exceptions keyed by date (YYYYMMDD). Dates that have not been set
+ * (e.g., a date just added in the exception form) are skipped.
+ */
+export function getExceptionsByDate (
+  exceptions: Array<ScheduleException>
+): {[string]: ScheduleException} {
+  const exceptionsByDate = {}
+  exceptions.forEach(exception => {
+    (exception.dates || []).forEach(date => {
+      const key = String(date)
+      if (date && !exceptionsByDate[key]) exceptionsByDate[key] = exception
+    })
+  })
+  return exceptionsByDate
+}
+
+/**
+ * Get the service IDs that are active on a date after applying the calendar
+ * weekdays and date ranges and any schedule exception for the date.
+ */
+export function getServiceForDate<C: ServiceCalendarFields> (
+  date: string,
+  calendars: Array<C>,
+  exceptionsByDate: {[string]: ScheduleException}
+): DateService {
+  const exception = exceptionsByDate[date] || null
+  const regularServiceIds = calendars
+    .filter(calendar => runsOnRegularDate(calendar, date))
+    .map(calendar => calendar.service_id)
+  const serviceIds = exception
+    ? calendars
+      .filter(calendar => runsOnExceptionDate(calendar, date, exception))
+      .map(calendar => calendar.service_id)
+    : regularServiceIds
+  return {date, exception, regularServiceIds, serviceIds}
+}
+
+/**
+ * Get the first and last dates (YYYYMMDD) covered by the calendars and
+ * exceptions, or null if there are no dates.
+ */
+export function getServiceDateRange<C: ServiceCalendarFields> (
+  calendars: Array<C>,
+  exceptions: Array<ScheduleException>
+): ?{endDate: string, startDate: string} {
+  const dates = []
+  calendars.forEach(calendar => {
+    if (calendar.start_date) dates.push(String(calendar.start_date))
+    if (calendar.end_date) dates.push(String(calendar.end_date))
+  })
+  exceptions.forEach(exception => {
+    (exception.dates || []).forEach(date => {
+      if (date) dates.push(String(date))
+    })
+  })
+  const validDates = dates
+    .filter(date => moment(date, DATE_FORMAT, true).isValid())
+    .sort()
+  return validDates.length > 0
+    ? {endDate: validDates[validDates.length - 1], startDate: validDates[0]}
+    : null
+}
+
+/**
+ * Get the weeks (Sunday to Saturday) of the month containing the date as rows
+ * of dates (YYYYMMDD). Days outside of the month are null.
+ */
+export function getMonthWeeks (month: string): Array<Array<?string>> {
+  const start = moment(month, DATE_FORMAT).startOf('month')
+  const daysInMonth = start.daysInMonth()
+  const weeks = []
+  let week = []
+  for (let i = 0; i < start.day(); i++) week.push(null)
+  for (let day = 0; day < daysInMonth; day++) {
+    week.push(start.clone().add(day, 'days').format(DATE_FORMAT))
+    if (week.length === 7) {
+      weeks.push(week)
+      week = []
+    }
+  }
+  if (week.length > 0) {
+    while (week.length < 7) week.push(null)
+    weeks.push(week)
+  }
+  return weeks
+}
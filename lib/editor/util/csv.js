@@ -0,0 +1,176 @@
+// @flow
+
+import {parseCsvWithHeader, toCsv} from '../../common/util/csv'
+import {getEntityIdField} from '../../gtfs/util'
+import {ENTITY} from '../constants'
+import {generateNullProps} from './gtfs'
+import {getEditorTable} from './index'
+import {validate} from './validation'
+
+import type {Entity, Field} from '../../types'
+import type {EditorTables} from '../../types/reducers'
+import type {EditorValidationIssue} from './validation'
+
+/**
+ * Editor tables (by component) that can be exported to and imported from CSV.
+ */
+export const CSV_COMPONENTS = ['agency', 'calendar', 'fare', 'level', 'pathway', 'route', 'stop']
+
+// Datatools-specific fields that are required, but which the backend does not
+// fill in for new entities.
+const NEW_ENTITY_DEFAULTS = {
+  route: {publicly_visible: 0, status: 0}
+}
+
+const NUMERIC_INPUT_TYPES = [
+  'DAY_OF_WEEK_BOOLEAN',
+  'LATITUDE',
+  'LONGITUDE',
+  'NUMBER',
+  'POSITIVE_INT',
+  'POSITIVE_NUM'
+]
+
+export type CsvImportRow = {
+  changedFields: Array<string>,
+  entity: Entity,
+  issues: Array<EditorValidationIssue>,
+  previous: ?Entity
+}
+
+export type CsvImportDiff = {
+  added: Array<CsvImportRow>,
+  changed: Array<CsvImportRow>,
+  ignoredFields: Array<string>,
+  removed: Array<Entity>,
+  unchanged: number
+}
+
+export function getCsvFields (component: string): Array<Field> {
+  const table = getEditorTable(component)
+  if (!table) throw new Error(`No GTFS spec table found for ${component}`)
+  return table.fields
+}
+
+/**
+ * Get the file name to use for the CSV export of the component's table (e.g.,
+ * stops.csv).
+ */
+export function getCsvFileName (component: string): string {
+  const table = getEditorTable(component)
+  return table ? table.name.replace(/\.txt$/, '.csv') : `${component}.csv`
+}
+
+/**
+ * Write the entities to CSV text, with a column for each field in the GTFS
+ * spec table for the component.
+ */
+export function entitiesToCsv (component: string, entities: Array<Entity>): string {
+  return toCsv(getCsvFields(component).map(field => field.name), entities)
+}
+
+/**
+ * Convert a CSV value to the type expected by the editor for the field. Empty
+ * values become null and values that cannot be converted are left as strings
+ * (so that they are flagged during validation).
+ */
+export function csvValueToEntityValue (field: Field, value: string): any {
+  const trimmed = value.trim()
+  if (trimmed === '') return null
+  if (NUMERIC_INPUT_TYPES.indexOf(field.inputType) !== -1) {
+    return isNaN(trimmed) ? trimmed : Number(trimmed)
+  }
+  if (field.inputType === 'DROPDOWN' && field.options) {
+    // Match option value type (some dropdowns have numeric values).
+    const option = field.options.find(o => String(o.value) === trimmed)
+    return option ? option.value : trimmed
+  }
+  return trimmed
+}
+
+function valuesAreEqual (a: any, b: any): boolean {
+  const normalize = v => v === null || typeof v === 'undefined' ? '' : String(v)
+  return normalize(a) === normalize(b)
+}
+
+/**
+ * Compare the records in CSV text with the existing (fully loaded) entities
+ * for the component. Rows are matched to existing entities on the GTFS ID
+ * field (e.g., stop_id). Only columns that correspond to fields in the GTFS
+ * spec are imported, and fields missing from the CSV are left unchanged for
+ * existing entities. Every added or changed entity is validated against the
+ * table as it would be after the import, and rows that share an ID with
+ * another row in the CSV are flagged (rather than one silently overwriting the
+ * other).
+ */
+export function getCsvImportDiff (
+  component: string,
+  text: string,
+  entities: Array<Entity>,
+  tableData: EditorTables
+): CsvImportDiff {
+  const fields = getCsvFields(component)
+  const idField = getEntityIdField(component)
+  const {fields: columns, records} = parseCsvWithHeader(text)
+  if (columns.indexOf(idField) === -1) {
+    throw new Error(`CSV must contain a ${idField} column.`)
+  }
+  const importedFields = fields.filter(f => columns.indexOf(f.name) !== -1)
+  const ignoredFields = columns.filter(c => !fields.find(f => f.name === c))
+  const entitiesById: {[string]: any} = {}
+  entities.forEach(entity => { entitiesById[String(entity[idField])] = entity })
+  const importedIds = {}
+  const idCounts: {[string]: number} = {}
+  records.forEach(record => {
+    const id = record[idField].trim()
+    if (id) idCounts[id] = (idCounts[id] || 0) + 1
+  })
+  const rows = records.map(record => {
+    const id = record[idField].trim()
+    const previous = entitiesById[id]
+    const props = {}
+    importedFields.forEach(field => {
+      props[field.name] = csvValueToEntityValue(field, record[field.name])
+    })
+    if (props[idField] !== null) importedIds[String(props[idField])] = true
+    const entity = previous
+      ? {...previous, ...props}
+      : {
+        ...generateNullProps(component),
+        ...NEW_ENTITY_DEFAULTS[component],
+        ...props,
+        id: ENTITY.NEW_ID
+      }
+    const changedFields = previous
+      ? importedFields
+        .map(f => f.name)
+        .filter(name => !valuesAreEqual(previous[name], entity[name]))
+      : []
+    const issues = idCounts[id] > 1
+      ? [{field: idField, invalid: true, reason: 'Identifier appears more than once in CSV'}]
+      : []
+    return {changedFields, entity, issues, previous}
+  })
+  const removed = entities.filter(e => !importedIds[String(e[idField])])
+  // Validate against the entities as they would exist after the import.
+  const nextEntities = [...rows.map(row => row.entity), ...removed]
+  const added = []
+  const changed = []
+  let unchanged = 0
+  rows.forEach(row => {
+    const isDuplicate = row.issues.length > 0
+    if (row.previous && row.changedFields.length === 0 && !isDuplicate) {
+      unchanged++
+      return
+    }
+    fields.forEach(field => {
+      // Duplicate IDs within the CSV have already been flagged.
+      if (isDuplicate && field.name === idField) return
+      const issue = validate(field, row.entity[field.name], nextEntities, row.entity, tableData)
+      if (issue) row.issues.push(issue)
+    })
+    if (row.previous) changed.push(row)
+    else added.push(row)
+  })
+  return {added, changed, ignoredFields, removed, unchanged}
+}
@@ -0,0 +1,234 @@
+// @flow
+
+import distance from '@turf/distance'
+import point from 'turf-point'
+
+import {STOP_NAME_SPLIT_REGEX} from './gtfs'
+import {getLocationType} from './stations'
+
+// Subset of stop fields needed to detect duplicate stops (i.e., the fields
+// included in the editor stops table).
+type DuplicateStop = {
+  +id: number,
+  +location_type?: ?(number | string),
+  +parent_station?: ?string,
+  +stop_id: string,
+  +stop_lat: number,
+  +stop_lon: number,
+  +stop_name: ?string
+}
+
+export type DuplicateStopOptions = {
+  matchNames: boolean,
+  maxDistance: number // meters
+}
+
+export type PatternUsage = {
+  name: ?string,
+  patternId: string,
+  routeId: string
+}
+
+// Minimal pattern fields needed to find the patterns that serve a stop.
+type UsagePattern = {
+  name: ?string,
+  pattern_id: string,
+  pattern_stops: Array<{stop_id: string}>,
+  route_id: string
+}
+
+export const DEFAULT_DUPLICATE_STOP_OPTIONS: DuplicateStopOptions = {
+  matchNames: true,
+  maxDistance: 25
+}
+
+const METERS_PER_DEGREE_LATITUDE = 111320
+
+// Common words that are abbreviated inconsistently in stop names.
+const WORD_ABBREVIATIONS = {
+  avenue: 'ave',
+  boulevard: 'blvd',
+  drive: 'dr',
+  east: 'e',
+  north: 'n',
+  road: 'rd',
+  south: 's',
+  station: 'sta',
+  street: 'st',
+  west: 'w'
+}
+
+/**
+ * Normalize a stop name for comparison: case, punctuation, common
+ * abbreviations and the order of cross streets (split on the same separators
+ * used to abbreviate stop names) are ignored. For example, "Main Street & 1st
+ * Ave." and "1st Avenue and Main St" have the same normalized name.
+ */
+export function normalizeStopName (stopName: ?string): string {
+  if (!stopName) return ''
+  return stopName
+    .toLowerCase()
+    .split(STOP_NAME_SPLIT_REGEX)
+    // The separators captured by the regex are at the odd indexes.
+    .filter((part, i) => i % 2 === 0)
+    .map(part => part
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word)
+      .map(word => WORD_ABBREVIATIONS[word] || word)
+      .join(' ')
+    )
+    .filter(part => part)
+    .sort()
+    .join(' & ')
+}
+
+const hasCoordinates = (stop: DuplicateStop) =>
+  typeof stop.stop_lat === 'number' && typeof stop.stop_lon === 'number' &&
+  !isNaN(stop.stop_lat) && !isNaN(stop.stop_lon)
+
+/**
+ * Find clusters of (likely) duplicate stops, i.e., stops with the same
+ * location type within the max distance of each other and (optionally) with
+ * the same normalized name. Clusters are transitive: if A is near B and B is
+ * near C, all three stops are in the same cluster. Stops are bucketed into a
+ * grid so that only stops in neighboring cells are compared.
+ */
+export function findDuplicateStops<S: DuplicateStop> (
+  stops: Array<S>,
+  options: DuplicateStopOptions = DEFAULT_DUPLICATE_STOP_OPTIONS
+): Array<Array<S>> {
+  const {matchNames, maxDistance} = options
+  const candidates = stops.filter(hasCoordinates)
+  if (candidates.length === 0 || !(maxDistance > 0)) return []
+  const maxLatitude = Math.min(85, Math.max(...candidates.map(s => Math.abs(s.stop_lat))))
+  const latCellSize = maxDistance / METERS_PER_DEGREE_LATITUDE
+  // Longitude degrees are shorter away from the equator, so widen the cells
+  // (using the highest latitude) to keep neighbors in adjacent cells.
+  const lonCellSize = latCellSize / Math.cos(maxLatitude * Math.PI / 180)
+  const names = candidates.map(s => normalizeStopName(s.stop_name))
+  const cells = {}
+  const cellIndexes = candidates.map((stop, i) => {
+    const x = Math.floor(stop.stop_lon / lonCellSize)
+    const y = Math.floor(stop.stop_lat / latCellSize)
+    const key = `${x},${y}`
+    cells[key] = cells[key] || []
+    cells[key].push(i)
+    return [x, y]
+  })
+  // Union-find parents for clustering
+  const parents = candidates.map((s, i) => i)
+  const find = (i: number) => {
+    while (parents[i] !== i) {
+      parents[i] = parents[parents[i]]
+      i = parents[i]
+    }
+    return i
+  }
+  candidates.forEach((stop, i) => {
+    const [x, y] = cellIndexes[i]
+    const stopPoint = point([stop.stop_lon, stop.stop_lat])
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        (cells[`${x + dx},${y + dy}`] || []).forEach(j => {
+          // Only compare each pair of stops once.
+          if (j <= i) return
+          const other = candidates[j]
+          if (getLocationType(stop) !== getLocationType(other)) return
+          if (matchNames && names[i] !== names[j]) return
+          const meters = distance(stopPoint, point([other.stop_lon, other.stop_lat]), {units: 'meters'})
+          if (meters <= maxDistance) parents[find(j)] = find(i)
+        })
+      }
+    }
+  })
+  const clusters = {}
+  candidates.forEach((stop, i) => {
+    const root = find(i)
+    clusters[root] = clusters[root] || []
+    clusters[root].push(stop)
+  })
+  return Object.keys(clusters)
+    .map(key => clusters[key])
+    .filter(cluster => cluster.length > 1)
+}
+
+/**
+ * Get the patterns that serve each stop, keyed by stop_id.
+ */
+export function getStopPatternUsages (
+  patterns: Array<UsagePattern>
+): {[string]: Array<PatternUsage>} {
+  const usages = {}
+  patterns.forEach(pattern => {
+    const usage = {
+      name: pattern.name,
+      patternId: pattern.pattern_id,
+      routeId: pattern.route_id
+    }
+    pattern.pattern_stops.forEach(ps => {
+      usages[ps.stop_id] = usages[ps.stop_id] || []
+      // Patterns may visit a stop more than once.
+      if (usages[ps.stop_id].indexOf(usage) === -1) usages[ps.stop_id].push(usage)
+    })
+  })
+  return usages
+}
+
+/**
+ * Choose the stop that survives a merge of the cluster: the stop used by the
+ * most patterns or, if tied, the one created first (lowest ID).
+ */
+export function getSurvivingStop<S: DuplicateStop> (
+  cluster: Array<S>,
+  usages: {[string]: Array<PatternUsage>}
+): S {
+  const usageCount = (stop: S) => (usages[stop.stop_id] || []).length
+  return [...cluster].sort((a, b) => usageCount(b) - usageCount(a) || a.id - b.id)[0]
+}
+
+/**
+ * Get the indexes of the items (e.g., pattern stops or stop times) whose stop
+ * ID field references one of the merged stops.
+ */
+export function getMergedStopIndexes (
+  items: $ReadOnlyArray<{+[string]: any}>,
+  field: string,
+  mergedStopIds: Array<string>
+): Array<number> {
+  const indexes = []
+  items.forEach((item, index) => {
+    if (mergedStopIds.indexOf(item[field]) !== -1) indexes.push(index)
+  })
+  return indexes
+}
+
+/**
+ * Replace the stop ID field of the items that reference one of the merged
+ * stops with the surviving stop ID.
+ */
+export function replaceMergedStopIds<T: {+[string]: any}> (
+  items: Array<T>,
+  field: string,
+  survivingStopId: string,
+  mergedStopIds: Array<string>
+): Array<T> {
+  return items.map(item => mergedStopIds.indexOf(item[field]) !== -1
+    ? {...item, [field]: survivingStopId}
+    : item
+  )
+}
+
+/**
+ * Replace the merged stops in an area's stop_areas with the surviving stop,
+ * dropping any entries that would then duplicate the surviving stop.
+ */
+export function mergeStopAreas<T: {+stop_id: string}> (
+  stopAreas: Array<T>,
+  survivingStopId: string,
+  mergedStopIds: Array<string>
+): Array<T> {
+  return replaceMergedStopIds(stopAreas, 'stop_id', survivingStopId, mergedStopIds)
+    .filter((sa, index, list) => sa.stop_id !== survivingStopId ||
+      list.findIndex(s => s.stop_id === survivingStopId) === index)
+}
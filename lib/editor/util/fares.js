@@ -0,0 +1,248 @@
+// @flow
+
+import {getStationId} from './stations'
+
+import type {
+  GtfsArea,
+  GtfsFareLegRule,
+  GtfsFareMedia,
+  GtfsFareProduct,
+  GtfsFareTransferRule
+} from '../../types'
+
+// Subset of the editor tables needed to check fare references and price
+// journeys.
+export type FareTables = {
+  +areas: $ReadOnlyArray<GtfsArea>,
+  +fare_leg_rules: $ReadOnlyArray<GtfsFareLegRule>,
+  +fare_media: $ReadOnlyArray<GtfsFareMedia>,
+  +fare_products: $ReadOnlyArray<GtfsFareProduct>,
+  +fare_transfer_rules: $ReadOnlyArray<GtfsFareTransferRule>,
+  +routes: $ReadOnlyArray<{+network_id?: ?string, +route_id: string}>,
+  +stops: $ReadOnlyArray<{
+    +id: number,
+    +location_type?: ?(number | string),
+    +parent_station?: ?string,
+    +stop_id: string
+  }>
+}
+
+export type FareLeg = {
+  fromStopId: ?string,
+  routeId: ?string,
+  toStopId: ?string
+}
+
+export type PricedLeg = {
+  amount: ?number,
+  legRule: ?GtfsFareLegRule,
+  product: ?GtfsFareProduct
+}
+
+export type FareCalculation = {
+  currency: ?string,
+  legs: Array<PricedLeg>,
+  total: ?number,
+  transferAmount: ?number,
+  transferRule: ?GtfsFareTransferRule
+}
+
+// Editor components (tables) for Fares v2
+export const FARES_V2_COMPONENTS = [
+  'faremedia',
+  'fareproduct',
+  'area',
+  'farelegrule',
+  'faretransferrule'
+]
+
+export const FARE_TRANSFER_TYPE = Object.freeze({
+  A_AB: 0,
+  A_AB_B: 1,
+  AB: 2
+})
+
+const isEmpty = (value: any) => value === null || typeof value === 'undefined' || value === ''
+
+/**
+ * Check that the value of a Fares v2 reference field (e.g., an area or fare
+ * product ID) exists in the referenced table. Returns the reason the reference
+ * is invalid or null if it is valid.
+ */
+export function getFareReferenceIssue (
+  inputType: string,
+  value: ?string,
+  tables: FareTables
+): ?string {
+  if (isEmpty(value)) return null
+  switch (inputType) {
+    case 'GTFS_AREA':
+      return tables.areas.some(a => a.area_id === value)
+        ? null
+        : `Area ${String(value)} does not exist.`
+    case 'GTFS_FARE_MEDIA':
+      return tables.fare_media.some(m => m.fare_media_id === value)
+        ? null
+        : `Fare media ${String(value)} does not exist.`
+    case 'GTFS_FARE_PRODUCT':
+      return tables.fare_products.some(p => p.fare_product_id === value)
+        ? null
+        : `Fare product ${String(value)} does not exist.`
+    case 'GTFS_LEG_GROUP':
+      return tables.fare_leg_rules.some(r => r.leg_group_id === value)
+        ? null
+        : `Leg group ${String(value)} is not used by any fare leg rule.`
+    case 'GTFS_NETWORK':
+      return tables.routes.some(r => r.network_id === value)
+        ? null
+        : `No routes have network ID ${String(value)}.`
+    default:
+      return null
+  }
+}
+
+/**
+ * Check the conditionally required/forbidden fields of a fare transfer rule.
+ * Returns the reason the field is invalid or null if it is valid.
+ */
+export function getFareTransferRuleIssue (
+  rule: GtfsFareTransferRule,
+  field: string
+): ?string {
+  const sameLegGroup = rule.from_leg_group_id === rule.to_leg_group_id
+  switch (field) {
+    case 'transfer_count':
+      if (!sameLegGroup) {
+        return isEmpty(rule.transfer_count)
+          ? null
+          : 'Transfer count must be empty if the from and to leg groups differ.'
+      }
+      if (isEmpty(rule.transfer_count)) {
+        return 'Transfer count is required if the from and to leg groups are the same.'
+      }
+      return +rule.transfer_count === -1 || +rule.transfer_count >= 1
+        ? null
+        : 'Transfer count must be -1 (no limit) or at least 1.'
+    case 'duration_limit_type':
+      if (isEmpty(rule.duration_limit)) {
+        return isEmpty(rule.duration_limit_type)
+          ? null
+          : 'Duration limit type must be empty if there is no duration limit.'
+      }
+      return isEmpty(rule.duration_limit_type)
+        ? 'Duration limit type is required if a duration limit is defined.'
+        : null
+    default:
+      return null
+  }
+}
+
+/**
+ * Get the IDs of the areas that contain the stop (either directly or through
+ * the station the stop belongs to).
+ */
+export function getStopAreaIds (stopId: ?string, tables: FareTables): Array<string> {
+  if (!stopId) return []
+  const stop = tables.stops.find(s => s.stop_id === stopId)
+  const stationId = stop ? getStationId(stop, tables.stops) : null
+  return tables.areas
+    .filter(area => (area.stop_areas || []).some(sa =>
+      sa.stop_id === stopId || (stationId && sa.stop_id === stationId)
+    ))
+    .map(area => area.area_id)
+}
+
+/**
+ * Filter rules by a field following the GTFS matching semantics: rules with
+ * one of the leg's values are used if any exist, otherwise rules with an
+ * empty value (which match any value) are used.
+ */
+function filterByField<T: {}> (rules: $ReadOnlyArray<T>, field: string, values: $ReadOnlyArray<?string>): Array<T> {
+  const exactMatches = rules.filter(r => !isEmpty(r[field]) && values.indexOf(r[field]) !== -1)
+  return exactMatches.length > 0
+    ? exactMatches
+    : rules.filter(r => isEmpty(r[field]))
+}
+
+/**
+ * Get the fare leg rules that match a leg by network, departure area and
+ * arrival area.
+ */
+export function matchFareLegRules (leg: FareLeg, tables: FareTables): Array<GtfsFareLegRule> {
+  const route = tables.routes.find(r => r.route_id === leg.routeId)
+  const networkId = route ? route.network_id : null
+  let rules = filterByField(tables.fare_leg_rules, 'network_id', [networkId])
+  rules = filterByField(rules, 'from_area_id', getStopAreaIds(leg.fromStopId, tables))
+  return filterByField(rules, 'to_area_id', getStopAreaIds(leg.toStopId, tables))
+}
+
+/**
+ * Get the cheapest fare product (of any fare media) with the ID.
+ */
+function getCheapestProduct (productId: ?string, tables: FareTables): ?GtfsFareProduct {
+  if (!productId) return null
+  return tables.fare_products
+    .filter(p => p.fare_product_id === productId)
+    .sort((a, b) => +a.amount - +b.amount)[0] || null
+}
+
+/**
+ * Price a single leg using the cheapest fare product of the matching leg
+ * rules.
+ */
+export function priceLeg (leg: FareLeg, tables: FareTables): PricedLeg {
+  let cheapest = {amount: null, legRule: null, product: null}
+  matchFareLegRules(leg, tables).forEach(legRule => {
+    const product = getCheapestProduct(legRule.fare_product_id, tables)
+    if (product && (cheapest.amount === null || +product.amount < cheapest.amount)) {
+      cheapest = {amount: +product.amount, legRule, product}
+    }
+  })
+  return cheapest
+}
+
+/**
+ * Price a two-leg journey (e.g., for the fare calculator), applying the first
+ * matching fare transfer rule between the legs' leg groups if the transfer is
+ * within the rule's duration limit. Timeframes and rider categories are not
+ * considered.
+ */
+export function calculateJourneyFare (
+  firstLeg: FareLeg,
+  secondLeg: FareLeg,
+  transferSeconds: number,
+  tables: FareTables
+): FareCalculation {
+  const legs = [priceLeg(firstLeg, tables), priceLeg(secondLeg, tables)]
+  const [a, b] = legs
+  const currency = (a.product && a.product.currency) || (b.product && b.product.currency) || null
+  if (a.amount === null || b.amount === null) {
+    // At least one leg has no fare.
+    return {currency, legs, total: null, transferAmount: null, transferRule: null}
+  }
+  const fromGroup = a.legRule ? a.legRule.leg_group_id : null
+  const toGroup = b.legRule ? b.legRule.leg_group_id : null
+  let transferRules = filterByField(tables.fare_transfer_rules, 'from_leg_group_id', [fromGroup])
+  transferRules = filterByField(transferRules, 'to_leg_group_id', [toGroup])
+  const transferRule = transferRules.find(r =>
+    isEmpty(r.duration_limit) || transferSeconds <= +r.duration_limit
+  )
+  if (!transferRule) {
+    return {currency, legs, total: a.amount + b.amount, transferAmount: null, transferRule: null}
+  }
+  const transferProduct = getCheapestProduct(transferRule.fare_product_id, tables)
+  const transferAmount = transferProduct ? +transferProduct.amount : 0
+  let total
+  switch (+transferRule.fare_transfer_type) {
+    case FARE_TRANSFER_TYPE.A_AB_B:
+      total = a.amount + transferAmount + b.amount
+      break
+    case FARE_TRANSFER_TYPE.AB:
+      total = transferAmount
+      break
+    case FARE_TRANSFER_TYPE.A_AB:
+    default:
+      total = a.amount + transferAmount
+  }
+  return {currency, legs, total, transferAmount, transferRule}
+}
@@ -0,0 +1,208 @@
+// @flow
+
+import clone from 'lodash/cloneDeep'
+
+import {ENTITY} from '../constants'
+
+import type {Frequency, StopTime, Trip} from '../../types'
+
+// FIXME: This is the value currently set in gtfs-lib, but is it too low?
+// see https://github.com/conveyal/gtfs-lib/issues/148
+export const MAX_HEADWAY_SECONDS = 60 * 60 * 2
+
+const FREQUENCY_KEY_REGEX = /^frequencies\.(\d+)\./
+
+/**
+ * Get the index of the frequency window referenced by a timetable column key
+ * (e.g., 1 for frequencies.1.startTime) or null if the key does not reference
+ * a frequency window.
+ */
+export function getFrequencyIndex (key: string): ?number {
+  const match = key.match(FREQUENCY_KEY_REGEX)
+  return match ? +match[1] : null
+}
+
+/**
+ * Determine whether a frequency window has no start time, end time or headway
+ * defined. Empty windows (other than the first) are not saved.
+ */
+export function isFrequencyWindowEmpty (frequency: ?Frequency): boolean {
+  return !frequency || (
+    typeof frequency.startTime !== 'number' &&
+    typeof frequency.endTime !== 'number' &&
+    typeof frequency.headwaySecs !== 'number'
+  )
+}
+
+/**
+ * Get the maximum number of frequency windows for the trips (at least one),
+ * which determines the number of window columns in the timetable editor.
+ */
+export function getFrequencyWindowCount (trips: Array<Trip>): number {
+  return trips.reduce(
+    (max, trip) => Math.max(max, trip.frequencies ? trip.frequencies.length : 0),
+    1
+  )
+}
+
+/**
+ * Remove empty frequency windows from the trip (keeping the first window so
+ * that it is flagged as invalid) and default exact_times to zero.
+ */
+export function cleanFrequencyWindows (trip: Trip): Trip {
+  if (!trip.frequencies || trip.frequencies.length === 0) return trip
+  const frequencies = trip.frequencies
+    .filter((frequency, i) => i === 0 || !isFrequencyWindowEmpty(frequency))
+    .map(frequency => ({...frequency, exactTimes: frequency.exactTimes || 0}))
+  return {...trip, frequencies}
+}
+
+/**
+ * Get the time of the first arrival (or departure) for a trip, which is used
+ * as the trip's start time.
+ */
+function getStartTime (trip: Trip): ?number {
+  const stopTime = trip.stopTimes[0]
+  if (!stopTime) return null
+  return typeof stopTime.arrivalTime === 'number'
+    ? stopTime.arrivalTime
+    : typeof stopTime.departureTime === 'number'
+      ? stopTime.departureTime
+      : null
+}
+
+/**
+ * Shift all stop times (that have a time defined) by the offset in seconds.
+ */
+function offsetStopTimes (stopTimes: Array<StopTime>, offset: number): Array<StopTime> {
+  return stopTimes.map(stopTime => ({
+    ...stopTime,
+    arrivalTime: typeof stopTime.arrivalTime === 'number'
+      ? stopTime.arrivalTime + offset
+      : stopTime.arrivalTime,
+    departureTime: typeof stopTime.departureTime === 'number'
+      ? stopTime.departureTime + offset
+      : stopTime.departureTime
+  }))
+}
+
+/**
+ * Create a new (unsaved) trip from a template trip.
+ */
+function toNewTrip (trip: Trip, props: {[string]: any}): Trip {
+  return ({
+    ...clone(trip),
+    id: ENTITY.NEW_ID,
+    tripId: null,
+    ...props
+  }: any)
+}
+
+/**
+ * Expand a frequency-based trip into an explicit trip for each departure in
+ * each of its frequency windows. The trip's stop times are used as a template
+ * (offset so that the first arrival matches the departure time).
+ */
+export function expandFrequencyTrip (trip: Trip): Array<Trip> {
+  const startTime = getStartTime(trip) || 0
+  const trips = []
+  trip.frequencies
+    .filter(f => !isFrequencyWindowEmpty(f) && f.headwaySecs > 0)
+    .forEach(({endTime, headwaySecs, startTime: windowStart}) => {
+      for (let time = windowStart; time < endTime; time += headwaySecs) {
+        trips.push(toNewTrip(trip, {
+          frequencies: [],
+          stopTimes: offsetStopTimes(trip.stopTimes, time - startTime),
+          useFrequency: false
+        }))
+      }
+    })
+  return trips.sort((a, b) => (getStartTime(a) || 0) - (getStartTime(b) || 0))
+}
+
+/**
+ * Get the key used to group trips that can share a single frequency-based
+ * trip, i.e., trips on the same calendar with the same headsign and the same
+ * stops and travel times.
+ */
+function getTripProfileKey (trip: any): string {
+  const startTime = getStartTime(trip) || 0
+  const relativeTime = (time: ?number) => typeof time === 'number'
+    ? time - startTime
+    : null
+  return JSON.stringify([
+    trip.service_id || trip.serviceId,
+    trip.tripHeadsign,
+    trip.stopTimes.map(st => [
+      st.stopId,
+      relativeTime(st.arrivalTime),
+      relativeTime(st.departureTime)
+    ])
+  ])
+}
+
+/**
+ * Collapse explicit trips into frequency-based trips. Trips with the same
+ * calendar, headsign and travel times are combined into one trip whose
+ * frequency windows (with exact_times=1) reproduce each of the trips' start
+ * times. Regularly spaced trips share a window; any other trip gets a window
+ * of its own (with a headway that only yields one departure). Block IDs are
+ * not kept.
+ */
+export function collapseTripsToFrequencies (trips: Array<Trip>): Array<Trip> {
+  const groups: {[string]: Array<Trip>} = {}
+  trips.forEach(trip => {
+    const key = getTripProfileKey(trip)
+    if (!groups[key]) groups[key] = []
+    groups[key].push(trip)
+  })
+  return Object.keys(groups).map(key => {
+    const group = groups[key]
+      .slice()
+      .sort((a, b) => (getStartTime(a) || 0) - (getStartTime(b) || 0))
+    const startTimes = group.map(trip => getStartTime(trip) || 0)
+    const isValidHeadway = (headway: number) =>
+      headway > 0 && headway <= MAX_HEADWAY_SECONDS
+    const frequencies = []
+    // Windows end no later than the next window starts so that they do not
+    // overlap.
+    const getEndTime = (lastIndex: number, headway: number) => lastIndex + 1 < startTimes.length
+      ? Math.min(startTimes[lastIndex] + headway, startTimes[lastIndex + 1])
+      : startTimes[lastIndex] + headway
+    let i = 0
+    while (i < startTimes.length) {
+      const headway = startTimes[i + 1] - startTimes[i]
+      if (i + 1 < startTimes.length && isValidHeadway(headway)) {
+        // Extend window for as long as trips are evenly spaced.
+        let j = i + 1
+        while (j + 1 < startTimes.length && startTimes[j + 1] - startTimes[j] === headway) j++
+        frequencies.push({
+          endTime: getEndTime(j, headway),
+          exactTimes: 1,
+          headwaySecs: headway,
+          startTime: startTimes[i]
+        })
+        i = j + 1
+      } else {
+        // Single trip: the headway matches the window length, so the window
+        // contains exactly one departure.
+        const singleHeadway = Math.max(getEndTime(i, MAX_HEADWAY_SECONDS) - startTimes[i], 1)
+        frequencies.push({
+          endTime: startTimes[i] + singleHeadway,
+          exactTimes: 1,
+          headwaySecs: singleHeadway,
+          startTime: startTimes[i]
+        })
+        i++
+      }
+    }
+    const template = group[0]
+    return toNewTrip(template, {
+      blockId: null,
+      frequencies,
+      // Template stop times begin at zero.
+      stopTimes: offsetStopTimes(template.stopTimes, -(getStartTime(template) || 0)),
+      useFrequency: true
+    })
+  })
+}
@@ -13,8 +13,15 @@ import {getEntityTableString} from '../../gtfs/util'
 import type {
   // EditorTableData,
   Entity,
+  GtfsArea,
+  GtfsFareLegRule,
+  GtfsFareMedia,
+  GtfsFareProduct,
+  GtfsFareTransferRule,
+  GtfsLevel,
   GtfsRoute,
   GtfsStop,
+  GtfsTranslation,
   Pattern,
   ServiceCalendar
 } from '../../types'
@@ -31,7 +38,15 @@ export const COMPONENT_LIST = [
   // FIXME: table name for calendar, fare, and schedule exception
   { id: 'calendar', tableName: 'calendar' },
   { id: 'scheduleexception', tableName: 'schedule_exceptions' },
-  { id: 'agency', tableName: 'agency' }
+  { id: 'agency', tableName: 'agency' },
+  { id: 'level', tableName: 'levels' },
+  { id: 'pathway', tableName: 'pathways' },
+  { id: 'translation', tableName: 'translations' },
+  { id: 'faremedia', tableName: 'fare_media' },
+  { id: 'fareproduct', tableName: 'fare_products' },
+  { id: 'area', tableName: 'areas' },
+  { id: 'farelegrule', tableName: 'fare_leg_rules' },
+  { id: 'faretransferrule', tableName: 'fare_transfer_rules' }
 ]
 
 export function getTableById (tableData: any, id?: string, emptyArrayOnNull: boolean = true): any {
@@ -103,6 +118,8 @@ export function generateNullProps (component: string): any {
   if (component === 'fare') {
     props.fare_rules = []
     props.transfers = ''
+  } else if (component === 'area') {
+    props.stop_areas = []
   } else if (component === 'calendar') {
     // FIXME: Need to set days of week manually (null values result in failed
     // write operation).
@@ -151,6 +168,36 @@ export const generateProps = (component: string, editorState: any): any => {
         stop_lat: center ? center.lat : 0,
         stop_lon: center ? center.lng : 0
       }
+    case 'level':
+      return {
+        level_id: generateUID(),
+        level_index: 0
+      }
+    case 'pathway':
+      return {
+        pathway_id: generateUID(),
+        pathway_mode: 1,
+        is_bidirectional: 1
+      }
+    case 'faremedia':
+      return {
+        fare_media_id: generateUID(),
+        fare_media_type: 0
+      }
+    case 'fareproduct':
+      return {
+        fare_product_id: generateUID(),
+        amount: 0,
+        currency: 'USD'
+      }
+    case 'area':
+      return {
+        area_id: generateUID()
+      }
+    case 'faretransferrule':
+      return {
+        fare_transfer_type: 0
+      }
     case 'scheduleexception':
       return {
         dates: [],
@@ -242,6 +289,22 @@ export function getEntityName (entity: any): string {
     nameKey = 'fare_id'
   } else if (typeof entity.exemplar !== 'undefined') {
     nameKey = 'name'
+  } else if (typeof entity.pathway_id !== 'undefined') {
+    nameKey = 'pathway_id'
+  } else if (typeof entity.level_index !== 'undefined') {
+    nameKey = 'level_name'
+  } else if (typeof entity.translation !== 'undefined') {
+    nameKey = 'translation'
+  } else if (typeof entity.from_leg_group_id !== 'undefined') {
+    nameKey = 'from_leg_group_id'
+  } else if (typeof entity.leg_group_id !== 'undefined') {
+    nameKey = 'leg_group_id'
+  } else if (typeof entity.fare_product_id !== 'undefined') {
+    nameKey = 'fare_product_name'
+  } else if (typeof entity.fare_media_type !== 'undefined') {
+    nameKey = 'fare_media_name'
+  } else if (typeof entity.area_id !== 'undefined') {
+    nameKey = 'area_name'
   }
 
   switch (nameKey) {
@@ -271,6 +334,33 @@ export function getEntityName (entity: any): string {
       return `${serviceCalendar.service_id} ${serviceCalendar.description
         ? `(${serviceCalendar.description})`
         : ''}`
+    case 'level_name':
+      const level: GtfsLevel = ((entity: any): GtfsLevel)
+      return level.level_name
+        ? `${level.level_name} (${level.level_id})`
+        : level.level_id || NO_NAME
+    case 'translation':
+      const translation: GtfsTranslation = ((entity: any): GtfsTranslation)
+      return `${translation.table_name || ''}.${translation.field_name || ''} (${translation.language || '?'}): ${translation.translation || NO_NAME}`
+    case 'from_leg_group_id':
+      const transferRule: GtfsFareTransferRule = ((entity: any): GtfsFareTransferRule)
+      return `${transferRule.from_leg_group_id || '(any)'} → ${transferRule.to_leg_group_id || '(any)'}`
+    case 'leg_group_id':
+      const legRule: GtfsFareLegRule = ((entity: any): GtfsFareLegRule)
+      return `${legRule.leg_group_id ? `${legRule.leg_group_id}: ` : ''}${legRule.from_area_id || '(any)'} → ${legRule.to_area_id || '(any)'} (${legRule.fare_product_id || NO_NAME})`
+    case 'fare_product_name':
+      const product: GtfsFareProduct = ((entity: any): GtfsFareProduct)
+      return product.fare_product_name
+        ? `${product.fare_product_name} (${product.fare_product_id})`
+        : product.fare_product_id || NO_NAME
+    case 'fare_media_name':
+      const media: GtfsFareMedia = ((entity: any): GtfsFareMedia)
+      return media.fare_media_name || media.fare_media_id || NO_NAME
+    case 'area_name':
+      const area: GtfsArea = ((entity: any): GtfsArea)
+      return area.area_name
+        ? `${area.area_name} (${area.area_id})`
+        : area.area_id || NO_NAME
     default:
       const otherEntityType: any = entity
       return otherEntityType[nameKey] || NO_NAME
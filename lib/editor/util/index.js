@@ -17,7 +17,8 @@ export const CLICK_OPTIONS: Array<string> = [
   'DRAG_HANDLES',
   'ADD_STOP_AT_CLICK',
   'ADD_STOPS_AT_INTERVAL',
-  'ADD_STOPS_AT_INTERSECTIONS'
+  'ADD_STOPS_AT_INTERSECTIONS',
+  'PLACE_STOPS_ALONG_LINE'
 ]
 export const YEAR_FORMAT: string = 'YYYY-MM-DD'
 export const EXCEPTION_EXEMPLARS = {
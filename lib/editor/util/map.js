@@ -13,7 +13,7 @@ import point from 'turf-point'
 import pointOnLine from 'turf-point-on-line'
 
 import {ENTITY, POINT_TYPE} from '../constants'
-import {getSegment} from '../../scenario-editor/utils/valhalla'
+import {getSegment, polyline} from '../../scenario-editor/utils/valhalla'
 import {generateUID} from '../../common/util/util'
 import {getConfigProperty} from '../../common/util/config'
 import {coordinatesFromShapePoints} from './objects'
@@ -762,8 +762,27 @@ export function stopToPatternStop (
   }
 }
 
+/**
+ * Get the street geometry between two points from R5 (if application.r5 is
+ * configured) or the active router (see scenario-editor/utils/routers). The
+ * router result is returned in the same form as the R5 response.
+ */
 export async function street (from: LatLng, to: LatLng): Promise<?R5Response> {
   let json
+  if (!getConfigProperty('application.r5')) {
+    const coordinates = await polyline([from, to])
+    if (!coordinates) return null
+    return {
+      data: {
+        features: [{
+          type: 'Feature',
+          geometry: {type: 'LineString', coordinates},
+          properties: {toVertex: -1}
+        }]
+      },
+      vertices: []
+    }
+  }
   try {
     json = await route(from, to)
   } catch (e) {
@@ -0,0 +1,336 @@
+// @flow
+
+import {toCsv} from '../../common/util/csv'
+import {secondsAfterMidnightToHHMM} from '../../common/util/gtfs'
+
+import type {Pattern, PatternStop, Trip} from '../../types'
+
+export type PublicTimetableColumn = {
+  // Occurrence of the stop within a pattern (for patterns that visit a stop
+  // more than once, e.g., loops).
+  occurrence: number,
+  stopId: string,
+  stopName: string
+}
+
+export type PublicTimetableFootnote = {
+  id: string,
+  patternId: string,
+  text: string
+}
+
+export type PublicTimetableRow = {
+  footnote: ?string,
+  headsign: ?string,
+  patternId: string,
+  // Time at each column (or null if the trip does not serve the stop).
+  times: Array<?number>,
+  tripId: ?string
+}
+
+export type PublicTimetable = {
+  columns: Array<PublicTimetableColumn>,
+  footnotes: Array<PublicTimetableFootnote>,
+  // Frequency-based trips do not have individual trip times and are omitted.
+  frequencyTripCount: number,
+  headsign: ?string,
+  rows: Array<PublicTimetableRow>
+}
+
+// Minimal stop fields needed to label columns
+type TimetableStop = {
+  stop_id: string,
+  stop_name: ?string
+}
+
+type ColumnKey = {occurrence: number, stopId: string}
+
+const FOOTNOTE_IDS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'
+
+/**
+ * Get the indexes of the pattern stops that should be shown in a public
+ * timetable. If any pattern stop is marked as a timepoint, only timepoints are
+ * used. Otherwise, all stops are used. The first and last stops are always
+ * included.
+ */
+export function getTimepointIndexes (patternStops: Array<PatternStop>): Array<number> {
+  const hasTimepoints = patternStops.some(ps => ps.timepoint === 1)
+  const lastIndex = patternStops.length - 1
+  return patternStops
+    .map((ps, i) => i)
+    .filter(i => !hasTimepoints || patternStops[i].timepoint === 1 || i === 0 || i === lastIndex)
+}
+
+/**
+ * Get the stop ID and occurrence (for stops visited more than once) for the
+ * provided indexes of pattern stops.
+ */
+function getColumnKeys (patternStops: Array<PatternStop>, indexes: Array<number>): Array<ColumnKey> {
+  const counts = {}
+  const keys = []
+  patternStops.forEach((ps, i) => {
+    counts[ps.stopId] = (counts[ps.stopId] || 0) + 1
+    if (indexes.indexOf(i) !== -1) keys.push({occurrence: counts[ps.stopId], stopId: ps.stopId})
+  })
+  return keys
+}
+
+const findColumn = (columns: Array<ColumnKey>, key: ColumnKey, fromIndex: number = 0) =>
+  columns.findIndex((c, i) => i >= fromIndex && c.stopId === key.stopId && c.occurrence === key.occurrence)
+
+/**
+ * Merge the stop sequences of several patterns into a single sequence of
+ * columns. Stops not yet in the merged sequence are inserted after the
+ * previous stop of the pattern, so the order of each pattern is kept.
+ */
+export function mergeStopSequences (sequences: Array<Array<ColumnKey>>): Array<ColumnKey> {
+  const merged = []
+  sequences.forEach(sequence => {
+    let insertAt = 0
+    sequence.forEach(key => {
+      const index = findColumn(merged, key, insertAt)
+      if (index !== -1) {
+        insertAt = index + 1
+      } else {
+        merged.splice(insertAt, 0, key)
+        insertAt++
+      }
+    })
+  })
+  return merged
+}
+
+/**
+ * Compare two rows on the first column served by both trips (or on their first
+ * times if the trips do not share any stops).
+ */
+function compareRows (a: PublicTimetableRow, b: PublicTimetableRow): number {
+  for (let i = 0; i < a.times.length; i++) {
+    const aTime = a.times[i]
+    const bTime = b.times[i]
+    if (typeof aTime === 'number' && typeof bTime === 'number' && aTime !== bTime) {
+      return aTime - bTime
+    }
+  }
+  const aFirst = a.times.find(t => typeof t === 'number')
+  const bFirst = b.times.find(t => typeof t === 'number')
+  return (aFirst || 0) - (bFirst || 0)
+}
+
+function getMostCommon (values: Array<?string>): ?string {
+  const counts = {}
+  let mostCommon = null
+  values.forEach(value => {
+    if (!value) return
+    counts[value] = (counts[value] || 0) + 1
+    if (!mostCommon || counts[value] > counts[mostCommon]) mostCommon = value
+  })
+  return mostCommon
+}
+
+const joinNames = (names: Array<string>) => names.length > 1
+  ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+  : names[0]
+
+/**
+ * Build a public timetable (a stop-by-trip matrix) from the trips of several
+ * patterns (e.g., all patterns of a route in one direction) for a calendar.
+ * The pattern with the most trips is treated as the main pattern, and trips
+ * on other patterns that serve a different set of stops are marked with a
+ * footnote describing the variation.
+ */
+export function buildPublicTimetable (
+  patterns: Array<Pattern>,
+  tripsByPatternId: {[string]: Array<Trip>},
+  stops: Array<TimetableStop>
+): PublicTimetable {
+  let frequencyTripCount = 0
+  const tripsForPattern = {}
+  patterns.forEach(pattern => {
+    const trips = tripsByPatternId[pattern.patternId] || []
+    const frequencyTrips = trips.filter(t => t.frequencies && t.frequencies.length > 0)
+    frequencyTripCount += frequencyTrips.length
+    tripsForPattern[pattern.patternId] = trips.filter(t => frequencyTrips.indexOf(t) === -1)
+  })
+  // Sort patterns with trips so that the main pattern comes first.
+  const sortedPatterns = patterns
+    .filter(pattern => tripsForPattern[pattern.patternId].length > 0)
+    .sort((a, b) =>
+      tripsForPattern[b.patternId].length - tripsForPattern[a.patternId].length ||
+      b.patternStops.length - a.patternStops.length
+    )
+  const timepointIndexes = {}
+  const columnKeys = {}
+  sortedPatterns.forEach(pattern => {
+    timepointIndexes[pattern.patternId] = getTimepointIndexes(pattern.patternStops)
+    columnKeys[pattern.patternId] = getColumnKeys(pattern.patternStops, timepointIndexes[pattern.patternId])
+  })
+  const merged = mergeStopSequences(sortedPatterns.map(p => columnKeys[p.patternId]))
+  const getStopName = (stopId: string) => {
+    const stop = stops.find(s => s.stop_id === stopId)
+    return stop && stop.stop_name ? stop.stop_name : stopId
+  }
+  const columns = merged.map(key => ({...key, stopName: getStopName(key.stopId)}))
+  // Describe the variation for patterns that serve a different set of stops
+  // than the main pattern.
+  const variationText = {}
+  const mainKeys = sortedPatterns.length > 0 ? columnKeys[sortedPatterns[0].patternId] : []
+  sortedPatterns.slice(1).forEach(pattern => {
+    const keys = columnKeys[pattern.patternId]
+    const skipped = mainKeys.filter(key => findColumn(keys, key) === -1)
+    const added = keys.filter(key => findColumn(mainKeys, key) === -1)
+    const variations = []
+    if (skipped.length > 0) {
+      variations.push(`does not serve ${joinNames(skipped.map(key => getStopName(key.stopId)))}`)
+    }
+    if (added.length > 0) {
+      variations.push(`also serves ${joinNames(added.map(key => getStopName(key.stopId)))}`)
+    }
+    if (variations.length > 0) {
+      variationText[pattern.patternId] = `Trip ${variations.join(' and ')}.`
+    }
+  })
+  const rows = []
+  sortedPatterns.forEach(pattern => {
+    const indexes = timepointIndexes[pattern.patternId]
+    const columnIndexes = columnKeys[pattern.patternId]
+      .map(key => findColumn(merged, key))
+    const lastIndex = pattern.patternStops.length - 1
+    tripsForPattern[pattern.patternId].forEach(trip => {
+      const times = columns.map(() => null)
+      indexes.forEach((stopIndex, i) => {
+        const stopTime = trip.stopTimes[stopIndex]
+        if (!stopTime) return
+        // Show arrival time at the last stop and departure time elsewhere.
+        const time = stopIndex === lastIndex
+          ? stopTime.arrivalTime
+          : stopTime.departureTime
+        times[columnIndexes[i]] = typeof time === 'number'
+          ? time
+          : stopTime.arrivalTime
+      })
+      rows.push({
+        footnote: null,
+        headsign: trip.tripHeadsign,
+        patternId: pattern.patternId,
+        times,
+        tripId: trip.tripId
+      })
+    })
+  })
+  rows.sort(compareRows)
+  // Label footnotes in the order that they first appear in the timetable.
+  const footnotes = []
+  rows.forEach(row => {
+    const text = variationText[row.patternId]
+    if (!text) return
+    let footnote = footnotes.find(f => f.patternId === row.patternId)
+    if (!footnote) {
+      footnote = {
+        id: FOOTNOTE_IDS[footnotes.length % FOOTNOTE_IDS.length],
+        patternId: row.patternId,
+        text
+      }
+      footnotes.push(footnote)
+    }
+    row.footnote = footnote.id
+  })
+  return {
+    columns,
+    footnotes,
+    frequencyTripCount,
+    headsign: getMostCommon(rows.map(row => row.headsign)),
+    rows
+  }
+}
+
+/**
+ * Format a time for a public timetable as hours and minutes (e.g., 7:05 or
+ * 25:30 for times after midnight).
+ */
+export function formatPublicTime (seconds: ?number): string {
+  if (typeof seconds !== 'number') return ''
+  return secondsAfterMidnightToHHMM(seconds)
+    .replace(/:\d\d$/, '')
+    .replace(/^0(\d)/, '$1')
+}
+
+/**
+ * Get unique column headers (stops visited more than once are numbered).
+ */
+function getColumnHeaders (columns: Array<PublicTimetableColumn>): Array<string> {
+  return columns.map(c => c.occurrence > 1 ? `${c.stopName} (${c.occurrence})` : c.stopName)
+}
+
+/**
+ * Convert a public timetable to CSV with a row per trip and a column per stop,
+ * followed by the footnotes.
+ */
+export function publicTimetableToCsv (timetable: PublicTimetable): string {
+  const headers = getColumnHeaders(timetable.columns)
+  const fields = ['Notes', ...headers]
+  const records = timetable.rows.map(row => {
+    const record = {Notes: row.footnote}
+    headers.forEach((header, i) => { record[header] = formatPublicTime(row.times[i]) })
+    return record
+  })
+  const csv = toCsv(fields, records)
+  return timetable.footnotes.length > 0
+    ? `${csv}\n\n${toCsv(['Note', 'Description'], timetable.footnotes.map(f => ({
+      Description: f.text,
+      Note: f.id
+    })))}`
+    : csv
+}
+
+const escapeHtml = (value: any): string => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const PRINT_STYLE = `
+  @page { size: landscape; margin: 1cm; }
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 10pt; }
+  h1 { font-size: 16pt; margin: 0; }
+  h2 { color: #555; font-size: 12pt; font-weight: normal; margin: 0 0 10px; }
+  table { border-collapse: collapse; width: 100%; }
+  thead { display: table-header-group; }
+  tr { page-break-inside: avoid; }
+  th { border-bottom: 2px solid #000; font-size: 9pt; padding: 4px; text-align: center; vertical-align: bottom; }
+  td { border-bottom: 1px solid #ddd; padding: 2px 4px; text-align: center; }
+  tbody tr:nth-child(even) { background-color: #f4f4f4; }
+  .note { font-weight: bold; width: 1em; }
+  .footnotes { margin-top: 10px; }
+`
+
+/**
+ * Convert a public timetable to a standalone (print-ready) HTML document,
+ * which can be printed or saved as a PDF from the browser.
+ */
+export function publicTimetableToHtml (
+  timetable: PublicTimetable,
+  title: string,
+  subtitle: string
+): string {
+  const headers = getColumnHeaders(timetable.columns)
+  const headerRow = ['<th></th>', ...headers.map(h => `<th>${escapeHtml(h)}</th>`)].join('')
+  const rows = timetable.rows.map(row => {
+    const cells = row.times.map(time => `<td>${typeof time === 'number' ? formatPublicTime(time) : '&mdash;'}</td>`)
+    return `<tr><td class="note">${escapeHtml(row.footnote || '')}</td>${cells.join('')}</tr>`
+  })
+  const footnotes = timetable.footnotes
+    .map(f => `<div><strong>${f.id}</strong> ${escapeHtml(f.text)}</div>`)
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    `<head><meta charset="utf-8"><title>${escapeHtml(title)}</title><style>${PRINT_STYLE}</style></head>`,
+    '<body>',
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<h2>${escapeHtml(subtitle)}</h2>`,
+    `<table><thead><tr>${headerRow}</tr></thead><tbody>${rows.join('')}</tbody></table>`,
+    `<div class="footnotes">${footnotes.join('')}</div>`,
+    '</body>',
+    '</html>'
+  ].join('\n')
+}
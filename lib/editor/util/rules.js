@@ -0,0 +1,297 @@
+// @flow
+
+import {getConfigProperty} from '../../common/util/config'
+import {getEntityGraphQLRoot} from '../../gtfs/util'
+import {getEditorTable} from './index'
+import {doesNotExist} from './validation'
+
+// Custom validation rules are configured by each deployment (in settings.yml
+// under application.validation.rules) and are evaluated in addition to the
+// built-in checks in ./validation. Unlike the built-in checks, rule violations
+// do not prevent saving an entity, but rules with severity error can block
+// snapshot creation (application.validation.block_snapshots_on_error).
+export type ValidationRuleSeverity = 'error' | 'warning'
+
+export type ValidationRuleType =
+  'ALLOWED_VALUES' |
+  'LAST_STOP_NAME' |
+  'LENGTH' |
+  'PATTERN' |
+  'RANGE' |
+  'REQUIRED'
+
+export type ValidationRule = {
+  field: string,
+  flags?: string,
+  id?: string,
+  max?: number,
+  message?: string,
+  min?: number,
+  pattern?: string,
+  severity?: ValidationRuleSeverity,
+  table: string,
+  type: ValidationRuleType,
+  values?: Array<number | string>
+}
+
+export type RuleViolation = {
+  field: string,
+  invalid: boolean,
+  reason: string,
+  ruleId: string,
+  severity: ValidationRuleSeverity
+}
+
+// Additional values needed to evaluate rules that depend on other entities.
+export type RuleContext = {
+  lastStopName?: ?string
+}
+
+export const RULE_TYPES: Array<ValidationRuleType> = [
+  'ALLOWED_VALUES',
+  'LAST_STOP_NAME',
+  'LENGTH',
+  'PATTERN',
+  'RANGE',
+  'REQUIRED'
+]
+
+// Rules as last read from the config along with the valid subset, so that the
+// configured rules are only checked (and invalid rules reported) once rather
+// than each time the rules are needed (e.g., by selectors on every render).
+let configuredRules: ?Array<any> = null
+let validRules: Array<ValidationRule> = []
+
+function isValidRule (rule: any): boolean {
+  if (!rule || !rule.table || !rule.field || RULE_TYPES.indexOf(rule.type) === -1) {
+    return false
+  }
+  if (rule.type !== 'PATTERN') return true
+  try {
+    return !!new RegExp(rule.pattern || '', rule.flags)
+  } catch (e) {
+    return false
+  }
+}
+
+function getValidConfiguredRules (): Array<ValidationRule> {
+  const rules = getConfigProperty('application.validation.rules')
+  if (rules !== configuredRules) {
+    configuredRules = rules
+    const allRules = Array.isArray(rules) ? rules : []
+    validRules = allRules.filter(isValidRule)
+    const invalidRules = allRules.filter(rule => validRules.indexOf(rule) === -1)
+    if (invalidRules.length > 0) {
+      console.warn(`Ignoring ${invalidRules.length} invalid validation rule(s)`, invalidRules)
+    }
+  }
+  return validRules
+}
+
+/**
+ * Get the configured validation rules (optionally only those for the specified
+ * editor table). Rules missing a table, field or known type (or with an
+ * invalid pattern) are ignored, with a single warning when the config is
+ * first read.
+ */
+export function getValidationRules (table?: string): Array<ValidationRule> {
+  const rules = getValidConfiguredRules()
+  return table ? rules.filter(rule => rule.table === table) : rules
+}
+
+/**
+ * Get the unique set of fields referenced by rules for the table.
+ */
+export function getRuleFields (table: string, rules: Array<ValidationRule> = getValidationRules()): Array<string> {
+  const fields = []
+  rules.forEach(rule => {
+    if (rule.table === table && fields.indexOf(rule.field) === -1) fields.push(rule.field)
+  })
+  return fields
+}
+
+/**
+ * Get the fields (separated by newlines for a GraphQL query) referenced by
+ * rules for the table, omitting any that are not fields of the table.
+ */
+export function getRuleQueryFields (table: string, rules: Array<ValidationRule> = getValidationRules()): string {
+  const editorTable = getEditorTable(table)
+  const tableFields = editorTable ? editorTable.fields.map(f => f.name) : []
+  return getRuleFields(table, rules)
+    .filter(field => tableFields.indexOf(field) !== -1)
+    .join('\n')
+}
+
+export function getRuleId (rule: ValidationRule): string {
+  return rule.id || `${rule.table}.${rule.field}.${rule.type}`
+}
+
+export function blockSnapshotsOnError (): boolean {
+  return getConfigProperty('application.validation.block_snapshots_on_error') === true
+}
+
+function getDefaultReason (rule: ValidationRule): string {
+  switch (rule.type) {
+    case 'ALLOWED_VALUES':
+      return `Value must be one of: ${(rule.values || []).join(', ')}`
+    case 'LAST_STOP_NAME':
+      return 'Value must match the name of the last stop'
+    case 'LENGTH':
+      return `Value must be between ${rule.min || 0} and ${typeof rule.max === 'number' ? rule.max : '∞'} characters`
+    case 'PATTERN':
+      return `Value must match the format ${rule.pattern || ''}`
+    case 'RANGE':
+      return `Value must be between ${typeof rule.min === 'number' ? rule.min : '-∞'} and ${typeof rule.max === 'number' ? rule.max : '∞'}`
+    case 'REQUIRED':
+    default:
+      return 'Value must not be empty'
+  }
+}
+
+/**
+ * Check whether the value passes the rule. Empty values only violate REQUIRED
+ * rules.
+ */
+export function passesRule (rule: ValidationRule, value: any, context: RuleContext = {}): boolean {
+  if (rule.type === 'REQUIRED') return !doesNotExist(value)
+  if (doesNotExist(value)) return true
+  const stringValue = String(value)
+  switch (rule.type) {
+    case 'ALLOWED_VALUES':
+      // Compare values case-insensitively (e.g., for hex colors).
+      return (rule.values || [])
+        .some(v => String(v).toUpperCase() === stringValue.toUpperCase())
+    case 'LAST_STOP_NAME':
+      // Without a last stop, there is nothing to compare against.
+      return !context.lastStopName || context.lastStopName.trim() === stringValue.trim()
+    case 'LENGTH':
+      return stringValue.length >= (rule.min || 0) &&
+        (typeof rule.max !== 'number' || stringValue.length <= rule.max)
+    case 'PATTERN':
+      try {
+        return new RegExp(rule.pattern || '', rule.flags).test(stringValue)
+      } catch (e) {
+        // Configured rules with invalid patterns are reported (and ignored)
+        // by getValidationRules.
+        return true
+      }
+    case 'RANGE':
+      const num = parseFloat(value)
+      return !isNaN(num) &&
+        (typeof rule.min !== 'number' || num >= rule.min) &&
+        (typeof rule.max !== 'number' || num <= rule.max)
+    default:
+      return true
+  }
+}
+
+/**
+ * Evaluate the rules for the table against an entity, returning any
+ * violations.
+ */
+export function getEntityRuleViolations (
+  table: string,
+  entity: {[string]: any},
+  rules: Array<ValidationRule> = getValidationRules(),
+  context: RuleContext = {}
+): Array<RuleViolation> {
+  const violations = []
+  rules.forEach(rule => {
+    if (rule.table !== table) return
+    if (!passesRule(rule, entity[rule.field], context)) {
+      violations.push({
+        field: rule.field,
+        invalid: true,
+        reason: rule.message || getDefaultReason(rule),
+        ruleId: getRuleId(rule),
+        severity: rule.severity === 'error' ? 'error' : 'warning'
+      })
+    }
+  })
+  return violations
+}
+
+/**
+ * Get the most severe severity level for a list of violations (or null if
+ * there are no violations).
+ */
+export function getWorstSeverity (violations: Array<RuleViolation>): ?ValidationRuleSeverity {
+  if (violations.length === 0) return null
+  return violations.some(v => v.severity === 'error') ? 'error' : 'warning'
+}
+
+/**
+ * Construct the GraphQL query to fetch the entities (and fields) needed to
+ * evaluate the rules for an entire feed. Trips are fetched with their pattern
+ * stops and the stop names so that LAST_STOP_NAME rules can be evaluated.
+ */
+export function getRuleCheckQuery (rules: Array<ValidationRule>): string {
+  const tables = []
+  rules.forEach(rule => {
+    if (tables.indexOf(rule.table) === -1) tables.push(rule.table)
+  })
+  const tableQueries = tables.map(table => {
+    const fields = getRuleQueryFields(table, rules)
+    if (table === 'trip') {
+      return `
+        trip_patterns: patterns (limit: -1) {
+          pattern_stops (limit: -1) {
+            stop_id
+            stop_sequence
+          }
+          trips (limit: -1) {
+            id
+            ${fields}
+          }
+        }
+        stop_names: stops (limit: -1) {
+          stop_id
+          stop_name
+        }`
+    }
+    const root = getEntityGraphQLRoot(table)
+    return root ? `${table}: ${root} (limit: -1) { id ${fields} }` : ''
+  })
+  return `query ($namespace: String) {
+    feed(namespace: $namespace) {
+      ${tableQueries.join('\n')}
+    }
+  }`
+}
+
+/**
+ * Count the violations of rules with severity error for the feed fetched with
+ * the query from getRuleCheckQuery.
+ */
+export function countRuleErrors (feed: any, rules: Array<ValidationRule>): number {
+  const errorRules = rules.filter(rule => rule.severity === 'error')
+  let count = 0
+  const countErrors = (table, entity, context) => {
+    count += getEntityRuleViolations(table, entity, errorRules, context).length
+  }
+  errorRules
+    .map(rule => rule.table)
+    .filter((table, i, tables) => tables.indexOf(table) === i)
+    .forEach(table => {
+      if (table === 'trip') {
+        const stopNames = {}
+        const stops = feed.stop_names || []
+        const patterns = feed.trip_patterns || []
+        stops.forEach(s => { stopNames[s.stop_id] = s.stop_name })
+        patterns.forEach(pattern => {
+          const patternStops = [...pattern.pattern_stops]
+            .sort((a, b) => a.stop_sequence - b.stop_sequence)
+          const lastStop = patternStops[patternStops.length - 1]
+          const context = {lastStopName: lastStop ? stopNames[lastStop.stop_id] : null}
+          pattern.trips.forEach(trip => countErrors(table, trip, context))
+        })
+      } else {
+        // Feed info is a single (possibly missing) entity rather than a list.
+        const entities = Array.isArray(feed[table])
+          ? feed[table]
+          : feed[table] ? [feed[table]] : []
+        entities.forEach(entity => countErrors(table, entity))
+      }
+    })
+  return count
+}
@@ -0,0 +1,164 @@
+// @flow
+
+import {generateUID} from '../../common/util/util'
+
+import type {
+  Pattern,
+  PatternStop,
+  RunningTimeProfile,
+  RunningTimeSegment,
+  StopTime,
+  Trip
+} from '../../types'
+
+const ONE_DAY_IN_SECONDS = 24 * 60 * 60
+
+// NOTE: The editor back end does not (yet) store running time profiles with
+// the trip pattern, so profiles are kept in the browser's local storage (one
+// entry per feed source containing the profiles for each pattern).
+const getStorageKey = (feedSourceId: string) => `runningTimeProfiles-${feedSourceId}`
+
+function readProfilesForFeed (feedSourceId: string): {[string]: Array<RunningTimeProfile>} {
+  try {
+    const json = window.localStorage.getItem(getStorageKey(feedSourceId))
+    return json ? JSON.parse(json) : {}
+  } catch (e) {
+    console.warn('Could not read running time profiles', e)
+    return {}
+  }
+}
+
+/**
+ * Get the running time profiles for a pattern (identified by its pattern_id).
+ */
+export function getRunningTimeProfiles (
+  feedSourceId: ?string,
+  patternId: ?string
+): Array<RunningTimeProfile> {
+  if (!feedSourceId || !patternId) return []
+  return readProfilesForFeed(feedSourceId)[patternId] || []
+}
+
+/**
+ * Store the running time profiles for a pattern (replacing any existing
+ * profiles). An empty list removes the pattern's entry.
+ */
+export function storeRunningTimeProfiles (
+  feedSourceId: string,
+  patternId: string,
+  profiles: Array<RunningTimeProfile>
+): void {
+  const profilesForFeed = readProfilesForFeed(feedSourceId)
+  if (profiles.length > 0) profilesForFeed[patternId] = profiles
+  else delete profilesForFeed[patternId]
+  window.localStorage.setItem(getStorageKey(feedSourceId), JSON.stringify(profilesForFeed))
+}
+
+/**
+ * Get the running time segments (travel and dwell time to each stop) from the
+ * pattern stop default times.
+ */
+export function getDefaultSegments (patternStops: Array<PatternStop>): Array<RunningTimeSegment> {
+  return patternStops.map(ps => ({
+    dwellTime: +ps.defaultDwellTime || 0,
+    travelTime: +ps.defaultTravelTime || 0
+  }))
+}
+
+/**
+ * Create a new running time profile for a pattern with travel times scaled by
+ * the factor (e.g., 1.2 for 20 percent slower than the default times).
+ */
+export function createRunningTimeProfile (
+  pattern: Pattern,
+  name: string,
+  startTime: number,
+  endTime: number,
+  factor: number = 1
+): RunningTimeProfile {
+  return {
+    endTime,
+    id: generateUID(),
+    name,
+    segments: scaleSegments(getDefaultSegments(pattern.patternStops), factor),
+    startTime
+  }
+}
+
+/**
+ * Scale the travel times of the segments by the factor (dwell times are not
+ * affected).
+ */
+export function scaleSegments (
+  segments: Array<RunningTimeSegment>,
+  factor: number
+): Array<RunningTimeSegment> {
+  return segments.map(s => ({...s, travelTime: Math.round(s.travelTime * factor)}))
+}
+
+/**
+ * Get the profile whose time range contains the time (in seconds since
+ * midnight; times after midnight, e.g., 25:00, are wrapped to the same day).
+ * If profiles overlap, the first matching profile is used. A range that ends
+ * before it starts is treated as spanning midnight.
+ */
+export function getProfileForTime (
+  profiles: Array<RunningTimeProfile>,
+  time: number
+): ?RunningTimeProfile {
+  const timeOfDay = ((time % ONE_DAY_IN_SECONDS) + ONE_DAY_IN_SECONDS) % ONE_DAY_IN_SECONDS
+  return profiles.find(({endTime, startTime}) => endTime >= startTime
+    ? timeOfDay >= startTime && timeOfDay < endTime
+    : timeOfDay >= startTime || timeOfDay < endTime
+  )
+}
+
+/**
+ * Get the first departure time for a trip (or null if it is not defined).
+ */
+export function getFirstDepartureTime (trip: Trip): ?number {
+  const stopTime = trip.stopTimes && trip.stopTimes[0]
+  if (!stopTime) return null
+  return typeof stopTime.departureTime === 'number'
+    ? stopTime.departureTime
+    : typeof stopTime.arrivalTime === 'number'
+      ? stopTime.arrivalTime
+      : null
+}
+
+/**
+ * Recalculate a trip's stop times from the running time profile that matches
+ * its first departure (or from the pattern stop default times if no profile
+ * matches). The first arrival is kept and each subsequent time is derived from
+ * the travel and dwell times. Stop times without times (e.g., non-timepoints)
+ * are left blank. If the pattern has no profiles, the trip is returned as is.
+ */
+export function applyRunningTimeProfiles (
+  trip: Trip,
+  patternStops: Array<PatternStop>,
+  profiles: Array<RunningTimeProfile>
+): Trip {
+  const departureTime = getFirstDepartureTime(trip)
+  if (profiles.length === 0 || typeof departureTime !== 'number') return trip
+  const profile = getProfileForTime(profiles, departureTime)
+  const defaultSegments = getDefaultSegments(patternStops)
+  const firstStopTime = trip.stopTimes[0]
+  let time = typeof firstStopTime.arrivalTime === 'number'
+    ? firstStopTime.arrivalTime
+    : departureTime
+  const stopTimes: Array<StopTime> = trip.stopTimes.map((stopTime, i) => {
+    // Fall back on default times for any segments missing from the profile
+    // (e.g., if stops have been added to the pattern).
+    const segment = (profile && profile.segments[i]) || defaultSegments[i] ||
+      {dwellTime: 0, travelTime: 0}
+    if (i > 0) time += segment.travelTime
+    const arrivalTime = time
+    time += segment.dwellTime
+    const hasTimes = typeof stopTime.arrivalTime === 'number' ||
+      typeof stopTime.departureTime === 'number'
+    return hasTimes
+      ? {...stopTime, arrivalTime, departureTime: time}
+      : stopTime
+  })
+  return {...trip, stopTimes}
+}
@@ -0,0 +1,182 @@
+// @flow
+
+import along from '@turf/along'
+import distance from '@turf/distance'
+import lineSliceAlong from '@turf/line-slice-along'
+import shp from 'shpjs'
+import lineDistance from 'turf-line-distance'
+import lineString from 'turf-linestring'
+import point from 'turf-point'
+
+import {ensureValidCoords, projectStopOntoLine} from './map'
+
+import type {Coordinates, GtfsStop, PatternStop} from '../../types'
+
+export type ImportedShape = {
+  coordinates: Coordinates,
+  name: string
+}
+
+export const SHAPE_FILE_EXTENSIONS = ['.geojson', '.json', '.kml', '.zip']
+
+/**
+ * Join the parts of a multi-line into a single line, dropping the first
+ * coordinate of each part if it duplicates the end of the previous part.
+ */
+function joinLineParts (parts: Array<Coordinates>): Coordinates {
+  const coordinates = []
+  parts.forEach(part => {
+    part.forEach((c, i) => {
+      const last = coordinates[coordinates.length - 1]
+      if (i === 0 && last && last[0] === c[0] && last[1] === c[1]) return
+      coordinates.push([c[0], c[1]])
+    })
+  })
+  return coordinates
+}
+
+/**
+ * Get the line features (as shapes that can be imported) from GeoJSON, which
+ * may be a single feature or geometry, a FeatureCollection, or (as returned by
+ * shpjs for zip files with multiple layers) an array of FeatureCollections.
+ */
+export function getShapesFromGeoJson (geojson: any): Array<ImportedShape> {
+  if (!geojson) return []
+  if (Array.isArray(geojson)) {
+    return geojson.reduce((shapes, g) => shapes.concat(getShapesFromGeoJson(g)), [])
+  }
+  if (geojson.type === 'FeatureCollection') {
+    return geojson.features
+      .reduce((shapes, f) => shapes.concat(getShapesFromGeoJson(f)), [])
+  }
+  const feature = geojson.type === 'Feature'
+    ? geojson
+    : {type: 'Feature', geometry: geojson, properties: {}}
+  const {geometry} = feature
+  const properties = feature.properties || {}
+  const name = properties.name || properties.NAME || properties.Name ||
+    properties.shape_id || ''
+  if (!geometry) return []
+  switch (geometry.type) {
+    case 'LineString':
+      return [{coordinates: joinLineParts([geometry.coordinates]), name}]
+    case 'MultiLineString':
+      return [{coordinates: joinLineParts(geometry.coordinates), name}]
+    case 'GeometryCollection':
+      return geometry.geometries
+        .reduce((shapes, g) => shapes.concat(getShapesFromGeoJson(g)), [])
+        .map(shape => ({...shape, name: shape.name || name}))
+    default:
+      return []
+  }
+}
+
+/**
+ * Parse the line strings in each KML placemark into shapes (the line strings
+ * within a MultiGeometry are joined).
+ */
+export function parseKml (text: string): Array<ImportedShape> {
+  const doc = new window.DOMParser().parseFromString(text, 'text/xml')
+  const shapes = []
+  Array.prototype.forEach.call(doc.getElementsByTagName('Placemark'), placemark => {
+    const nameElement = placemark.getElementsByTagName('name')[0]
+    const parts = Array.prototype.map.call(
+      placemark.getElementsByTagName('LineString'),
+      line => {
+        const coordinates = line.getElementsByTagName('coordinates')[0]
+        if (!coordinates) return []
+        return coordinates.textContent
+          .trim()
+          .split(/\s+/)
+          .map(tuple => tuple.split(',').slice(0, 2).map(Number))
+          .filter(c => c.length === 2 && !isNaN(c[0]) && !isNaN(c[1]))
+      }
+    )
+    const coordinates = joinLineParts(parts)
+    if (coordinates.length < 2) return
+    shapes.push({
+      coordinates,
+      name: nameElement ? nameElement.textContent.trim() : ''
+    })
+  })
+  return shapes
+}
+
+function readFile (file: File, asText: boolean): Promise<any> {
+  return new Promise((resolve, reject) => {
+    const reader = new window.FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    if (asText) reader.readAsText(file)
+    else reader.readAsArrayBuffer(file)
+  })
+}
+
+/**
+ * Read the shapes (lines with at least two coordinates) from a GeoJSON, KML or
+ * zipped shapefile. Shapes without a name are named by their position in the
+ * file.
+ */
+export async function readShapesFromFile (file: File): Promise<Array<ImportedShape>> {
+  const fileName = file.name.toLowerCase()
+  let shapes
+  if (fileName.endsWith('.zip')) {
+    shapes = getShapesFromGeoJson(await shp(await readFile(file, false)))
+  } else if (fileName.endsWith('.kml')) {
+    shapes = parseKml(await readFile(file, true))
+  } else {
+    shapes = getShapesFromGeoJson(JSON.parse(await readFile(file, true)))
+  }
+  return shapes
+    .filter(shape => shape.coordinates.length > 1)
+    .map((shape, i) => ({...shape, name: shape.name || `Shape ${i + 1}`}))
+}
+
+/**
+ * Snap pattern stops onto a shape and split the shape into the segments
+ * between consecutive stops (for use with controlPointsFromSegments). Each
+ * stop is projected onto the part of the shape after the previous stop so that
+ * the stops remain in order along shapes that double back on themselves.
+ * Returns null if any pattern stop cannot be found.
+ */
+export function getSegmentsForImportedShape (
+  coordinates: Coordinates,
+  patternStops: Array<PatternStop>,
+  stops: Array<GtfsStop>
+): ?{maxDistanceFromShape: number, patternSegments: Array<Coordinates>} {
+  const line = lineString(coordinates)
+  const length = lineDistance(line, 'meters')
+  const distances = []
+  let maxDistanceFromShape = 0
+  for (let i = 0; i < patternStops.length; i++) {
+    const stop = stops.find(s => s.stop_id === patternStops[i].stopId)
+    if (!stop) {
+      console.warn(`Could not locate stop with stop_id=${patternStops[i].stopId}`)
+      return null
+    }
+    const previousDistance = i > 0 ? distances[i - 1] : 0
+    const remainingLine = previousDistance < length
+      ? lineSliceAlong(line, previousDistance / 1000, length / 1000)
+      : lineString([coordinates[coordinates.length - 1], coordinates[coordinates.length - 1]])
+    const {distanceInMeters, insertPoint} = projectStopOntoLine(stop, remainingLine)
+    distances.push(Math.min(length, previousDistance + distanceInMeters))
+    const distanceFromShape = distance(
+      point([stop.stop_lon, stop.stop_lat]),
+      insertPoint,
+      {units: 'meters'}
+    )
+    maxDistanceFromShape = Math.max(maxDistanceFromShape, distanceFromShape)
+  }
+  const patternSegments = distances.slice(1).map((distance, i) => {
+    const previousDistance = distances[i]
+    if (distance <= previousDistance) {
+      // Consecutive stops snapped to the same location.
+      const coordinate = along(line, distance / 1000, {units: 'kilometers'}).geometry.coordinates
+      return [coordinate, coordinate]
+    }
+    return ensureValidCoords(
+      lineSliceAlong(line, previousDistance / 1000, distance / 1000).geometry.coordinates
+    )
+  })
+  return {maxDistanceFromShape, patternSegments}
+}
@@ -0,0 +1,153 @@
+// @flow
+
+import {LOCATION_TYPE} from '../constants'
+
+import type {GtfsPathway} from '../../types'
+
+// Subset of stop fields needed to determine the station hierarchy (i.e., the
+// fields included in the editor stops table). Fields are read-only so that
+// full stops (e.g., GtfsStop) may be provided.
+type StationStop = {
+  +id: number,
+  +location_type?: ?(number | string),
+  +parent_station?: ?string,
+  +stop_id: string
+}
+
+export const LOCATION_TYPE_LABELS = {
+  [LOCATION_TYPE.STOP]: 'Stop/platform',
+  [LOCATION_TYPE.STATION]: 'Station',
+  [LOCATION_TYPE.ENTRANCE]: 'Entrance/exit',
+  [LOCATION_TYPE.GENERIC_NODE]: 'Generic node',
+  [LOCATION_TYPE.BOARDING_AREA]: 'Boarding area'
+}
+
+/**
+ * Get the location type for a stop as a number (empty values are treated as
+ * a stop/platform).
+ */
+export function getLocationType (stop: ?StationStop): number {
+  if (!stop || stop.location_type === null || stop.location_type === '' ||
+    typeof stop.location_type === 'undefined') {
+    return LOCATION_TYPE.STOP
+  }
+  return +stop.location_type
+}
+
+/**
+ * Get the location type that the parent station of a stop with the provided
+ * location type must have. Returns null if the stop may not have a parent.
+ */
+export function getParentLocationType (locationType: number): ?number {
+  switch (locationType) {
+    case LOCATION_TYPE.STOP:
+    case LOCATION_TYPE.ENTRANCE:
+    case LOCATION_TYPE.GENERIC_NODE:
+      return LOCATION_TYPE.STATION
+    case LOCATION_TYPE.BOARDING_AREA:
+      return LOCATION_TYPE.STOP
+    default:
+      return null
+  }
+}
+
+/**
+ * Determine whether a stop with the provided location type must have a parent
+ * station.
+ */
+export function parentStationIsRequired (locationType: number): boolean {
+  return locationType === LOCATION_TYPE.ENTRANCE ||
+    locationType === LOCATION_TYPE.GENERIC_NODE ||
+    locationType === LOCATION_TYPE.BOARDING_AREA
+}
+
+/**
+ * Check that the parent_station value for a stop is consistent with its
+ * location_type and the location_type of the referenced stop. Returns the
+ * reason the value is invalid or null if the value is valid.
+ */
+export function getParentStationIssue (
+  stop: StationStop,
+  parentStationId: ?string,
+  stops: $ReadOnlyArray<StationStop>
+): ?string {
+  const locationType = getLocationType(stop)
+  const parentLocationType = getParentLocationType(locationType)
+  const typeLabel = LOCATION_TYPE_LABELS[locationType] || 'Stop'
+  if (!parentStationId) {
+    return parentStationIsRequired(locationType)
+      ? `${typeLabel} must have a parent station.`
+      : null
+  }
+  if (parentLocationType === null || typeof parentLocationType === 'undefined') {
+    return `${typeLabel} must not have a parent station.`
+  }
+  if (parentStationId === stop.stop_id) {
+    return 'Stop cannot be its own parent station.'
+  }
+  const parent = stops.find(s => s.stop_id === parentStationId && s.id !== stop.id)
+  if (!parent) {
+    return `Parent station ${parentStationId} does not exist.`
+  }
+  if (getLocationType(parent) !== parentLocationType) {
+    return `Parent of ${typeLabel.toLowerCase()} must be a ${LOCATION_TYPE_LABELS[parentLocationType].toLowerCase()}.`
+  }
+  return null
+}
+
+/**
+ * Check that the stop referenced by a pathway exists and is not a station.
+ * Returns the reason the reference is invalid or null if it is valid.
+ */
+export function getPathwayStopIssue (
+  stopId: ?string,
+  stops: $ReadOnlyArray<StationStop>
+): ?string {
+  if (!stopId) return null
+  const stop = stops.find(s => s.stop_id === stopId)
+  if (!stop) return `Stop ${stopId} does not exist.`
+  if (getLocationType(stop) === LOCATION_TYPE.STATION) {
+    return 'Pathways must not reference stations.'
+  }
+  return null
+}
+
+/**
+ * Get the stop_id of the station that the stop belongs to (which may be the
+ * stop itself if it is a station). Boarding areas belong to the station of
+ * their parent platform.
+ */
+export function getStationId (stop: ?StationStop, stops: $ReadOnlyArray<StationStop>): ?string {
+  let current = stop
+  // The hierarchy is at most three levels deep (station > platform > boarding
+  // area), so limit the number of steps to avoid cycles in invalid data.
+  for (let i = 0; current && i < 3; i++) {
+    if (getLocationType(current) === LOCATION_TYPE.STATION) return current.stop_id
+    const parentStationId = current.parent_station
+    if (!parentStationId) return null
+    current = stops.find(s => s.stop_id === parentStationId)
+  }
+  return null
+}
+
+/**
+ * Get the stops (platforms, entrances, generic nodes and boarding areas) that
+ * belong to the station.
+ */
+export function getStationMembers<T: StationStop> (stationId: string, stops: Array<T>): Array<T> {
+  return stops.filter(stop =>
+    stop.stop_id !== stationId && getStationId(stop, stops) === stationId
+  )
+}
+
+/**
+ * Get the pathways that begin or end at one of the provided stops.
+ */
+export function getPathwaysForStops (
+  stops: $ReadOnlyArray<StationStop>,
+  pathways: Array<GtfsPathway>
+): Array<GtfsPathway> {
+  const stopIds = {}
+  stops.forEach(stop => { stopIds[stop.stop_id] = true })
+  return pathways.filter(p => stopIds[p.from_stop_id] || stopIds[p.to_stop_id])
+}
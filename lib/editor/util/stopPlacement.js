@@ -0,0 +1,195 @@
+// @flow
+
+import along from '@turf/along'
+import distance from '@turf/distance'
+import nearestPointOnLine from '@turf/nearest-point-on-line'
+import lineDistance from 'turf-line-distance'
+import lineString from 'turf-linestring'
+import point from 'turf-point'
+
+import {reverseEsri, reversePelias} from '../../scenario-editor/utils/reverse'
+
+import type {Coordinate, Coordinates, LatLng, ProposedStop} from '../../types'
+
+export type StopPlacementOptions = {
+  afterIntersection: boolean,
+  distanceFromIntersection: number, // meters
+  preferIntersections: boolean,
+  snapRadius: number, // meters
+  spacing: number // meters
+}
+
+export type GeocodedLocation = {
+  coordinate: Coordinate,
+  isIntersection: boolean,
+  name: string
+}
+
+// Minimal stop fields needed to reuse existing stops
+type PlacementStop = {
+  stop_id: string,
+  stop_lat: number,
+  stop_lon: number,
+  stop_name: ?string
+}
+
+/**
+ * Get evenly spaced distances (including both ends of the line) for a line of
+ * the provided length so that the spacing is as close as possible to the
+ * target spacing.
+ */
+export function getTargetDistances (length: number, spacing: number): Array<number> {
+  if (!(length > 0) || !(spacing > 0)) return [0]
+  const intervals = Math.max(1, Math.round(length / spacing))
+  const distances = []
+  for (let i = 0; i <= intervals; i++) {
+    distances.push(i * length / intervals)
+  }
+  return distances
+}
+
+/**
+ * Find the nearest existing stop within the snap radius of the coordinate,
+ * ignoring stops that have already been used.
+ */
+export function findStopToReuse<S: PlacementStop> (
+  coordinate: Coordinate,
+  stops: Array<S>,
+  snapRadius: number,
+  usedStopIds: Array<string> = []
+): ?S {
+  const target = point(coordinate)
+  // Approximate bounding box (in degrees) to avoid measuring every stop.
+  const latRadius = snapRadius / 111320
+  const lonRadius = latRadius / Math.max(0.01, Math.cos(coordinate[1] * Math.PI / 180))
+  let nearest = null
+  let nearestDistance = Infinity
+  stops.forEach(stop => {
+    if (
+      Math.abs(stop.stop_lat - coordinate[1]) > latRadius ||
+      Math.abs(stop.stop_lon - coordinate[0]) > lonRadius ||
+      usedStopIds.indexOf(stop.stop_id) !== -1
+    ) return
+    const meters = distance(target, point([stop.stop_lon, stop.stop_lat]), {units: 'meters'})
+    if (meters <= snapRadius && meters < nearestDistance) {
+      nearest = stop
+      nearestDistance = meters
+    }
+  })
+  return nearest
+}
+
+/**
+ * Reverse geocode a location (preferring the nearest intersection) with the
+ * Esri geocoder, falling back to Pelias for the name if Esri fails.
+ */
+export async function reverseGeocodeLocation (latlng: LatLng): Promise<?GeocodedLocation> {
+  try {
+    const json = await reverseEsri(latlng)
+    if (json && json.address) {
+      return {
+        coordinate: [json.location.x, json.location.y],
+        isIntersection: json.address.Addr_type === 'StreetInt',
+        name: json.address.Address
+      }
+    }
+  } catch (e) {
+    console.warn('Esri reverse geocode failed', e)
+  }
+  try {
+    const json = await reversePelias(latlng)
+    const feature = json && json.features && json.features[0]
+    if (feature) {
+      return {
+        coordinate: feature.geometry.coordinates,
+        isIntersection: false,
+        name: feature.properties.name
+      }
+    }
+  } catch (e) {
+    console.warn('Pelias reverse geocode failed', e)
+  }
+  return null
+}
+
+const getLocationAlong = (line: any, meters: number): Coordinate =>
+  along(line, meters / 1000, {units: 'kilometers'}).geometry.coordinates
+
+/**
+ * Propose stops along a line at the target spacing. For each location, the
+ * nearest existing stop within the snap radius is reused. Otherwise, a new
+ * stop is proposed and named with the reverse geocoder. If preferring
+ * intersections, new stops (other than at the ends of the line) are moved to
+ * the offset from the nearest intersection if the intersection is within the
+ * snap radius of the line and within half the spacing of the location.
+ */
+export async function proposeStops<S: PlacementStop> (
+  coordinates: Coordinates,
+  stops: Array<S>,
+  options: StopPlacementOptions,
+  geocode: LatLng => Promise<?GeocodedLocation> = reverseGeocodeLocation
+): Promise<Array<ProposedStop>> {
+  if (coordinates.length < 2) return []
+  const {
+    afterIntersection,
+    distanceFromIntersection,
+    preferIntersections,
+    snapRadius,
+    spacing
+  } = options
+  const line = lineString(coordinates)
+  const length = lineDistance(line, 'meters')
+  const targets = getTargetDistances(length, spacing)
+  const usedStopIds = []
+  const proposals = []
+  for (let i = 0; i < targets.length; i++) {
+    let meters = targets[i]
+    let coordinate = getLocationAlong(line, meters)
+    const existingStop = findStopToReuse(coordinate, stops, snapRadius, usedStopIds)
+    if (existingStop) {
+      usedStopIds.push(existingStop.stop_id)
+      proposals.push({
+        atIntersection: false,
+        distance: meters,
+        existingStopId: existingStop.stop_id,
+        lat: coordinate[1],
+        lon: coordinate[0],
+        name: existingStop.stop_name
+      })
+      continue
+    }
+    let result = null
+    try {
+      result = await geocode({lat: coordinate[1], lng: coordinate[0]})
+    } catch (e) {
+      console.warn('Could not geocode proposed stop', e)
+    }
+    let atIntersection = false
+    const isEnd = i === 0 || i === targets.length - 1
+    if (result && result.isIntersection && preferIntersections && !isEnd) {
+      const projected = nearestPointOnLine(line, point(result.coordinate), {units: 'meters'})
+      const offset = afterIntersection ? distanceFromIntersection : -distanceFromIntersection
+      const candidate = projected.properties.location + offset
+      const previous = proposals[proposals.length - 1]
+      if (
+        projected.properties.dist <= snapRadius &&
+        Math.abs(candidate - meters) <= spacing / 2 &&
+        candidate > previous.distance &&
+        candidate < targets[i + 1]
+      ) {
+        meters = candidate
+        coordinate = getLocationAlong(line, meters)
+        atIntersection = true
+      }
+    }
+    proposals.push({
+      atIntersection,
+      distance: meters,
+      existingStopId: null,
+      lat: coordinate[1],
+      lon: coordinate[0],
+      name: result ? result.name : null
+    })
+  }
+  return proposals
+}
@@ -2,6 +2,8 @@
 
 import moment from 'moment'
 
+import {secondsAfterMidnightToHHMM} from '../../common/util/gtfs'
+
 import type {TimetableColumn} from '../../types'
 
 /**
@@ -10,7 +12,8 @@ import type {TimetableColumn} from '../../types'
 export const SHORTCUTS = {
   offset: ['o', 'SHIFT:+:o', 'i', 'SHIFT:+:i', '-', 'SHIFT:+:-', '+', 'SHIFT:+:+'],
   navigate: ['k:/:j', '←:/:→', 'x', 'a', 'd'],
-  modify: ['#', 'n', 'c', 'SHIFT:+:\'', 'SHIFT:+:;']
+  modify: ['#', 'n', 'c', 'SHIFT:+:\'', 'SHIFT:+:;'],
+  clipboard: ['SHIFT:+:→', 'CTRL:+:c', 'CTRL:+:v', 'ESC']
 }
 
 /**
@@ -40,12 +43,94 @@ export function getHeaderColumns (
   return columns.filter(c => c.type !== 'DEPARTURE_TIME')
 }
 
-export function parseTime (timeString: string) {
+/**
+ * Parse a time string (in one of the TIMETABLE_FORMATS) into seconds since
+ * midnight. Hours of 24 or more (e.g., 25:30) are handled as times after
+ * midnight on the following day. Returns null if the string is not a valid
+ * time.
+ */
+export function parseTime (timeString: string): ?number {
+  let time = timeString.trim()
+  let extraDays = 0
+  const match = /^(\d+)(:.*)$/.exec(time)
+  if (match && +match[1] >= 24) {
+    extraDays = Math.floor(+match[1] / 24)
+    time = `0${+match[1] % 24}`.slice(-2) + match[2]
+  }
   const date = moment().startOf('day').format('YYYY-MM-DD')
-  return moment(date + 'T' + timeString, TIMETABLE_FORMATS).diff(
-    date,
-    'seconds'
-  )
+  const momentTime = moment(date + 'T' + time, TIMETABLE_FORMATS, true)
+  return momentTime.isValid()
+    ? momentTime.diff(date, 'seconds') + extraDays * 86400
+    : null
+}
+
+/**
+ * Format a cell value for display (or copying) according to the column type.
+ */
+export function formatCellValue (
+  col: TimetableColumn,
+  value: ?(number | string)
+): number | string {
+  if (col.type === 'BOOLEAN') {
+    // Zero is a meaningful value for 0/1 flags (e.g., exact_times).
+    return typeof value === 'number' ? value : ''
+  } else if (!isTimeFormat(col.type)) {
+    // If not a time format, return string value (or empty string to avoid null)
+    return value || ''
+  } else {
+    return secondsAfterMidnightToHHMM(value)
+  }
+}
+
+/**
+ * Parse a value pasted into a cell according to the column type. Empty values
+ * clear the cell. Returns undefined if the value is not valid for the column.
+ */
+export function parseCellValue (
+  col: TimetableColumn,
+  text: string
+): ?(number | string) {
+  const trimmed = text.trim()
+  if (trimmed === '') return null
+  if (isTimeFormat(col.type)) {
+    const seconds = parseTime(trimmed)
+    return seconds === null ? undefined : seconds
+  } else if (col.type === 'SECONDS' || col.type === 'BOOLEAN') {
+    const value = +trimmed
+    return isNaN(value) ? undefined : value
+  }
+  return trimmed
+}
+
+/**
+ * Split tab-separated clipboard text (as copied from a spreadsheet) into rows
+ * of cell values. Handles both Windows and Unix line endings and ignores the
+ * trailing line break that spreadsheets add after the last row.
+ */
+export function parseClipboardText (text: string): Array<Array<string>> {
+  const lines = text.split(/\r\n|\n|\r/)
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop()
+  return lines.map(line => line.split('\t'))
+}
+
+/**
+ * Convert rows of cell values into tab-separated text for the clipboard.
+ */
+export function toClipboardText (rows: Array<Array<number | string>>): string {
+  return rows.map(row => row.join('\t')).join('\n')
+}
+
+/**
+ * Get the sorted, unique row indexes that have a trip validation issue (issues
+ * are keyed by `${rowIndex}-${columnIndex}`).
+ */
+export function getRowsWithIssues (issues: {[string]: any}): Array<number> {
+  const rows = []
+  Object.keys(issues).forEach(key => {
+    const rowIndex = +key.split('-')[0]
+    if (rows.indexOf(rowIndex) === -1) rows.push(rowIndex)
+  })
+  return rows.sort((a, b) => a - b)
 }
 
 export const LEFT_COLUMN_WIDTH = 30
@@ -0,0 +1,103 @@
+// @flow
+
+import {getEntityIdField} from '../../gtfs/util'
+import {getEditorTable} from './index'
+
+import type {Field, GtfsTranslation} from '../../types'
+
+// Language code (feed_info.feed_lang) for feeds with multiple languages, in
+// which case every value should have a translation.
+const MULTIPLE_LANGUAGES = 'mul'
+
+// GTFS table names (as used in translations.txt) for editor components with
+// translatable fields
+const TRANSLATION_TABLE_NAMES = {
+  agency: 'agency',
+  route: 'routes',
+  stop: 'stops',
+  trip: 'trips'
+}
+
+export type TranslationRecord = {
+  fieldName: string,
+  recordId: string,
+  tableName: string
+}
+
+/**
+ * Get the translations.txt table name, field name and record ID for a field
+ * of an editor entity. Returns null if the field cannot be translated or the
+ * entity has no GTFS ID to reference.
+ */
+export function getTranslationRecord (
+  component: string,
+  entity: any,
+  fieldName: string
+): ?TranslationRecord {
+  const tableName = TRANSLATION_TABLE_NAMES[component]
+  const recordId = entity && entity[getEntityIdField(component)]
+  if (!tableName || !recordId) return null
+  return {fieldName, recordId, tableName}
+}
+
+/**
+ * Get the spec field for an editor component if the field is translatable
+ * (i.e., has translatable: true in gtfs.yml).
+ */
+export function getTranslatableField (component: string, fieldName: string): ?Field {
+  const table = getEditorTable(component)
+  const field = table && table.fields.find(f => f.name === fieldName)
+  return field && field.translatable ? field : null
+}
+
+/**
+ * Get the translations that apply to the field of a particular record.
+ */
+export function getRecordTranslations<T: {field_name: string, record_id: ?string, table_name: string}> (
+  translations: Array<T>,
+  record: TranslationRecord
+): Array<T> {
+  return translations.filter(t =>
+    t.table_name === record.tableName &&
+    t.field_name === record.fieldName &&
+    t.record_id === record.recordId
+  )
+}
+
+/**
+ * Check a translation's language against the feed language (feed_lang) and
+ * the other translations for the same value. Returns the reason the language
+ * is invalid or null if it is valid.
+ */
+export function getTranslationLanguageIssue (
+  translation: {
+    +field_name: string,
+    +field_value?: ?string,
+    +id: number,
+    +language: ?string,
+    +record_id?: ?string,
+    +table_name: string
+  },
+  translations: Array<GtfsTranslation>,
+  feedLang: ?string
+): ?string {
+  const {language} = translation
+  if (!language) return null
+  if (!feedLang) {
+    return 'Feed language (feed_lang in feed info) must be defined for translations.'
+  }
+  if (feedLang !== MULTIPLE_LANGUAGES && language.toLowerCase() === feedLang.toLowerCase()) {
+    return `Language matches feed language (${feedLang}). Edit the original value instead.`
+  }
+  const isDuplicate = translations.some(t =>
+    t.id !== translation.id &&
+    t.table_name === translation.table_name &&
+    t.field_name === translation.field_name &&
+    (t.record_id || '') === (translation.record_id || '') &&
+    (t.field_value || '') === (translation.field_value || '') &&
+    t.language === language
+  )
+  return isDuplicate
+    ? `A translation for language ${language} already exists for this value.`
+    : null
+}
@@ -43,6 +43,22 @@ export const GTFS_ICONS = [
     title: 'Edit stops',
     label: 'Stops'
   },
+  {
+    id: 'level',
+    tableName: 'levels',
+    icon: 'server',
+    addable: true,
+    title: 'Edit station levels',
+    label: 'Levels'
+  },
+  {
+    id: 'pathway',
+    tableName: 'pathways',
+    icon: 'exchange',
+    addable: true,
+    title: 'Edit station pathways',
+    label: 'Pathways'
+  },
   {
     id: 'calendar',
     tableName: 'calendar',
@@ -67,5 +83,53 @@ export const GTFS_ICONS = [
     addable: true,
     title: 'Edit fares',
     label: 'Fares'
+  },
+  {
+    id: 'faremedia',
+    tableName: 'fare_media',
+    icon: 'credit-card',
+    addable: true,
+    title: 'Edit fare media',
+    label: 'Fare Media'
+  },
+  {
+    id: 'fareproduct',
+    tableName: 'fare_products',
+    icon: 'tags',
+    addable: true,
+    title: 'Edit fare products',
+    label: 'Fare Products'
+  },
+  {
+    id: 'area',
+    tableName: 'areas',
+    icon: 'object-group',
+    addable: true,
+    title: 'Edit fare areas',
+    label: 'Fare Areas'
+  },
+  {
+    id: 'farelegrule',
+    tableName: 'fare_leg_rules',
+    icon: 'map-signs',
+    addable: true,
+    title: 'Edit fare leg rules',
+    label: 'Fare Leg Rules'
+  },
+  {
+    id: 'faretransferrule',
+    tableName: 'fare_transfer_rules',
+    icon: 'random',
+    addable: true,
+    title: 'Edit fare transfer rules',
+    label: 'Fare Transfer Rules'
+  },
+  {
+    id: 'translation',
+    tableName: 'translations',
+    icon: 'language',
+    addable: true,
+    title: 'Edit translations',
+    label: 'Translations'
   }
 ]
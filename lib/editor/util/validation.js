@@ -4,7 +4,10 @@ import clone from 'lodash/cloneDeep'
 import moment from 'moment'
 import validator from 'validator'
 
+import {getFareReferenceIssue, getFareTransferRuleIssue} from './fares'
 import {getTableById} from './gtfs'
+import {getParentStationIssue, getPathwayStopIssue} from './stations'
+import {getTranslationLanguageIssue} from './translations'
 
 import type {Entity, Field, ScheduleException} from '../../types'
 import type {EditorTables} from '../../types/reducers'
@@ -80,6 +83,12 @@ export function validate (
     }
   }
 
+  if (entity && typeof (entity: any).fare_transfer_type !== 'undefined') {
+    // Some fare transfer rule fields are conditionally required/forbidden.
+    const transferIssue = getFareTransferRuleIssue((entity: any), name)
+    if (transferIssue) return {field: name, invalid: true, reason: transferIssue}
+  }
+
   switch (inputType) {
     case 'GTFS_ID':
       // Indices contains list of all indexes of occurrences of the ID value.
@@ -167,6 +176,17 @@ export function validate (
     case 'LANGUAGE':
       if (isRequiredButEmpty) {
         return {field: name, invalid: isRequiredButEmpty, reason}
+      } else if (name === 'language' && entity && typeof (entity: any).table_name !== 'undefined') {
+        // Check translation language against feed language.
+        const feedInfo = getTableById(tableData, 'feedinfo')[0]
+        const languageIssue = getTranslationLanguageIssue(
+          (entity: any),
+          getTableById(tableData, 'translation'),
+          feedInfo && feedInfo.feed_lang
+        )
+        return languageIssue
+          ? {field: name, invalid: true, reason: languageIssue}
+          : false
       } else {
         return false
       }
@@ -234,6 +254,14 @@ export function validate (
         field.options.findIndex(o => o.value === '') === -1
       ) {
         return {field: name, invalid: isRequiredButEmpty, reason}
+      } else if (
+        name === 'is_bidirectional' &&
+        entity &&
+        // Exit gates (pathway_mode=7) may only be traversed in one direction.
+        +(entity: any).pathway_mode === 7 &&
+        +value === 1
+      ) {
+        return {field: name, invalid: true, reason: 'Exit gates must not be bidirectional.'}
       } else {
         return false
       }
@@ -312,8 +340,38 @@ export function validate (
       return false
     case 'POSITIVE_NUM':
       return checkPositiveNumber().result
+    case 'GTFS_STOP': {
+      if (isRequiredButEmpty) {
+        return {field: name, invalid: isRequiredButEmpty, reason}
+      }
+      let stopIssue = null
+      if (name === 'parent_station' && entity) {
+        // Check station hierarchy (the entities are the stops table).
+        stopIssue = getParentStationIssue((entity: any), value, (entities: any) || [])
+      } else if (entity && typeof (entity: any).pathway_id !== 'undefined') {
+        const pathway = (entity: any)
+        stopIssue = name === 'to_stop_id' && value && value === pathway.from_stop_id
+          ? 'Pathway must connect two different stops.'
+          : getPathwayStopIssue(value, getTableById(tableData, 'stop'))
+      }
+      return stopIssue
+        ? {field: name, invalid: true, reason: stopIssue}
+        : false
+    }
+    case 'GTFS_AREA':
+    case 'GTFS_FARE_MEDIA':
+    case 'GTFS_FARE_PRODUCT':
+    case 'GTFS_LEG_GROUP':
+    case 'GTFS_NETWORK': {
+      if (isRequiredButEmpty) {
+        return {field: name, invalid: isRequiredButEmpty, reason}
+      }
+      const referenceIssue = getFareReferenceIssue(inputType, value, tableData)
+      return referenceIssue
+        ? {field: name, invalid: true, reason: referenceIssue}
+        : false
+    }
     case 'GTFS_ROUTE':
-    case 'GTFS_STOP':
     case 'DATE':
     case 'COLOR':
     default:
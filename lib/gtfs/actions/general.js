@@ -3,12 +3,19 @@
 import {fetchGraphQL} from '../../common/actions'
 import {createAction, type ActionType} from 'redux-actions'
 
+import fileDownload from '../../common/util/file-download'
 import { getFeedId } from '../../common/util/modules'
 import {mapPatternShape} from '../../editor/util/gtfs'
 import {getActiveProject} from '../../manager/selectors'
-import { stopsAndRoutes, patternsAndStopsForBoundingBox } from '../util/graphql'
+import {getGeographyExport} from '../util/geography'
+import {
+  geographyForExport,
+  stopsAndRoutes,
+  patternsAndStopsForBoundingBox
+} from '../util/graphql'
 
 import type {Feed, GtfsStop} from '../../types'
+import type {GeographyFormat} from '../util/geography'
 import type {dispatchFn, getStateFn, ValidationPattern} from '../../types/reducers'
 
 const receivedGtfsElements = createAction(
@@ -147,3 +154,26 @@ export function refreshGtfsElements (feeds: Array<Feed>, entities: Array<any>) {
       })
   }
 }
+
+/**
+ * Download the stops and pattern shapes for the GTFS namespace (an editor
+ * buffer or a feed version) as a GeoJSON or KML file for use in GIS software.
+ */
+export function exportGeography (
+  namespace: string,
+  name: string,
+  format: GeographyFormat
+) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    return dispatch(fetchGraphQL({
+      query: geographyForExport,
+      variables: {namespace},
+      errorMessage: 'Could not fetch stops and shapes for export'
+    }))
+      .then(data => {
+        if (!data) return
+        const {data: fileData, fileName, type} = getGeographyExport(data.feed, name, format)
+        fileDownload(fileData, fileName, type)
+      })
+  }
+}
@@ -248,6 +248,7 @@ export default class GtfsMap extends Component<Props, State> {
       disableScroll,
       feeds,
       height,
+      highlightedShapes,
       isochroneBand,
       mapState,
       newEntityId,
@@ -397,6 +398,20 @@ export default class GtfsMap extends Component<Props, State> {
               weight={2}
               positions={shape} />
           )}
+
+        {/* Highlighted shapes (e.g., route segments affected by an alert) */}
+        {highlightedShapes && highlightedShapes.length > 0 &&
+          <FeatureGroup>
+            {highlightedShapes.map((shape, index) =>
+              <Polyline
+                color='#d9534f'
+                key={index}
+                opacity={0.6}
+                weight={6}
+                positions={shape} />
+            )}
+          </FeatureGroup>
+        }
       </Map>
     )
   }
@@ -17,6 +17,7 @@ import type {AppState, MapState, ManagerUserState} from '../../types/reducers'
 
 type Props = {
   feeds: Array<Feed>,
+  highlightedShapes?: Array<Array<[number, number]>>,
   mapState?: MapState,
   newEntityId?: number,
   onRouteClick?: (GtfsRoute, any, ?number) => any,
@@ -121,6 +122,7 @@ class GtfsMapSearch extends Component<Props, State> {
   render () {
     const {
       feeds,
+      highlightedShapes,
       mapState,
       placeholder,
       onStopClick,
@@ -162,6 +164,7 @@ class GtfsMapSearch extends Component<Props, State> {
         <ActiveGtfsMap
           feeds={feeds}
           height={400}
+          highlightedShapes={highlightedShapes}
           newEntityId={newEntityId}
           onRouteClick={onRouteClick}
           onStopClick={onStopClick}
@@ -23,6 +23,7 @@ export type Props = {
   entities?: Array<string>,
   feeds?: Array<Feed>,
   height: number, // only px
+  highlightedShapes?: Array<Array<[number, number]>>, // e.g., segments affected by an alert
   isochroneBand?: number,
   newEntityId?: number,
   onRouteClick?: (GtfsRoute, Feed, ?number) => void,
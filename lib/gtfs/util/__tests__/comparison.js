@@ -0,0 +1,99 @@
+// @flow
+
+import {
+  compareFeeds,
+  diffEntities,
+  getServiceSpanChange,
+  getTripCountChanges
+} from '../comparison'
+
+const makeStop = (stopId: string, lat: number, lon: number, name: string = stopId) => ({
+  stop_id: stopId,
+  stop_lat: lat,
+  stop_lon: lon,
+  stop_name: name
+})
+
+const makeFeed = (overrides: any = {}): any => ({
+  calendar: [],
+  patterns: [],
+  routes: [],
+  stops: [],
+  trip_counts: {route_id: []},
+  ...overrides
+})
+
+describe('gtfs > util > comparison >', () => {
+  it('diffEntities should find added, modified and removed entities', () => {
+    const base = [
+      {route_id: '1', route_short_name: '1'},
+      {route_id: '2', route_short_name: '2'}
+    ]
+    const compared = [
+      {route_id: '2', route_short_name: '2X'},
+      {route_id: '3', route_short_name: '3'}
+    ]
+    const diff = diffEntities(base, compared, r => r.route_id, ['route_short_name'])
+    expect(diff.added.map(r => r.route_id)).toEqual(['3'])
+    expect(diff.removed.map(r => r.route_id)).toEqual(['1'])
+    expect(diff.modified).toEqual([{
+      base: base[1],
+      compared: compared[0],
+      fields: ['route_short_name']
+    }])
+  })
+
+  it('compareFeeds should match patterns by stop sequence and find moved stops', () => {
+    const pattern = (patternId, stopIds) => ({
+      name: 'Pattern',
+      pattern_id: patternId,
+      route_id: 'r1',
+      shape: [],
+      shape_id: null,
+      stops: stopIds.map(stopId => ({stop_id: stopId}))
+    })
+    const base = makeFeed({
+      patterns: [pattern('1', ['a', 'b']), pattern('2', ['b', 'a'])],
+      stops: [makeStop('a', 45, -122), makeStop('b', 45.1, -122)]
+    })
+    const compared = makeFeed({
+      // Pattern IDs differ between versions.
+      patterns: [pattern('10', ['a', 'b']), pattern('11', ['b', 'c'])],
+      stops: [makeStop('a', 45.001, -122), makeStop('b', 45.1, -122, 'B')]
+    })
+    const comparison = compareFeeds(base, compared)
+    expect(comparison.patterns.modified).toEqual([])
+    expect(comparison.patterns.added.map(p => p.pattern_id)).toEqual(['11'])
+    expect(comparison.patterns.removed.map(p => p.pattern_id)).toEqual(['2'])
+    expect(comparison.stops.modified.length).toEqual(2)
+    expect(comparison.movedStops.length).toEqual(1)
+    expect(comparison.movedStops[0].base.stop_id).toEqual('a')
+    expect(Math.round(comparison.movedStops[0].distance)).toEqual(111)
+  })
+
+  it('getTripCountChanges should sort routes by largest change', () => {
+    const base = makeFeed({
+      routes: [{route_id: 'r1', route_short_name: '1', route_long_name: 'Main'}],
+      trip_counts: {route_id: [{type: 'r1', count: 10}, {type: 'r2', count: 5}]}
+    })
+    const compared = makeFeed({
+      trip_counts: {route_id: [{type: 'r1', count: 12}, {type: 'r3', count: 4}]}
+    })
+    expect(getTripCountChanges(base, compared)).toEqual([
+      {base: 5, compared: 0, delta: -5, name: 'r2', routeId: 'r2'},
+      {base: 0, compared: 4, delta: 4, name: 'r3', routeId: 'r3'},
+      {base: 10, compared: 12, delta: 2, name: '1 Main', routeId: 'r1'}
+    ])
+  })
+
+  it('getServiceSpanChange should get change in days', () => {
+    expect(getServiceSpanChange(
+      {endDate: '20180331', startDate: '20180101'},
+      {endDate: '20180630', startDate: '20180101'}
+    )).toEqual({endDays: 91, startDays: 0})
+    expect(getServiceSpanChange(
+      {endDate: null, startDate: null},
+      {endDate: '20180630', startDate: '20180101'}
+    )).toEqual({endDays: null, startDays: null})
+  })
+})
@@ -0,0 +1,72 @@
+// @flow
+
+import {feedToGeoJson, geoJsonToKml, getGeographyExport} from '../geography'
+
+const makeShapePoint = (lat: number, lon: number, sequence: number) => ({
+  shapePtLat: lat,
+  shapePtLon: lon,
+  shapePtSequence: sequence
+})
+
+const feed: any = {
+  patterns: [{
+    direction_id: 0,
+    name: 'Downtown',
+    pattern_id: 'p1',
+    route_id: 'r1',
+    // Out of order to check sorting by sequence
+    shape: [makeShapePoint(45.6, -122.5, 1), makeShapePoint(45.5, -122.6, 0)],
+    shape_id: 's1'
+  }, {
+    direction_id: 1,
+    name: 'No shape',
+    pattern_id: 'p2',
+    route_id: 'r1',
+    shape: [],
+    shape_id: null
+  }],
+  routes: [{
+    route_color: '3366CC',
+    route_id: 'r1',
+    route_long_name: 'Main Street',
+    route_short_name: '1'
+  }],
+  stops: [{
+    stop_id: 'a',
+    stop_lat: 45.5,
+    stop_lon: -122.6,
+    stop_name: 'Main & 1st <North>'
+  }]
+}
+
+describe('gtfs > util > geography >', () => {
+  it('feedToGeoJson should include pattern shapes and stops', () => {
+    const geojson = feedToGeoJson(feed)
+    expect(geojson.features.length).toEqual(2)
+    const [pattern, stop] = geojson.features
+    expect(pattern.geometry.coordinates).toEqual([[-122.6, 45.5], [-122.5, 45.6]])
+    expect(pattern.properties.route_name).toEqual('1 Main Street')
+    expect(pattern.properties.stroke).toEqual('#3366CC')
+    expect(pattern.properties.shape).toBeUndefined()
+    expect(stop.geometry.coordinates).toEqual([-122.6, 45.5])
+    expect(stop.properties.stop_name).toEqual('Main & 1st <North>')
+  })
+
+  it('geoJsonToKml should escape names and style lines by color', () => {
+    const kml = geoJsonToKml(feedToGeoJson(feed), 'Feed & Co')
+    expect(kml).toContain('<name>Feed &amp; Co</name>')
+    expect(kml).toContain('<color>ffcc6633</color>')
+    expect(kml).toContain('<name>Main &amp; 1st &lt;North&gt;</name>')
+    expect(kml).toContain('<coordinates>-122.6,45.5 -122.5,45.6</coordinates>')
+    const doc = new window.DOMParser().parseFromString(kml, 'text/xml')
+    expect(doc.getElementsByTagName('parsererror').length).toEqual(0)
+    expect(doc.getElementsByTagName('Placemark').length).toEqual(2)
+  })
+
+  it('getGeographyExport should name files for the format', () => {
+    const geojsonExport = getGeographyExport(feed, 'My feed: v1', 'geojson')
+    expect(geojsonExport.fileName).toEqual('My_feed_v1.geojson')
+    expect(JSON.parse(geojsonExport.data).type).toEqual('FeatureCollection')
+    expect(getGeographyExport(feed, 'My feed', 'kml').fileName).toEqual('My_feed.kml')
+  })
+})
@@ -0,0 +1,119 @@
+// @flow
+
+import {
+  compareService,
+  getPatternRunningTime,
+  getTripDepartures,
+  hasRouteServiceChanged,
+  summarizeRouteService
+} from '../serviceChange'
+
+const HOUR = 3600
+
+const WEEKDAY = {
+  friday: 1,
+  monday: 1,
+  saturday: 0,
+  service_id: 'weekday',
+  sunday: 0,
+  thursday: 1,
+  tuesday: 1,
+  wednesday: 1
+}
+
+const SATURDAY = {...WEEKDAY, friday: 0, monday: 0, saturday: 1, service_id: 'saturday', thursday: 0, tuesday: 0, wednesday: 0}
+
+// Make a trip departing at the start time (only the first stop time is
+// fetched for trips).
+const makeTrip = (start: number, props: Object = {}): any => ({
+  frequencies: [],
+  service_id: 'weekday',
+  stop_times: [{arrival_time: start, departure_time: start}],
+  ...props
+})
+
+// Make a pattern with a half-hour running time.
+const makePattern = (routeId: string, trips: Array<any>, props: Object = {}): any => ({
+  direction_id: 0,
+  route_id: routeId,
+  sample_trips: [{
+    stop_times: [
+      {arrival_time: 0, departure_time: 0},
+      {arrival_time: HOUR / 2, departure_time: HOUR / 2}
+    ]
+  }],
+  trips,
+  ...props
+})
+
+const makeFeed = (overrides: any = {}): any => ({
+  calendar: [WEEKDAY, SATURDAY],
+  patterns: [],
+  routes: [{route_id: '1', route_long_name: 'Main St', route_short_name: '1'}],
+  stops: [],
+  ...overrides
+})
+
+describe('gtfs > util > serviceChange >', () => {
+  it('getTripDepartures should expand frequency-based trips', () => {
+    expect(getTripDepartures(makeTrip(7 * HOUR))).toEqual([7 * HOUR])
+    const frequencyTrip = makeTrip(0, {
+      frequencies: [{end_time: 8 * HOUR, headway_secs: 20 * 60, start_time: 7 * HOUR}]
+    })
+    expect(getTripDepartures(frequencyTrip).length).toEqual(3)
+  })
+
+  it('getPatternRunningTime should use the sample trip', () => {
+    expect(getPatternRunningTime(makePattern('1', []))).toEqual(HOUR / 2)
+    expect(getPatternRunningTime(makePattern('1', [], {sample_trips: []}))).toEqual(0)
+  })
+
+  it('summarizeRouteService should compute weekly totals, span and headway', () => {
+    const calendarsById = {saturday: SATURDAY, weekday: WEEKDAY}
+    const summary = summarizeRouteService([
+      makePattern('1', [
+        makeTrip(7 * HOUR),
+        makeTrip(7 * HOUR + 15 * 60),
+        makeTrip(7 * HOUR + 45 * 60),
+        makeTrip(9 * HOUR, {service_id: 'saturday'})
+      ]),
+      makePattern('1', [makeTrip(7 * HOUR + 5 * 60)], {direction_id: 1})
+    ], calendarsById)
+    expect(summary.weeklyTrips).toEqual(4 * 5 + 1)
+    expect(summary.weeklyHours).toEqual(10.5)
+    expect(summary.spanStart).toEqual(7 * HOUR)
+    expect(summary.spanEnd).toEqual(9.5 * HOUR)
+    // Gaps of 15 and 30 minutes in direction 0 (direction 1 has one trip).
+    expect(summary.headway).toEqual(22.5 * 60)
+    expect(summary.tripsPerHour[7]).toEqual(4)
+    expect(summary.tripsPerHour[9]).toEqual(0)
+  })
+
+  it('compareService should compare routes and find removed stops', () => {
+    const base = makeFeed({
+      routes: [
+        {route_id: '1', route_long_name: 'Main St', route_short_name: '1'},
+        {route_id: '2', route_long_name: null, route_short_name: '2'}
+      ],
+      stops: [{stop_id: 'a', stop_name: 'A'}, {stop_id: 'b', stop_name: 'B'}],
+      patterns: [makePattern('1', [makeTrip(7 * HOUR)]), makePattern('2', [makeTrip(8 * HOUR)])]
+    })
+    const compared = makeFeed({
+      patterns: [
+        makePattern('1', [makeTrip(7 * HOUR), makeTrip(8 * HOUR)]),
+        // Patterns without trips do not add routes to the report.
+        makePattern('2', [])
+      ],
+      stops: [{stop_id: 'a', stop_name: 'A'}]
+    })
+    const report = compareService(base, compared)
+    expect(report.removedStops).toEqual([{stop_id: 'b', stop_name: 'B'}])
+    expect(report.routes.map(r => r.name)).toEqual(['1 Main St', '2'])
+    expect(report.routes[1].compared).toBeNull()
+    expect(report.totals.base.weeklyTrips).toEqual(10)
+    expect(report.totals.compared.weeklyTrips).toEqual(10)
+    expect(report.routes[0].compared && report.routes[0].compared.headway).toEqual(HOUR)
+    expect(report.routes.map(hasRouteServiceChanged)).toEqual([true, true])
+    expect(hasRouteServiceChanged({...report.routes[0], base: report.routes[0].compared})).toBe(false)
+  })
+})
@@ -0,0 +1,253 @@
+// @flow
+
+import distance from '@turf/distance'
+import isEqual from 'lodash/isEqual'
+import moment from 'moment'
+
+// Minimal shapes of the GTFS entities fetched with the feedComparison query
+// (see ./graphql).
+type ComparisonCalendar = {
+  end_date: string,
+  service_id: string,
+  start_date: string
+}
+
+type ComparisonPattern = {
+  name: string,
+  pattern_id: string,
+  route_id: string,
+  shape: Array<{lat: number, lon: number}>,
+  shape_id: ?string,
+  stops: Array<{stop_id: string}>
+}
+
+type ComparisonRoute = {
+  route_id: string,
+  route_long_name: ?string,
+  route_short_name: ?string
+}
+
+type ComparisonStop = {
+  stop_id: string,
+  stop_lat: number,
+  stop_lon: number,
+  stop_name: string
+}
+
+export type ComparisonFeed = {
+  calendar: Array<ComparisonCalendar>,
+  patterns: Array<ComparisonPattern>,
+  routes: Array<ComparisonRoute>,
+  stops: Array<ComparisonStop>,
+  trip_counts: {
+    route_id: Array<{count: number, type: string}>
+  }
+}
+
+export type EntityChange<T> = {
+  base: T,
+  compared: T,
+  fields: Array<string>
+}
+
+export type EntityDiff<T> = {
+  added: Array<T>,
+  modified: Array<EntityChange<T>>,
+  removed: Array<T>
+}
+
+export type MovedStop = {
+  base: ComparisonStop,
+  compared: ComparisonStop,
+  distance: number
+}
+
+export type ServiceSpan = {
+  endDate: ?string,
+  startDate: ?string
+}
+
+export type TripCountChange = {
+  base: number,
+  compared: number,
+  delta: number,
+  name: string,
+  routeId: string
+}
+
+export type FeedComparison = {
+  calendars: EntityDiff<ComparisonCalendar>,
+  movedStops: Array<MovedStop>,
+  patterns: EntityDiff<ComparisonPattern>,
+  routes: EntityDiff<ComparisonRoute>,
+  serviceSpan: {base: ServiceSpan, compared: ServiceSpan},
+  stops: EntityDiff<ComparisonStop>,
+  tripCounts: Array<TripCountChange>
+}
+
+export const ROUTE_FIELDS = [
+  'route_short_name',
+  'route_long_name',
+  'route_desc',
+  'route_type',
+  'route_color',
+  'route_text_color'
+]
+
+export const STOP_FIELDS = [
+  'stop_name',
+  'stop_code',
+  'stop_lat',
+  'stop_lon',
+  'location_type',
+  'parent_station',
+  'wheelchair_boarding',
+  'zone_id'
+]
+
+export const CALENDAR_FIELDS = [
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+  'sunday',
+  'start_date',
+  'end_date'
+]
+
+const PATTERN_FIELDS = ['name', 'shape']
+
+/**
+ * Compare two lists of entities, matching entities using the key function.
+ * Matched entities are considered modified if any of the fields differ.
+ */
+export function diffEntities<T: {}> (
+  baseEntities: Array<T>,
+  comparedEntities: Array<T>,
+  getKey: T => string,
+  fields: Array<string>
+): EntityDiff<T> {
+  const baseByKey: {[string]: T} = {}
+  baseEntities.forEach(e => { baseByKey[getKey(e)] = e })
+  const comparedKeys = {}
+  const added = []
+  const modified = []
+  comparedEntities.forEach(compared => {
+    const key = getKey(compared)
+    comparedKeys[key] = true
+    const base = baseByKey[key]
+    if (!base) {
+      added.push(compared)
+      return
+    }
+    const changedFields = fields.filter(f => !isEqual(base[f], compared[f]))
+    if (changedFields.length > 0) modified.push({base, compared, fields: changedFields})
+  })
+  const removed = baseEntities.filter(e => !comparedKeys[getKey(e)])
+  return {added, modified, removed}
+}
+
+/**
+ * Patterns IDs are generated when a feed is loaded, so patterns are matched
+ * across versions by route and stop sequence.
+ */
+export function getPatternKey (pattern: ComparisonPattern): string {
+  return `${pattern.route_id}:${pattern.stops.map(s => s.stop_id).join(',')}`
+}
+
+/**
+ * Get the earliest start date and latest end date (YYYYMMDD) of the calendars.
+ */
+export function getCalendarServiceSpan (calendars: Array<ComparisonCalendar>): ServiceSpan {
+  const startDates = calendars.map(c => c.start_date).filter(Boolean).sort()
+  const endDates = calendars.map(c => c.end_date).filter(Boolean).sort()
+  return {
+    endDate: endDates.length > 0 ? endDates[endDates.length - 1] : null,
+    startDate: startDates.length > 0 ? startDates[0] : null
+  }
+}
+
+/**
+ * Get the change (in days) of the start and end dates of the service span.
+ */
+export function getServiceSpanChange (
+  base: ServiceSpan,
+  compared: ServiceSpan
+): {endDays: ?number, startDays: ?number} {
+  const diffDays = (a, b) => a && b ? moment(b).diff(moment(a), 'days') : null
+  return {
+    endDays: diffDays(base.endDate, compared.endDate),
+    startDays: diffDays(base.startDate, compared.startDate)
+  }
+}
+
+/**
+ * Get the display name for a route (falling back to the route ID).
+ */
+export function getRouteName (route: ?ComparisonRoute, routeId: string): string {
+  if (!route) return routeId
+  return [route.route_short_name, route.route_long_name].filter(Boolean).join(' ') || routeId
+}
+
+/**
+ * Get the trip count for each route in either feed and the change between
+ * the feeds (sorted by largest absolute change).
+ */
+export function getTripCountChanges (base: ComparisonFeed, compared: ComparisonFeed): Array<TripCountChange> {
+  const countsByRoute = (feed: ComparisonFeed) => {
+    const counts = {}
+    feed.trip_counts.route_id.forEach(c => { counts[c.type] = c.count })
+    return counts
+  }
+  const baseCounts = countsByRoute(base)
+  const comparedCounts = countsByRoute(compared)
+  const routeIds = Object.keys({...baseCounts, ...comparedCounts})
+  return routeIds
+    .map(routeId => {
+      const route = compared.routes.find(r => r.route_id === routeId) ||
+        base.routes.find(r => r.route_id === routeId)
+      const baseCount = baseCounts[routeId] || 0
+      const comparedCount = comparedCounts[routeId] || 0
+      return {
+        base: baseCount,
+        compared: comparedCount,
+        delta: comparedCount - baseCount,
+        name: getRouteName(route, routeId),
+        routeId
+      }
+    })
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.name.localeCompare(b.name))
+}
+
+/**
+ * Compare the GTFS entities of two feeds (the base feed is typically the older
+ * version).
+ */
+export function compareFeeds (base: ComparisonFeed, compared: ComparisonFeed): FeedComparison {
+  const stops = diffEntities(base.stops, compared.stops, s => s.stop_id, STOP_FIELDS)
+  const movedStops = stops.modified
+    .filter(change => change.fields.indexOf('stop_lat') !== -1 || change.fields.indexOf('stop_lon') !== -1)
+    .map(({base, compared}) => ({
+      base,
+      compared,
+      distance: distance(
+        [base.stop_lon, base.stop_lat],
+        [compared.stop_lon, compared.stop_lat],
+        {units: 'meters'}
+      )
+    }))
+  return {
+    calendars: diffEntities(base.calendar, compared.calendar, c => c.service_id, CALENDAR_FIELDS),
+    movedStops,
+    patterns: diffEntities(base.patterns, compared.patterns, getPatternKey, PATTERN_FIELDS),
+    routes: diffEntities(base.routes, compared.routes, r => r.route_id, ROUTE_FIELDS),
+    serviceSpan: {
+      base: getCalendarServiceSpan(base.calendar),
+      compared: getCalendarServiceSpan(compared.calendar)
+    },
+    stops,
+    tripCounts: getTripCountChanges(base, compared)
+  }
+}
@@ -0,0 +1,175 @@
+// @flow
+
+import {shapePointsToSimpleCoordinates} from '../../editor/util/map'
+
+import type {ShapePoint} from '../../types'
+
+export type GeographyFormat = 'geojson' | 'kml'
+
+// Minimal shapes of the GTFS entities fetched with the geographyForExport
+// query (see ./graphql).
+type GeographyPattern = {
+  direction_id: ?number,
+  name: ?string,
+  pattern_id: string,
+  route_id: string,
+  shape: Array<ShapePoint>,
+  shape_id: ?string
+}
+
+type GeographyRoute = {
+  route_color: ?string,
+  route_id: string,
+  route_long_name: ?string,
+  route_short_name: ?string
+}
+
+type GeographyStop = {
+  stop_id: string,
+  stop_lat: number,
+  stop_lon: number,
+  stop_name: ?string
+}
+
+export type GeographyFeed = {
+  patterns: Array<GeographyPattern>,
+  routes: Array<GeographyRoute>,
+  stops: Array<GeographyStop>
+}
+
+// Line color for routes without a route_color (the GTFS default of white is not
+// visible on most base maps).
+const DEFAULT_ROUTE_COLOR = '#000000'
+
+const MIME_TYPES = {
+  geojson: 'application/geo+json',
+  kml: 'application/vnd.google-earth.kml+xml'
+}
+
+const getRouteName = (route: ?GeographyRoute) => route
+  ? [route.route_short_name, route.route_long_name].filter(Boolean).join(' ')
+  : ''
+
+const getRouteColor = (route: ?GeographyRoute) =>
+  route && route.route_color ? `#${route.route_color}` : DEFAULT_ROUTE_COLOR
+
+/**
+ * Convert the stops and pattern shapes of a feed into a GeoJSON
+ * FeatureCollection. Stop features include all of the stop fields. Pattern
+ * features include the pattern and route fields along with a stroke color
+ * (from the route color) for styling. Patterns without shapes are skipped.
+ */
+export function feedToGeoJson (feed: GeographyFeed): any {
+  const routesById = {}
+  feed.routes.forEach(route => { routesById[route.route_id] = route })
+  const patternFeatures = feed.patterns
+    .filter(pattern => pattern.shape && pattern.shape.length > 1)
+    .map(pattern => {
+      const route = routesById[pattern.route_id]
+      const {shape, ...patternFields} = pattern
+      const shapePoints = [...shape]
+        .sort((a, b) => a.shapePtSequence - b.shapePtSequence)
+      return {
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: shapePointsToSimpleCoordinates(shapePoints)
+        },
+        properties: {
+          ...route,
+          ...patternFields,
+          route_name: getRouteName(route),
+          stroke: getRouteColor(route),
+          type: 'pattern'
+        }
+      }
+    })
+  const stopFeatures = feed.stops
+    .filter(stop => typeof stop.stop_lat === 'number' && typeof stop.stop_lon === 'number')
+    .map(stop => ({
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: [stop.stop_lon, stop.stop_lat]
+      },
+      properties: {...stop, type: 'stop'}
+    }))
+  return {
+    type: 'FeatureCollection',
+    features: [...patternFeatures, ...stopFeatures]
+  }
+}
+
+const escapeXml = (value: any): string => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+// KML colors are ordered alpha, blue, green, red.
+const toKmlColor = (hexColor: string) => {
+  const hex = hexColor.replace('#', '')
+  return `ff${hex.substr(4, 2)}${hex.substr(2, 2)}${hex.substr(0, 2)}`.toLowerCase()
+}
+
+const toKmlCoordinates = (coordinates: Array<[number, number]>) =>
+  coordinates.map(c => `${c[0]},${c[1]}`).join(' ')
+
+/**
+ * Convert a GeoJSON FeatureCollection produced by feedToGeoJson into a KML
+ * document. Feature properties are written as extended data and pattern lines
+ * are styled with their stroke color.
+ */
+export function geoJsonToKml (geojson: any, name: string): string {
+  const colors = []
+  const placemarks = geojson.features.map(feature => {
+    const {properties} = feature
+    const isStop = feature.geometry.type === 'Point'
+    const placemarkName = isStop
+      ? properties.stop_name || properties.stop_id
+      : properties.name || properties.pattern_id
+    let styleUrl = ''
+    if (!isStop) {
+      if (colors.indexOf(properties.stroke) === -1) colors.push(properties.stroke)
+      styleUrl = `<styleUrl>#line-${colors.indexOf(properties.stroke)}</styleUrl>`
+    }
+    const data = Object.keys(properties)
+      .filter(key => properties[key] !== null && properties[key] !== undefined)
+      .map(key => `<Data name="${escapeXml(key)}"><value>${escapeXml(properties[key])}</value></Data>`)
+      .join('')
+    const geometry = isStop
+      ? `<Point><coordinates>${toKmlCoordinates([feature.geometry.coordinates])}</coordinates></Point>`
+      : `<LineString><coordinates>${toKmlCoordinates(feature.geometry.coordinates)}</coordinates></LineString>`
+    return `<Placemark><name>${escapeXml(placemarkName)}</name>${styleUrl}<ExtendedData>${data}</ExtendedData>${geometry}</Placemark>`
+  })
+  const styles = colors.map((color, i) =>
+    `<Style id="line-${i}"><LineStyle><color>${toKmlColor(color)}</color><width>3</width></LineStyle></Style>`
+  )
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    `<Document><name>${escapeXml(name)}</name>`,
+    ...styles,
+    ...placemarks,
+    '</Document>',
+    '</kml>'
+  ].join('\n')
+}
+
+/**
+ * Get the file contents, file name and MIME type for exporting the feed
+ * geography in the format.
+ */
+export function getGeographyExport (
+  feed: GeographyFeed,
+  name: string,
+  format: GeographyFormat
+): {data: string, fileName: string, type: string} {
+  const geojson = feedToGeoJson(feed)
+  const data = format === 'kml'
+    ? geoJsonToKml(geojson, name)
+    : JSON.stringify(geojson)
+  const fileName = `${name.replace(/[^a-zA-Z0-9-_]+/g, '_')}.${format}`
+  return {data, fileName, type: MIME_TYPES[format]}
+}
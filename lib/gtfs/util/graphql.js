@@ -71,6 +71,117 @@ query routeDetailsQuery(
 }
 `
 
+// Entities compared between feed versions (see ./comparison).
+export const feedComparison = `
+query feedComparisonQuery($namespace: String) {
+  feed(namespace: $namespace) {
+    calendar (limit: -1) {
+      service_id
+      monday
+      tuesday
+      wednesday
+      thursday
+      friday
+      saturday
+      sunday
+      start_date
+      end_date
+    }
+    patterns (limit: -1) {
+      pattern_id
+      route_id
+      name
+      shape_id
+      shape (limit: -1) {
+        lat: shape_pt_lat
+        lon: shape_pt_lon
+      }
+      stops (limit: -1) {
+        stop_id
+      }
+    }
+    routes (limit: -1) {
+      route_id
+      route_short_name
+      route_long_name
+      route_desc
+      route_type
+      route_color
+      route_text_color
+    }
+    stops (limit: -1) {
+      stop_id
+      stop_name
+      stop_code
+      stop_lat
+      stop_lon
+      location_type
+      parent_station
+      wheelchair_boarding
+      zone_id
+    }
+    trip_counts {
+      route_id {
+        type
+        count
+      }
+    }
+  }
+}
+`
+
+// Entities summarized for the service change report (see ./serviceChange). To
+// avoid fetching every stop time in the feed, only the first stop time of each
+// trip is fetched (for its departure) along with the stop times of a single
+// trip per pattern (for the pattern's running time).
+export const serviceSummary = `
+query serviceSummaryQuery($namespace: String) {
+  feed(namespace: $namespace) {
+    calendar (limit: -1) {
+      service_id
+      monday
+      tuesday
+      wednesday
+      thursday
+      friday
+      saturday
+      sunday
+    }
+    routes (limit: -1) {
+      route_id
+      route_short_name
+      route_long_name
+    }
+    stops (limit: -1) {
+      stop_id
+      stop_name
+    }
+    patterns (limit: -1) {
+      direction_id
+      route_id
+      sample_trips: trips (limit: 1) {
+        stop_times (limit: -1) {
+          arrival_time
+          departure_time
+        }
+      }
+      trips (limit: -1) {
+        service_id
+        frequencies {
+          start_time
+          end_time
+          headway_secs
+        }
+        stop_times (limit: 1) {
+          arrival_time
+          departure_time
+        }
+      }
+    }
+  }
+}
+`
+
 export const patternsForRoute = `
 query patternsForRouteQuery(
   $namespace: String,
@@ -83,6 +194,7 @@ query patternsForRouteQuery(
       route_long_name
       route_type
       patterns (limit: -1) {
+        direction_id,
         pattern_id,
         name,
         shape (limit: -1) {
@@ -210,6 +322,48 @@ query shapesQuery(
 }
 `
 
+// Stops, routes and pattern shapes for geographic (GeoJSON/KML) export. Shape
+// points are aliased to match editor shape points.
+export const geographyForExport = `
+query geographyForExportQuery($namespace: String) {
+  feed (namespace: $namespace) {
+    patterns (limit: -1) {
+      direction_id
+      name
+      pattern_id
+      route_id
+      shape_id
+      shape (limit: -1) {
+        shapePtLat: shape_pt_lat
+        shapePtLon: shape_pt_lon
+        shapePtSequence: shape_pt_sequence
+      }
+    }
+    routes (limit: -1) {
+      agency_id
+      route_color
+      route_id
+      route_long_name
+      route_short_name
+      route_text_color
+      route_type
+    }
+    stops (limit: -1) {
+      location_type
+      parent_station
+      stop_code
+      stop_desc
+      stop_id
+      stop_lat
+      stop_lon
+      stop_name
+      wheelchair_boarding
+      zone_id
+    }
+  }
+}
+`
+
 export const allStops = `
 query allStopsQuery($namespace: String) {
   stops(namespace: $namespace) {
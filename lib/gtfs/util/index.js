@@ -30,6 +30,16 @@ export function getEntityIdField (type: string): string {
       return 'service_id'
     case 'pattern':
       return 'pattern_id'
+    case 'level':
+      return 'level_id'
+    case 'pathway':
+      return 'pathway_id'
+    case 'faremedia':
+      return 'fare_media_id'
+    case 'fareproduct':
+      return 'fare_product_id'
+    case 'area':
+      return 'area_id'
     default:
       return ''
   }
@@ -101,6 +111,15 @@ export function getGraphQLFieldsForEntity (type: string, editor: boolean = false
           contains_id
         }
       `
+    case 'area':
+      return `
+        ${fields}
+        stop_areas (limit: -1) {
+          id
+          area_id
+          stop_id
+        }
+      `
     case 'pattern':
       return `
       shape_id
@@ -156,6 +175,22 @@ export function getEntityGraphQLRoot (type: string): string {
       return 'services'
     case 'pattern':
       return 'patterns'
+    case 'level':
+      return 'levels'
+    case 'pathway':
+      return 'pathways'
+    case 'translation':
+      return 'translations'
+    case 'faremedia':
+      return 'fare_media'
+    case 'fareproduct':
+      return 'fare_products'
+    case 'area':
+      return 'areas'
+    case 'farelegrule':
+      return 'fare_leg_rules'
+    case 'faretransferrule':
+      return 'fare_transfer_rules'
     default:
       return ''
   }
@@ -191,6 +226,24 @@ export function getEntityTableString (type: string): string {
       return 'services'
     case 'pattern':
       return 'patterns'
+    case 'level':
+      return 'level'
+    case 'pathway':
+      return 'pathway'
+    case 'translation':
+      return 'translation'
+    case 'faremedia':
+      return 'faremedia'
+    case 'fareproduct':
+      return 'fareproduct'
+    case 'area':
+      return 'area'
+    case 'stop_areas':
+      return 'stop_areas'
+    case 'farelegrule':
+      return 'farelegrule'
+    case 'faretransferrule':
+      return 'faretransferrule'
     default:
       console.warn(`No table ID found for entity type ${type}.`)
       return ''
@@ -0,0 +1,262 @@
+// @flow
+
+import {getRouteName} from './comparison'
+
+// Minimal shapes of the GTFS entities fetched with the serviceSummary query
+// (see ./graphql).
+type SummaryCalendar = {
+  friday: ?number,
+  monday: ?number,
+  saturday: ?number,
+  service_id: string,
+  sunday: ?number,
+  thursday: ?number,
+  tuesday: ?number,
+  wednesday: ?number
+}
+
+type SummaryStopTime = {arrival_time: ?number, departure_time: ?number}
+
+type SummaryTrip = {
+  frequencies: Array<{end_time: number, headway_secs: number, start_time: number}>,
+  service_id: string,
+  // Only the first stop time is fetched.
+  stop_times: Array<SummaryStopTime>
+}
+
+type SummaryPattern = {
+  direction_id: ?number,
+  route_id: string,
+  // A single trip with all of its stop times (used for the pattern's running
+  // time).
+  sample_trips: Array<{stop_times: Array<SummaryStopTime>}>,
+  trips: Array<SummaryTrip>
+}
+
+export type ServiceSummaryFeed = {
+  calendar: Array<SummaryCalendar>,
+  patterns: Array<SummaryPattern>,
+  routes: Array<{route_id: string, route_long_name: ?string, route_short_name: ?string}>,
+  stops: Array<{stop_id: string, stop_name: string}>
+}
+
+export type RouteServiceSummary = {
+  // Median time (in seconds) between weekday departures in the same direction
+  headway: ?number,
+  // Span of service (in seconds since midnight) across all days
+  spanEnd: ?number,
+  spanStart: ?number,
+  // Departures by hour of the day on a weekday
+  tripsPerHour: Array<number>,
+  weeklyHours: number,
+  weeklyTrips: number
+}
+
+export type RouteServiceChange = {
+  base: ?RouteServiceSummary,
+  compared: ?RouteServiceSummary,
+  name: string,
+  routeId: string
+}
+
+export type ServiceChangeReport = {
+  removedStops: Array<{stop_id: string, stop_name: string}>,
+  routes: Array<RouteServiceChange>,
+  totals: {
+    base: {weeklyHours: number, weeklyTrips: number},
+    compared: {weeklyHours: number, weeklyTrips: number}
+  }
+}
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+
+// Fields of the route summaries compared between feeds
+const SUMMARY_FIELDS = ['weeklyHours', 'weeklyTrips', 'spanStart', 'spanEnd', 'headway']
+
+// Day of the week used to represent weekday service (for headways and trips
+// per hour).
+const REPRESENTATIVE_WEEKDAY = 'wednesday'
+
+/**
+ * Get the departure times of each run of the trip (a frequency-based trip runs
+ * once per headway in each of its frequency windows).
+ */
+export function getTripDepartures (trip: SummaryTrip): Array<number> {
+  const first = trip.stop_times[0]
+  if (!first) return []
+  if (trip.frequencies && trip.frequencies.length > 0) {
+    const departures = []
+    trip.frequencies.forEach(({end_time: end, headway_secs: headway, start_time: start}) => {
+      if (!headway) return
+      for (let time = start; time < end; time += headway) departures.push(time)
+    })
+    return departures
+  }
+  const departure = typeof first.departure_time === 'number'
+    ? first.departure_time
+    : first.arrival_time
+  return typeof departure === 'number' ? [departure] : []
+}
+
+/**
+ * Get the duration (in seconds) of the trip from its first departure to its
+ * last arrival.
+ */
+export function getTripDuration (trip: {stop_times: Array<SummaryStopTime>}): number {
+  const {stop_times: stopTimes} = trip
+  if (stopTimes.length < 2) return 0
+  const first = stopTimes[0]
+  const last = stopTimes[stopTimes.length - 1]
+  const start = typeof first.departure_time === 'number' ? first.departure_time : first.arrival_time
+  const end = typeof last.arrival_time === 'number' ? last.arrival_time : last.departure_time
+  return typeof start === 'number' && typeof end === 'number' ? Math.max(end - start, 0) : 0
+}
+
+function median (values: Array<number>): ?number {
+  if (values.length === 0) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+/**
+ * Get the running time (in seconds) for the pattern from its sample trip
+ * (trips on the pattern are assumed to have the same running time).
+ */
+export function getPatternRunningTime (pattern: SummaryPattern): number {
+  const trip = pattern.sample_trips[0]
+  return trip ? getTripDuration(trip) : 0
+}
+
+/**
+ * Summarize the service for a route's patterns over a typical week (i.e., the
+ * days of the week each trip's calendar operates, ignoring calendar date
+ * ranges and exceptions).
+ */
+export function summarizeRouteService (
+  patterns: Array<SummaryPattern>,
+  calendarsById: {[string]: SummaryCalendar}
+): RouteServiceSummary {
+  let weeklyHours = 0
+  let weeklyTrips = 0
+  let spanStart = null
+  let spanEnd = null
+  const tripsPerHour = Array(24).fill(0)
+  const weekdayDeparturesByDirection = {}
+  patterns.forEach(pattern => {
+    const duration = getPatternRunningTime(pattern)
+    const direction = `${pattern.direction_id || 0}`
+    pattern.trips.forEach(trip => {
+      const calendar = calendarsById[trip.service_id]
+      if (!calendar) return
+      const daysPerWeek = DAYS.filter(day => calendar[day] === 1).length
+      if (daysPerWeek === 0) return
+      const departures = getTripDepartures(trip)
+      weeklyTrips += departures.length * daysPerWeek
+      weeklyHours += departures.length * duration * daysPerWeek / 3600
+      departures.forEach(departure => {
+        if (spanStart === null || departure < spanStart) spanStart = departure
+        if (spanEnd === null || departure + duration > spanEnd) spanEnd = departure + duration
+      })
+      if (calendar[REPRESENTATIVE_WEEKDAY] === 1) {
+        if (!weekdayDeparturesByDirection[direction]) weekdayDeparturesByDirection[direction] = []
+        departures.forEach(departure => {
+          tripsPerHour[Math.floor(departure / 3600) % 24]++
+          weekdayDeparturesByDirection[direction].push(departure)
+        })
+      }
+    })
+  })
+  const gaps = []
+  Object.keys(weekdayDeparturesByDirection).forEach(direction => {
+    const departures = weekdayDeparturesByDirection[direction].sort((a, b) => a - b)
+    for (let i = 1; i < departures.length; i++) gaps.push(departures[i] - departures[i - 1])
+  })
+  return {
+    headway: median(gaps),
+    spanEnd,
+    spanStart,
+    tripsPerHour,
+    weeklyHours,
+    weeklyTrips
+  }
+}
+
+/**
+ * Summarize the service for each route in the feed.
+ */
+export function summarizeService (feed: ServiceSummaryFeed): {[string]: RouteServiceSummary} {
+  const calendarsById = {}
+  feed.calendar.forEach(calendar => { calendarsById[calendar.service_id] = calendar })
+  const patternsByRouteId = {}
+  feed.patterns.forEach(pattern => {
+    if (pattern.trips.length === 0) return
+    if (!patternsByRouteId[pattern.route_id]) patternsByRouteId[pattern.route_id] = []
+    patternsByRouteId[pattern.route_id].push(pattern)
+  })
+  const summaries = {}
+  Object.keys(patternsByRouteId).forEach(routeId => {
+    summaries[routeId] = summarizeRouteService(patternsByRouteId[routeId], calendarsById)
+  })
+  return summaries
+}
+
+/**
+ * Compare the service in two feeds (the base feed is typically the published
+ * version and the compared feed the editor buffer) for each route, along with
+ * the stops that were removed.
+ */
+export function compareService (
+  base: ServiceSummaryFeed,
+  compared: ServiceSummaryFeed
+): ServiceChangeReport {
+  const baseSummaries = summarizeService(base)
+  const comparedSummaries = summarizeService(compared)
+  const routeIds = Object.keys({...baseSummaries, ...comparedSummaries})
+  const routes = routeIds
+    .map(routeId => {
+      const route = compared.routes.find(r => r.route_id === routeId) ||
+        base.routes.find(r => r.route_id === routeId)
+      return {
+        base: baseSummaries[routeId] || null,
+        compared: comparedSummaries[routeId] || null,
+        name: getRouteName(route, routeId),
+        routeId
+      }
+    })
+    .sort((a, b) => a.name.localeCompare(b.name))
+  const comparedStopIds = {}
+  compared.stops.forEach(stop => { comparedStopIds[stop.stop_id] = true })
+  const getTotals = summaries => {
+    const totals = {weeklyHours: 0, weeklyTrips: 0}
+    Object.keys(summaries).forEach(routeId => {
+      totals.weeklyHours += summaries[routeId].weeklyHours
+      totals.weeklyTrips += summaries[routeId].weeklyTrips
+    })
+    return totals
+  }
+  return {
+    removedStops: base.stops.filter(stop => !comparedStopIds[stop.stop_id]),
+    routes,
+    totals: {
+      base: getTotals(baseSummaries),
+      compared: getTotals(comparedSummaries)
+    }
+  }
+}
+
+/**
+ * Get the value for the field from the route summary (or null if the route
+ * does not exist in the feed).
+ */
+export function getSummaryValue (summary: ?RouteServiceSummary, field: string): ?number {
+  return summary ? summary[field] : null
+}
+
+/**
+ * Determine whether any of the summary fields changed for the route.
+ */
+export function hasRouteServiceChanged (change: RouteServiceChange): boolean {
+  return SUMMARY_FIELDS.some(field =>
+    getSummaryValue(change.base, field) !== getSummaryValue(change.compared, field))
+}
@@ -6,11 +6,12 @@ import {browserHistory} from 'react-router'
 import {createVoidPayloadAction, secureFetch} from '../../common/actions'
 import {getConfigProperty} from '../../common/util/config'
 import {fetchProjectFeeds} from './feeds'
-import {handleJobResponse} from './status'
+import {handleJobResponse, setErrorMessage} from './status'
 import {getActiveProject} from '../selectors'
 import {setVisibilitySearchText} from './visibilityFilter'
 
 import type {Project} from '../../types'
+import type {IdPrefixStrategy} from '../util/merge'
 import type {dispatchFn, getStateFn} from '../../types/reducers'
 
 // Bulk Project Actions
@@ -125,6 +126,29 @@ export function deleteProject (project: Project) {
   }
 }
 
+// Project fields used by the alerts module that are only stored by back ends
+// that support them (see docs/dev/api_interaction.md).
+const ALERT_PROJECT_FIELDS = ['alertLanguages', 'alertTemplates']
+
+/**
+ * Show an error if the project re-fetched after an update is missing any of
+ * the alert fields that were changed, i.e., the back end did not store them.
+ */
+function checkAlertFieldsSaved (projectId: string, changes: {[string]: any}) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    const project = getState().projects.all.find(p => p.id === projectId)
+    if (!project) return
+    const unsavedFields = ALERT_PROJECT_FIELDS.filter(field =>
+      typeof changes[field] !== 'undefined' && typeof project[field] === 'undefined')
+    if (unsavedFields.length > 0) {
+      dispatch(setErrorMessage({
+        title: 'Alert settings not saved',
+        message: `The server did not store the project's ${unsavedFields.join(' and ')}. Alert languages and templates require a server version that supports them.`
+      }))
+    }
+  }
+}
+
 export function updateProject (
   projectId: string,
   changes: {[string]: any},
@@ -141,6 +165,10 @@ export function updateProject (
           return dispatch(fetchProject(projectId))
         }
       })
+      .then(result => {
+        dispatch(checkAlertFieldsSaved(projectId, changes))
+        return result
+      })
   }
 }
 
@@ -206,6 +234,26 @@ export function downloadFeedForProject (project: Project) {
   }
 }
 
+/**
+ * Merge the selected feed versions for a Project into a regional feed,
+ * prefixing IDs according to the strategy to resolve collisions between feeds.
+ * The merge runs as a server job (with the merged feed downloaded once the job
+ * finishes). See docs/dev/api_interaction.md for the endpoint and its payload
+ * (idPrefixes is keyed on feed version ID).
+ */
+export function mergeFeedsForProject (
+  project: Project,
+  feedVersionIds: Array<string>,
+  idPrefixStrategy: IdPrefixStrategy,
+  idPrefixes: {[string]: string}
+) {
+  return function (dispatch: dispatchFn, getState: getStateFn) {
+    const url = `/api/manager/secure/project/${project.id}/merge`
+    return dispatch(secureFetch(url, 'post', {feedVersionIds, idPrefixStrategy, idPrefixes}))
+      .then(res => dispatch(handleJobResponse(res, 'Error merging project feeds')))
+  }
+}
+
 /**
  * Download a GTFS file for a merged project feed.
  */
@@ -11,10 +11,17 @@ import {uploadFile} from '../../common/util/upload-file'
 import {ENTITY} from '../../editor/constants'
 import {getKeyForId} from '../../editor/util/gtfs'
 import {getEntityGraphQLRoot, getEntityIdField, getGraphQLFieldsForEntity} from '../../gtfs/util'
+import {compareFeeds} from '../../gtfs/util/comparison'
+import {feedComparison, serviceSummary} from '../../gtfs/util/graphql'
+import {compareService} from '../../gtfs/util/serviceChange'
+import {MERGE_ID_TYPES} from '../util/merge'
 import {handleJobResponse, setErrorMessage, startJobMonitor} from './status'
 import {fetchFeedSource} from './feeds'
 
 import type {Feed, FeedVersion} from '../../types'
+import type {FeedComparison} from '../../gtfs/util/comparison'
+import type {ServiceChangeReport} from '../../gtfs/util/serviceChange'
+import type {MergeIds} from '../util/merge'
 import type {dispatchFn, getStateFn} from '../../types/reducers'
 
 const deletingFeedVersion = createVoidPayloadAction('DELETING_FEEDVERSION')
@@ -442,6 +449,87 @@ export function fetchValidationIssueCount (feedVersion: FeedVersion) {
   }
 }
 
+/**
+ * Fetch the GTFS entities for two feed versions and compare them. The
+ * comparison is returned in the promise (or null if either fetch failed).
+ */
+export function fetchFeedVersionComparison (
+  baseVersion: FeedVersion,
+  comparedVersion: FeedVersion
+) {
+  return function (dispatch: dispatchFn, getState: getStateFn): Promise<?FeedComparison> {
+    const fetchFeed = (feedVersion: FeedVersion) => dispatch(fetchGraphQL({
+      query: feedComparison,
+      variables: {namespace: feedVersion.namespace},
+      errorMessage: `Could not fetch GTFS for version ${feedVersion.version}`
+    }))
+    return Promise.all([fetchFeed(baseVersion), fetchFeed(comparedVersion)])
+      .then(([base, compared]) => base && compared
+        ? compareFeeds(base.feed, compared.feed)
+        : null
+      )
+  }
+}
+
+/**
+ * Fetch the service summaries (patterns with their trips, calendars and stops)
+ * for two namespaces (e.g., the published feed version and the editor buffer)
+ * and compare the service for each route.
+ * The report is returned in the promise (or null if either fetch failed).
+ */
+export function fetchServiceChangeReport (
+  baseNamespace: string,
+  comparedNamespace: string
+) {
+  return function (dispatch: dispatchFn, getState: getStateFn): Promise<?ServiceChangeReport> {
+    const fetchFeed = (namespace: string) => dispatch(fetchGraphQL({
+      query: serviceSummary,
+      variables: {namespace},
+      errorMessage: 'Could not fetch service for service change report'
+    }))
+    return Promise.all([fetchFeed(baseNamespace), fetchFeed(comparedNamespace)])
+      .then(([base, compared]) => base && compared
+        ? compareService(base.feed, compared.feed)
+        : null
+      )
+  }
+}
+
+/**
+ * Fetch the IDs that may collide when merging the feed version with other
+ * feeds (agency, stop, route and service IDs). The IDs are returned in the
+ * promise (or null if the fetch failed).
+ */
+export function fetchFeedVersionMergeIds (feedVersion: FeedVersion) {
+  return function (dispatch: dispatchFn, getState: getStateFn): Promise<?MergeIds> {
+    const fields = MERGE_ID_TYPES
+      .map(({graphQLRoot, type}) => `${graphQLRoot} (limit: -1) { ${type} }`)
+      .join('\n')
+    const query = `
+      query mergeIdsQuery($namespace: String) {
+        feed(namespace: $namespace) {
+          ${fields}
+        }
+      }
+    `
+    return dispatch(fetchGraphQL({
+      query,
+      variables: {namespace: feedVersion.namespace},
+      errorMessage: `Could not fetch IDs for version ${feedVersion.version}`
+    }))
+      .then(data => {
+        if (!data || !data.feed) return null
+        const ids = {}
+        MERGE_ID_TYPES.forEach(({graphQLRoot, type}) => {
+          ids[type] = (data.feed[graphQLRoot] || [])
+            .map(entity => entity[type])
+            .filter(id => id !== null && id !== undefined)
+        })
+        return ids
+      })
+  }
+}
+
 export function fetchFeedVersionIsochrones (
   feedVersion: ?FeedVersion,
   fromLat: number,
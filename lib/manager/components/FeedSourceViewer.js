@@ -16,6 +16,7 @@ import ManagerPage from '../../common/components/ManagerPage'
 import {getComponentMessages, isModuleEnabled} from '../../common/util/config'
 import ManagerHeader from './ManagerHeader'
 import ActiveFeedVersionNavigator from '../containers/ActiveFeedVersionNavigator'
+import FeedVersionComparison from './version/FeedVersionComparison'
 import FeedSourceSettings from './FeedSourceSettings'
 import NotesViewer from './NotesViewer'
 import ActiveEditorFeedSourcePanel from '../../editor/containers/ActiveEditorFeedSourcePanel'
@@ -36,6 +37,7 @@ type Props = ContainerProps & {
   feedSource: Feed,
   feedSourceId: string,
   feedVersionIndex: number,
+  fetchFeedVersionComparison: typeof versionsActions.fetchFeedVersionComparison,
   fetchNotesForFeedSource: typeof notesActions.fetchNotesForFeedSource,
   fetchNotesForFeedVersion: typeof notesActions.fetchNotesForFeedVersion,
   isFetching: boolean,
@@ -90,6 +92,7 @@ export default class FeedSourceViewer extends Component<Props> {
       activeSubComponent,
       feedSource,
       feedVersionIndex,
+      fetchFeedVersionComparison,
       isFetching,
       project,
       routeParams,
@@ -134,7 +137,7 @@ export default class FeedSourceViewer extends Component<Props> {
       'manage-feed'
     )
     const editDisabled = isEditingDisabled(user, feedSource, project)
-    const activeTab = ['settings', 'comments', 'snapshots'].indexOf(activeComponent) === -1 || typeof routeParams.feedVersionIndex !== 'undefined'
+    const activeTab = ['settings', 'comments', 'snapshots', 'compare'].indexOf(activeComponent) === -1 || typeof routeParams.feedVersionIndex !== 'undefined'
       ? ''
       : activeComponent
     return (
@@ -172,6 +175,21 @@ export default class FeedSourceViewer extends Component<Props> {
               </Row>
             </Tab>
 
+            {/* Compare feed versions */}
+            <Tab eventKey='compare'
+              title={
+                <span>
+                  <Icon className='icon-link' type='exchange' />
+                  <span className='hidden-xs'>
+                    {this.messages('compareTitle')}
+                  </span>
+                </span>
+              }>
+              <FeedVersionComparison
+                feedSource={feedSource}
+                fetchFeedVersionComparison={fetchFeedVersionComparison} />
+            </Tab>
+
             {isModuleEnabled('editor')
               ? <Tab eventKey='snapshots'
                 title={
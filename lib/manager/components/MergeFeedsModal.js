@@ -0,0 +1,322 @@
+// @flow
+
+import Icon from '@conveyal/woonerf/components/icon'
+import React, {Component} from 'react'
+import {
+  Alert,
+  Button,
+  ControlLabel,
+  FormControl,
+  FormGroup,
+  Label,
+  Modal,
+  Table
+} from 'react-bootstrap'
+
+import * as projectsActions from '../actions/projects'
+import * as versionsActions from '../actions/versions'
+import {getComponentMessages} from '../../common/util/config'
+import {
+  applyIdPrefixes,
+  countIdCollisions,
+  getDefaultIdPrefix,
+  getIdCollisions,
+  ID_PREFIX_STRATEGIES,
+  MERGE_ID_TYPES
+} from '../util/merge'
+
+import type {Feed, FeedVersion, Project} from '../../types'
+import type {IdPrefixStrategy, MergeIds} from '../util/merge'
+
+type Props = {
+  fetchFeedVersionMergeIds: typeof versionsActions.fetchFeedVersionMergeIds,
+  fetchFeedVersions: typeof versionsActions.fetchFeedVersions,
+  mergeFeedsForProject: typeof projectsActions.mergeFeedsForProject,
+  onClose: () => void,
+  project: Project,
+  show: boolean
+}
+
+type State = {
+  fetching: boolean,
+  idsByVersionId: {[string]: MergeIds},
+  // ID prefixes keyed on feed source ID
+  prefixes: {[string]: string},
+  // Selected version IDs keyed on feed source ID (null if the feed source is
+  // excluded from the merge)
+  selectedVersionIds: {[string]: ?string},
+  strategy: IdPrefixStrategy
+}
+
+// Maximum number of colliding IDs to list per ID type.
+const MAX_COLLISIONS_SHOWN = 10
+
+/**
+ * Modal for merging feed versions from a project's feed sources into a single
+ * regional feed. A specific version can be chosen for each feed source, and
+ * ID collisions between the selected versions are previewed (along with which
+ * collisions remain after applying the chosen ID prefixing strategy) before
+ * the merge is submitted as a server job.
+ */
+export default class MergeFeedsModal extends Component<Props, State> {
+  messages = getComponentMessages('MergeFeedsModal')
+
+  constructor (props: Props) {
+    super(props)
+    const prefixes = {}
+    const selectedVersionIds = {}
+    this._getFeedSources(props).forEach(feedSource => {
+      prefixes[feedSource.id] = getDefaultIdPrefix(feedSource)
+      selectedVersionIds[feedSource.id] = feedSource.latestVersionId
+    })
+    this.state = {
+      fetching: false,
+      idsByVersionId: {},
+      prefixes,
+      selectedVersionIds,
+      strategy: 'COLLISIONS'
+    }
+  }
+
+  componentDidMount () {
+    const {fetchFeedVersions} = this.props
+    this.setState({fetching: true})
+    Promise.all(this._getFeedSources().map(feedSource => fetchFeedVersions(feedSource)))
+      .then(() => this._fetchMergeIds(this.state.selectedVersionIds))
+  }
+
+  _getFeedSources (props: Props = this.props): Array<Feed> {
+    return props.project.feedSources || []
+  }
+
+  _getVersion (feedSourceId: string, versionId: ?string): ?FeedVersion {
+    const feedSource = this._getFeedSources().find(fs => fs.id === feedSourceId)
+    return feedSource && feedSource.feedVersions && versionId
+      ? feedSource.feedVersions.find(v => v.id === versionId)
+      : null
+  }
+
+  /**
+   * Fetch the IDs for any selected versions that have not yet been fetched.
+   */
+  _fetchMergeIds (selectedVersionIds: {[string]: ?string}) {
+    const {fetchFeedVersionMergeIds} = this.props
+    const versions = Object.keys(selectedVersionIds)
+      .map(feedSourceId => this._getVersion(feedSourceId, selectedVersionIds[feedSourceId]))
+      .filter(version => version && !this.state.idsByVersionId[version.id])
+    this.setState({fetching: true})
+    return Promise.all(versions.map(version => version &&
+      // $FlowFixMe action wrapped in dispatch returns a promise
+      fetchFeedVersionMergeIds(version)
+        .then(ids => ids && this.setState({
+          idsByVersionId: {...this.state.idsByVersionId, [version.id]: ids}
+        }))
+    ))
+      .then(() => this.setState({fetching: false}))
+  }
+
+  _onChangeVersion = (feedSourceId: string, versionId: ?string) => {
+    const selectedVersionIds = {...this.state.selectedVersionIds, [feedSourceId]: versionId}
+    this.setState({selectedVersionIds})
+    this._fetchMergeIds(selectedVersionIds)
+  }
+
+  _onChangePrefix = (feedSourceId: string, prefix: string) =>
+    this.setState({prefixes: {...this.state.prefixes, [feedSourceId]: prefix}})
+
+  _onChangeStrategy = (evt: SyntheticInputEvent<HTMLInputElement>) =>
+    this.setState({strategy: (evt.target.value: any)})
+
+  /**
+   * Get the selected version IDs and prefixes keyed on version ID.
+   */
+  _getSelection (): {prefixes: {[string]: string}, versionIds: Array<string>} {
+    const {prefixes, selectedVersionIds} = this.state
+    const versionIds = []
+    const prefixesByVersionId = {}
+    Object.keys(selectedVersionIds).forEach(feedSourceId => {
+      const versionId = selectedVersionIds[feedSourceId]
+      if (!versionId) return
+      versionIds.push(versionId)
+      prefixesByVersionId[versionId] = prefixes[feedSourceId]
+    })
+    return {prefixes: prefixesByVersionId, versionIds}
+  }
+
+  _onMerge = () => {
+    const {mergeFeedsForProject, onClose, project} = this.props
+    const {prefixes, versionIds} = this._getSelection()
+    mergeFeedsForProject(project, versionIds, this.state.strategy, prefixes)
+    onClose()
+  }
+
+  _getFeedSourceName = (versionId: string) => {
+    const feedSource = this._getFeedSources().find(fs =>
+      this.state.selectedVersionIds[fs.id] === versionId)
+    return feedSource ? feedSource.name : versionId
+  }
+
+  _renderCollisions () {
+    const {idsByVersionId, strategy} = this.state
+    const {prefixes, versionIds} = this._getSelection()
+    const selectedIds = {}
+    versionIds.forEach(versionId => {
+      if (idsByVersionId[versionId]) selectedIds[versionId] = idsByVersionId[versionId]
+    })
+    const collisions = getIdCollisions(selectedIds)
+    const unresolved = getIdCollisions(applyIdPrefixes(selectedIds, prefixes, strategy))
+    if (countIdCollisions(collisions) === 0) {
+      return <Alert bsStyle='success'>{this.messages('collisions.none')}</Alert>
+    }
+    return (
+      <Table condensed>
+        <tbody>
+          {MERGE_ID_TYPES.map(({type}) => {
+            const typeCollisions = collisions[type]
+            if (typeCollisions.length === 0) return null
+            const unresolvedCount = unresolved[type].length
+            return (
+              <tr key={type}>
+                <td><code>{type}</code></td>
+                <td>
+                  <Label bsStyle={unresolvedCount > 0 ? 'danger' : 'success'}>
+                    {typeCollisions.length - unresolvedCount} / {typeCollisions.length}{' '}
+                    {this.messages('collisions.resolved')}
+                  </Label>
+                </td>
+                <td className='small'>
+                  {typeCollisions.slice(0, MAX_COLLISIONS_SHOWN).map(collision => (
+                    <div key={collision.id}>
+                      <strong>{collision.id}</strong>:{' '}
+                      {collision.versionIds.map(this._getFeedSourceName).join(', ')}
+                    </div>
+                  ))}
+                  {typeCollisions.length > MAX_COLLISIONS_SHOWN &&
+                    <div>...</div>
+                  }
+                </td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </Table>
+    )
+  }
+
+  render () {
+    const {onClose, show} = this.props
+    const {fetching, prefixes, selectedVersionIds, strategy} = this.state
+    const {versionIds} = this._getSelection()
+    const canMerge = versionIds.length > 1
+    return (
+      <Modal bsSize='large' show={show} onHide={onClose}>
+        <Modal.Header closeButton>
+          <Modal.Title>{this.messages('title')}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <Table condensed>
+            <thead>
+              <tr>
+                <th>{this.messages('feedSource')}</th>
+                <th>{this.messages('version')}</th>
+                <th>{this.messages('prefix')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {this._getFeedSources().map(feedSource => (
+                <MergeFeedSourceRow
+                  feedSource={feedSource}
+                  key={feedSource.id}
+                  messages={this.messages}
+                  onChangePrefix={this._onChangePrefix}
+                  onChangeVersion={this._onChangeVersion}
+                  prefix={prefixes[feedSource.id] || ''}
+                  prefixDisabled={strategy === 'NONE'}
+                  versionId={selectedVersionIds[feedSource.id]} />
+              ))}
+            </tbody>
+          </Table>
+          <FormGroup controlId='merge-feeds-strategy'>
+            <ControlLabel>{this.messages('strategy.title')}</ControlLabel>
+            <FormControl
+              componentClass='select'
+              onChange={this._onChangeStrategy}
+              value={strategy}>
+              {ID_PREFIX_STRATEGIES.map(s => (
+                <option key={s} value={s}>{this.messages(`strategy.${s}`)}</option>
+              ))}
+            </FormControl>
+          </FormGroup>
+          <h4>{this.messages('collisions.title')}</h4>
+          {fetching
+            ? <p><Icon className='fa-spin' type='refresh' /> {this.messages('loading')}</p>
+            : canMerge
+              ? this._renderCollisions()
+              : <Alert bsStyle='warning'>{this.messages('tooFewVersions')}</Alert>
+          }
+        </Modal.Body>
+        <Modal.Footer>
+          <Button
+            bsStyle='primary'
+            disabled={!canMerge || fetching}
+            onClick={this._onMerge}>
+            <Icon type='compress' /> {this.messages('merge')}
+          </Button>
+          <Button onClick={onClose}>{this.messages('close')}</Button>
+        </Modal.Footer>
+      </Modal>
+    )
+  }
+}
+
+type RowProps = {
+  feedSource: Feed,
+  messages: string => string,
+  onChangePrefix: (string, string) => void,
+  onChangeVersion: (string, ?string) => void,
+  prefix: string,
+  prefixDisabled: boolean,
+  versionId: ?string
+}
+
+class MergeFeedSourceRow extends Component<RowProps> {
+  _onChangePrefix = (evt: SyntheticInputEvent<HTMLInputElement>) =>
+    this.props.onChangePrefix(this.props.feedSource.id, evt.target.value)
+
+  _onChangeVersion = (evt: SyntheticInputEvent<HTMLInputElement>) =>
+    this.props.onChangeVersion(this.props.feedSource.id, evt.target.value || null)
+
+  render () {
+    const {feedSource, messages, prefix, prefixDisabled, versionId} = this.props
+    const versions = feedSource.feedVersions || []
+    return (
+      <tr>
+        <td>{feedSource.name}</td>
+        <td>
+          <FormControl
+            bsSize='small'
+            componentClass='select'
+            disabled={versions.length === 0}
+            onChange={this._onChangeVersion}
+            value={versionId || ''}>
+            <option value=''>
+              {versions.length === 0 ? messages('noVersions') : messages('exclude')}
+            </option>
+            {versions.slice().reverse().map(version => (
+              <option key={version.id} value={version.id}>
+                {version.version}. {version.name}
+              </option>
+            ))}
+          </FormControl>
+        </td>
+        <td>
+          <FormControl
+            bsSize='small'
+            disabled={prefixDisabled || !versionId}
+            onChange={this._onChangePrefix}
+            value={prefix} />
+        </td>
+      </tr>
+    )
+  }
+}
@@ -26,6 +26,7 @@ import type {ManagerUserState} from '../../types/reducers'
 type Props = {
   downloadFeedForProject: typeof projectsActions.downloadFeedForProject,
   fetchFeedsForProject: typeof projectsActions.fetchFeedsForProject,
+  onMergeFeedsClick: () => void,
   onNewFeedSourceClick: () => void,
   project: Project,
   setVisibilitySearchText: typeof visibilityFilterActions.setVisibilitySearchText,
@@ -53,6 +54,7 @@ export default class ProjectViewerHeader extends Component<Props> {
 
   render () {
     const {
+      onMergeFeedsClick,
       onNewFeedSourceClick,
       project,
       user,
@@ -109,6 +111,12 @@ export default class ProjectViewerHeader extends Component<Props> {
               onClick={this._onDownloadMerged}>
               <Glyphicon glyph='download' /> {this.messages('mergeFeeds')}
             </Button>
+            <Button
+              bsStyle='default'
+              disabled={projectEditDisabled}
+              onClick={onMergeFeedsClick}>
+              <Icon type='compress' /> {this.messages('mergeFeedsSelect')}
+            </Button>
           </ButtonToolbar>
         </Col>
       </Row>
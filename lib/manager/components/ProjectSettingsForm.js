@@ -28,13 +28,15 @@ import {browserHistory} from 'react-router'
 import * as projectsActions from '../actions/projects'
 import MapModal from '../../common/components/MapModal.js'
 import ConfirmModal from '../../common/components/ConfirmModal'
+import LanguageSelect from '../../common/components/LanguageSelect'
 import TimezoneSelect from '../../common/components/TimezoneSelect'
-import {getComponentMessages} from '../../common/util/config'
+import {getComponentMessages, isModuleEnabled} from '../../common/util/config'
 import {validationState} from '../util'
 
 import type {Bounds, Project} from '../../types'
 
 type ProjectModel = {
+  alertLanguages?: ?Array<string>,
   autoFetchFeeds?: boolean,
   autoFetchHour?: number,
   autoFetchMinute?: number,
@@ -219,6 +221,11 @@ export default class ProjectSettingsForm extends Component<Props, State> {
     )
   }
 
+  _onChangeAlertLanguages = (options: ?Array<{value: string}>) => {
+    const alertLanguages = options ? options.map(o => o.value) : []
+    this.setState(update(this.state, {model: {$merge: {alertLanguages}}}))
+  }
+
   _onChangeTimeZone = ({value: defaultTimeZone}: { value: string }) => {
     this.setState(update(this.state, {model: {$merge: {defaultTimeZone}}}))
   }
@@ -463,6 +470,22 @@ export default class ProjectSettingsForm extends Component<Props, State> {
                 value={model.defaultTimeZone}
                 onChange={this._onChangeTimeZone} />
             </ListGroupItem>
+            {isModuleEnabled('alerts') &&
+              <ListGroupItem>
+                <ControlLabel>
+                  <Glyphicon glyph='globe' />{' '}
+                  {this.messages('fields.location.alertLanguages')}
+                </ControlLabel>
+                <LanguageSelect
+                  minimumInput={0}
+                  multi
+                  onChange={this._onChangeAlertLanguages}
+                  value={model.alertLanguages || []} />
+                <HelpBlock style={{marginTop: '-15px'}}>
+                  {this.messages('fields.location.alertLanguagesHelp')}
+                </HelpBlock>
+              </ListGroupItem>
+            }
           </ListGroup>
         </Panel>
         {showDangerZone &&
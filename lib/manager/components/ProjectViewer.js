@@ -30,6 +30,7 @@ import {defaultSorter} from '../../common/util/util'
 import CreateFeedSource from './CreateFeedSource'
 import DeploymentsPanel from './DeploymentsPanel'
 import FeedSourceTable from './FeedSourceTable'
+import MergeFeedsModal from './MergeFeedsModal'
 import ProjectFeedListToolbar from './ProjectFeedListToolbar'
 import ProjectSettings from './ProjectSettings'
 
@@ -48,9 +49,12 @@ type Props = ContainerProps & {
   deleteProject: typeof projectsActions.deleteProject,
   deployPublic: typeof projectsActions.deployPublic,
   downloadFeedForProject: typeof projectsActions.downloadFeedForProject,
+  fetchFeedVersionMergeIds: typeof versionsActions.fetchFeedVersionMergeIds,
+  fetchFeedVersions: typeof versionsActions.fetchFeedVersions,
   fetchFeedsForProject: typeof projectsActions.fetchFeedsForProject,
   fetchProjectDeployments: typeof deploymentActions.fetchProjectDeployments,
   isFetching: boolean,
+  mergeFeedsForProject: typeof projectsActions.mergeFeedsForProject,
   onProjectViewerMount: typeof projectsActions.onProjectViewerMount,
   project: Project,
   projectId: string,
@@ -68,7 +72,8 @@ type Props = ContainerProps & {
 }
 
 type State = {
-  createMode?: boolean
+  createMode?: boolean,
+  showMergeFeeds?: boolean
 }
 
 export default class ProjectViewer extends Component<Props, State> {
@@ -103,6 +108,10 @@ export default class ProjectViewer extends Component<Props, State> {
 
   _onSelectFilter = (key: string) => this.props.setVisibilityFilter(key)
 
+  _onClickMergeFeeds = () => this.setState({showMergeFeeds: true})
+
+  _onCloseMergeFeeds = () => this.setState({showMergeFeeds: false})
+
   _toggleCreateView = () => this.setState({ createMode: !this.state.createMode })
 
   render () {
@@ -110,7 +119,10 @@ export default class ProjectViewer extends Component<Props, State> {
       activeComponent,
       activeSubComponent,
       createFeedSource,
+      fetchFeedVersionMergeIds,
+      fetchFeedVersions,
       isFetching,
+      mergeFeedsForProject,
       project,
       user,
       visibilityFilter
@@ -223,6 +235,7 @@ export default class ProjectViewer extends Component<Props, State> {
                         header={
                           <ProjectFeedListToolbar
                             {...this.props}
+                            onMergeFeedsClick={this._onClickMergeFeeds}
                             onNewFeedSourceClick={this._toggleCreateView}
                           />
                         }
@@ -302,6 +315,16 @@ export default class ProjectViewer extends Component<Props, State> {
               }
             </Tab>
           </Tabs>
+          {/* Only mount modal when shown so that versions are fetched on open. */}
+          {this.state.showMergeFeeds &&
+            <MergeFeedsModal
+              fetchFeedVersionMergeIds={fetchFeedVersionMergeIds}
+              fetchFeedVersions={fetchFeedVersions}
+              mergeFeedsForProject={mergeFeedsForProject}
+              onClose={this._onCloseMergeFeeds}
+              project={project}
+              show />
+          }
         </Grid>
       </ManagerPage>
     )
@@ -0,0 +1,444 @@
+// @flow
+
+import Icon from '@conveyal/woonerf/components/icon'
+import moment from 'moment'
+import React, {Component} from 'react'
+import {
+  Button,
+  Checkbox,
+  Col,
+  ControlLabel,
+  FormControl,
+  FormGroup,
+  Label,
+  Panel,
+  Row,
+  Tab,
+  Table,
+  Tabs
+} from 'react-bootstrap'
+import {CircleMarker, Map, Polyline, Popup, TileLayer} from 'react-leaflet'
+
+import * as versionsActions from '../../actions/versions'
+import {getComponentMessages, getConfigProperty} from '../../../common/util/config'
+import {defaultTileURL} from '../../../common/util/maps'
+import {getServiceSpanChange} from '../../../gtfs/util/comparison'
+
+import type {EntityDiff, FeedComparison, ServiceSpan} from '../../../gtfs/util/comparison'
+import type {Feed, FeedVersion} from '../../../types'
+
+type Props = {
+  feedSource: Feed,
+  fetchFeedVersionComparison: typeof versionsActions.fetchFeedVersionComparison
+}
+
+type State = {
+  baseVersionId: ?string,
+  comparedVersionId: ?string,
+  comparison: ?FeedComparison,
+  fetching: boolean,
+  showAllTripCounts: boolean
+}
+
+// Maximum number of entities listed for each type of change.
+const MAX_ROWS = 100
+
+const COLORS = {
+  added: '#5cb85c',
+  base: '#d9534f',
+  compared: '#337ab7'
+}
+
+/**
+ * Compare any two versions of a feed source, listing the added, removed and
+ * modified routes, stops, patterns and calendars along with changes to the
+ * service span and trip counts for each route. Moved stops and changed pattern
+ * shapes are shown on a map.
+ */
+export default class FeedVersionComparison extends Component<Props, State> {
+  messages = getComponentMessages('FeedVersionComparison')
+
+  state = {
+    baseVersionId: null,
+    comparedVersionId: null,
+    comparison: null,
+    fetching: false,
+    showAllTripCounts: false
+  }
+
+  componentWillMount () {
+    this._setDefaultVersions(this.props)
+  }
+
+  componentWillReceiveProps (nextProps: Props) {
+    if (!this.state.comparedVersionId) this._setDefaultVersions(nextProps)
+  }
+
+  /**
+   * Default to comparing the latest version with the version before it.
+   */
+  _setDefaultVersions (props: Props) {
+    const versions = props.feedSource.feedVersions || []
+    if (versions.length < 2) return
+    this.setState({
+      baseVersionId: versions[versions.length - 2].id,
+      comparedVersionId: versions[versions.length - 1].id
+    })
+  }
+
+  _getVersion (id: ?string): ?FeedVersion {
+    const versions = this.props.feedSource.feedVersions || []
+    return versions.find(v => v.id === id)
+  }
+
+  _onChangeBase = (evt: SyntheticInputEvent<HTMLInputElement>) =>
+    this.setState({baseVersionId: evt.target.value, comparison: null})
+
+  _onChangeCompared = (evt: SyntheticInputEvent<HTMLInputElement>) =>
+    this.setState({comparedVersionId: evt.target.value, comparison: null})
+
+  _onClickCompare = () => {
+    const baseVersion = this._getVersion(this.state.baseVersionId)
+    const comparedVersion = this._getVersion(this.state.comparedVersionId)
+    if (!baseVersion || !comparedVersion) return
+    this.setState({comparison: null, fetching: true})
+    // $FlowFixMe action wrapped in dispatch returns a promise
+    this.props.fetchFeedVersionComparison(baseVersion, comparedVersion)
+      .then(comparison => this.setState({comparison, fetching: false}))
+  }
+
+  _onToggleTripCounts = () =>
+    this.setState({showAllTripCounts: !this.state.showAllTripCounts})
+
+  /**
+   * Get the service span from the version's validation summary (which accounts
+   * for calendar_dates) or from its calendars if the summary is missing.
+   */
+  _getServiceSpan (version: ?FeedVersion, calendarSpan: ServiceSpan): ServiceSpan {
+    const summary = version && version.validationSummary
+    return summary && summary.startDate
+      ? {endDate: summary.endDate, startDate: summary.startDate}
+      : calendarSpan
+  }
+
+  _renderVersionSelect (label: string, value: ?string, onChange: any) {
+    const versions = this.props.feedSource.feedVersions || []
+    return (
+      <FormGroup>
+        <ControlLabel>{label}</ControlLabel>
+        <FormControl
+          componentClass='select'
+          onChange={onChange}
+          value={value || ''}>
+          {versions.map(v => (
+            <option key={v.id} value={v.id}>
+              {v.version}. {v.name}
+            </option>
+          ))}
+        </FormControl>
+      </FormGroup>
+    )
+  }
+
+  _renderSummary (comparison: FeedComparison) {
+    const rows = [
+      {diff: comparison.routes, label: this.messages('routes')},
+      {diff: comparison.stops, label: this.messages('stops')},
+      {diff: comparison.patterns, label: this.messages('patterns')},
+      {diff: comparison.calendars, label: this.messages('calendars')}
+    ]
+    return (
+      <Table condensed>
+        <thead>
+          <tr>
+            <th />
+            <th>{this.messages('added')}</th>
+            <th>{this.messages('removed')}</th>
+            <th>{this.messages('modified')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({diff, label}) => (
+            <tr key={label}>
+              <th>{label}</th>
+              <td className={diff.added.length ? 'text-success' : undefined}>{diff.added.length}</td>
+              <td className={diff.removed.length ? 'text-danger' : undefined}>{diff.removed.length}</td>
+              <td className={diff.modified.length ? 'text-warning' : undefined}>{diff.modified.length}</td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    )
+  }
+
+  _renderServiceSpan (comparison: FeedComparison) {
+    const baseSpan = this._getServiceSpan(
+      this._getVersion(this.state.baseVersionId),
+      comparison.serviceSpan.base
+    )
+    const comparedSpan = this._getServiceSpan(
+      this._getVersion(this.state.comparedVersionId),
+      comparison.serviceSpan.compared
+    )
+    const {endDays, startDays} = getServiceSpanChange(baseSpan, comparedSpan)
+    const dateFormat = getConfigProperty('application.date_format') || 'MMM Do YYYY'
+    const formatSpan = (span: ServiceSpan) => span.startDate && span.endDate
+      ? `${moment(span.startDate).format(dateFormat)} - ${moment(span.endDate).format(dateFormat)}`
+      : '-'
+    const formatDays = (days: ?number) => typeof days === 'number'
+      ? `${days > 0 ? '+' : ''}${days}`
+      : '-'
+    return (
+      <div>
+        <h4>{this.messages('serviceSpan')}</h4>
+        <p>
+          <Label style={{backgroundColor: COLORS.base}}>{this.messages('baseVersion')}</Label>{' '}
+          {formatSpan(baseSpan)}
+          <br />
+          <Label style={{backgroundColor: COLORS.compared}}>{this.messages('comparedVersion')}</Label>{' '}
+          {formatSpan(comparedSpan)}
+        </p>
+        <p className='text-muted'>
+          {this.messages('startChange')}: {formatDays(startDays)}
+          <br />
+          {this.messages('endChange')}: {formatDays(endDays)}
+        </p>
+      </div>
+    )
+  }
+
+  _renderDiff<T: {}> (
+    diff: EntityDiff<T>,
+    getLabel: T => string
+  ) {
+    const rows = [
+      ...diff.added.map(e => ({change: 'added', entity: e, fields: []})),
+      ...diff.removed.map(e => ({change: 'removed', entity: e, fields: []})),
+      ...diff.modified.map(m => ({change: 'modified', entity: m.compared, fields: m.fields}))
+    ]
+    if (rows.length === 0) {
+      return <p className='lead text-center'>{this.messages('noChanges')}</p>
+    }
+    const styles = {added: 'success', modified: 'warning', removed: 'danger'}
+    const labels = {
+      added: this.messages('added'),
+      modified: this.messages('modified'),
+      removed: this.messages('removed')
+    }
+    return (
+      <Table condensed>
+        <tbody>
+          {rows.slice(0, MAX_ROWS).map((row, i) => (
+            <tr key={i}>
+              <td style={{width: '100px'}}>
+                <Label bsStyle={styles[row.change]}>{labels[row.change]}</Label>
+              </td>
+              <td>{getLabel(row.entity)}</td>
+              <td><small className='text-muted'>{row.fields.join(', ')}</small></td>
+            </tr>
+          ))}
+          {rows.length > MAX_ROWS
+            ? <tr><td colSpan={3}>{rows.length - MAX_ROWS} {this.messages('more')}</td></tr>
+            : null
+          }
+        </tbody>
+      </Table>
+    )
+  }
+
+  _renderTripCounts (comparison: FeedComparison) {
+    const {showAllTripCounts} = this.state
+    const tripCounts = showAllTripCounts
+      ? comparison.tripCounts
+      : comparison.tripCounts.filter(c => c.delta !== 0)
+    return (
+      <div>
+        <Checkbox
+          checked={showAllTripCounts}
+          onChange={this._onToggleTripCounts}>
+          {this.messages('showUnchanged')}
+        </Checkbox>
+        <Table condensed>
+          <thead>
+            <tr>
+              <th>{this.messages('route')}</th>
+              <th>{this.messages('baseVersion')}</th>
+              <th>{this.messages('comparedVersion')}</th>
+              <th>{this.messages('change')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {tripCounts.map(c => (
+              <tr key={c.routeId}>
+                <td>{c.name}</td>
+                <td>{c.base}</td>
+                <td>{c.compared}</td>
+                <td className={c.delta > 0 ? 'text-success' : c.delta < 0 ? 'text-danger' : undefined}>
+                  {c.delta > 0 ? '+' : ''}{c.delta}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      </div>
+    )
+  }
+
+  _renderMap (comparison: FeedComparison) {
+    const {movedStops, patterns} = comparison
+    const toLatLngs = shape => shape.map(p => [p.lat, p.lon])
+    const lines: Array<{
+      color: string,
+      dashArray?: string,
+      key: string,
+      name: string,
+      positions: Array<[number, number]>
+    }> = []
+    patterns.modified
+      .filter(change => change.fields.indexOf('shape') !== -1)
+      .forEach(({base, compared}) => {
+        lines.push({color: COLORS.base, dashArray: '5, 5', key: `base-${base.pattern_id}`, name: base.name, positions: toLatLngs(base.shape)})
+        lines.push({color: COLORS.compared, key: `compared-${compared.pattern_id}`, name: compared.name, positions: toLatLngs(compared.shape)})
+      })
+    patterns.added.forEach(p => {
+      lines.push({color: COLORS.added, key: `added-${p.pattern_id}`, name: p.name, positions: toLatLngs(p.shape)})
+    })
+    patterns.removed.forEach(p => {
+      lines.push({color: COLORS.base, dashArray: '5, 5', key: `removed-${p.pattern_id}`, name: p.name, positions: toLatLngs(p.shape)})
+    })
+    const positions = [
+      ...lines.reduce((all, line) => all.concat(line.positions), []),
+      ...movedStops.map(m => [m.base.stop_lat, m.base.stop_lon]),
+      ...movedStops.map(m => [m.compared.stop_lat, m.compared.stop_lon])
+    ]
+    if (positions.length === 0) {
+      return <p className='lead text-center'>{this.messages('noMapChanges')}</p>
+    }
+    const lats = positions.map(p => p[0])
+    const lons = positions.map(p => p[1])
+    const bounds = [
+      [Math.min(...lats), Math.min(...lons)],
+      [Math.max(...lats), Math.max(...lons)]
+    ]
+    return (
+      <Map
+        bounds={bounds}
+        boundsOptions={{padding: [20, 20]}}
+        scrollWheelZoom={false}
+        style={{height: '400px', width: '100%'}}>
+        <TileLayer
+          attribution={process.env.MAPBOX_ATTRIBUTION}
+          url={defaultTileURL()} />
+        {lines.map(line => (
+          <Polyline
+            color={line.color}
+            dashArray={line.dashArray}
+            key={line.key}
+            positions={line.positions}
+            weight={3}>
+            <Popup><span>{line.name}</span></Popup>
+          </Polyline>
+        ))}
+        {movedStops.map(({base, compared, distance}) => {
+          const from = [base.stop_lat, base.stop_lon]
+          const to = [compared.stop_lat, compared.stop_lon]
+          return [
+            <Polyline
+              color='#666'
+              key={`move-${compared.stop_id}`}
+              positions={[from, to]}
+              weight={2} />,
+            <CircleMarker
+              center={from}
+              color={COLORS.base}
+              key={`from-${compared.stop_id}`}
+              radius={4} />,
+            <CircleMarker
+              center={to}
+              color={COLORS.compared}
+              key={`to-${compared.stop_id}`}
+              radius={5}>
+              <Popup>
+                <span>
+                  {compared.stop_name} ({compared.stop_id}): {Math.round(distance)}m
+                </span>
+              </Popup>
+            </CircleMarker>
+          ]
+        })}
+      </Map>
+    )
+  }
+
+  _renderComparison (comparison: FeedComparison) {
+    const routeLabel = r => `${[r.route_short_name, r.route_long_name].filter(Boolean).join(' ')} (${r.route_id})`
+    return (
+      <div>
+        <Row>
+          <Col xs={12} md={6}>
+            {this._renderSummary(comparison)}
+          </Col>
+          <Col xs={12} md={6}>
+            {this._renderServiceSpan(comparison)}
+          </Col>
+        </Row>
+        <Panel header={<h4>{this.messages('mapOverlay')}</h4>}>
+          {this._renderMap(comparison)}
+        </Panel>
+        <Tabs id='feed-version-comparison-tabs' defaultActiveKey='routes'>
+          <Tab eventKey='routes' title={this.messages('routes')}>
+            {this._renderDiff(comparison.routes, routeLabel)}
+          </Tab>
+          <Tab eventKey='stops' title={this.messages('stops')}>
+            {this._renderDiff(comparison.stops, s => `${s.stop_name} (${s.stop_id})`)}
+          </Tab>
+          <Tab eventKey='patterns' title={this.messages('patterns')}>
+            {this._renderDiff(comparison.patterns, p => `${p.name} (${p.route_id})`)}
+          </Tab>
+          <Tab eventKey='calendars' title={this.messages('calendars')}>
+            {this._renderDiff(comparison.calendars, c => c.service_id)}
+          </Tab>
+          <Tab eventKey='tripCounts' title={this.messages('tripCounts')}>
+            {this._renderTripCounts(comparison)}
+          </Tab>
+        </Tabs>
+      </div>
+    )
+  }
+
+  render () {
+    const {feedSource} = this.props
+    const {baseVersionId, comparedVersionId, comparison, fetching} = this.state
+    const versions = feedSource.feedVersions || []
+    if (versions.length < 2) {
+      return <p className='lead text-center'>{this.messages('needTwoVersions')}</p>
+    }
+    return (
+      <div>
+        <Row>
+          <Col xs={12} sm={5}>
+            {this._renderVersionSelect(this.messages('baseVersion'), baseVersionId, this._onChangeBase)}
+          </Col>
+          <Col xs={12} sm={5}>
+            {this._renderVersionSelect(this.messages('comparedVersion'), comparedVersionId, this._onChangeCompared)}
+          </Col>
+          <Col xs={12} sm={2}>
+            <Button
+              block
+              bsStyle='primary'
+              disabled={fetching || !baseVersionId || baseVersionId === comparedVersionId}
+              onClick={this._onClickCompare}
+              style={{marginTop: '25px'}}>
+              {fetching
+                ? <Icon className='fa-spin' type='refresh' />
+                : <Icon type='exchange' />
+              }{' '}
+              {this.messages('compare')}
+            </Button>
+          </Col>
+        </Row>
+        {comparison ? this._renderComparison(comparison) : null}
+      </div>
+    )
+  }
+}
@@ -14,6 +14,7 @@ import SelectFileModal from '../../../common/components/SelectFileModal'
 import {getComponentMessages, isModuleEnabled} from '../../../common/util/config'
 import {isValidZipFile} from '../../../common/util/util'
 import * as snapshotActions from '../../../editor/actions/snapshots'
+import * as generalActions from '../../../gtfs/actions/general'
 import * as gtfsPlusActions from '../../../gtfsplus/actions/gtfsplus'
 import * as deploymentActions from '../../../manager/actions/deployments'
 import DeploymentPreviewButton from '../DeploymentPreviewButton'
@@ -28,6 +29,7 @@ type Props = ContainerProps & {
   deleteFeedVersion: typeof versionsActions.deleteFeedVersion,
   downloadFeedViaToken: typeof versionsActions.downloadFeedViaToken,
   downloadGtfsPlusFeed: typeof gtfsPlusActions.downloadGtfsPlusFeed,
+  exportGeography: typeof generalActions.exportGeography,
   feedVersionIndex: number,
   fetchGTFSEntities: typeof versionsActions.fetchGTFSEntities,
   fetchNotesForFeedVersion: typeof notesActions.fetchNotesForFeedVersion,
@@ -138,6 +140,7 @@ export default class FeedVersionNavigator extends Component<Props, State> {
       disabled,
       downloadFeedViaToken,
       editDisabled,
+      exportGeography,
       feedSource,
       feedVersionIndex,
       fetchGTFSEntities,
@@ -297,6 +300,7 @@ export default class FeedVersionNavigator extends Component<Props, State> {
               downloadFeedViaToken={downloadFeedViaToken}
               downloadGtfsPlusFeed={this._onRequestGtfsPlusData}
               editDisabled={editDisabled}
+              exportGeography={exportGeography}
               feedSource={feedSource}
               feedVersionIndex={feedVersionIndex}
               fetchGTFSEntities={fetchGTFSEntities}
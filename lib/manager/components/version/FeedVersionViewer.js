@@ -8,6 +8,7 @@ import { LinkContainer } from 'react-router-bootstrap'
 import * as versionsActions from '../../actions/versions'
 import {getComponentMessages, isModuleEnabled} from '../../../common/util/config'
 import * as snapshotActions from '../../../editor/actions/snapshots'
+import * as generalActions from '../../../gtfs/actions/general'
 import FeedVersionReport from './FeedVersionReport'
 import ActiveGtfsPlusVersionSummary from '../../../gtfsplus/containers/ActiveGtfsPlusVersionSummary'
 import VersionDateLabel from './VersionDateLabel'
@@ -25,6 +26,7 @@ export type Props = {
   downloadFeedViaToken: typeof versionsActions.downloadFeedViaToken,
   downloadGtfsPlusFeed: FeedVersion => void,
   editDisabled: ?boolean,
+  exportGeography: typeof generalActions.exportGeography,
   feedSource: Feed,
   feedSource: Feed,
   feedVersionIndex: number,
@@ -2,7 +2,7 @@
 
 import Icon from '@conveyal/woonerf/components/icon'
 import React, {Component} from 'react'
-import {Button, Glyphicon, ButtonGroup} from 'react-bootstrap'
+import {Button, ButtonGroup, DropdownButton, Glyphicon, MenuItem} from 'react-bootstrap'
 
 import ConfirmModal from '../../../common/components/ConfirmModal'
 import {getComponentMessages, isModuleEnabled} from '../../../common/util/config'
@@ -17,6 +17,11 @@ export default class VersionButtonToolbar extends Component<ToolbarProps> {
   _onClickDownload = () =>
     this.props.downloadFeedViaToken(this.props.version, this.props.isPublic)
 
+  _onSelectExport = (format: 'geojson' | 'kml') => {
+    const {exportGeography, feedSource, version} = this.props
+    exportGeography(version.namespace, `${feedSource.name} ${version.name}`, format)
+  }
+
   _onClickLoadIntoEditor = (evt: SyntheticMouseEvent<HTMLInputElement>) => {
     const {loadFeedVersionForEditing, version} = this.props
 
@@ -45,7 +50,8 @@ export default class VersionButtonToolbar extends Component<ToolbarProps> {
       editDisabled,
       hasVersions,
       isPublic,
-      size
+      size,
+      version
     } = this.props
     return (
       <div style={{display: 'inline'}}>
@@ -63,6 +69,23 @@ export default class VersionButtonToolbar extends Component<ToolbarProps> {
             <span className='hidden-xs hidden-sm'> {this.messages('version')}</span>
           </Button>
 
+          {/* "Export Geography" Dropdown */}
+          {!isPublic
+            ? <DropdownButton
+              bsSize={size}
+              disabled={!hasVersions}
+              id={`export-geography-${version.id}`}
+              onSelect={this._onSelectExport}
+              title={<span>
+                <Icon type='map-o' />
+                <span className='hidden-xs'> {this.messages('export')}</span>
+              </span>}>
+              <MenuItem eventKey='geojson'>{this.messages('exportGeoJson')}</MenuItem>
+              <MenuItem eventKey='kml'>{this.messages('exportKml')}</MenuItem>
+            </DropdownButton>
+            : null
+          }
+
           {/* "Load for Editing" Button */}
           {isModuleEnabled('editor') && !isPublic
             ? <Button
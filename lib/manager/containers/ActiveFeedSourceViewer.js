@@ -12,6 +12,7 @@ import {
 import {
   deleteFeedVersion,
   downloadFeedViaToken,
+  fetchFeedVersionComparison,
   uploadFeed,
   renameFeedVersion
 } from '../actions/versions'
@@ -65,6 +66,7 @@ const mapDispatchToProps = {
   deleteFeedVersion,
   downloadFeedViaToken,
   downloadGtfsPlusFeed,
+  fetchFeedVersionComparison,
   fetchNotesForFeedSource,
   fetchNotesForFeedVersion,
   loadFeedVersionForEditing,
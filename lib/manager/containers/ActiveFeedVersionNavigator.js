@@ -20,6 +20,7 @@ import {
 import {postNoteForFeedVersion, fetchNotesForFeedVersion} from '../actions/notes'
 import {createDeploymentFromFeedSource} from '../../manager/actions/deployments'
 import {loadFeedVersionForEditing} from '../../editor/actions/snapshots'
+import {exportGeography} from '../../gtfs/actions/general'
 import {downloadGtfsPlusFeed} from '../../gtfsplus/actions/gtfsplus'
 
 import type {Feed, Project} from '../../types'
@@ -92,6 +93,7 @@ const mapDispatchToProps = {
   deleteFeedVersion,
   downloadFeedViaToken,
   downloadGtfsPlusFeed,
+  exportGeography,
   fetchGTFSEntities,
   fetchNotesForFeedVersion,
   fetchValidationErrors,
@@ -11,6 +11,7 @@ import {
   deployPublic,
   downloadFeedForProject,
   fetchFeedsForProject,
+  mergeFeedsForProject,
   onProjectViewerMount,
   thirdPartySync,
   updateProject
@@ -29,7 +30,7 @@ import {
   deleteDeployment,
   updateDeployment
 } from '../actions/deployments'
-import {uploadFeed} from '../actions/versions'
+import {fetchFeedVersionMergeIds, fetchFeedVersions, uploadFeed} from '../actions/versions'
 import ProjectViewer from '../components/ProjectViewer'
 
 import type {AppState, RouterProps} from '../../types/reducers'
@@ -65,8 +66,11 @@ const mapDispatchToProps = {
   deleteProject,
   deployPublic,
   downloadFeedForProject,
+  fetchFeedVersionMergeIds,
+  fetchFeedVersions,
   fetchFeedsForProject,
   fetchProjectDeployments,
+  mergeFeedsForProject,
   onProjectViewerMount,
   runFetchFeed,
   saveDeployment,
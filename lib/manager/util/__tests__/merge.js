@@ -0,0 +1,41 @@
+// @flow
+
+import {
+  applyIdPrefixes,
+  countIdCollisions,
+  getDefaultIdPrefix,
+  getIdCollisions
+} from '../merge'
+
+const idsByVersionId = {
+  v1: {agency_id: ['1'], route_id: ['10', '11'], service_id: ['WKDY'], stop_id: ['a', 'b']},
+  v2: {agency_id: ['1'], route_id: ['11', '12'], service_id: ['WKND'], stop_id: ['c']}
+}
+
+describe('manager > util > merge >', () => {
+  it('getDefaultIdPrefix should clean up the feed source name', () => {
+    const feedSource: any = {id: 'abc', name: ' Big Bus Co. '}
+    expect(getDefaultIdPrefix(feedSource)).toEqual('BIG_BUS_CO:')
+  })
+
+  it('getIdCollisions should find IDs shared between feed versions', () => {
+    const collisions = getIdCollisions(idsByVersionId)
+    expect(collisions.agency_id).toEqual([{id: '1', versionIds: ['v1', 'v2']}])
+    expect(collisions.route_id.map(c => c.id)).toEqual(['11'])
+    expect(collisions.service_id).toEqual([])
+    expect(countIdCollisions(collisions)).toEqual(2)
+  })
+
+  it('applyIdPrefixes should prefix IDs according to the strategy', () => {
+    const prefixes = {v1: 'A:', v2: 'B:'}
+    const collisionsOnly = applyIdPrefixes(idsByVersionId, prefixes, 'COLLISIONS')
+    expect(collisionsOnly.v1.route_id).toEqual(['10', 'A:11'])
+    expect(collisionsOnly.v2.stop_id).toEqual(['c'])
+    expect(countIdCollisions(getIdCollisions(collisionsOnly))).toEqual(0)
+    expect(applyIdPrefixes(idsByVersionId, prefixes, 'ALL').v2.stop_id).toEqual(['B:c'])
+    expect(applyIdPrefixes(idsByVersionId, prefixes, 'NONE')).toBe(idsByVersionId)
+    // Shared prefixes leave collisions unresolved.
+    const samePrefix = applyIdPrefixes(idsByVersionId, {v1: 'A:', v2: 'A:'}, 'ALL')
+    expect(countIdCollisions(getIdCollisions(samePrefix))).toEqual(2)
+  })
+})
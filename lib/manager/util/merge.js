@@ -0,0 +1,112 @@
+// @flow
+
+import type {Feed} from '../../types'
+
+export type MergeIdType = 'agency_id' | 'route_id' | 'service_id' | 'stop_id'
+
+export type MergeIds = {[MergeIdType]: Array<string>}
+
+// Strategy for prefixing IDs in the merged feed to avoid collisions between
+// feeds.
+// - NONE: IDs are not modified (for colliding IDs, the entity from the first
+//   feed is kept).
+// - COLLISIONS: only IDs that appear in more than one feed are prefixed.
+// - ALL: every ID is prefixed with the feed's prefix.
+export type IdPrefixStrategy = 'ALL' | 'COLLISIONS' | 'NONE'
+
+export type IdCollision = {
+  id: string,
+  // Feed version IDs that contain the ID
+  versionIds: Array<string>
+}
+
+export const ID_PREFIX_STRATEGIES: Array<IdPrefixStrategy> = ['COLLISIONS', 'ALL', 'NONE']
+
+/**
+ * ID fields checked for collisions along with the gtfs-lib GraphQL root used to
+ * fetch them.
+ */
+export const MERGE_ID_TYPES: Array<{graphQLRoot: string, type: MergeIdType}> = [
+  {graphQLRoot: 'agency', type: 'agency_id'},
+  {graphQLRoot: 'stops', type: 'stop_id'},
+  {graphQLRoot: 'routes', type: 'route_id'},
+  {graphQLRoot: 'calendar', type: 'service_id'}
+]
+
+/**
+ * Get the default ID prefix for a feed source from its name (e.g., "Big Bus
+ * Co." becomes "BIG_BUS_CO:").
+ */
+export function getDefaultIdPrefix (feedSource: Feed): string {
+  const name = (feedSource.name || feedSource.id)
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+  return `${name}:`
+}
+
+/**
+ * Find the IDs of each type that appear in more than one of the feed versions.
+ */
+export function getIdCollisions (
+  idsByVersionId: {[string]: MergeIds}
+): {[MergeIdType]: Array<IdCollision>} {
+  const collisions = {}
+  MERGE_ID_TYPES.forEach(({type}) => {
+    const versionIdsById: {[string]: Array<string>} = {}
+    Object.keys(idsByVersionId).forEach(versionId => {
+      const ids = idsByVersionId[versionId][type] || []
+      // Only count an ID once per feed version.
+      ids.filter((id, i) => ids.indexOf(id) === i).forEach(id => {
+        if (!versionIdsById[id]) versionIdsById[id] = []
+        versionIdsById[id].push(versionId)
+      })
+    })
+    collisions[type] = Object.keys(versionIdsById)
+      .filter(id => versionIdsById[id].length > 1)
+      .sort()
+      .map(id => ({id, versionIds: versionIdsById[id]}))
+  })
+  return collisions
+}
+
+/**
+ * Apply the prefix strategy to the IDs of each feed version, resulting in the
+ * IDs that would be found in the merged feed. The resulting IDs can be passed
+ * back into getIdCollisions to find any collisions left unresolved (e.g., if
+ * two feeds share the same prefix).
+ */
+export function applyIdPrefixes (
+  idsByVersionId: {[string]: MergeIds},
+  prefixesByVersionId: {[string]: string},
+  strategy: IdPrefixStrategy
+): {[string]: MergeIds} {
+  if (strategy === 'NONE') return idsByVersionId
+  const collisions = getIdCollisions(idsByVersionId)
+  const prefixedIds = {}
+  Object.keys(idsByVersionId).forEach(versionId => {
+    const prefix = prefixesByVersionId[versionId] || ''
+    const ids = idsByVersionId[versionId]
+    prefixedIds[versionId] = {}
+    MERGE_ID_TYPES.forEach(({type}) => {
+      const collidingIds = collisions[type].map(collision => collision.id)
+      prefixedIds[versionId][type] = (ids[type] || []).map(id =>
+        strategy === 'ALL' || collidingIds.indexOf(id) !== -1
+          ? `${prefix}${id}`
+          : id
+      )
+    })
+  })
+  return prefixedIds
+}
+
+/**
+ * Count the total number of collisions across ID types.
+ */
+export function countIdCollisions (
+  collisions: {[MergeIdType]: Array<IdCollision>}
+): number {
+  return MERGE_ID_TYPES
+    .map(({type}) => (collisions[type] || []).length)
+    .reduce((a, b) => a + b, 0)
+}
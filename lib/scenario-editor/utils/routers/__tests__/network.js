@@ -0,0 +1,76 @@
+// @flow
+
+import {localRouter, loadRoadNetwork} from '../local'
+import {
+  buildRoadGraph,
+  findNearestNode,
+  osmElementsToRoadNetwork,
+  routeAlongNetwork
+} from '../network'
+
+const line = (coordinates, properties = {}) => ({
+  type: 'Feature',
+  geometry: {type: 'LineString', coordinates},
+  properties
+})
+
+// A square block with a long detour and a one-way shortcut from b to d.
+const network = {
+  type: 'FeatureCollection',
+  features: [
+    line([[0, 0], [0.001, 0]]), // a -> b
+    line([[0.001, 0], [0.001, 0.001]]), // b -> c
+    line([[0.001, 0.001], [0, 0.001]]), // c -> d
+    line([[0, 0.001], [0, 0]]), // d -> a
+    line([[0.001, 0], [0, 0.001]], {oneway: 'yes'}) // b -> d (one-way)
+  ]
+}
+
+describe('scenario-editor > utils > routers > network >', () => {
+  const graph = buildRoadGraph(network)
+
+  it('should build graph with shared nodes and one-way edges', () => {
+    expect(graph.nodes.length).toEqual(4)
+    expect(graph.edgeCount).toEqual(9)
+  })
+
+  it('should find nearest node', () => {
+    expect(graph.nodes[findNearestNode(graph, [0.0011, 0.0009])]).toEqual([0.001, 0.001])
+    expect(findNearestNode(graph, [10, 10])).toEqual(-1)
+  })
+
+  it('should route along the network respecting one-way roads', () => {
+    expect(routeAlongNetwork(graph, [[0.001, 0], [0, 0.001]])).toEqual([
+      [[0.001, 0], [0, 0.001]]
+    ])
+    // Reverse direction cannot use the one-way shortcut.
+    const [leg] = routeAlongNetwork(graph, [[0, 0.001], [0.001, 0]]) || []
+    expect(leg.length).toEqual(3)
+    expect(routeAlongNetwork(graph, [[0, 0], [10, 10]])).toEqual(null)
+  })
+
+  it('should convert OSM elements to road network', () => {
+    const result = osmElementsToRoadNetwork([
+      {type: 'node', id: 1, lat: 0, lon: 0},
+      {type: 'node', id: 2, lat: 0, lon: 1},
+      {type: 'way', id: 3, nodes: [1, 2], tags: {highway: 'primary', oneway: 'yes'}},
+      {type: 'way', id: 4, nodes: [1, 2], tags: {highway: 'footway'}},
+      {type: 'way', id: 5, nodes: [1, 2], tags: {building: 'yes'}}
+    ])
+    expect(result.features).toEqual([
+      line([[0, 0], [1, 0]], {name: undefined, oneway: true})
+    ])
+  })
+
+  it('local router should route with loaded network', async () => {
+    expect(localRouter.getStatus()).toEqual('No road network loaded')
+    const status = await loadRoadNetwork(JSON.stringify(network), 'network.geojson')
+    expect(status.edgeCount).toEqual(9)
+    expect(localRouter.getStatus()).toEqual(null)
+    const points = [{lat: 0, lng: 0}, {lat: 0, lng: 0.001}, {lat: 0.001, lng: 0.001}]
+    expect(await localRouter.polyline(points, false))
+      .toEqual([[0, 0], [0.001, 0], [0.001, 0.001]])
+    expect(await localRouter.polyline(points, true))
+      .toEqual([[[0, 0], [0.001, 0]], [[0.001, 0], [0.001, 0.001]]])
+  })
+})
@@ -0,0 +1,55 @@
+// @flow
+
+import {getConfigProperty} from '../../../common/util/config'
+import {graphHopperRouter} from './graphhopper'
+import {localRouter} from './local'
+
+import type {LatLng} from '../../../types'
+
+/**
+ * A routing provider used to snap pattern shapes to streets. The polyline
+ * method routes between two or more points and resolves to an array of
+ * coordinates (or an array of coordinates for each pair of points if
+ * individualLegs is true) or null if routing failed. getStatus returns a
+ * message explaining why the router cannot be used (e.g., a missing API key)
+ * or null if the router is ready.
+ */
+export type Router = {
+  getStatus: () => ?string,
+  id: string,
+  name: string,
+  polyline: (points: Array<LatLng>, individualLegs: boolean) => Promise<any>
+}
+
+const routers: Array<Router> = [graphHopperRouter, localRouter]
+
+// Router chosen in the edit settings (overrides application.routing.provider).
+let activeRouterId: ?string = null
+
+/**
+ * Add a router (or replace the router with the same ID).
+ */
+export function registerRouter (router: Router): void {
+  const index = routers.findIndex(r => r.id === router.id)
+  if (index === -1) routers.push(router)
+  else routers[index] = router
+}
+
+export function getRouters (): Array<Router> {
+  return routers
+}
+
+/**
+ * Get the router to use for snapping to streets. Defaults to the router
+ * configured at application.routing.provider or GraphHopper if not configured.
+ */
+export function getActiveRouter (): Router {
+  const id = activeRouterId ||
+    getConfigProperty('application.routing.provider') ||
+    graphHopperRouter.id
+  return routers.find(r => r.id === id) || graphHopperRouter
+}
+
+export function setActiveRouter (id: string): void {
+  activeRouterId = id
+}
@@ -0,0 +1,172 @@
+// @flow
+
+import fetch from 'isomorphic-fetch'
+
+import {getConfigProperty} from '../../../common/util/config'
+import {
+  handleRouterMessage,
+  NETWORK_FUNCTIONS,
+  parseRoadNetwork
+} from './network'
+
+import type {Coordinates, LatLng} from '../../../types'
+import type {Router} from './'
+import type {RouterWorkerRequest, RouterWorkerResponse} from './network'
+
+export type RoadNetworkStatus = {
+  edgeCount: number,
+  error: ?string,
+  loading: boolean,
+  name: ?string
+}
+
+type RouterWorker = {postMessage: (RouterWorkerRequest) => void}
+
+let worker: ?RouterWorker = null
+let requestId = 0
+const pendingRequests: {[number]: (RouterWorkerResponse) => void} = {}
+let networkStatus: RoadNetworkStatus = {
+  edgeCount: 0,
+  error: null,
+  loading: false,
+  name: null
+}
+let loadingNetwork: ?Promise<RoadNetworkStatus> = null
+
+function onWorkerResponse (response: RouterWorkerResponse) {
+  const id = response.id
+  if (typeof id !== 'number' || !pendingRequests[id]) return
+  const resolve = pendingRequests[id]
+  delete pendingRequests[id]
+  resolve(response)
+}
+
+/**
+ * Create the web worker that holds the road network graph (so that building
+ * the graph and routing do not block the UI). If web workers are not available
+ * (e.g., in tests), requests are handled on the main thread.
+ */
+function createWorker (): RouterWorker {
+  if (typeof window === 'undefined' || !window.Worker || !window.Blob || !window.URL) {
+    const scope = {}
+    return {
+      postMessage: request => {
+        setTimeout(() => onWorkerResponse(handleRouterMessage(scope, request)))
+      }
+    }
+  }
+  // Function names are read at runtime because they may be changed by
+  // minification.
+  const source = `${NETWORK_FUNCTIONS.map(fn => fn.toString()).join('\n')}
+    var scope = {}
+    self.onmessage = function (e) { self.postMessage(${handleRouterMessage.name}(scope, e.data)) }`
+  const blob = new window.Blob([source], {type: 'application/javascript'})
+  const webWorker = new window.Worker(window.URL.createObjectURL(blob))
+  webWorker.onmessage = (e: MessageEvent) => onWorkerResponse((e.data: any))
+  return webWorker
+}
+
+function sendRequest (request: RouterWorkerRequest): Promise<RouterWorkerResponse> {
+  if (!worker) worker = createWorker()
+  const routerWorker = worker
+  const id = ++requestId
+  return new Promise(resolve => {
+    pendingRequests[id] = resolve
+    routerWorker.postMessage({...request, id})
+  })
+}
+
+export function getRoadNetworkStatus (): RoadNetworkStatus {
+  return networkStatus
+}
+
+/**
+ * Load a road network (GeoJSON, Overpass JSON or OSM XML text) into the local
+ * router, replacing any previously loaded network.
+ */
+export function loadRoadNetwork (text: string, name: string): Promise<RoadNetworkStatus> {
+  let network
+  try {
+    network = parseRoadNetwork(text)
+  } catch (e) {
+    console.warn(e)
+    networkStatus = {edgeCount: 0, error: `Could not read road network: ${e.message}`, loading: false, name}
+    return Promise.resolve(networkStatus)
+  }
+  networkStatus = {...networkStatus, error: null, loading: true, name}
+  loadingNetwork = sendRequest({network, type: 'load'})
+    .then(response => {
+      networkStatus = {
+        edgeCount: response.edgeCount || 0,
+        error: response.error || (!response.edgeCount ? 'Road network contains no roads' : null),
+        loading: false,
+        name
+      }
+      return networkStatus
+    })
+  return loadingNetwork
+}
+
+/**
+ * Fetch and load the road network at application.routing.local_network_url
+ * (e.g., an extract served alongside the application in air-gapped
+ * deployments).
+ */
+function loadConfiguredRoadNetwork (): ?Promise<RoadNetworkStatus> {
+  const url: ?string = getConfigProperty('application.routing.local_network_url')
+  if (!url) return null
+  networkStatus = {...networkStatus, loading: true, name: url}
+  return fetch(url)
+    .then(res => {
+      if (res.status >= 300) throw new Error(`Status ${res.status}`)
+      return res.text()
+    })
+    .then(text => loadRoadNetwork(text, url))
+    .catch(e => {
+      console.warn(e)
+      networkStatus = {edgeCount: 0, error: `Could not fetch road network: ${e.message}`, loading: false, name: url}
+      return networkStatus
+    })
+}
+
+/**
+ * Join the legs of a route into a single line (omitting the duplicate
+ * coordinate where legs meet).
+ */
+function joinLegs (legs: Array<Coordinates>): Coordinates {
+  const coordinates = []
+  legs.forEach((leg, i) => coordinates.push(...(i === 0 ? leg : leg.slice(1))))
+  return coordinates
+}
+
+export const localRouter: Router = {
+  id: 'local',
+  name: 'Local road network',
+  getStatus: () => {
+    if (networkStatus.error) return networkStatus.error
+    if (
+      networkStatus.edgeCount === 0 &&
+      !networkStatus.loading &&
+      !getConfigProperty('application.routing.local_network_url')
+    ) {
+      return 'No road network loaded'
+    }
+    return null
+  },
+  polyline: async (points: Array<LatLng>, individualLegs: boolean) => {
+    if (networkStatus.edgeCount === 0) {
+      // Load the configured network the first time the router is used.
+      if (!loadingNetwork) loadingNetwork = loadConfiguredRoadNetwork()
+      if (loadingNetwork) await loadingNetwork
+    }
+    const response = await sendRequest({
+      points: points.map(p => [p.lng, p.lat]),
+      type: 'route'
+    })
+    if (response.error || !response.legs) {
+      console.warn('Could not route with local road network', response.error)
+      return null
+    }
+    return individualLegs ? response.legs : joinLegs(response.legs)
+  }
+}
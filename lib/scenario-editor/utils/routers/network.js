@@ -0,0 +1,350 @@
+// @flow
+
+// Road network graph and shortest path search used by the local router. NOTE:
+// the functions in this module are copied (via Function#toString) into the
+// local router's web worker, so they must not reference imports or any other
+// module-level values besides the functions listed in NETWORK_FUNCTIONS. For
+// the same reason, avoid syntax that compiles to babel helpers (object spread,
+// classes, for...of loops).
+
+import type {Coordinate, Coordinates} from '../../../types'
+
+type Edge = {distance: number, to: number}
+
+export type RoadGraph = {
+  cellSize: number,
+  cells: {[string]: Array<number>},
+  edgeCount: number,
+  edges: Array<Array<Edge>>,
+  nodes: Coordinates
+}
+
+export type RouterWorkerRequest = {
+  id?: number,
+  network?: any,
+  points?: Coordinates,
+  type: 'load' | 'route'
+}
+
+export type RouterWorkerResponse = {
+  edgeCount?: number,
+  error?: string,
+  id?: number,
+  legs?: ?Array<Coordinates>,
+  type: 'load' | 'route'
+}
+
+// Highway types that are not used by transit vehicles.
+const EXCLUDED_HIGHWAYS = [
+  'bridleway',
+  'construction',
+  'cycleway',
+  'footway',
+  'path',
+  'pedestrian',
+  'proposed',
+  'steps'
+]
+
+/**
+ * Get the distance (in meters) between two [lng, lat] coordinates.
+ */
+export function haversineDistance (a: Coordinate, b: Coordinate): number {
+  var toRadians = Math.PI / 180
+  var dLat = (b[1] - a[1]) * toRadians
+  var dLng = (b[0] - a[0]) * toRadians
+  var h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(a[1] * toRadians) * Math.cos(b[1] * toRadians) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2)
+  return 2 * 6371008.8 * Math.asin(Math.min(1, Math.sqrt(h)))
+}
+
+/**
+ * Build a routable graph from a GeoJSON road network (a FeatureCollection of
+ * LineString or MultiLineString features). Coordinates shared by features are
+ * treated as intersections. Features with a truthy `oneway` property (or
+ * `oneway: 'yes'`) are only traversable in the direction they are drawn and
+ * `oneway: '-1'` in the reverse direction.
+ */
+export function buildRoadGraph (network: any, cellSize: number = 0.01): RoadGraph {
+  var graph = {cellSize: cellSize, cells: {}, edgeCount: 0, edges: [], nodes: []}
+  var nodeIndexes = {}
+  function getNode (coordinate) {
+    var key = coordinate[0].toFixed(7) + ',' + coordinate[1].toFixed(7)
+    if (typeof nodeIndexes[key] === 'number') return nodeIndexes[key]
+    var index = graph.nodes.length
+    graph.nodes.push([coordinate[0], coordinate[1]])
+    graph.edges.push([])
+    nodeIndexes[key] = index
+    var cellKey = Math.floor(coordinate[0] / cellSize) + ',' + Math.floor(coordinate[1] / cellSize)
+    if (!graph.cells[cellKey]) graph.cells[cellKey] = []
+    graph.cells[cellKey].push(index)
+    return index
+  }
+  var features = (network && network.features) || []
+  features.forEach(function (feature) {
+    var geometry = feature && feature.geometry
+    if (!geometry) return
+    var lines = geometry.type === 'LineString'
+      ? [geometry.coordinates]
+      : geometry.type === 'MultiLineString'
+        ? geometry.coordinates
+        : []
+    var properties = feature.properties || {}
+    var oneway = properties.oneway
+    var forward = oneway !== '-1' && oneway !== -1
+    var backward = !oneway || oneway === 'no' || oneway === '-1' || oneway === -1
+    lines.forEach(function (coordinates) {
+      for (var i = 1; i < coordinates.length; i++) {
+        var from = getNode(coordinates[i - 1])
+        var to = getNode(coordinates[i])
+        if (from === to) continue
+        var distance = haversineDistance(coordinates[i - 1], coordinates[i])
+        if (forward) {
+          graph.edges[from].push({distance: distance, to: to})
+          graph.edgeCount++
+        }
+        if (backward) {
+          graph.edges[to].push({distance: distance, to: from})
+          graph.edgeCount++
+        }
+      }
+    })
+  })
+  return graph
+}
+
+/**
+ * Find the index of the graph node nearest to the coordinate by searching the
+ * grid cells in expanding rings around the coordinate. Returns -1 if no node
+ * is within maxRings cells.
+ */
+export function findNearestNode (
+  graph: RoadGraph,
+  coordinate: Coordinate,
+  maxRings: number = 5
+): number {
+  var x = Math.floor(coordinate[0] / graph.cellSize)
+  var y = Math.floor(coordinate[1] / graph.cellSize)
+  var nearest = -1
+  var nearestDistance = Infinity
+  var foundInRing = -1
+  for (var ring = 0; ring <= maxRings; ring++) {
+    for (var dx = -ring; dx <= ring; dx++) {
+      for (var dy = -ring; dy <= ring; dy++) {
+        // Only check the cells on the edge of the current ring.
+        if (Math.abs(dx) !== ring && Math.abs(dy) !== ring) continue
+        var cell = graph.cells[(x + dx) + ',' + (y + dy)]
+        if (!cell) continue
+        for (var i = 0; i < cell.length; i++) {
+          var distance = haversineDistance(coordinate, graph.nodes[cell[i]])
+          if (distance < nearestDistance) {
+            nearest = cell[i]
+            nearestDistance = distance
+            if (foundInRing === -1) foundInRing = ring
+          }
+        }
+      }
+    }
+    // A node found in a ring may be farther than one in the next ring, so
+    // check one additional ring before returning.
+    if (foundInRing !== -1 && ring > foundInRing) return nearest
+  }
+  return nearest
+}
+
+/**
+ * Find the shortest path (A* search) between two graph nodes. Returns the path
+ * coordinates or null if the nodes are not connected.
+ */
+export function findShortestPath (graph: RoadGraph, from: number, to: number): ?Coordinates {
+  if (from === -1 || to === -1) return null
+  var target = graph.nodes[to]
+  var distances = {}
+  var previous = {}
+  var visited = {}
+  // Binary heap of [estimated total distance, node index].
+  var heap = []
+  function push (item) {
+    heap.push(item)
+    var i = heap.length - 1
+    while (i > 0) {
+      var parent = (i - 1) >> 1
+      if (heap[parent][0] <= heap[i][0]) break
+      var swap = heap[parent]
+      heap[parent] = heap[i]
+      heap[i] = swap
+      i = parent
+    }
+  }
+  function pop () {
+    var top = heap[0]
+    var last = heap.pop()
+    if (heap.length > 0) {
+      heap[0] = last
+      var i = 0
+      while (true) {
+        var left = 2 * i + 1
+        var right = left + 1
+        var smallest = i
+        if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left
+        if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right
+        if (smallest === i) break
+        var swap = heap[smallest]
+        heap[smallest] = heap[i]
+        heap[i] = swap
+        i = smallest
+      }
+    }
+    return top
+  }
+  distances[from] = 0
+  push([haversineDistance(graph.nodes[from], target), from])
+  while (heap.length > 0) {
+    var node = pop()[1]
+    if (node === to) {
+      var path = [graph.nodes[to]]
+      var current = to
+      while (current !== from) {
+        current = previous[current]
+        path.unshift(graph.nodes[current])
+      }
+      return path
+    }
+    if (visited[node]) continue
+    visited[node] = true
+    var edges = graph.edges[node]
+    for (var i = 0; i < edges.length; i++) {
+      var edge = edges[i]
+      var distance = distances[node] + edge.distance
+      if (typeof distances[edge.to] !== 'number' || distance < distances[edge.to]) {
+        distances[edge.to] = distance
+        previous[edge.to] = node
+        push([distance + haversineDistance(graph.nodes[edge.to], target), edge.to])
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Route between each consecutive pair of [lng, lat] points, returning the
+ * coordinates for each leg (or null if any leg could not be routed).
+ */
+export function routeAlongNetwork (graph: RoadGraph, points: Coordinates): ?Array<Coordinates> {
+  var legs = []
+  var nodes = points.map(function (p) { return findNearestNode(graph, p) })
+  for (var i = 1; i < nodes.length; i++) {
+    if (nodes[i - 1] === nodes[i]) {
+      // Points snap to the same node (i.e., they are very close together).
+      legs.push([graph.nodes[nodes[i]], graph.nodes[nodes[i]]])
+      continue
+    }
+    var path = findShortestPath(graph, nodes[i - 1], nodes[i])
+    if (!path) return null
+    legs.push(path)
+  }
+  return legs
+}
+
+/**
+ * Handle a message sent to the router worker. The scope object holds the graph
+ * between messages (the worker global scope or a plain object when the router
+ * runs on the main thread).
+ */
+export function handleRouterMessage (scope: any, request: RouterWorkerRequest): RouterWorkerResponse {
+  try {
+    if (request.type === 'load') {
+      scope.graph = buildRoadGraph(request.network)
+      return {edgeCount: scope.graph.edgeCount, id: request.id, type: 'load'}
+    }
+    if (!scope.graph) return {error: 'No road network loaded', id: request.id, type: 'route'}
+    return {id: request.id, legs: routeAlongNetwork(scope.graph, request.points || []), type: 'route'}
+  } catch (e) {
+    return {error: e.message, id: request.id, type: request.type}
+  }
+}
+
+// Functions copied into the web worker source (see comment at top of module).
+export const NETWORK_FUNCTIONS = [
+  haversineDistance,
+  buildRoadGraph,
+  findNearestNode,
+  findShortestPath,
+  routeAlongNetwork,
+  handleRouterMessage
+]
+
+/**
+ * Convert OSM ways and nodes (from OSM XML or Overpass JSON) for roads into a
+ * GeoJSON road network.
+ */
+export function osmElementsToRoadNetwork (elements: Array<any>): any {
+  const nodes = {}
+  elements.forEach(e => {
+    if (e.type === 'node') nodes[e.id] = [+e.lon, +e.lat]
+  })
+  const features = []
+  elements.forEach(e => {
+    const tags = e.tags || {}
+    if (e.type !== 'way' || !tags.highway) return
+    if (EXCLUDED_HIGHWAYS.indexOf(tags.highway) !== -1) return
+    const coordinates = (e.nodes || []).map(id => nodes[id]).filter(Boolean)
+    if (coordinates.length < 2) return
+    const oneway = tags.oneway || (tags.junction === 'roundabout' ? 'yes' : undefined)
+    features.push({
+      type: 'Feature',
+      geometry: {type: 'LineString', coordinates},
+      properties: {name: tags.name, oneway: oneway === 'yes' || oneway === 'true' ? true : oneway}
+    })
+  })
+  return {type: 'FeatureCollection', features}
+}
+
+/**
+ * Parse the elements from an OSM XML document into the same form as Overpass
+ * JSON output.
+ */
+export function parseOsmXml (text: string): Array<any> {
+  const doc = new window.DOMParser().parseFromString(text, 'text/xml')
+  const getTags = el => {
+    const tags = {}
+    Array.prototype.forEach.call(el.getElementsByTagName('tag'), tag => {
+      tags[tag.getAttribute('k')] = tag.getAttribute('v')
+    })
+    return tags
+  }
+  const elements = []
+  Array.prototype.forEach.call(doc.getElementsByTagName('node'), node => {
+    elements.push({
+      id: node.getAttribute('id'),
+      lat: node.getAttribute('lat'),
+      lon: node.getAttribute('lon'),
+      type: 'node'
+    })
+  })
+  Array.prototype.forEach.call(doc.getElementsByTagName('way'), way => {
+    elements.push({
+      id: way.getAttribute('id'),
+      nodes: Array.prototype.map.call(way.getElementsByTagName('nd'), nd => nd.getAttribute('ref')),
+      tags: getTags(way),
+      type: 'way'
+    })
+  })
+  return elements
+}
+
+/**
+ * Parse a road network file, which may be a GeoJSON FeatureCollection, an
+ * Overpass JSON response, or an OSM XML extract, into a GeoJSON road network.
+ */
+export function parseRoadNetwork (text: string): any {
+  const trimmed = text.trim()
+  if (trimmed.charAt(0) === '<') {
+    return osmElementsToRoadNetwork(parseOsmXml(trimmed))
+  }
+  const json = JSON.parse(trimmed)
+  if (json.type === 'FeatureCollection') return json
+  if (Array.isArray(json.elements)) return osmElementsToRoadNetwork(json.elements)
+  throw new Error('Road network must be GeoJSON, Overpass JSON or OSM XML')
+}
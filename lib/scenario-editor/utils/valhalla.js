@@ -1,109 +1,17 @@
 // @flow
 
-import fetch from 'isomorphic-fetch'
-import {decode as decodePolyline} from 'polyline'
 import {isEqual as coordinatesAreEqual} from '@conveyal/lonlat'
-import qs from 'qs'
 import lineString from 'turf-linestring'
-import lineSliceAlong from '@turf/line-slice-along'
+
+import {getActiveRouter} from './routers'
 
 import type {
   Coordinates,
   LatLng
 } from '../../types'
 
-type Instruction = {
-  distance: number,
-  heading: number,
-  interval: [number, number],
-  sign: number,
-  street_name: string,
-  text: string,
-  time: number
-}
-
-type Path = {
-  ascend: number,
-  bbox: [number, number, number, number],
-  descend: number,
-  details: {},
-  distance: number,
-  instructions: Array<Instruction>,
-  legs: [],
-  points: string,
-  points_encoded: boolean,
-  snapped_waypoints: string,
-  time: number,
-  transfers: number,
-  weight: number
-}
-
-type GraphHopperResponse = {
-  hints: {
-    'visited_nodes.average': string,
-    'visited_nodes.sum': string
-  },
-  info: {
-    copyrights: Array<string>,
-    took: number
-  },
-  paths: Array<Path>
-}
-
-/**
- * Convert GraphHopper routing JSON response to polyline.
- */
-function handleGraphHopperRouting (path: Path, individualLegs: boolean = false): any {
-  const {instructions, points} = path
-  // Decode polyline and reverse coordinates.
-  const decodedPolyline = decodePolyline(points).map(c => ([c[1], c[0]]))
-  if (individualLegs) {
-    // Reconstruct individual legs from the instructions. NOTE: we do not simply
-    // use the waypoints found in the response because for lines that share
-    // street segments, slicing on these points results in unpredictable splits.
-    // Slicing the line along distances is much more reliable.
-    const segments = []
-    const waypointDistances = [0]
-    let distance = 0
-    // Iterate over the instructions, accumulating distance and storing the
-    // distance at each waypoint encountered. Distances are used to slice the
-    // line geometry if individual legs are needed. NOTE: Waypoint === routing
-    // point provided in the request.
-    instructions.forEach(instruction => {
-      if (instruction.text.match(/Waypoint (\d+)/)) {
-        // Add distance value to list
-        waypointDistances.push(distance)
-      } else {
-        distance += instruction.distance
-      }
-    })
-    // Add last distance measure.
-    // FIXME: Should this just be the length of the entire line?
-    // console.log(waypointDistances, json.paths[0].distance)
-    waypointDistances.push(distance)
-    const decodedLineString = lineString(decodedPolyline)
-    if (waypointDistances.length > 2) {
-      for (var i = 1; i < waypointDistances.length; i++) {
-        const slicedSegment = lineSliceAlong(
-          decodedLineString,
-          waypointDistances[i - 1] / 1000,
-          waypointDistances[i] / 1000
-        )
-        segments.push(slicedSegment.geometry.coordinates)
-      }
-      // console.log('individual legs', segments)
-      return segments
-    } else {
-      // FIXME does this work for two input points?
-      return [decodedPolyline]
-    }
-  } else {
-    return decodedPolyline
-  }
-}
-
 /**
- * Route between two or more points using external routing service.
+ * Route between two or more points using the active router (see ./routers).
  * @param  {[type]} points         array of two or more LatLng points
  * @param  {[type]} individualLegs whether to return coordinates as set of
  *                                 distinct segments for each pair of points
@@ -113,37 +21,15 @@ export async function polyline (
   points: Array<LatLng>,
   individualLegs?: boolean = false
 ): Promise<any> {
-  let json
-  const geometry = []
+  const router = getActiveRouter()
+  const status = router.getStatus()
+  if (status) {
+    // Router is not ready (e.g., it is not configured or has no network).
+    console.warn(`Cannot route with ${router.name}: ${status}`)
+    return null
+  }
   try {
-    // Chunk points into sets no larger than the max # of points allowed by
-    // GraphHopper plan.
-    const pointLimit = +process.env.GRAPH_HOPPER_POINT_LIMIT
-    // Default to chunks of 30 points if the point limit is less than 2. (There
-    // must be at least two points passed in to routing method in order to
-    // successfully route.)
-    const chunk = pointLimit > 2 ? pointLimit : 30
-    let count = 0
-    const j = points.length
-    for (let i = 0; i < j; i += chunk) {
-      // Offset the slice indexes so that the next chunk begins with the
-      const offset = count * -1
-      const beginIndex = i + offset
-      const endIndex = i + chunk + offset
-      const chunkedPoints = points.slice(beginIndex, endIndex)
-      json = await routeWithGraphHopper(chunkedPoints)
-      // Route between chunked list of points
-      if (json && json.paths && json.paths[0]) {
-        const result = handleGraphHopperRouting(json.paths[0], individualLegs)
-        geometry.push(...result)
-      } else {
-        // If any of the routed legs fails, default to straight line (return null).
-        console.warn(`Error routing from point ${beginIndex} to ${endIndex}`, chunkedPoints)
-        return null
-      }
-      count++
-    }
-    return geometry
+    return await router.polyline(points, individualLegs)
   } catch (e) {
     console.log(e)
     return null
@@ -193,28 +79,3 @@ export async function getSegment (
   }
   return geometry
 }
-
-/**
- * Call GraphHopper routing service with lat/lng coordinates.
- *
- * Example URL: https://graphhopper.com/api/1/route?point=49.932707,11.588051&point=50.3404,11.64705&vehicle=car&debug=true&&type=json
- */
-export function routeWithGraphHopper (points: Array<LatLng>): ?Promise<GraphHopperResponse> {
-  if (points.length < 2) {
-    console.warn('need at least two points to route with graphhopper', points)
-    return null
-  }
-  if (!process.env.GRAPH_HOPPER_KEY) {
-    throw new Error('GRAPH_HOPPER_KEY not set')
-  }
-  const params = {
-    key: process.env.GRAPH_HOPPER_KEY,
-    vehicle: 'car',
-    debug: true,
-    type: 'json'
-  }
-  const locations = points.map(p => (`point=${p.lat},${p.lng}`)).join('&')
-  return fetch(
-    `https://graphhopper.com/api/1/route?${locations}&${qs.stringify(params)}`
-  ).then(res => res.json())
-}
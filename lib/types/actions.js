@@ -7,6 +7,7 @@ import type {AlertsActions} from '../alerts/actions/alerts'
 import type {AlertVisibilityFilterActions} from '../alerts/actions/visibilityFilter'
 import type {EditorActiveActions} from '../editor/actions/active'
 import type {EditorActions} from '../editor/actions/editor'
+import type {EditorHistoryActions} from '../editor/actions/history'
 import type {SnapshotActions} from '../editor/actions/snapshots'
 import type {EditorTripActions} from '../editor/actions/trip'
 import type {EditorTripPatternActions} from '../editor/actions/tripPattern'
@@ -49,6 +50,7 @@ export type Action2 = ActiveAlertActions |
   EditorActions |
   EditorMapActions |
   EditorActiveActions |
+  EditorHistoryActions |
   EditorTripActions |
   EditorTripPatternActions |
   FeedActions |
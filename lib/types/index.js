@@ -4,22 +4,43 @@ import {POINT_TYPE} from '../editor/constants'
 
 import type UserPermissions from '../common/user/UserPermissions'
 
+export type RtdTrip = {
+  DepartureTime?: ?number,
+  DirectionId?: ?number,
+  PatternId?: ?string,
+  TripHeadsign?: ?string,
+  TripId: string
+}
+
 export type RtdEntity = {
   AgencyId: string,
   AlertId: number,
+  DirectionId?: ?number,
   EditedBy: string,
   EditedDate: string,
   Id: number,
   RouteId: ?string,
   RouteShortName: ?string,
   RouteType: ?number,
-  ServiceAlertTrips: Array<any>,
+  ServiceAlertTrips: Array<RtdTrip>,
   StopCode: ?string,
   StopId: ?string,
   TripId: ?string
 }
 
+export type RtdActivePeriod = {
+  EndDateTime: number,
+  Recurrence: ?{
+    Days: Array<number>,
+    EndTime: string,
+    StartTime: string,
+    Type: 'DAILY' | 'WEEKLY'
+  },
+  StartDateTime: number
+}
+
 export type RtdAlert = {
+  ActivePeriods?: ?Array<RtdActivePeriod>,
   Cause: string,
   DescriptionText: string,
   DescriptionText: string,
@@ -32,6 +53,11 @@ export type RtdAlert = {
   Published: string,
   ServiceAlertEntities: Array<RtdEntity>,
   StartDateTime: number,
+  Translations?: ?Array<{
+    DescriptionText: string,
+    HeaderText: string,
+    Language: string
+  }>,
   Url: string
 }
 
@@ -312,7 +338,8 @@ export type Field = {
   name: string,
   options?: Array<{text: string, value: string}>,
   placeholder?: string,
-  required: boolean
+  required: boolean,
+  translatable?: boolean
 }
 
 export type GeoJsonLinestring = {
@@ -337,6 +364,19 @@ export type PatternStop = {
   timepoint: ?number
 }
 
+export type RunningTimeSegment = {
+  dwellTime: number,
+  travelTime: number
+}
+
+export type RunningTimeProfile = {
+  endTime: number,
+  id: string,
+  name: string,
+  segments: Array<RunningTimeSegment>,
+  startTime: number
+}
+
 export type ShapePoint = {
   // Shape point ID and shape ID are optional because the backend will
   // auto-generate one them on insert.
@@ -401,6 +441,55 @@ export type GtfsFare = {|
   transfers: number
 |}
 
+export type GtfsFareMedia = {|
+  fare_media_id: string,
+  fare_media_name: ?string,
+  fare_media_type: number,
+  id: number
+|}
+
+export type GtfsFareProduct = {|
+  amount: number,
+  currency: string,
+  fare_media_id: ?string,
+  fare_product_id: string,
+  fare_product_name: ?string,
+  id: number
+|}
+
+export type StopArea = {
+  area_id: string,
+  id: number,
+  stop_id: string
+}
+
+export type GtfsArea = {|
+  area_id: string,
+  area_name: ?string,
+  id: number,
+  stop_areas: Array<StopArea>
+|}
+
+export type GtfsFareLegRule = {|
+  fare_product_id: string,
+  from_area_id: ?string,
+  id: number,
+  leg_group_id: ?string,
+  network_id: ?string,
+  to_area_id: ?string
+|}
+
+export type GtfsFareTransferRule = {|
+  duration_limit: ?number,
+  duration_limit_type: ?number,
+  fare_product_id: ?string,
+  fare_transfer_type: number,
+  from_leg_group_id: ?string,
+  id: number,
+  to_leg_group_id: ?string,
+  transfer_count: ?number
+|}
+
 export type GtfsPlusField = {
   columnWidth: number,
   helpContent: string,
@@ -421,6 +510,7 @@ export type GtfsRoute = {|
   agency_id: string,
   feedId: string,
   id: number,
+  network_id?: ?string,
   numberOfTrips: number,
   publicly_visible: string,
   route_branding_url: string,
@@ -443,9 +533,11 @@ export type GtfsRoute = {|
 export type GtfsStop = {|
   dropOffType?: ?number,
   id: number,
+  level_id?: ?string,
   location_type?: ?string,
   parent_station?: ?string,
   pickupType?: ?number,
+  platform_code?: ?string,
   stopId?: string,
   stop_code?: ?string,
   stop_desc?: string,
@@ -461,6 +553,40 @@ export type GtfsStop = {|
 
 export type StopWithFeed = GtfsStop & {feed: any}
 
+export type GtfsLevel = {|
+  id: number,
+  level_id: string,
+  level_index: number,
+  level_name?: ?string
+|}
+
+export type GtfsTranslation = {|
+  field_name: string,
+  field_value?: ?string,
+  id: number,
+  language: string,
+  record_id?: ?string,
+  record_sub_id?: ?string,
+  table_name: string,
+  translation: string
+|}
+
+export type GtfsPathway = {|
+  from_stop_id: string,
+  id: number,
+  is_bidirectional: number,
+  length?: ?number,
+  max_slope?: ?number,
+  min_width?: ?number,
+  pathway_id: string,
+  pathway_mode: number,
+  reversed_signposted_as?: ?string,
+  signposted_as?: ?string,
+  stair_count?: ?number,
+  to_stop_id: string,
+  traversal_time?: ?number
+|}
+
 export type LatLng = {
   lat: number,
   lng: number
@@ -490,7 +616,35 @@ export type Organization = {
   usageTier: string
 }
 
+// Stop placed along a line before it is added to a pattern (see
+// editor/util/stopPlacement). If an existing stop is reused, existingStopId is
+// set.
+export type ProposedStop = {
+  atIntersection: boolean,
+  distance: number, // meters along line
+  existingStopId: ?string,
+  lat: number,
+  lon: number,
+  name: ?string
+}
+
+export type AlertTemplate = {
+  cause: string,
+  // Title and description may contain placeholders (e.g., {route}) that are
+  // filled from the alert's affected entities and active periods.
+  description: string,
+  effect: string,
+  id: string,
+  name: string,
+  title: string
+}
+
 export type Project = {
+  // ISO 639-1 codes for the languages of service alert text (the first is the
+  // primary language)
+  alertLanguages?: ?Array<string>,
+  // Reusable alert text for the project's service alerts
+  alertTemplates?: ?Array<AlertTemplate>,
   autoFetchFeeds: boolean,
   autoFetchHour: number,
   autoFetchMinute: number,
@@ -584,7 +738,7 @@ export type TimetableColumn = {
   width: number
 }
 
-type Frequency = {
+export type Frequency = {
   endTime: number,
   exactTimes: number,
   headwaySecs: number,
@@ -595,19 +749,41 @@ export type Trip = {|
   frequencies: Array<Frequency>,
   id: null | number,
   stopTimes: Array<StopTime>,
+  tripHeadsign?: ?string,
   tripId: string,
   useFrequency: boolean
 |}
 
 export type Entity = ScheduleException |
   GtfsAgency |
+  GtfsArea |
   GtfsFare |
+  GtfsFareLegRule |
+  GtfsFareMedia |
+  GtfsFareProduct |
+  GtfsFareTransferRule |
+  GtfsLevel |
+  GtfsPathway |
   GtfsRoute |
   ServiceCalendar |
   GtfsStop |
+  GtfsTranslation |
   Pattern |
   Trip
 
+export type EditorHistoryItem = {
+  component: string,
+  entityId: number,
+  label: string,
+  // For UPDATE items, the values of the edited fields before and after the
+  // edit. For SAVE and DELETE items, the full entity before and after the
+  // request (previousProps is null if the save created the entity).
+  previousProps: ?Object,
+  props: Object,
+  timestamp: number,
+  type: 'UPDATE' | 'SAVE' | 'DELETE'
+}
+
 export type Display = {
   ContactEmailList: null | string,
   DisplayLatitude: null | number,
@@ -679,18 +855,62 @@ export type ZoneInfo = {
   zones: Zones
 }
 
+export type AlertTrip = {
+  // Departure time (seconds since midnight) of the trip's first stop
+  departure_time?: ?number,
+  direction_id?: ?number,
+  pattern_id?: ?string,
+  trip_headsign?: ?string,
+  trip_id: string
+}
+
+// Pattern (with shape for highlighting on the map) for a route referenced by
+// an alert entity
+export type AlertRoutePattern = {
+  direction_id: ?number,
+  name: string,
+  pattern_id: string,
+  shape: Array<[number, number]>
+}
+
 export type AlertEntity = {
   agency: ?Feed,
+  direction_id?: ?number,
   id: number,
   mode?: ?any,
   route?: GtfsRoute & {feed_id: string},
   route_id?: ?string,
   stop?: GtfsStop & {feed_id: string},
   stop_id?: ?string,
+  trips?: ?Array<AlertTrip>,
   type: ?string
 }
 
+export type AlertRecurrence = {
+  // Days of the week (Sunday = 0) on which a weekly recurrence applies
+  days: Array<number>,
+  // Time window (HH:mm) that wraps past midnight if endTime <= startTime
+  endTime: string,
+  startTime: string,
+  type: 'DAILY' | 'WEEKLY'
+}
+
+export type AlertActivePeriod = {
+  end: ?number,
+  id: number,
+  recurrence: ?AlertRecurrence,
+  start: ?number
+}
+
+export type AlertTranslation = {
+  description: string,
+  // ISO 639-1 language code
+  language: string,
+  title: string
+}
+
 export type Alert = {
+  activePeriods: Array<AlertActivePeriod>,
   affectedEntities: Array<AlertEntity>,
   cause: string,
   description: string,
@@ -700,6 +920,8 @@ export type Alert = {
   published: boolean,
   start: number,
   title: string,
+  // Title and description in languages other than the primary language
+  translations: Array<AlertTranslation>,
   url: string
 }
 
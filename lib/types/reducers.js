@@ -7,11 +7,21 @@ import UserSubscriptions from '../common/user/UserSubscriptions'
 
 import type {
   Alert,
+  AlertRoutePattern,
   ControlPoint,
+  Coordinates,
+  EditorHistoryItem,
   FetchStatus,
+  GtfsArea,
+  GtfsFareLegRule,
+  GtfsFareMedia,
+  GtfsFareProduct,
+  GtfsFareTransferRule,
   GtfsStop,
+  GtfsTranslation,
   Organization,
   Project,
+  ProposedStop,
   RecentActivity,
   ServerJob,
   ShapePoint,
@@ -75,7 +85,9 @@ export type AlertsReducerState = {
   entities: Array<any>,
   fetched: boolean,
   filter: AlertFilter,
-  isFetching: boolean
+  isFetching: boolean,
+  // Patterns keyed by feed and route ID (see getRoutePatternsKey)
+  routePatterns: {[string]: Array<AlertRoutePattern>}
 }
 
 export type AlertsState = ActiveState & AlertsReducerState
@@ -103,11 +115,16 @@ export type EditorTables = {
     agency_name: string,
     id: number
   }>,
+  areas: Array<GtfsArea>,
   calendar: Array<{
     description: string,
     id: number,
     service_id: string
   }>,
+  fare_leg_rules: Array<GtfsFareLegRule>,
+  fare_media: Array<GtfsFareMedia>,
+  fare_products: Array<GtfsFareProduct>,
+  fare_transfer_rules: Array<GtfsFareTransferRule>,
   fares: Array<{
     fare_id: string,
     id: number,
@@ -123,8 +140,23 @@ export type EditorTables = {
     feed_version: string,
     id: number
   }>,
+  levels: Array<{
+    id: number,
+    level_id: string,
+    level_index: number,
+    level_name: ?string
+  }>,
+  pathways: Array<{
+    from_stop_id: string,
+    id: number,
+    is_bidirectional: number,
+    pathway_id: string,
+    pathway_mode: number,
+    to_stop_id: string
+  }>,
   routes: Array<{
     id: number,
+    network_id: ?string,
     route_id: string,
     route_long_name: string,
     route_short_name: string
@@ -135,6 +167,9 @@ export type EditorTables = {
   }>,
   stops: Array<{
     id: number,
+    level_id: ?string,
+    location_type: ?number,
+    parent_station: ?string,
     stop_code: string,
     stop_id: string,
     stop_lat: number,
@@ -142,6 +177,7 @@ export type EditorTables = {
     stop_name: string,
     zone_id: string
   }>,
+  translations: Array<GtfsTranslation>,
   trip_counts: TripCounts
 }
 
@@ -166,6 +202,11 @@ export type DataStateSort = {
   key: string
 }
 
+export type EditorHistoryState = {
+  future: Array<EditorHistoryItem>,
+  past: Array<EditorHistoryItem>
+}
+
 export type DataState = {
   active: {
     component?: string,
@@ -182,6 +223,7 @@ export type DataState = {
     subSubComponent?: string,
     subSubEntityId?: string
   },
+  history: EditorHistoryState,
   lock: LockState,
   sort: DataStateSort,
   status: EditorStatus,
@@ -201,10 +243,14 @@ export type EditSettingsState = {
   intersectionStep: number,
   onMapClick: string,
   patternSegments: null | Array<[number, number]>,
+  preferIntersections: boolean,
+  proposedStops: null | Array<ProposedStop>,
   shapePoints: ?Array<ShapePoint>,
   showStops: boolean,
   showTooltips: boolean,
-  stopInterval: number
+  stopInterval: number,
+  stopPlacementLine: null | Coordinates,
+  stopSnapRadius: number
 }
 
 export type MapState = {